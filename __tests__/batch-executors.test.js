@@ -0,0 +1,97 @@
+jest.mock('../node', () => ({ FormAutomator: jest.fn() }));
+
+const { buildFormData, createExtensionExecutor, getBatchExecutor, resultError } = require('../batch-executors');
+const { classifyError } = require('../retry-policy');
+
+describe('buildFormData', () => {
+  test('maps form fields to row columns and skips empty cells', () => {
+    const row = { 'E-mail': 'a@b.co', Name: 'Jo', Phone: '' };
+    expect(buildFormData(row, { email: 'E-mail', name: 'Name', phone: 'Phone' }))
+      .toEqual({ email: 'a@b.co', name: 'Jo' });
+  });
+
+  test('uses column names without a mapping and never fills metadata columns', () => {
+    expect(buildFormData({ email: 'a@b.co', age: 42, __rowNumber: 7 })).toEqual({ email: 'a@b.co', age: '42' });
+  });
+});
+
+describe('createExtensionExecutor', () => {
+  test('dispatches the row with its url and returns a structured result', async () => {
+    const outcome = { outcome: 'accepted', evidence: [] };
+    const dispatch = jest.fn().mockResolvedValue({ submitted: true, outcome });
+    const executor = createExtensionExecutor({ dispatch });
+    const result = await executor.execute({
+      batchId: 'b1',
+      rowIndex: 0,
+      row: { email: 'a@b.co', site: 'https://example.com/form' },
+      mapping: { email: 'email' },
+      batchConfig: { urlColumn: 'site' }
+    });
+    expect(dispatch.mock.calls[0][0]).toMatchObject({ url: 'https://example.com/form', formData: { email: 'a@b.co' } });
+    expect(result.status).toBe('submitted');
+    expect(result.outcome).toBe(outcome);
+    expect(result.timings.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('leaves the url column and status columns out of unmapped form data', async () => {
+    const dispatch = jest.fn().mockResolvedValue({ submitted: true });
+    await createExtensionExecutor({ dispatch }).execute({
+      row: { email: 'a@b.co', site: 'https://example.com/form', FM_Status: 'failed', FM_Error: 'Timeout' },
+      batchConfig: { urlColumn: 'site' }
+    });
+    expect(dispatch.mock.calls[0][0].formData).toEqual({ email: 'a@b.co' });
+  });
+
+  test('reports a failed row when dispatching fails or the row has no url', async () => {
+    const executor = createExtensionExecutor({ dispatch: jest.fn().mockRejectedValue(new Error('No browser extension connected')) });
+    expect(await executor.execute({ row: {}, batchConfig: { url: 'https://example.com' } }))
+      .toMatchObject({ status: 'failed', reason: 'No browser extension connected' });
+    expect(await executor.execute({ row: {}, batchConfig: {} }))
+      .toMatchObject({ status: 'failed', reason: 'No target URL for row' });
+  });
+
+  test('reports an unknown outcome when the extension had the row before it failed', async () => {
+    const lost = Object.assign(new Error('Extension disconnected'), { dispatched: true });
+    const executor = createExtensionExecutor({ dispatch: jest.fn().mockRejectedValue(lost) });
+    expect(await executor.execute({ row: {}, batchConfig: { url: 'https://example.com' } })).toMatchObject({
+      status: 'submitted',
+      reason: 'Extension disconnected',
+      outcome: { outcome: 'unknown', evidence: [] }
+    });
+  });
+
+  test('passes dry runs on and reports the filled state as previewed', async () => {
+    const dispatch = jest.fn().mockResolvedValue({
+      submitted: false,
+      dryRun: true,
+      reason: null,
+      filledFields: ['email'],
+      missingFields: ['phone']
+    });
+    const executor = createExtensionExecutor({ dispatch });
+    const result = await executor.execute({ row: { email: 'a@b.co' }, batchConfig: { url: 'https://example.com' }, dryRun: true });
+    expect(dispatch.mock.calls[0][0].dryRun).toBe(true);
+    expect(result).toMatchObject({ status: 'previewed', dryRun: true, filledFields: ['email'], missingFields: ['phone'] });
+    expect(executor.supportsDryRun).toBe(true);
+  });
+});
+
+describe('resultError', () => {
+  test('makes rows whose fields failed verification permanent failures', () => {
+    const verification = { ok: false, failures: ['zip'], reason: 'zip: Enter 5 digits' };
+    const err = resultError({ status: 'failed', reason: verification.reason, verification }, 'Form was not submitted');
+    expect(err.message).toBe('zip: Enter 5 digits');
+    expect(err.result.verification).toBe(verification);
+    expect(classifyError(err)).toBe('permanent');
+  });
+
+  test('leaves other failures to the message', () => {
+    const err = resultError({ status: 'failed', reason: null, verification: null }, 'Form was not submitted');
+    expect(err.message).toBe('Form was not submitted');
+    expect(err.transient).toBeUndefined();
+  });
+});
+
+test('the headless executor is registered by default', () => {
+  expect(typeof getBatchExecutor().execute).toBe('function');
+});
@@ -0,0 +1,67 @@
+const { missingMappedValues, previewRowReport, buildPreviewReport } = require('../batch-preview');
+
+describe('missingMappedValues', () => {
+  test('lists mapped fields whose column is empty', () => {
+    const mapping = { email: 'E-mail', name: 'Name', phone: 'Phone' };
+    expect(missingMappedValues({ 'E-mail': 'a@b.co', Name: '' }, mapping)).toEqual(['name', 'phone']);
+    expect(missingMappedValues({ a: 1 })).toEqual([]);
+  });
+
+  test('checks the transformed value of field specs', () => {
+    const mapping = {
+      name: { columns: ['First', 'Last'] },
+      country: { column: 'Country', default: 'US' },
+      dob: { column: 'DOB', transforms: ['date'] }
+    };
+    expect(missingMappedValues({ First: '', Last: ' ', DOB: 'never' }, mapping)).toEqual(['name']);
+  });
+});
+
+describe('previewRowReport', () => {
+  test('a previewed row would be submitted', () => {
+    const settled = {
+      status: 'fulfilled',
+      value: {
+        status: 'previewed',
+        filledFields: ['email'],
+        missingFields: ['fax'],
+        screenshotPath: '/tmp/row-1.png',
+        pageUrl: 'https://example.com/form',
+        verification: { ok: true, fields: [{ key: 'email', ok: true, errors: [] }] }
+      }
+    };
+    expect(previewRowReport({ email: 'a@b.co', __rowNumber: 2 }, 0, null, settled)).toEqual({
+      rowIndex: 0,
+      rowNumber: 2,
+      wouldSubmit: true,
+      reason: null,
+      missingValues: [],
+      missingFields: ['fax'],
+      unverifiedFields: [],
+      invalidFields: [],
+      filledFields: ['email'],
+      screenshotPath: '/tmp/row-1.png',
+      pageUrl: 'https://example.com/form'
+    });
+  });
+
+  test('a row that failed verification lists its invalid fields', () => {
+    const err = new Error('email: Please enter an email address');
+    err.result = {
+      status: 'failed',
+      verification: { ok: false, fields: [{ key: 'email', ok: false, errors: ['Please enter an email address'] }] }
+    };
+    const report = previewRowReport({ mail: 'nope' }, 3, { email: 'mail', name: 'Name' }, { status: 'rejected', reason: err });
+    expect(report).toMatchObject({
+      wouldSubmit: false,
+      reason: 'email: Please enter an email address',
+      missingValues: ['name'],
+      invalidFields: [{ field: 'email', errors: ['Please enter an email address'] }]
+    });
+  });
+});
+
+test('buildPreviewReport counts the rows that would succeed', () => {
+  const report = buildPreviewReport('b1', [{ wouldSubmit: true }, { wouldSubmit: false }, { wouldSubmit: true }], 5);
+  expect(report).toMatchObject({ batchId: 'b1', generatedAt: 5, total: 3, wouldSucceed: 2, wouldFail: 1 });
+});
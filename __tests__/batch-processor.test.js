@@ -0,0 +1,224 @@
+// batch-state.json is read once at require time; mockFiles stands in for it (and for the
+// dead-letter queue), and every write lands in mockFiles instead of the working tree
+const mockFiles = new Map();
+jest.mock('fs', () => {
+  const actual = jest.requireActual('fs');
+  const nodePath = jest.requireActual('path');
+  const stubbed = file => ['batch-state.json', 'dead-letters.json'].includes(nodePath.basename(file).replace(/\.tmp$/, ''));
+  const missing = file => Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+  return {
+    ...actual,
+    existsSync: file => (stubbed(file) ? mockFiles.has(nodePath.basename(file)) : actual.existsSync(file)),
+    readFileSync: (file, ...args) => {
+      if (!stubbed(file)) return actual.readFileSync(file, ...args);
+      if (!mockFiles.has(nodePath.basename(file))) throw missing(file);
+      return mockFiles.get(nodePath.basename(file));
+    },
+    writeFileSync: (file, data) => { mockFiles.set(nodePath.basename(file), data); },
+    renameSync: (from, to) => { mockFiles.set(nodePath.basename(to), mockFiles.get(nodePath.basename(from))); },
+    appendFileSync: () => {}
+  };
+});
+let mockBatchIds = 0;
+jest.mock('uuid', () => ({ v4: () => `batch-${++mockBatchIds}` }), { virtual: true });
+jest.mock('../analytics', () => ({ logSubmissionEvent: jest.fn().mockResolvedValue() }));
+jest.mock('../google-sheets-connector', () => ({}));
+// The headless executor is registered at require time; these tests use their own
+jest.mock('../node', () => ({ FormAutomator: jest.fn() }));
+
+const accepted = { status: 'submitted', outcome: { outcome: 'accepted', evidence: [] } };
+const testExecutor = { execute: jest.fn() };
+const batchConfig = { executor: 'test', concurrency: 1 };
+
+// A batch that was submitting its second row when the process stopped
+mockFiles.set('batch-state.json', JSON.stringify([['interrupted', {
+  id: 'interrupted',
+  profile: 'p1',
+  batchConfig,
+  inputRows: [{ name: 'Ann' }, { name: 'Bob' }, { name: 'Cy' }],
+  checkpoints: ['succeeded', 'in-flight', 'pending'].map((state, idx) => ({
+    state, attempts: state === 'pending' ? 0 : 1, idempotencyKey: `key-${idx}`, error: null, outcome: null, updatedAt: 0
+  })),
+  status: 'running',
+  progress: { total: 3, processed: 1, failed: 0, succeeded: 1, unknown: 0 },
+  logs: [],
+  failures: [],
+  retries: []
+}]]));
+
+const { registerBatchExecutor } = require('../batch-executors');
+const {
+  scheduleBatchRun,
+  executeBatch,
+  retryFailedSubmissions,
+  resumeInterruptedBatches,
+  pauseBatch,
+  resumeBatch,
+  cancelBatch,
+  listBatches,
+  batchEmitter
+} = require('../batch-processor');
+
+registerBatchExecutor('test', testExecutor);
+
+// The batch as last written to batch-state.json
+function persistedBatch(id) {
+  return new Map(JSON.parse(mockFiles.get('batch-state.json'))).get(id);
+}
+
+const statusOf = id => listBatches().find(b => b.id === id).status;
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// The batchEmitter events for one batch, as [name, ...args after the id]
+function recordEvents(id) {
+  const seen = [];
+  const names = ['batchStarted', 'batchPaused', 'batchResumed', 'batchCancelling', 'batchCancelled', 'batchCompleted'];
+  const listeners = names.map(name => [name, (batchId, ...args) => { if (batchId === id) seen.push([name, ...args]); }]);
+  listeners.forEach(([name, listener]) => batchEmitter.on(name, listener));
+  seen.stop = () => listeners.forEach(([name, listener]) => batchEmitter.off(name, listener));
+  return seen;
+}
+
+beforeEach(() => {
+  testExecutor.execute.mockReset().mockResolvedValue(accepted);
+});
+
+describe('resumeInterruptedBatches', () => {
+  test('fails rows that were in flight without submitting them again and runs the pending ones', async () => {
+    const [summary] = await resumeInterruptedBatches();
+    expect(testExecutor.execute).toHaveBeenCalledTimes(1);
+    expect(testExecutor.execute.mock.calls[0][0]).toMatchObject({ rowIndex: 2, row: { name: 'Cy' }, idempotencyKey: 'key-2' });
+    expect(summary.failures).toEqual([expect.objectContaining({
+      rowIndex: 1,
+      row: { name: 'Bob' },
+      error: 'Interrupted while submitting; not resubmitted in case it went through'
+    })]);
+
+    const batch = persistedBatch('interrupted');
+    expect(batch.checkpoints.map(c => c.state)).toEqual(['succeeded', 'failed', 'succeeded']);
+    expect(batch.checkpoints[1].attempts).toBe(1);
+    expect(batch.status).toBe('failed');
+    expect(batch.progress).toMatchObject({ processed: 3, succeeded: 2, failed: 1 });
+  });
+});
+
+describe('executeBatch', () => {
+  test('checkpoints every row with its own idempotency key before submitting', async () => {
+    const rows = [{ name: 'Ann' }, { name: 'Ann' }];
+    const id = scheduleBatchRun('p1', batchConfig);
+    testExecutor.execute.mockImplementation(async () => {
+      // Each row is persisted in flight right before it is handed over
+      expect(persistedBatch(id).checkpoints.filter(c => c.state === 'in-flight')).toHaveLength(1);
+      return accepted;
+    });
+    await executeBatch('p1', rows, { batchId: id });
+
+    const { checkpoints } = persistedBatch(id);
+    expect(checkpoints).toEqual([
+      expect.objectContaining({ state: 'succeeded', attempts: 1, idempotencyKey: expect.stringMatching(/^[0-9a-f]{32}$/) }),
+      expect.objectContaining({ state: 'succeeded', attempts: 1, idempotencyKey: expect.stringMatching(/^[0-9a-f]{32}$/) })
+    ]);
+    // Same data, different rows: the keys differ, and the executor got them
+    expect(checkpoints[0].idempotencyKey).not.toBe(checkpoints[1].idempotencyKey);
+    expect(testExecutor.execute.mock.calls.map(([job]) => job.idempotencyKey)).toEqual(checkpoints.map(c => c.idempotencyKey));
+  });
+});
+
+describe('retryFailedSubmissions', () => {
+  test('does not submit a row again once its checkpoint went through', async () => {
+    const id = scheduleBatchRun('p1', batchConfig);
+    testExecutor.execute.mockRejectedValueOnce(new Error('net::ERR_CONNECTION_RESET'));
+    const { failures } = await executeBatch('p1', [{ name: 'Ann' }], { batchId: id });
+    expect(failures).toEqual([expect.objectContaining({ rowIndex: 0, errorClass: 'transient' })]);
+
+    const policy = { baseDelayMs: 1, jitter: 0 };
+    await expect(retryFailedSubmissions(failures, policy)).resolves.toMatchObject({ failures: [] });
+    expect(testExecutor.execute).toHaveBeenCalledTimes(2);
+    expect(persistedBatch(id).checkpoints[0].state).toBe('succeeded');
+    expect(listBatches().find(b => b.id === id).status).toBe('completed');
+
+    // The same failure list handed in again is skipped
+    await expect(retryFailedSubmissions(failures, policy)).resolves.toEqual({ succeeded: [], failures: [] });
+    expect(testExecutor.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not submit a row again when its outcome was unknown', async () => {
+    const id = scheduleBatchRun('p1', batchConfig);
+    testExecutor.execute.mockResolvedValueOnce({ status: 'submitted', outcome: { outcome: 'unknown', evidence: [] } });
+    await executeBatch('p1', [{ name: 'Ann' }], { batchId: id });
+    expect(persistedBatch(id).checkpoints[0].state).toBe('unknown');
+
+    const stale = [{ batchId: id, rowIndex: 0, row: { name: 'Ann' }, profile: 'p1', error: 'Navigation timeout', attempt: 1 }];
+    await expect(retryFailedSubmissions(stale, { baseDelayMs: 1, jitter: 0 })).resolves.toEqual({ succeeded: [], failures: [] });
+    expect(testExecutor.execute).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('pause, resume and cancel', () => {
+  const rows = [{ name: 'Ann' }, { name: 'Bob' }, { name: 'Cy' }];
+
+  test('a paused batch holds its next row until it is resumed', async () => {
+    const id = scheduleBatchRun('p1', batchConfig);
+    const events = recordEvents(id);
+    testExecutor.execute.mockImplementationOnce(async () => {
+      pauseBatch(id);
+      return accepted;
+    });
+    const run = executeBatch('p1', rows, { batchId: id });
+    await tick();
+    expect(testExecutor.execute).toHaveBeenCalledTimes(1);
+    expect(statusOf(id)).toBe('paused');
+    expect(() => pauseBatch(id)).toThrow('Only a running batch can be paused');
+
+    expect(resumeBatch(id)).toMatchObject({ status: 'running' });
+    await run;
+    events.stop();
+    expect(testExecutor.execute).toHaveBeenCalledTimes(3);
+    expect(statusOf(id)).toBe('completed');
+    expect(events.map(([name]) => name)).toEqual(['batchStarted', 'batchPaused', 'batchResumed', 'batchCompleted']);
+    expect(events[1]).toEqual(['batchPaused', { reason: 'manual' }]);
+  });
+
+  test('cancelling between rows lets the row being submitted finish and leaves the rest unsubmitted', async () => {
+    const id = scheduleBatchRun('p1', batchConfig);
+    const events = recordEvents(id);
+    testExecutor.execute.mockImplementationOnce(async () => {
+      expect(cancelBatch(id)).toMatchObject({ status: 'cancelling' });
+      return accepted;
+    });
+    await executeBatch('p1', rows, { batchId: id });
+    events.stop();
+    expect(testExecutor.execute).toHaveBeenCalledTimes(1);
+    expect(persistedBatch(id).checkpoints.map(c => c.state)).toEqual(['succeeded', 'cancelled', 'cancelled']);
+    expect(statusOf(id)).toBe('cancelled');
+    expect(events.map(([name]) => name)).toEqual(['batchStarted', 'batchCancelling', 'batchCancelled']);
+    expect(events[2][1]).toMatchObject({ total: 3, succeeded: 1, cancelled: 2 });
+  });
+
+  test('cancelling a paused batch releases its held rows without submitting them', async () => {
+    const id = scheduleBatchRun('p1', batchConfig);
+    testExecutor.execute.mockImplementationOnce(async () => {
+      pauseBatch(id);
+      return accepted;
+    });
+    const run = executeBatch('p1', rows, { batchId: id });
+    await tick();
+    cancelBatch(id);
+    await run;
+    expect(testExecutor.execute).toHaveBeenCalledTimes(1);
+    expect(persistedBatch(id).checkpoints.map(c => c.state)).toEqual(['succeeded', 'cancelled', 'cancelled']);
+    expect(statusOf(id)).toBe('cancelled');
+  });
+
+  test('a scheduled batch is called off before it starts', async () => {
+    const id = scheduleBatchRun('p1', batchConfig);
+    const events = recordEvents(id);
+    expect(() => pauseBatch(id)).toThrow('Only a running batch can be paused');
+    expect(cancelBatch(id)).toMatchObject({ status: 'cancelled' });
+    events.stop();
+    expect(events.map(([name]) => name)).toEqual(['batchCancelled']);
+    await expect(executeBatch('p1', rows, { batchId: id })).rejects.toThrow('No scheduled batch for this profile.');
+    expect(() => resumeBatch(id)).toThrow('Only a paused batch can be resumed');
+    expect(testExecutor.execute).not.toHaveBeenCalled();
+  });
+});
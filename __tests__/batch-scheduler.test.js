@@ -0,0 +1,130 @@
+const {
+  parseCron,
+  nextCronTime,
+  isWithinRunWindow,
+  normalizeSchedule,
+  computeNextRunAt,
+  createBatchScheduler
+} = require('../batch-scheduler');
+
+const at = (iso) => Date.parse(iso);
+const iso = (ms) => new Date(ms).toISOString();
+
+describe('parseCron', () => {
+  test('expands lists, ranges, steps and aliases', () => {
+    const cron = parseCron('0,30 9-17/4 * * 1-5');
+    expect([...cron.minute]).toEqual([0, 30]);
+    expect([...cron.hour]).toEqual([9, 13, 17]);
+    expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...parseCron('@daily').hour]).toEqual([0]);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * *')).toThrow('5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('minute');
+  });
+});
+
+describe('nextCronTime', () => {
+  test('finds the next matching minute in a time zone', () => {
+    // Monday 2026-10-19 12:34 UTC is 08:34 in New York
+    expect(iso(nextCronTime('0 9 * * 1-5', at('2026-10-19T12:34:00Z'), 'America/New_York')))
+      .toBe('2026-10-19T13:00:00.000Z');
+    // Friday evening rolls over to Monday
+    expect(iso(nextCronTime('0 9 * * 1-5', at('2026-10-23T20:00:00Z'), 'UTC'))).toBe('2026-10-26T09:00:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 1st of the month or any Sunday
+    expect(iso(nextCronTime('0 0 1 * 0', at('2026-10-19T00:00:00Z'), 'UTC'))).toBe('2026-10-25T00:00:00.000Z');
+  });
+
+  test('follows daylight saving time changes', () => {
+    // Berlin leaves DST on 2026-10-25: 09:00 is 07:00 UTC before and 08:00 UTC after
+    expect(iso(nextCronTime('0 9 * * *', at('2026-10-24T12:00:00Z'), 'Europe/Berlin'))).toBe('2026-10-25T08:00:00.000Z');
+  });
+});
+
+describe('run windows', () => {
+  const window = normalizeSchedule({ cron: '@hourly', window: { days: 'mon-fri', start: '09:00', end: '17:00' } }).window;
+
+  test('checks days and hours', () => {
+    expect(isWithinRunWindow(at('2026-10-19T10:00:00Z'), window, 'UTC')).toBe(true);
+    expect(isWithinRunWindow(at('2026-10-19T17:00:00Z'), window, 'UTC')).toBe(false);
+    expect(isWithinRunWindow(at('2026-10-24T10:00:00Z'), window, 'UTC')).toBe(false);
+  });
+
+  test('supports windows spanning midnight', () => {
+    const night = normalizeSchedule({ cron: '@hourly', window: { start: '22:00', end: '06:00' } }).window;
+    expect(isWithinRunWindow(at('2026-10-19T23:30:00Z'), night, 'UTC')).toBe(true);
+    expect(isWithinRunWindow(at('2026-10-19T05:59:00Z'), night, 'UTC')).toBe(true);
+    expect(isWithinRunWindow(at('2026-10-19T12:00:00Z'), night, 'UTC')).toBe(false);
+  });
+});
+
+describe('normalizeSchedule', () => {
+  test('needs a start time or a cron expression and defaults one-off schedules to one run', () => {
+    expect(() => normalizeSchedule({ runs: 2 })).toThrow('start time or a cron expression');
+    expect(normalizeSchedule({ startAt: '2026-10-20T09:00:00Z' }).runs).toBe(1);
+    expect(normalizeSchedule({ cron: '@daily' }).runs).toBeNull();
+  });
+
+  test('reads a start time without an offset in the schedule\'s time zone', () => {
+    const at = iso => Date.parse(iso);
+    expect(normalizeSchedule({ startAt: '2026-10-20T09:00', timeZone: 'Europe/Berlin' }).startAt).toBe(at('2026-10-20T07:00:00Z'));
+    expect(normalizeSchedule({ startAt: '2026-12-01 09:30', timeZone: 'America/New_York' }).startAt).toBe(at('2026-12-01T14:30:00Z'));
+    // Across the change to daylight saving time (2026-03-08 in New York)
+    expect(normalizeSchedule({ startAt: '2026-03-08T12:00', timeZone: 'America/New_York' }).startAt).toBe(at('2026-03-08T16:00:00Z'));
+    expect(normalizeSchedule({ startAt: '2026-10-20', timeZone: 'Asia/Tokyo' }).startAt).toBe(at('2026-10-19T15:00:00Z'));
+    // An explicit offset wins
+    expect(normalizeSchedule({ startAt: '2026-10-20T09:00:00Z', timeZone: 'Europe/Berlin' }).startAt).toBe(at('2026-10-20T09:00:00Z'));
+    expect(() => normalizeSchedule({ startAt: '2026-02-30T09:00', timeZone: 'UTC' })).toThrow('Invalid start time');
+  });
+
+  test('rejects unknown time zones and invalid windows', () => {
+    expect(() => normalizeSchedule({ cron: '@daily', timeZone: 'Mars/Olympus' })).toThrow('Unknown time zone');
+    expect(() => normalizeSchedule({ cron: '@daily', window: { start: '9am' } })).toThrow('Invalid time of day');
+  });
+});
+
+describe('computeNextRunAt', () => {
+  test('runs a start-time schedule N times at the interval', () => {
+    const schedule = normalizeSchedule({ startAt: '2026-10-20T09:00:00Z', runs: 2, intervalMinutes: 60 });
+    const now = at('2026-10-19T00:00:00Z');
+    expect(iso(computeNextRunAt(schedule, now, 0))).toBe('2026-10-20T09:00:00.000Z');
+    expect(iso(computeNextRunAt(schedule, at('2026-10-20T09:05:00Z'), 1))).toBe('2026-10-20T10:00:00.000Z');
+    expect(computeNextRunAt(schedule, now, 2)).toBeNull();
+  });
+
+  test('a missed first run is due at once', () => {
+    const schedule = normalizeSchedule({ startAt: '2026-10-18T09:00:00Z' });
+    expect(iso(computeNextRunAt(schedule, at('2026-10-19T00:00:00Z'), 0))).toBe('2026-10-18T09:00:00.000Z');
+  });
+
+  test('moves runs into the run window', () => {
+    const schedule = normalizeSchedule({
+      cron: '0 7 * * *',
+      timeZone: 'UTC',
+      window: { days: 'mon-fri', start: '09:00', end: '17:00' }
+    });
+    // Saturday 07:00 is outside the window; it opens Monday 09:00
+    expect(iso(computeNextRunAt(schedule, at('2026-10-23T08:00:00Z'), 3))).toBe('2026-10-26T09:00:00.000Z');
+  });
+});
+
+describe('createBatchScheduler', () => {
+  test('runs due batches once while their run is going', async () => {
+    let finish;
+    const run = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const scheduler = createBatchScheduler({ listDue: () => [{ id: 'b1' }], run });
+    scheduler.tick();
+    await Promise.resolve();
+    scheduler.tick();
+    expect(run).toHaveBeenCalledTimes(1);
+    finish();
+    await new Promise((resolve) => setImmediate(resolve));
+    scheduler.tick();
+    await Promise.resolve();
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Runs the manifest's content scripts in this page as classic scripts (FormMaster.* globals),
+// with a fake extension API around them
+function loadContentScript(storage = {}) {
+  const root = path.resolve(__dirname, '..');
+  const manifest = JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'));
+  const listeners = [];
+  const sent = [];
+  delete window.hasFormMasterListener;
+  window.chrome = {
+    runtime: { onMessage: { addListener: listener => listeners.push(listener) }, sendMessage: message => sent.push(message) },
+    storage: {
+      sync: {
+        get: (keys, callback) => callback(JSON.parse(JSON.stringify(storage))),
+        set: values => Object.assign(storage, values)
+      }
+    }
+  };
+  for (const file of manifest.content_scripts[0].js) {
+    new Function(fs.readFileSync(path.join(root, file), 'utf8'))();
+  }
+  const send = message => new Promise(resolve => listeners[0](message, {}, resolve));
+  return { send, sent };
+}
+
+// Two-step wizard: Next hides the first step and shows the second
+function renderWizard() {
+  document.body.innerHTML = `
+    <form id="wizard">
+      <div class="form-step"><label>Email <input name="email"></label><button type="button" id="next">Next</button></div>
+      <div class="form-step" style="display: none"><label>City <input name="city"></label><button type="submit">Send</button></div>
+    </form>`;
+  const [first, second] = document.querySelectorAll('.form-step');
+  document.getElementById('next').addEventListener('click', () => {
+    first.style.display = 'none';
+    second.style.display = '';
+  });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('fillFormSteps', () => {
+  test('fills a wizard step by step, advancing with its Next control', async () => {
+    renderWizard();
+    const { send, sent } = loadContentScript();
+    const mappings = {
+      wizard: { fields: [{ key: 'email', locator: { name: 'email' }, value: 'a@b.co' }, { key: 'city', locator: { name: 'city' }, value: 'Oslo' }] }
+    };
+    const response = await send({ type: 'fill-form', mappings });
+    expect(response.verified).toBe(true);
+    expect(response.forms[0]).toMatchObject({ steps: 2, completed: true, unfilled: [] });
+    expect(document.querySelector('[name="email"]').value).toBe('a@b.co');
+    expect(document.querySelector('[name="city"]').value).toBe('Oslo');
+    expect(document.querySelectorAll('.form-step')[0].style.display).toBe('none');
+    expect(sent.find(m => m.type === 'locators-resolved').fields.map(f => f.key)).toEqual(['email', 'city']);
+  }, 15000);
+
+  test('stops at the first step when asked not to traverse steps', async () => {
+    renderWizard();
+    const { send } = loadContentScript();
+    const mappings = { wizard: { fields: [{ key: 'city', locator: { name: 'city' }, value: 'Oslo' }] } };
+    await send({ type: 'fill-form', mappings, traverseSteps: false });
+    expect(document.querySelectorAll('.form-step')[0].style.display).toBe('');
+  }, 15000);
+});
+
+describe('fill-row', () => {
+  function renderPlanWizard() {
+    renderWizard();
+    document.querySelector('.form-step').insertAdjacentHTML('afterbegin', `
+      <label><input type="radio" name="plan" value="free"> Free</label>
+      <label><input type="radio" name="plan" value="pro"> Pro</label>`);
+  }
+
+  test('fills a row across wizard steps, skipping columns the page has no field for', async () => {
+    renderPlanWizard();
+    const { send } = loadContentScript();
+    expect(await send({ type: 'match-row', formData: { email: 'a@b.co', city: 'Oslo', other: 'x' } })).toEqual({ hits: 2 });
+    const report = await send({
+      type: 'fill-row',
+      formData: { email: 'a@b.co', plan: 'Pro', city: 'Oslo', FM_Nickname: 'Al' },
+      dryRun: true
+    });
+    expect(report).toMatchObject({ dryRun: true, reason: null, verification: { ok: true }, missingFields: ['FM_Nickname'] });
+    expect(report.filledFields.sort()).toEqual(['city', 'email', 'plan']);
+    expect(document.querySelector('[value="pro"]').checked).toBe(true);
+    expect(document.querySelector('[value="free"]').checked).toBe(false);
+    expect(document.querySelector('[name="city"]').value).toBe('Oslo');
+  }, 15000);
+
+  test('fails a row whose radio group has no option for the value', async () => {
+    renderPlanWizard();
+    const { send } = loadContentScript();
+    const report = await send({ type: 'fill-row', formData: { email: 'a@b.co', plan: 'Enterprise' }, dryRun: true });
+    expect(report.reason).toBe('plan: no matching option');
+    expect(document.querySelectorAll('[name="plan"]:checked')).toHaveLength(0);
+  }, 15000);
+});
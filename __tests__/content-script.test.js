@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// content-script.js runs as a classic content script: load it, with the helpers manifest.json
+// lists ahead of it, into one context with a fake page and extension API
+function loadContentScript(forms = []) {
+  const root = path.resolve(__dirname, '..');
+  const manifest = JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'));
+  const listeners = [];
+  const storage = {};
+  const context = {
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout,
+    clearTimeout,
+    URL,
+    location: { href: 'https://example.com/apply' },
+    document: { readyState: 'complete', forms, querySelectorAll: () => [], addEventListener() {} },
+    chrome: {
+      runtime: { onMessage: { addListener: listener => listeners.push(listener) }, sendMessage() {} },
+      storage: {
+        sync: {
+          get: (keys, callback) => callback(JSON.parse(JSON.stringify(storage))),
+          set: values => Object.assign(storage, values)
+        }
+      }
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of manifest.content_scripts[0].js) {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+  }
+  return { listeners, storage };
+}
+
+describe('content script messaging', () => {
+  test('keeps the port open and answers a fill-row once the row is done', async () => {
+    const { listeners } = loadContentScript();
+    expect(listeners).toHaveLength(1);
+    const response = new Promise(resolve => {
+      const keepOpen = listeners[0]({ type: 'fill-row', formData: { email: 'a@b.co' } }, {}, resolve);
+      expect(keepOpen).toBe(true);
+    });
+    await expect(response).resolves.toEqual({ submitted: false, reason: 'No matching form found' });
+  });
+
+  test('answers highlight-forms at once and leaves unknown messages alone', () => {
+    const { listeners } = loadContentScript();
+    const sendResponse = jest.fn();
+    expect(listeners[0]({ type: 'highlight-forms' }, {}, sendResponse)).toBe(false);
+    expect(sendResponse).toHaveBeenCalledWith({ status: 'highlighted' });
+    expect(listeners[0]({ type: 'other' }, {}, sendResponse)).toBe(false);
+  });
+
+  test('saves a mapping with the form\'s fingerprint', async () => {
+    const form = {
+      tagName: 'FORM', nodeType: 1, id: 'signup', elements: [], style: {}, parentElement: null,
+      getAttribute: name => (name === 'id' ? 'signup' : null),
+      setAttribute() {}, addEventListener() {}, querySelectorAll: () => []
+    };
+    const { listeners, storage } = loadContentScript([form]);
+    const response = await new Promise(resolve => {
+      expect(listeners[0]({ type: 'save-mapping', formId: 'signup', fields: [{ key: 'email', value: 'a@b.co' }] }, {}, resolve)).toBe(true);
+    });
+    expect(response).toMatchObject({ status: 'saved', mappingKey: 'signup' });
+    const saved = storage.formMappings.signup;
+    expect(saved.fields).toEqual([{ key: 'email', locator: { name: 'email' }, value: 'a@b.co' }]);
+    expect(saved.fingerprint).toEqual(response.fingerprint);
+    expect(saved.fingerprint.urlPattern).toBe('example.com/apply');
+  });
+
+  test('does not save a mapping for a form it cannot find', () => {
+    const { listeners } = loadContentScript();
+    const sendResponse = jest.fn();
+    expect(listeners[0]({ type: 'save-mapping', formId: 'nope', fields: {} }, {}, sendResponse)).toBe(false);
+    expect(sendResponse).toHaveBeenCalledWith({ status: 'error', error: 'Form "nope" not found' });
+  });
+});
@@ -0,0 +1,136 @@
+const {
+  parseDateValue,
+  formatDate,
+  normalizePhone,
+  splitName,
+  applyTransforms,
+  transformRow,
+  previewTransforms
+} = require('../data-transforms');
+
+describe('dates', () => {
+  test('reads sheet serials and common date strings', () => {
+    expect(formatDate(parseDateValue(45000))).toBe('03/15/2023');
+    expect(formatDate(parseDateValue('2024-02-29'), 'ISO')).toBe('2024-02-29');
+    expect(formatDate(parseDateValue('3/4/2024'), 'ISO')).toBe('2024-03-04');
+    expect(formatDate(parseDateValue('3/4/2024', 'DMY'), 'ISO')).toBe('2024-04-03');
+    expect(formatDate(parseDateValue('2024-07-01'), 'D.M.YYYY')).toBe('1.7.2024');
+  });
+
+  test('rejects values that are not dates', () => {
+    expect(() => parseDateValue('2023-02-30')).toThrow('Not a date');
+    expect(() => parseDateValue('soon')).toThrow('Not a date');
+  });
+});
+
+describe('normalizePhone', () => {
+  test('formats digits, E.164 and US numbers', () => {
+    expect(normalizePhone('(555) 123-4567')).toBe('5551234567');
+    expect(normalizePhone('555.123.4567', 'e164')).toBe('+15551234567');
+    expect(normalizePhone('1 (555) 123-4567', 'e164')).toBe('+15551234567');
+    expect(normalizePhone('0044 20 7946 0958', 'e164')).toBe('+442079460958');
+    expect(normalizePhone('030 1234567', 'e164', '49')).toBe('+49301234567');
+    expect(normalizePhone('1-555-123-4567', 'us')).toBe('(555) 123-4567');
+  });
+
+  test('rejects values that are not phone numbers', () => {
+    expect(() => normalizePhone('n/a')).toThrow('Not a phone number');
+    expect(() => normalizePhone('+44 20 7946 0958', 'us')).toThrow('Not a US phone number');
+  });
+});
+
+describe('splitName', () => {
+  test('splits "First Last" and "Last, First"', () => {
+    expect(splitName('Jane Q  Public', 'first')).toBe('Jane Q');
+    expect(splitName('Jane Q  Public', 'last')).toBe('Public');
+    expect(splitName('Public, Jane', 'first')).toBe('Jane');
+    expect(splitName('Cher', 'last')).toBe('');
+  });
+});
+
+describe('applyTransforms', () => {
+  test('runs steps in order', () => {
+    expect(applyTransforms('  mary-jane o\'neil ', ['trim', 'title'])).toBe('Mary-Jane O\'Neil');
+    expect(applyTransforms('ca', [{ type: 'lookup', table: { CA: 'California' } }])).toBe('California');
+    expect(applyTransforms('TX', [{ type: 'lookup', table: { CA: 'California' } }])).toBe('TX');
+    expect(applyTransforms('TX', [{ type: 'lookup', table: {}, fallback: 'Other' }])).toBe('Other');
+  });
+
+  test('rejects unknown steps', () => {
+    expect(() => applyTransforms('x', ['reverse'])).toThrow('Unknown transform: "reverse"');
+  });
+});
+
+describe('transformRow', () => {
+  const row = {
+    'Full Name': 'Jane Q Public',
+    Street: '1 Main St',
+    City: 'Springfield',
+    Zip: '',
+    DOB: 32874,
+    Phone: '555 123 4567',
+    State: 'il',
+    __rowNumber: 4
+  };
+
+  test('builds form data through per-field specs', () => {
+    const mapping = {
+      firstName: { column: 'Full Name', transforms: ['splitName:first'] },
+      lastName: { column: 'Full Name', transforms: [{ type: 'splitName', part: 'last' }] },
+      address: { columns: ['Street', 'Zip', 'City'], separator: ', ' },
+      dob: { column: 'DOB', transforms: ['date:ISO'] },
+      phone: { column: 'Phone', transforms: ['phone:e164'] },
+      state: { column: 'State', transforms: ['upper', { type: 'lookup', table: { IL: 'Illinois' } }] },
+      country: { column: 'Country', default: 'United States' },
+      zip: 'Zip'
+    };
+    expect(transformRow(row, mapping)).toEqual({
+      firstName: 'Jane Q',
+      lastName: 'Public',
+      address: '1 Main St, Springfield',
+      dob: '1990-01-01',
+      phone: '+15551234567',
+      state: 'Illinois',
+      country: 'United States'
+    });
+  });
+
+  test('leaves out fields whose condition does not hold for the row', () => {
+    const mapping = {
+      company: { column: 'Company', when: { column: 'Type', equals: 'business' } },
+      dob: { column: 'DOB', transforms: ['date:ISO'], when: { column: 'Type', notEquals: 'business' } }
+    };
+    expect(transformRow({ Type: 'Business', Company: 'Acme', DOB: 'n/a' }, mapping)).toEqual({ company: 'Acme' });
+  });
+
+  test('uses the row columns without a mapping', () => {
+    expect(transformRow({ email: 'a@b.co', age: 42, blank: '', __rowNumber: 7 })).toEqual({ email: 'a@b.co', age: '42' });
+  });
+
+  test('never fills status write-back columns or excluded columns from the row', () => {
+    const watched = {
+      email: 'a@b.co',
+      Link: 'https://example.com/apply',
+      FM_Status: 'failed',
+      FM_SubmittedAt: '2024-03-05T10:00:00Z',
+      FM_Error: 'Timeout',
+      FM_ConfirmationId: 'A123'
+    };
+    expect(transformRow(watched, undefined, { excludeColumns: ['Link'] })).toEqual({ email: 'a@b.co' });
+  });
+
+  test('names the field a value could not be transformed for', () => {
+    expect(() => transformRow(row, { birthday: { column: 'Full Name', transforms: ['date'] } }))
+      .toThrow('Could not transform birthday: Not a date: "Jane Q Public"');
+  });
+});
+
+describe('previewTransforms', () => {
+  test('reports form data or the error per row', () => {
+    const mapping = { phone: { column: 'Phone', transforms: ['phone:us'] } };
+    expect(previewTransforms([{ Phone: '5551234567' }, { Phone: '12' }], mapping)).toEqual([
+      { rowIndex: 0, formData: { phone: '(555) 123-4567' } },
+      { rowIndex: 1, error: 'Could not transform phone: Not a phone number: "12"' }
+    ]);
+  });
+});
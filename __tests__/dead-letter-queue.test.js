@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  FAILURE_COLUMNS,
+  fieldDiagnosticsOf,
+  createDeadLetterQueue,
+  toFailureSheet,
+  fromFailureSheet
+} = require('../dead-letter-queue');
+
+const failure = (rowIndex, extra = {}) => ({
+  batchId: 'b1',
+  profile: 'guest',
+  rowIndex,
+  row: { name: `Row ${rowIndex}`, email: `r${rowIndex}@example.com` },
+  error: 'Submission rejected: Email is invalid',
+  errorClass: 'permanent',
+  fieldDiagnostics: [{ field: 'email', errors: ['Email is invalid'] }],
+  pageUrl: 'https://example.com/apply',
+  attempt: 2,
+  failedAt: Date.parse('2026-10-19T10:00:00Z'),
+  ...extra
+});
+
+describe('createDeadLetterQueue', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dlq-'));
+    file = path.join(dir, 'dead-letters.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('persists entries across instances', () => {
+    createDeadLetterQueue({ file }).add([failure(0), failure(1)]);
+    const entries = createDeadLetterQueue({ file }).list({ batchId: 'b1' });
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({ rowIndex: 0, attempts: 2, status: 'open', pageUrl: 'https://example.com/apply' });
+  });
+
+  test('replaces an open entry for the same row and tracks re-queued ones', () => {
+    const queue = createDeadLetterQueue({ file, now: () => 42 });
+    const [first] = queue.add([failure(0)]);
+    queue.add([failure(0, { error: 'Timed out' })]);
+    expect(queue.list({ status: 'open' }).map(e => e.error)).toEqual(['Timed out']);
+
+    const [open] = queue.list({ status: 'open' });
+    queue.markRequeued([open.id], 'b2');
+    expect(queue.list({ status: 'requeued' })[0]).toMatchObject({ requeuedAt: 42, requeuedBatchId: 'b2' });
+    expect(queue.list({ ids: [first.id] })).toEqual([]);
+  });
+});
+
+describe('failure sheet', () => {
+  test('writes entries with diagnostics and reads edited rows back', () => {
+    const values = toFailureSheet([{ id: 'd1', ...failure(4) }]);
+    expect(values[0]).toEqual([...FAILURE_COLUMNS, 'name', 'email']);
+    expect(values[1].slice(0, 7)).toEqual([
+      'd1', 'b1', 5, 'Submission rejected: Email is invalid', 'email: Email is invalid',
+      'https://example.com/apply', '2026-10-19T10:00:00.000Z'
+    ]);
+
+    values[1][8] = 'fixed@example.com';
+    values.push(['', '', '', 'note without an id']);
+    expect(fromFailureSheet(values)).toEqual([{ id: 'd1', row: { name: 'Row 4', email: 'fixed@example.com' } }]);
+  });
+
+  test('ignores sheets without the dead-letter id column', () => {
+    expect(fromFailureSheet([['name'], ['x']])).toEqual([]);
+  });
+});
+
+describe('fieldDiagnosticsOf', () => {
+  test('keeps the failed fields of a verification', () => {
+    const verification = {
+      fields: [
+        { key: 'name', ok: true, errors: [] },
+        { key: 'email', ok: false, errors: ['Please enter an email address'] }
+      ]
+    };
+    expect(fieldDiagnosticsOf(verification)).toEqual([{ field: 'email', errors: ['Please enter an email address'] }]);
+    expect(fieldDiagnosticsOf(null)).toEqual([]);
+  });
+});
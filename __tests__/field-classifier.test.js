@@ -0,0 +1,67 @@
+const { classifyField, normalizeFieldText } = require('../field-classifier');
+const { suggestMappings } = require('../form-detection-engine');
+
+function field(overrides) {
+  return {
+    name: '', id: '', type: 'text', label: '', placeholder: '',
+    autocomplete: '', pattern: '', maxLength: null, inputMode: '',
+    ...overrides,
+  };
+}
+
+describe('normalizeFieldText', () => {
+  test('splits camelCase and separators and strips diacritics', () => {
+    expect(normalizeFieldText('billingAddress_line1[zip]')).toBe('billing address line1 zip');
+    expect(normalizeFieldText('Teléfono')).toBe('telefono');
+  });
+});
+
+describe('classifyField', () => {
+  test('autocomplete token wins with high confidence', () => {
+    const [top] = classifyField(field({ name: 'x1', autocomplete: 'shipping postal-code' }));
+    expect(top.type).toBe('postalCode');
+    expect(top.confidence).toBeGreaterThan(0.9);
+    expect(top.signals).toContain('autocomplete');
+  });
+
+  test('recognizes labels in other languages', () => {
+    expect(classifyField(field({ label: 'Teléfono móvil' }))[0].type).toBe('phone');
+    expect(classifyField(field({ label: 'Vorname' }))[0].type).toBe('firstName');
+    expect(classifyField(field({ placeholder: 'Code postal', maxLength: 5 }))[0].type).toBe('postalCode');
+  });
+
+  test('does not treat first/last name fields as a full name', () => {
+    const types = classifyField(field({ name: 'firstName', label: 'First name' })).map((c) => c.type);
+    expect(types[0]).toBe('firstName');
+    expect(types).not.toContain('fullName');
+  });
+
+  test('input constraints raise confidence', () => {
+    const plain = classifyField(field({ name: 'state' }))[0];
+    const constrained = classifyField(field({ name: 'state', maxLength: 2 }))[0];
+    expect(constrained.type).toBe('state');
+    expect(constrained.confidence).toBeGreaterThan(plain.confidence);
+  });
+
+  test('returns no candidates for unrelated fields', () => {
+    expect(classifyField(field({ name: 'q', label: 'Search' }))).toEqual([]);
+  });
+});
+
+describe('suggestMappings', () => {
+  test('caller rules take priority over the classifier', () => {
+    const fields = [field({ name: 'email', type: 'email' }), field({ name: 'contact_phone' })];
+    const rules = [{ fieldMatch: /phone/, suggest: 'Phone Column' }];
+    const [email, phone] = suggestMappings(fields, rules);
+    expect(phone).toMatchObject({ mapping: 'Phone Column', source: 'rule', confidence: 1 });
+    expect(email).toMatchObject({ mapping: 'email', source: 'classifier' });
+    expect(email.candidates[0].type).toBe('email');
+  });
+
+  test('leaves low-confidence fields unmapped', () => {
+    const [suggestion] = suggestMappings([field({ placeholder: 'Website' })], [], { minConfidence: 0.9 });
+    expect(suggestion.mapping).toBeNull();
+    expect(suggestion.source).toBeNull();
+    expect(suggestion.candidates[0].type).toBe('url');
+  });
+});
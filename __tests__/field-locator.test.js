@@ -0,0 +1,126 @@
+/**
+ * @jest-environment jsdom
+ */
+const { LOCATOR_STRATEGIES, buildLocatorBundle, resolveLocator, normalizeFieldEntries } = require('../field-locator');
+
+function render(html) {
+  document.body.innerHTML = html;
+  return document.querySelector('form');
+}
+
+describe('buildLocatorBundle', () => {
+  test('captures every strategy for a labelled field', () => {
+    const form = render(`
+      <form id="signup">
+        <label for="email">Email address</label>
+        <input id="email" name="email" type="email" placeholder="you@example.com">
+      </form>`);
+    const bundle = buildLocatorBundle(form.querySelector('input'));
+    expect(bundle).toMatchObject({
+      tag: 'input',
+      type: 'email',
+      id: 'email',
+      name: 'email',
+      label: 'Email address',
+      aria: { role: 'textbox', name: 'Email address' },
+      placeholder: 'you@example.com',
+      css: '#email',
+      xpath: '//*[@id="email"]'
+    });
+  });
+
+  test('does not save framework-generated ids', () => {
+    const form = render(`
+      <form id="signup">
+        <div><input id="react-select-3-input" name="city"></div>
+        <div><input id="a1b2c3d4e5" name="zip"></div>
+      </form>`);
+    const [city, zip] = form.querySelectorAll('input');
+    expect(buildLocatorBundle(city).id).toBe('');
+    expect(buildLocatorBundle(city).css).toBe('#signup > div:nth-of-type(1) > input[name="city"]');
+    expect(buildLocatorBundle(zip).xpath).toBe('//*[@id="signup"]/div[2]/input[1]');
+  });
+});
+
+describe('resolveLocator', () => {
+  const html = `
+    <form id="signup">
+      <label>First name <input id="first" name="first"></label>
+      <label>Last name <input id="last" name="last" placeholder="Surname"></label>
+    </form>`;
+
+  test('matches through the preferred strategy first', () => {
+    const form = render(html);
+    const bundle = buildLocatorBundle(form.querySelector('#last'));
+    expect(resolveLocator(bundle, form)).toEqual({ element: form.querySelector('#last'), strategy: 'id', stale: false });
+  });
+
+  test('falls back to later strategies and flags the bundle as stale', () => {
+    const form = render(html);
+    const bundle = buildLocatorBundle(form.querySelector('#last'));
+    form.querySelector('#last').id = 'last-renamed';
+    expect(resolveLocator(bundle, form)).toMatchObject({ strategy: 'name', stale: true });
+
+    form.querySelector('[name="last"]').setAttribute('name', 'surname');
+    const byLabel = resolveLocator(bundle, form);
+    expect(byLabel).toMatchObject({ strategy: 'label', stale: true });
+    expect(byLabel.element.placeholder).toBe('Surname');
+  });
+
+  test('tells fields sharing a name apart by their label', () => {
+    const form = render(`
+      <form>
+        <label>Home phone <input name="phone"></label>
+        <label>Work phone <input name="phone"></label>
+      </form>`);
+    const result = resolveLocator({ name: 'phone', label: 'Work phone' }, form);
+    expect(result.strategy).toBe('name');
+    expect(result.element).toBe(form.querySelectorAll('input')[1]);
+  });
+
+  test('skips a strategy that matches more than one field', () => {
+    const form = render(`
+      <form>
+        <input placeholder="Optional">
+        <input id="notes" placeholder="Optional">
+      </form>`);
+    expect(resolveLocator({ placeholder: 'Optional' }, form)).toBeNull();
+    expect(resolveLocator({ placeholder: 'Optional', xpath: '//*[@id="notes"]' }, form))
+      .toEqual({ element: form.querySelector('#notes'), strategy: 'xpath', stale: true });
+  });
+
+  test('resolves legacy selector mappings through css without calling them stale', () => {
+    const form = render('<form><input name="email"><input name="email"></form>');
+    const result = resolveLocator({ css: 'input[name="email"]' }, form);
+    expect(result).toEqual({ element: form.querySelector('input'), strategy: 'css', stale: false });
+    expect(resolveLocator({ css: '[[invalid' }, form)).toBeNull();
+    expect(resolveLocator(null, form)).toBeNull();
+  });
+
+  test('tries strategies in the documented order', () => {
+    expect(LOCATOR_STRATEGIES).toEqual(['id', 'name', 'label', 'aria', 'placeholder', 'labelRelative', 'css', 'xpath']);
+  });
+});
+
+describe('normalizeFieldEntries', () => {
+  test('turns the legacy selector object into css locators', () => {
+    expect(normalizeFieldEntries({ '#email': 'a@b.co', 'input[name="age"]': 30 })).toEqual([
+      { key: '#email', locator: { css: '#email' }, value: 'a@b.co' },
+      { key: 'input[name="age"]', locator: { css: 'input[name="age"]' }, value: 30 }
+    ]);
+    expect(normalizeFieldEntries(undefined)).toEqual([]);
+  });
+
+  test('keys array entries by their locator and keeps other properties', () => {
+    const when = { field: 'country', equals: 'US' };
+    expect(normalizeFieldEntries([
+      { key: 'mail', locator: { name: 'email' }, value: 'a@b.co' },
+      { locator: { id: 'state' }, value: 'CA', when },
+      { value: 'x' }
+    ])).toEqual([
+      { key: 'mail', locator: { name: 'email' }, value: 'a@b.co' },
+      { key: 'state', locator: { id: 'state' }, value: 'CA', when },
+      { key: 'field-2', locator: {}, value: 'x' }
+    ]);
+  });
+});
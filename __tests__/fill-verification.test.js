@@ -0,0 +1,75 @@
+const { evaluateField, summarizeVerification, valuesEquivalent } = require('../fill-verification');
+
+function state(overrides) {
+  return {
+    tag: 'input',
+    type: 'text',
+    value: '',
+    selectedText: '',
+    valid: true,
+    validityFlags: [],
+    validationMessage: '',
+    ariaInvalid: false,
+    siteErrors: [],
+    ...overrides,
+  };
+}
+
+describe('valuesEquivalent', () => {
+  test('ignores case, whitespace and number formatting', () => {
+    expect(valuesEquivalent('  Jane  Doe ', 'jane doe')).toBe(true);
+    expect(valuesEquivalent('(555) 010-0100', '5550100100')).toBe(true);
+    expect(valuesEquivalent('5550100', '5550199')).toBe(false);
+  });
+});
+
+describe('evaluateField', () => {
+  test('a kept, valid value passes', () => {
+    const result = evaluateField('email', state({ value: 'a@b.co' }), { expected: 'a@b.co' });
+    expect(result.ok).toBe(true);
+    expect(result.valueMatches).toBe(true);
+  });
+
+  test('a reverted value fails without leaking the value', () => {
+    const result = evaluateField('ssn', state({ value: '' }), { expected: '123-45-6789' });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual(['value was not kept']);
+  });
+
+  test('reports the validation message, or the validity flags without one', () => {
+    expect(evaluateField('email', state({ valid: false, validationMessage: 'Include an @' })).errors)
+      .toEqual(['Include an @']);
+    expect(evaluateField('age', state({ valid: false, validityFlags: ['rangeUnderflow'] })).errors)
+      .toEqual(['invalid (rangeUnderflow)']);
+  });
+
+  test('site errors and aria-invalid fail the field', () => {
+    expect(evaluateField('zip', state({ siteErrors: ['Enter 5 digits'] })).errors).toEqual(['Enter 5 digits']);
+    expect(evaluateField('zip', state({ ariaInvalid: true })).errors).toEqual(['marked invalid by the page']);
+  });
+
+  test('compares checkboxes as booleans and selects by value or option text', () => {
+    expect(evaluateField('terms', state({ type: 'checkbox', value: true }), { expected: 'yes' }).ok).toBe(true);
+    expect(evaluateField('terms', state({ type: 'checkbox', value: false }), { expected: 'yes' }).ok).toBe(false);
+    const select = state({ tag: 'select', value: 'es', selectedText: 'Spain' });
+    expect(evaluateField('country', select, { expected: 'Spain' }).ok).toBe(true);
+  });
+
+  test('skips the value comparison when asked to', () => {
+    const result = evaluateField('date', state({ value: '05.03.2024' }), { expected: '2024-03-05', compareValue: false });
+    expect(result.ok).toBe(true);
+    expect(result.valueMatches).toBeNull();
+  });
+});
+
+describe('summarizeVerification', () => {
+  test('collects failures into a one-line reason', () => {
+    const summary = summarizeVerification([
+      evaluateField('name', state({ value: 'Jo' }), { expected: 'Jo' }),
+      evaluateField('email', state({ valid: false, validationMessage: 'Include an @' })),
+    ]);
+    expect(summary.ok).toBe(false);
+    expect(summary.failures).toEqual(['email']);
+    expect(summary.reason).toBe('email: Include an @');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment jsdom
+ */
+const { resolveFieldLabel, detectFormSteps, detectForms, getFramePath } = require('../form-detection-engine');
+
+function field(html) {
+  document.body.innerHTML = html;
+  return document.querySelector('[data-field]');
+}
+
+describe('resolveFieldLabel', () => {
+  test('reads a label[for] pointing at the field', () => {
+    const el = field('<form><label for="email">Email address</label><input id="email" data-field></form>');
+    expect(resolveFieldLabel(el)).toEqual({ text: 'Email address', source: 'label-for' });
+  });
+
+  test('reads a wrapping label without the text of nested controls', () => {
+    const el = field(`
+      <form><label>Country
+        <select data-field><option>Spain</option><option>France</option></select>
+      </label></form>`);
+    expect(resolveFieldLabel(el)).toEqual({ text: 'Country', source: 'label-wrap' });
+  });
+
+  test('prefers aria-labelledby, joining every referenced element', () => {
+    const el = field(`
+      <form>
+        <span id="billing">Billing</span><span id="zip">ZIP code</span>
+        <label for="postal">Postal</label>
+        <input id="postal" aria-labelledby="billing zip" aria-label="Postcode" data-field>
+      </form>`);
+    expect(resolveFieldLabel(el)).toEqual({ text: 'Billing ZIP code', source: 'aria-labelledby' });
+  });
+
+  test('falls back to the placeholder when nothing labels the field', () => {
+    const el = field('<form><input placeholder="  Search   products " data-field></form>');
+    expect(resolveFieldLabel(el)).toEqual({ text: 'Search products', source: 'placeholder' });
+    expect(resolveFieldLabel(field('<form><input data-field></form>'))).toEqual({ text: '', source: '' });
+  });
+
+  test('a real label wins over the placeholder', () => {
+    const el = field('<form><label>Phone <input placeholder="555-0100" data-field></label></form>');
+    expect(resolveFieldLabel(el)).toEqual({ text: 'Phone', source: 'label-wrap' });
+  });
+});
+
+describe('detectFormSteps', () => {
+  function form(html) {
+    document.body.innerHTML = `<form>${html}</form>`;
+    return document.querySelector('form');
+  }
+
+  test('models step containers in order, with the visible one current', () => {
+    const model = detectFormSteps(form(`
+      <div class="form-step" style="display: none"><input name="email"><button type="button">Next</button></div>
+      <div class="form-step"><input name="city"><button type="button">Continue</button></div>
+      <div class="form-step" style="display: none"><input name="terms" type="checkbox"><button>Send</button></div>`));
+    expect(model.multiStep).toBe(true);
+    expect(model.currentStep).toBe(1);
+    expect(model.steps.map((s) => [s.visible, s.fields.map((f) => f.name), s.advanceControl.kind, s.final])).toEqual([
+      [false, ['email'], 'next', false],
+      [true, ['city'], 'next', false],
+      [false, ['terms'], 'submit', true],
+    ]);
+  });
+
+  test('takes a single step with a Next control for a wizard rendered one step at a time', () => {
+    const model = detectFormSteps(form('<p>Welcome</p><button type="button">Next</button>'));
+    expect(model.multiStep).toBe(true);
+    expect(model.steps).toHaveLength(1);
+    expect(model.steps[0].final).toBe(false);
+  });
+
+  test('does not take a plain form for a wizard', () => {
+    const model = detectFormSteps(form('<input name="q"><button>Search</button>'));
+    expect(model.multiStep).toBe(false);
+    expect(model.steps[0]).toMatchObject({ visible: true, final: true, advanceControl: { kind: 'submit' } });
+  });
+});
+
+describe('frames', () => {
+  // Same-origin (about:blank) iframe in doc with html as its body
+  function frameIn(doc, attributes, html) {
+    const frame = doc.createElement('iframe');
+    Object.entries(attributes).forEach(([name, value]) => frame.setAttribute(name, value));
+    doc.body.appendChild(frame);
+    frame.contentDocument.body.innerHTML = html;
+    return frame.contentDocument;
+  }
+
+  test('finds forms in nested same-origin frames, skipping hidden frames', () => {
+    document.body.innerHTML = '<form id="top"></form>';
+    frameIn(document, { style: 'display: none' }, '<form id="hidden"></form>');
+    const outer = frameIn(document, { id: 'outer' }, '<form id="outer-form"></form>');
+    frameIn(outer, { name: 'inner' }, '<form id="inner-form"></form>');
+    expect(detectForms(document).map((f) => f.id)).toEqual(['top', 'outer-form', 'inner-form']);
+    expect(detectForms(document, { includeFrames: false }).map((f) => f.id)).toEqual(['top']);
+  });
+
+  test('stops descending at the maximum frame depth', () => {
+    document.body.innerHTML = '<form id="level-0"></form>';
+    let doc = document;
+    for (let level = 1; level <= 7; level++) doc = frameIn(doc, {}, `<form id="level-${level}"></form>`);
+    // The top document plus five levels of frames
+    expect(detectForms(document).map((f) => f.id)).toEqual(['level-0', 'level-1', 'level-2', 'level-3', 'level-4', 'level-5']);
+  });
+
+  test('records the frames leading to a node', () => {
+    document.body.innerHTML = '<form id="top"></form>';
+    frameIn(document, {}, '');
+    const outer = frameIn(document, { id: 'outer', src: 'about:blank' }, '');
+    const inner = frameIn(outer, { name: 'inner' }, '<form id="inner-form"></form>');
+    expect(getFramePath(inner.getElementById('inner-form'))).toEqual([
+      { index: 1, id: 'outer', name: '', src: 'about:blank' },
+      { index: 0, id: '', name: 'inner', src: '' },
+    ]);
+    expect(getFramePath(document.getElementById('top'))).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+const {
+  computeFormFingerprint,
+  compareFingerprints,
+  findBestMapping,
+  normalizeUrlPattern,
+} = require('../form-fingerprint');
+
+function metadata(fields) {
+  return { fields: fields.map(([name, type, label]) => ({ name, type, label: label || '' })) };
+}
+
+const signup = metadata([['email', 'email', 'Email'], ['first', 'text', 'First name'], ['last', 'text', 'Last name']]);
+
+describe('normalizeUrlPattern', () => {
+  test('drops query, hash and record ids', () => {
+    expect(normalizeUrlPattern('https://Shop.example.com/orders/1234/edit/?ref=x#top'))
+      .toBe('shop.example.com/orders/*/edit');
+  });
+});
+
+describe('compareFingerprints', () => {
+  test('identical forms on a URL with a new query string match fully', () => {
+    const a = computeFormFingerprint(signup, { url: 'https://ex.com/signup', domPath: 'body>main>form' });
+    const b = computeFormFingerprint(signup, { url: 'https://ex.com/signup?utm=1', domPath: 'body>main>form' });
+    expect(a.hash).toBe(b.hash);
+    expect(compareFingerprints(a, b).score).toBe(1);
+  });
+
+  test('minor changes lower the score without breaking the match', () => {
+    const saved = computeFormFingerprint(signup, { url: 'https://ex.com/signup', domPath: 'body>main>form' });
+    const changed = computeFormFingerprint(
+      metadata([['email', 'email', 'Email'], ['first', 'text', 'First name'], ['last', 'text', 'Last name'], ['phone', 'tel']]),
+      { url: 'https://ex.com/signup', domPath: 'body>main>div>form' }
+    );
+    const { score } = compareFingerprints(saved, changed);
+    expect(score).toBeLessThan(1);
+    expect(score).toBeGreaterThan(0.8);
+  });
+
+  test('forms on another host do not match', () => {
+    const a = computeFormFingerprint(signup, { url: 'https://ex.com/signup', domPath: 'body>form' });
+    const b = computeFormFingerprint(metadata([['q', 'search']]), { url: 'https://other.com/', domPath: 'body>form' });
+    expect(compareFingerprints(a, b).score).toBeLessThan(0.3);
+  });
+});
+
+describe('findBestMapping', () => {
+  const saved = {
+    signup: { fingerprint: computeFormFingerprint(signup, { url: 'https://ex.com/signup', domPath: 'body>form' }), fields: {} },
+    legacy: { fields: {} },
+  };
+
+  test('returns the best match and flags low confidence', () => {
+    const exact = computeFormFingerprint(signup, { url: 'https://ex.com/signup', domPath: 'body>form' });
+    expect(findBestMapping(exact, saved)).toMatchObject({ key: 'signup', confidence: 1, lowConfidence: false });
+
+    const drifted = computeFormFingerprint(
+      metadata([['email', 'email'], ['name', 'text'], ['phone', 'tel']]),
+      { url: 'https://ex.com/register', domPath: 'body>form' }
+    );
+    const match = findBestMapping(drifted, saved, { minConfidence: 0.3 });
+    expect(match.key).toBe('signup');
+    expect(match.lowConfidence).toBe(true);
+  });
+
+  test('never matches the same form on another host', () => {
+    const elsewhere = computeFormFingerprint(signup, { url: 'https://phish.example/signup', domPath: 'body>form' });
+    expect(compareFingerprints(elsewhere, saved.signup.fingerprint)).toMatchObject({ score: 0, breakdown: { url: 0, fields: 1, domPath: 1 } });
+    expect(findBestMapping(elsewhere, saved)).toBeNull();
+    expect(findBestMapping(elsewhere, saved, { minConfidence: 0 })).toBeNull();
+  });
+
+  test('returns null when nothing reaches the minimum confidence', () => {
+    const other = computeFormFingerprint(metadata([['q', 'search']]), { url: 'https://other.com/', domPath: 'body>form' });
+    expect(findBestMapping(other, saved)).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+// googleapis is only needed to authenticate; the tests hand the connector a fake Sheets client
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+
+jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+const connector = require('../googlesheetsconnector');
+
+function fakeSheets() {
+  return {
+    spreadsheets: {
+      values: {
+        get: jest.fn().mockResolvedValue({ data: { values: [['name'], [42]] } }),
+        update: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+describe('googlesheetsconnector (deprecated alias)', () => {
+  test('warns that it is deprecated', () => {
+    expect(process.emitWarning).toHaveBeenCalledWith(expect.stringContaining('deprecated'), 'DeprecationWarning');
+  });
+
+  test('reads unformatted values by default', async () => {
+    connector.sheets = fakeSheets();
+    await expect(connector.fetchSpreadsheetData('s1', 'A1:B')).resolves.toEqual([['name'], [42]]);
+    expect(connector.sheets.spreadsheets.values.get).toHaveBeenCalledWith({ spreadsheetId: 's1', range: 'A1:B', valueRenderOption: 'UNFORMATTED_VALUE' });
+  });
+
+  test('saves mappings over A1 as user-entered values', async () => {
+    connector.sheets = fakeSheets();
+    await connector.saveMappingToSheet('s1', [['field', 'column'], ['email', 'E-mail']]);
+    expect(connector.sheets.spreadsheets.values.update).toHaveBeenCalledWith({
+      spreadsheetId: 's1',
+      range: 'A1:B2',
+      valueInputOption: 'USER_ENTERED',
+      resource: { values: [['field', 'column'], ['email', 'E-mail']] }
+    });
+  });
+
+  test('stops a listener through removeSheetListener', () => {
+    connector.sheets = fakeSheets();
+    connector.listenForSheetUpdates('s1', 'A1:B', () => {});
+    expect(connector.watchers.size).toBe(1);
+    connector.removeSheetListener('s1', 'A1:B');
+    expect(connector.watchers.size).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ */
+const { setNativeValue, setNativeChecked, simulateTyping } = require('../human-simulation');
+
+const FAST_TYPING = { typing: { minDelay: 1, maxDelay: 1, errorRate: 0 } };
+
+// An input as React controls it: `value` (or `checked`) is shadowed on the instance, and the
+// tracker it records is what an input event is compared against. The component state only
+// changes when the DOM value differs from the tracked one.
+function controlledInput(type = 'text', property = 'value') {
+  document.body.innerHTML = `<input type="${type}">`;
+  const input = document.querySelector('input');
+  const native = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, property);
+  const control = { tracked: input[property], state: input[property] };
+  Object.defineProperty(input, property, {
+    configurable: true,
+    get() { return native.get.call(this); },
+    set(value) {
+      control.tracked = value;
+      native.set.call(this, value);
+    }
+  });
+  const onEdit = () => {
+    if (input[property] !== control.tracked) {
+      control.tracked = input[property];
+      control.state = input[property];
+    }
+  };
+  input.addEventListener('input', onEdit);
+  input.addEventListener('click', onEdit);
+  return { input, control };
+}
+
+function recordEvents(el) {
+  const seen = [];
+  ['keydown', 'keypress', 'beforeinput', 'input', 'keyup', 'change'].forEach((type) => el.addEventListener(type, (e) => {
+    seen.push(e.key ? `${type}:${e.key}` : e.inputType ? `${type}:${e.inputType}` : type);
+  }));
+  return seen;
+}
+
+describe('setNativeValue and setNativeChecked', () => {
+  test('bypass the setter a framework put on the instance', () => {
+    const { input, control } = controlledInput();
+    setNativeValue(input, 'a@b.co');
+    expect(input.value).toBe('a@b.co');
+    expect(control.tracked).toBe('');
+    input.dispatchEvent(new InputEvent('input', { bubbles: true }));
+    expect(control.state).toBe('a@b.co');
+
+    const box = controlledInput('checkbox', 'checked');
+    setNativeChecked(box.input, true);
+    expect(box.input.checked).toBe(true);
+    expect(box.control.tracked).toBe(false);
+  });
+
+  test('a plain assignment is swallowed by the tracker', () => {
+    const { input, control } = controlledInput();
+    input.value = 'a@b.co';
+    input.dispatchEvent(new InputEvent('input', { bubbles: true }));
+    expect(control.state).toBe('');
+  });
+});
+
+describe('simulateTyping', () => {
+  test('types key by key with the browser event order', async () => {
+    const { input, control } = controlledInput();
+    const seen = recordEvents(input);
+    await expect(simulateTyping(input, 'ab', FAST_TYPING)).resolves.toBe(true);
+    expect(seen).toEqual([
+      'keydown:a', 'keypress:a', 'beforeinput:insertText', 'input:insertText', 'keyup:a',
+      'keydown:b', 'keypress:b', 'beforeinput:insertText', 'input:insertText', 'keyup:b',
+      'change'
+    ]);
+    expect(control.state).toBe('ab');
+  });
+
+  test('clears an existing value with a Backspace edit first', async () => {
+    const { input, control } = controlledInput();
+    setNativeValue(input, 'old');
+    const seen = recordEvents(input);
+    await simulateTyping(input, 'n', FAST_TYPING);
+    expect(seen.slice(0, 4)).toEqual([
+      'keydown:Backspace', 'beforeinput:deleteContentBackward', 'input:deleteContentBackward', 'keyup:Backspace'
+    ]);
+    expect(input.value).toBe('n');
+    expect(control.state).toBe('n');
+  });
+
+  test('keeps keys the page cancels at keydown or beforeinput out of the value', async () => {
+    const { input } = controlledInput();
+    input.addEventListener('keydown', (e) => { if (e.key === 'x') e.preventDefault(); });
+    input.addEventListener('beforeinput', (e) => { if (e.data === 'y') e.preventDefault(); });
+    await expect(simulateTyping(input, 'axyb', FAST_TYPING)).resolves.toBe(false);
+    expect(input.value).toBe('ab');
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  DEFAULT_WAIT_TIMEOUT_MS,
+  evaluateCondition,
+  selectBranch,
+  resolveMappingEntries,
+  hasConditionalEntries,
+  waitTimeoutFor
+} = require('../mapping-conditions');
+
+describe('evaluateCondition', () => {
+  const row = { Type: ' business ', Company: 'Acme', Fax: '', Employees: '120' };
+
+  test('compares column values trimmed and case-insensitively', () => {
+    expect(evaluateCondition({ column: 'Type', equals: 'Business' }, { row })).toBe(true);
+    expect(evaluateCondition({ column: 'Type', notEquals: 'Business' }, { row })).toBe(false);
+    expect(evaluateCondition({ column: 'Type', in: ['Individual', 'BUSINESS'] }, { row })).toBe(true);
+    expect(evaluateCondition({ column: 'Employees', matches: '^\\d{3,}$' }, { row })).toBe(true);
+  });
+
+  test('checks presence', () => {
+    expect(evaluateCondition({ column: 'Company' }, { row })).toBe(true);
+    expect(evaluateCondition({ column: 'Fax' }, { row })).toBe(false);
+    expect(evaluateCondition({ column: 'Fax', present: false }, { row })).toBe(true);
+    expect(evaluateCondition({ column: 'Missing', notEquals: 'x' }, { row })).toBe(true);
+  });
+
+  test('combines conditions and reads mapped field values', () => {
+    const context = { row, values: { accountType: 'individual' } };
+    expect(evaluateCondition({ all: [{ column: 'Company' }, { not: { field: 'accountType', equals: 'business' } }] }, context)).toBe(true);
+    expect(evaluateCondition({ any: [{ column: 'Fax' }, { field: 'accountType', equals: 'business' }] }, context)).toBe(false);
+    expect(evaluateCondition(undefined, context)).toBe(true);
+  });
+
+  test('rejects conditions without a column or field', () => {
+    expect(() => evaluateCondition({ equals: 'x' }, { row })).toThrow('needs a column or field');
+  });
+});
+
+describe('resolveMappingEntries', () => {
+  const mapping = {
+    fields: [
+      { key: 'accountType', locator: { name: 'type' }, column: 'Type' },
+      { key: 'email', locator: { name: 'email' }, column: 'Email' },
+      { key: 'newsletter', locator: { name: 'news' }, value: 'yes', when: { column: 'Opt-in', equals: 'Y' } }
+    ],
+    branches: [
+      {
+        name: 'business',
+        when: { column: 'Type', equals: 'Business' },
+        fields: [
+          { key: 'businessTab', locator: { id: 'tab-business' }, action: 'click' },
+          { key: 'company', locator: { name: 'company' }, column: 'Company', after: 'businessTab' }
+        ]
+      },
+      { name: 'individual', fields: [{ key: 'dob', locator: { name: 'dob' }, column: 'DOB' }] }
+    ]
+  };
+
+  test('adds the row branch and fills values from columns', () => {
+    const row = { Type: 'Business', Email: 'a@b.co', Company: 'Acme', 'Opt-in': 'N' };
+    const { entries, skipped, branch } = resolveMappingEntries(mapping, row);
+    expect(branch).toBe('business');
+    expect(entries.map(e => [e.key, e.value])).toEqual([
+      ['accountType', 'Business'],
+      ['email', 'a@b.co'],
+      ['businessTab', undefined],
+      ['company', 'Acme']
+    ]);
+    expect(entries[3].after).toBe('businessTab');
+    expect(skipped).toEqual([{ key: 'newsletter', reason: 'condition' }]);
+  });
+
+  test('falls back to a branch without a condition and skips empty columns', () => {
+    const { entries, skipped, branch } = resolveMappingEntries(mapping, { Type: 'Individual', DOB: '1990-01-01', 'Opt-in': 'y' });
+    expect(branch).toBe('individual');
+    expect(entries.map(e => e.key)).toEqual(['accountType', 'newsletter', 'dob']);
+    expect(skipped).toEqual([{ key: 'email', reason: 'no value' }]);
+  });
+
+  test('keeps legacy mappings as they are', () => {
+    const { entries, branch } = resolveMappingEntries({ fields: { '#email': 'a@b.co' } });
+    expect(entries).toEqual([{ key: '#email', locator: { css: '#email' }, value: 'a@b.co' }]);
+    expect(branch).toBeNull();
+    expect(selectBranch({ fields: {} }, {})).toBeNull();
+  });
+});
+
+describe('waiting for conditional fields', () => {
+  test('waits once the revealing entry is handled, or when asked to', () => {
+    const entries = [{ key: 'tab', action: 'click' }, { key: 'company', after: 'tab' }, { key: 'vat', waitFor: 1500 }];
+    expect(hasConditionalEntries(entries)).toBe(true);
+    expect(hasConditionalEntries([{ key: 'email', value: 'x' }])).toBe(false);
+    expect(waitTimeoutFor(entries[1], new Set())).toBe(0);
+    expect(waitTimeoutFor(entries[1], new Set(['tab']))).toBe(DEFAULT_WAIT_TIMEOUT_MS);
+    expect(waitTimeoutFor(entries[2], new Set())).toBe(1500);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @jest-environment jsdom
+ */
+// Mock parsers the automator loads at require time (not needed for form filling)
+jest.mock('csv-parser', () => jest.fn(), { virtual: true });
+jest.mock('gettext-parser', () => ({ po: { parse: jest.fn() } }), { virtual: true });
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const os = require('os');
+const path = require('path');
+const { FormAutomator } = require('../node');
+
+// Puppeteer-like handles over this jsdom page: evaluate() runs the page function here
+const unwrap = arg => (arg && arg.element ? arg.element : arg);
+function handle(element) {
+  return {
+    element,
+    asElement() { return element ? this : null; },
+    evaluate: async (fn, ...args) => fn(element, ...args.map(unwrap)),
+    evaluateHandle: async (fn, ...args) => handle(fn(element, ...args.map(unwrap))),
+    $: async selector => { const el = element.querySelector(selector); return el ? handle(el) : null; },
+    $$: async selector => Array.from(element.querySelectorAll(selector)).map(handle),
+    focus: async () => element.focus(),
+    click: async () => element.click(),
+    type: async text => { element.value = text; },
+    dispose: async () => {}
+  };
+}
+
+// Forms submitted through form.submit(); the frame sees a navigation after one
+const submittedForms = [];
+
+function fakeFrame() {
+  return {
+    url: () => 'https://example.com/apply',
+    page: () => ({ on() {}, off() {} }),
+    $: async selector => { const el = document.querySelector(selector); return el ? handle(el) : null; },
+    $$: async selector => Array.from(document.querySelectorAll(selector)).map(handle),
+    // Puppeteer evaluates a string as a script in the page
+    evaluate: async (fn, ...args) => (typeof fn === 'string' ? (0, eval)(fn) : fn(...args.map(unwrap))),
+    evaluateHandle: async (fn, ...args) => handle(fn(...args.map(unwrap))),
+    waitForFunction: async (fn, options, ...args) => {
+      for (let i = 0; i < 20; i++) {
+        if (fn(...args.map(unwrap))) return true;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error('Waiting failed: timeout');
+    },
+    waitForNavigation: () => new Promise((resolve, reject) =>
+      setTimeout(() => (submittedForms.length ? resolve() : reject(new Error('Navigation timeout'))), 100))
+  };
+}
+
+function automatorFor(frame) {
+  const automator = new FormAutomator({ logFile: path.join(os.tmpdir(), 'formmaster-node-test.log'), potFile: 'missing.pot' });
+  const page = { frames: () => [frame] };
+  return (formData, options) => automator.fillAndSubmitForm(page, formData, options);
+}
+
+const realGetClientRects = HTMLElement.prototype.getClientRects;
+
+beforeAll(() => {
+  // jsdom does no layout: elements outside display:none subtrees count as visible
+  HTMLElement.prototype.getClientRects = function () {
+    for (let node = this; node; node = node.parentElement) {
+      if (node.style.display === 'none') return [];
+    }
+    return [{ width: 10, height: 10 }];
+  };
+  HTMLFormElement.prototype.submit = function () { submittedForms.push(this.id); };
+});
+
+afterAll(() => {
+  HTMLElement.prototype.getClientRects = realGetClientRects;
+});
+
+beforeEach(() => {
+  submittedForms.length = 0;
+  delete globalThis.FormMaster;
+});
+
+describe('FormAutomator.fillAndSubmitForm', () => {
+  test('advances a wizard through a step without mapped fields and finds it again after a re-render', async () => {
+    document.body.innerHTML = `
+      <form id="search"><input name="q"><button>Search</button></form>
+      <form id="login"><input name="user"><button type="submit">Continue</button></form>
+      <form id="wizard"><p>Welcome</p><button type="button" id="start">Next</button></form>`;
+    const clicks = [];
+    document.querySelectorAll('button').forEach(button => button.addEventListener('click', event => {
+      event.preventDefault();
+      clicks.push(button.closest('form').id);
+    }));
+    // The SPA renders the next step as a new form element
+    document.getElementById('start').addEventListener('click', () => {
+      const next = document.createElement('form');
+      next.id = 'wizard';
+      next.innerHTML = '<label>Email <input name="email"></label><button>Send</button>';
+      document.getElementById('wizard').replaceWith(next);
+    });
+    const report = await automatorFor(fakeFrame())({ email: 'a@b.co' });
+    expect(report).toMatchObject({ submitted: true, reason: null, verification: { ok: true } });
+    expect(clicks).toEqual(['wizard']);
+    expect(submittedForms).toEqual(['wizard']);
+    expect(document.querySelector('[name="email"]').value).toBe('a@b.co');
+  }, 15000);
+
+  test('leaves forms that got no data alone unless they are wizards', async () => {
+    document.body.innerHTML = `
+      <form id="login"><input name="user"><button type="submit">Continue</button></form>
+      <form id="survey"><input name="rating"><button type="button">Next</button></form>`;
+    const clicks = [];
+    document.querySelectorAll('button').forEach(button => button.addEventListener('click', event => {
+      event.preventDefault();
+      clicks.push(button.closest('form').id);
+    }));
+
+    const report = await automatorFor(fakeFrame())({ email: 'a@b.co' });
+    expect(report).toMatchObject({ submitted: false, reason: 'No form field matched the data' });
+    // The survey's type=button Next makes it a wizard; the login form's submit does not
+    expect(clicks).toEqual(['survey']);
+    expect(submittedForms).toEqual([]);
+  }, 15000);
+
+  test('advances a dry run through Next controls that cannot submit', async () => {
+    document.body.innerHTML = `
+      <form id="wizard">
+        <div class="form-step"><input name="email"><button type="button" id="next">Next</button></div>
+        <div class="form-step" style="display: none"><input name="city"><button>Send</button></div>
+      </form>`;
+    const [first, second] = document.querySelectorAll('.form-step');
+    document.getElementById('next').addEventListener('click', () => {
+      first.style.display = 'none';
+      second.style.display = '';
+    });
+    const report = await automatorFor(fakeFrame())({ email: 'a@b.co', city: 'Oslo' }, { dryRun: true });
+    expect(report).toMatchObject({ submitted: false, reason: null, missingFields: [], unverifiedFields: [] });
+    expect(report.filledFields).toEqual(['email', 'city']);
+    expect(document.querySelector('[name="city"]').value).toBe('Oslo');
+    expect(submittedForms).toEqual([]);
+  }, 15000);
+
+  test('reports the fields behind a submitting Next control as unverified in a dry run', async () => {
+    document.body.innerHTML = '<form id="wizard"><input name="email"><button>Next</button></form>';
+    const clicks = [];
+    document.querySelector('button').addEventListener('click', event => {
+      event.preventDefault();
+      clicks.push('next');
+    });
+    const report = await automatorFor(fakeFrame())({ email: 'a@b.co', city: 'Oslo' }, { dryRun: true });
+    expect(report).toMatchObject({ reason: null, filledFields: ['email'], missingFields: [], unverifiedFields: ['city'] });
+    expect(clicks).toEqual([]);
+    expect(submittedForms).toEqual([]);
+  }, 15000);
+
+  test('sets selects, checkboxes and radio groups instead of typing into them', async () => {
+    document.body.innerHTML = `
+      <form id="signup">
+        <input name="email">
+        <select name="country"><option value="">-</option><option value="es">Spain</option></select>
+        <input type="checkbox" name="terms">
+        <label><input type="radio" name="newsletter" value="y"> Yes</label>
+        <label><input type="radio" name="newsletter" value="n"> No</label>
+        <button>Send</button>
+      </form>`;
+    const formData = { email: 'a@b.co', country: 'Spain', terms: 'yes', newsletter: 'No' };
+    const report = await automatorFor(fakeFrame())(formData, { dryRun: true });
+    expect(report).toMatchObject({ reason: null, verification: { ok: true }, missingFields: [] });
+    expect(document.querySelector('[name="country"]').value).toBe('es');
+    expect(document.querySelector('[name="terms"]').checked).toBe(true);
+    expect(document.querySelector('[value="n"]').checked).toBe(true);
+    expect(document.querySelector('[value="y"]').checked).toBe(false);
+  }, 15000);
+
+  test('fails verification for a radio group without an option for the value', async () => {
+    document.body.innerHTML = `
+      <form id="signup">
+        <label><input type="radio" name="plan" value="free"> Free</label>
+        <label><input type="radio" name="plan" value="pro"> Pro</label>
+        <button>Send</button>
+      </form>`;
+    const report = await automatorFor(fakeFrame())({ plan: 'Enterprise' });
+    expect(report).toMatchObject({ submitted: false, reason: 'plan: value was not kept' });
+    expect(submittedForms).toEqual([]);
+  }, 15000);
+
+  test('reports an unknown outcome, not a failure, when submitting breaks after submit()', async () => {
+    document.body.innerHTML = '<form id="signup"><input name="email"><button>Send</button></form>';
+    const frame = fakeFrame();
+    const submit = HTMLFormElement.prototype.submit;
+    HTMLFormElement.prototype.submit = function () {
+      submittedForms.push(this.id);
+      throw new Error('Execution context was destroyed');
+    };
+    try {
+      const report = await automatorFor(frame)({ email: 'a@b.co' });
+      expect(report).toMatchObject({
+        accepted: false,
+        submitted: true,
+        reason: 'Submission outcome unknown: Execution context was destroyed',
+        outcome: { outcome: 'unknown' }
+      });
+    } finally {
+      HTMLFormElement.prototype.submit = submit;
+    }
+  }, 15000);
+});
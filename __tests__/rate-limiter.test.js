@@ -0,0 +1,57 @@
+const { createRateLimiter, rateLimitKey } = require('../rate-limiter');
+
+function clockedLimiter(options = {}) {
+  const clock = { now: 0 };
+  const limiter = createRateLimiter({ ...options, now: () => clock.now });
+  return { clock, limiter };
+}
+
+describe('rateLimitKey', () => {
+  test('keys by profile and hostname', () => {
+    expect(rateLimitKey('guest', 'https://partner.example.com/apply?x=1')).toBe('guest|partner.example.com');
+    expect(rateLimitKey(undefined, 'https://a.example')).toBe('default|a.example');
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('spaces submissions evenly and queues concurrent reservations', () => {
+    const { limiter } = clockedLimiter();
+    // 60 per hour: one token a minute, the first one available right away
+    expect(limiter.reserve('k', 60)).toBe(0);
+    expect(limiter.reserve('k', 60)).toBe(60000);
+    expect(limiter.reserve('k', 60)).toBe(120000);
+  });
+
+  test('refills over time up to the burst size', () => {
+    const { clock, limiter } = clockedLimiter({ burst: 2 });
+    limiter.reserve('k', 60);
+    limiter.reserve('k', 60);
+    clock.now = 10 * 60000;
+    expect(limiter.reserve('k', 60)).toBe(0);
+    expect(limiter.reserve('k', 60)).toBe(0);
+    expect(limiter.reserve('k', 60)).toBe(60000);
+  });
+
+  test('keeps separate buckets per key and does not limit without a rate', () => {
+    const { limiter } = clockedLimiter();
+    limiter.reserve('guest|a.example', 2);
+    expect(limiter.reserve('guest|b.example', 2)).toBe(0);
+    expect(limiter.reserve('k', null)).toBe(0);
+  });
+
+  test('acquire waits out the reservation', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const onWait = jest.fn();
+    const limiter = createRateLimiter({ now: () => 0, sleep });
+    await limiter.acquire('k', 2, onWait);
+    expect(await limiter.acquire('k', 2, onWait)).toBe(1800000);
+    expect(onWait).toHaveBeenCalledTimes(1);
+    expect(sleep).toHaveBeenCalledWith(1800000);
+  });
+
+  test('projects when the remaining submissions can be made', () => {
+    const { limiter } = clockedLimiter();
+    expect(limiter.projectFinish('k', 20, 1)).toBe(0);
+    expect(limiter.projectFinish('k', 20, 3)).toBe(2 * 180000);
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  retryDelay,
+  classifyError,
+  isRetryable
+} = require('../retry-policy');
+const { evaluateField, summarizeVerification } = require('../fill-verification');
+
+describe('resolveRetryPolicy', () => {
+  test('reads max_retries and retry_delay_seconds from config.ini', () => {
+    const policy = resolveRetryPolicy({}, { max_retries: '5', retry_delay_seconds: '10' });
+    expect(policy.maxAttempts).toBe(6);
+    expect(policy.baseDelayMs).toBe(10000);
+    expect(policy.multiplier).toBe(DEFAULT_RETRY_POLICY.multiplier);
+  });
+
+  test('lets overrides win, including the older retryDelayMs', () => {
+    const policy = resolveRetryPolicy({ maxAttempts: 2, retryDelayMs: 500, jitter: 3 }, { max_retries: '5' });
+    expect(policy).toMatchObject({ maxAttempts: 2, baseDelayMs: 500, jitter: 1 });
+  });
+});
+
+describe('retryDelay', () => {
+  const policy = resolveRetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000, multiplier: 2, jitter: 0.5 });
+
+  test('backs off exponentially up to the cap', () => {
+    const noJitter = () => 0;
+    expect([1, 2, 3, 4].map(retry => retryDelay(policy, retry, noJitter))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test('takes up to the jitter fraction off each wait', () => {
+    expect(retryDelay(policy, 2, () => 1)).toBe(1000);
+    expect(retryDelay(policy, 2, () => 0.5)).toBe(1500);
+  });
+});
+
+describe('classifyError', () => {
+  test('treats timeouts, server errors and detection misses as transient', () => {
+    expect(classifyError('Form submission failed: Navigation timeout of 30000 ms exceeded')).toBe('transient');
+    expect(classifyError(new Error('Request failed with status 503'))).toBe('transient');
+    expect(classifyError('No form found')).toBe('transient');
+    expect(classifyError(Object.assign(new Error('boom'), { code: 'ECONNRESET' }))).toBe('transient');
+  });
+
+  test('treats rejections and data that does not fit the form as permanent', () => {
+    expect(classifyError('Submission rejected: Email is invalid')).toBe('permanent');
+    expect(classifyError('No form field matched the data')).toBe('permanent');
+    expect(classifyError('Could not transform dob: Not a date: "soon"')).toBe('permanent');
+    expect(classifyError('whatever', { outcome: 'rejected', evidence: [] })).toBe('permanent');
+    expect(classifyError(Object.assign(new Error('Bad request'), { status: 400 }))).toBe('permanent');
+  });
+
+  test('treats fields that failed verification as permanent', () => {
+    const field = overrides => evaluateField('email', {
+      tag: 'input', type: 'email', value: 'a@b.co', selectedText: '', valid: true, validityFlags: [],
+      validationMessage: '', ariaInvalid: false, siteErrors: [], ...overrides
+    }, { expected: 'a@b.co' });
+    const reasons = [
+      summarizeVerification([{ key: 'email', ok: false, errors: ['field not found'] }]).reason,
+      summarizeVerification([field({ valid: false, validityFlags: ['typeMismatch'] })]).reason,
+      summarizeVerification([field({ value: '' })]).reason,
+      summarizeVerification([field({ ariaInvalid: true })]).reason
+    ];
+    expect(reasons).toEqual([
+      'email: field not found',
+      'email: invalid (typeMismatch)',
+      'email: value was not kept',
+      'email: marked invalid by the page'
+    ]);
+    for (const reason of reasons) expect(classifyError(reason)).toBe('permanent');
+  });
+
+  test('does not retry rows that may have been submitted', () => {
+    expect(classifyError('Extension disconnected')).toBe('unknown');
+    expect(classifyError(new Error('Extension did not report a result in time'))).toBe('unknown');
+    expect(classifyError('Submission outcome unknown: Execution context was destroyed')).toBe('unknown');
+    expect(isRetryable('Extension disconnected')).toBe(false);
+    expect(classifyError('No browser extension connected')).toBe('transient');
+  });
+
+  test('honours an explicit flag and retries unrecognised errors', () => {
+    expect(classifyError(Object.assign(new Error('timeout'), { transient: false }))).toBe('permanent');
+    expect(isRetryable('Something odd happened')).toBe(true);
+  });
+});
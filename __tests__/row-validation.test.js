@@ -0,0 +1,118 @@
+const xml2js = require('xml2js');
+const {
+  validateRow,
+  validateRows,
+  describeErrors,
+  columnDiagnostics,
+  schemaFromProfile,
+  mergeSchemas
+} = require('../row-validation');
+
+const schema = {
+  columns: {
+    email: { required: true, type: 'email' },
+    age: { type: 'integer', min: 18, max: 120 },
+    zip: { pattern: '^\\d{5}$' },
+    state: { enum: ['CA', 'NY'] },
+    name: { required: true, minLength: 2, maxLength: 10 },
+    start: { type: 'date' }
+  },
+  rules: [
+    { type: 'requiredIf', column: 'state', when: { column: 'country', equals: 'US' } },
+    { type: 'anyOf', columns: ['phone', 'fax'] },
+    { type: 'compare', column: 'end', op: '>=', other: 'start' }
+  ]
+};
+
+describe('validateRow', () => {
+  test('passes a row that meets the schema', () => {
+    const row = { email: 'a@b.co', age: '30', zip: '94110', state: 'CA', name: 'Ann', country: 'US', phone: '555 123 4567', start: '2026-01-01', end: '2026-02-01' };
+    expect(validateRow(row, schema)).toEqual([]);
+    expect(validateRow({}, null)).toEqual([]);
+  });
+
+  test('reports every failing cell', () => {
+    const row = { email: 'nope', age: '12', zip: '9411', state: 'TX', name: 'A', start: '2026-03-01', end: '2026-02-01' };
+    expect(validateRow(row, schema)).toEqual([
+      { column: 'email', value: 'nope', message: 'must be an email address' },
+      { column: 'age', value: '12', message: 'must be at least 18' },
+      { column: 'zip', value: '9411', message: 'has the wrong format' },
+      { column: 'state', value: 'TX', message: 'must be one of CA, NY' },
+      { column: 'name', value: 'A', message: 'must be at least 2 characters' },
+      { column: 'phone', value: undefined, message: 'one of phone, fax is required' },
+      { column: 'end', value: '2026-02-01', message: 'must be >= start' }
+    ]);
+  });
+
+  test('applies conditional requirements and custom messages', () => {
+    const rules = {
+      columns: { email: { required: true, message: 'Email missing' } },
+      rules: [{ type: 'requiredIf', column: 'state', when: { column: 'country', in: ['US', 'CA'] } }]
+    };
+    expect(validateRow({ country: 'CA' }, rules).map(e => e.message)).toEqual(['Email missing', 'is required when country is set']);
+    expect(validateRow({ email: 'x', country: 'DE' }, rules)).toEqual([]);
+  });
+
+  test('rejects unknown rules', () => {
+    expect(() => validateRow({}, { rules: [{ type: 'unique' }] })).toThrow('Unknown validation rule "unique"');
+  });
+});
+
+describe('validateRows', () => {
+  test('quarantines invalid rows with their sheet row numbers', () => {
+    const rows = [{ email: 'a@b.co' }, { email: '', __rowNumber: 3 }];
+    const { valid, quarantined } = validateRows(rows, { columns: { email: { required: true } } });
+    expect(valid).toEqual([0]);
+    expect(quarantined).toEqual([{ rowIndex: 1, rowNumber: 3, errors: [{ column: 'email', value: '', message: 'is required' }] }]);
+    expect(describeErrors(quarantined[0].errors)).toBe('email is required');
+  });
+
+  test('groups cell errors per column', () => {
+    const errors = [
+      { column: 'zip', message: 'has the wrong format' },
+      { column: 'zip', message: 'must be at most 5 characters' },
+      { column: 'email', message: 'is required' }
+    ];
+    expect(columnDiagnostics(errors)).toEqual([
+      { field: 'zip', errors: ['has the wrong format', 'must be at most 5 characters'] },
+      { field: 'email', errors: ['is required'] }
+    ]);
+  });
+});
+
+describe('schemaFromProfile', () => {
+  test('reads <rowValidation> from a parsed profile', async () => {
+    const xml = `<profile id="p">
+      <rowValidation>
+        <column name="email" required="true" type="email" maxLength="120"/>
+        <column name="state"><allowed>CA</allowed><allowed>NY</allowed></column>
+        <rule type="requiredIf" column="state" whenColumn="country" equals="US"/>
+        <rule type="anyOf" columns="email, phone"/>
+        <rule type="compare" column="end" op="&gt;=" other="start"/>
+      </rowValidation>
+    </profile>`;
+    const { profile } = await xml2js.parseStringPromise(xml);
+    expect(schemaFromProfile(profile)).toEqual({
+      columns: {
+        email: { required: true, type: 'email', maxLength: '120' },
+        state: { enum: ['CA', 'NY'] }
+      },
+      rules: [
+        { type: 'requiredIf', column: 'state', when: { column: 'country', equals: 'US' } },
+        { type: 'anyOf', columns: ['email', 'phone'] },
+        { type: 'compare', column: 'end', op: '>=', other: 'start' }
+      ]
+    });
+    expect(schemaFromProfile({})).toBeNull();
+  });
+
+  test('lets batchConfig.validation override columns and add rules', () => {
+    const base = { columns: { email: { required: true }, zip: { pattern: '^\\d+$' } }, rules: [{ type: 'anyOf', columns: ['a'] }] };
+    const extra = { columns: { email: { type: 'email' } }, rules: [{ type: 'anyOf', columns: ['b'] }] };
+    expect(mergeSchemas(base, extra)).toEqual({
+      columns: { email: { type: 'email' }, zip: { pattern: '^\\d+$' } },
+      rules: [{ type: 'anyOf', columns: ['a'] }, { type: 'anyOf', columns: ['b'] }]
+    });
+    expect(mergeSchemas(null, undefined)).toBeNull();
+  });
+});
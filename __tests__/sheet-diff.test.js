@@ -0,0 +1,54 @@
+const { rowsFromValues, diffRows, hasChanges, nextPollInterval } = require('../sheet-diff');
+
+describe('rowsFromValues', () => {
+  test('builds row objects with their sheet row numbers', () => {
+    expect(rowsFromValues([['id', 'name'], ['1', 'Ann'], ['2']], 'Leads!B3:C')).toEqual([
+      { id: '1', name: 'Ann', __rowNumber: 4 },
+      { id: '2', name: '', __rowNumber: 5 }
+    ]);
+    expect(rowsFromValues([], 'A1')).toEqual([]);
+  });
+
+  test('rejects empty and duplicate headers', () => {
+    expect(() => rowsFromValues([['id', '']], 'B1')).toThrow('Header at column C is empty');
+    expect(() => rowsFromValues([['id', 'id']], 'A1')).toThrow('Duplicate header "id" found at column B');
+  });
+});
+
+describe('diffRows', () => {
+  const before = rowsFromValues([['id', 'name', 'status'], ['1', 'Ann', 'new'], ['2', 'Bob', 'new'], ['3', 'Cy', 'new']], 'A1');
+
+  test('reports added, changed and removed rows by key column', () => {
+    const after = rowsFromValues([['id', 'name', 'status'], ['2', 'Bob', 'done'], ['3', 'Cy', 'new'], ['4', 'Di', 'new']], 'A1');
+    const diff = diffRows(before, after, { keyColumn: 'id' });
+    expect(diff.added).toEqual([{ id: '4', name: 'Di', status: 'new', __rowNumber: 4 }]);
+    expect(diff.removed).toEqual([{ id: '1', name: 'Ann', status: 'new', __rowNumber: 2 }]);
+    expect(diff.changed).toEqual([
+      { key: '2', before: before[1], after: after[0], columns: ['status'] }
+    ]);
+    expect(hasChanges(diff)).toBe(true);
+  });
+
+  test('does not count moved rows as changed', () => {
+    const after = [...before].reverse().map((row, i) => ({ ...row, __rowNumber: i + 2 }));
+    expect(hasChanges(diffRows(before, after, { keyColumn: 'id' }))).toBe(false);
+  });
+
+  test('matches rows by row number without a key column or key', () => {
+    const after = rowsFromValues([['id', 'name', 'status'], ['1', 'Ann', 'new'], ['', 'Bo', 'new']], 'A1');
+    const diff = diffRows(before, after);
+    expect(diff.changed.map(c => [c.key, c.columns])).toEqual([['3', ['id', 'name']]]);
+    expect(diff.removed.map(r => r.id)).toEqual(['3']);
+    expect(diffRows(before, after, { keyColumn: 'id' }).added).toEqual([after[1]]);
+  });
+});
+
+describe('nextPollInterval', () => {
+  test('backs off while nothing changes and resets on a change', () => {
+    const options = { baseMs: 1000, maxMs: 5000 };
+    expect(nextPollInterval(1000, false, options)).toBe(2000);
+    expect(nextPollInterval(4000, false, options)).toBe(5000);
+    expect(nextPollInterval(5000, false, { ...options, factor: 3 })).toBe(5000);
+    expect(nextPollInterval(5000, true, options)).toBe(1000);
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  columnLetter,
+  parseSheetRange,
+  statusColumnLayout,
+  extractConfirmationId,
+  buildStatusUpdates,
+  createStatusWriter
+} = require('../sheet-status');
+
+describe('ranges and columns', () => {
+  test('converts column numbers to letters', () => {
+    expect([1, 26, 27, 52, 703].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'AZ', 'AAA']);
+  });
+
+  test('parses the sheet, first column and header row of a range', () => {
+    expect(parseSheetRange("'Leads ''24'!C3:H")).toEqual({ sheet: "Leads '24", startColumn: 3, headerRow: 3 });
+    expect(parseSheetRange('A1:Z1000')).toEqual({ sheet: null, startColumn: 1, headerRow: 1 });
+  });
+
+  test('reuses existing status columns and appends the missing ones', () => {
+    const layout = statusColumnLayout(['name', 'email', 'FM_Error'], 2);
+    expect(layout.columns).toEqual({ FM_Status: 5, FM_SubmittedAt: 6, FM_Error: 4, FM_ConfirmationId: 7 });
+    expect(layout.missing).toEqual(['FM_Status', 'FM_SubmittedAt', 'FM_ConfirmationId']);
+  });
+});
+
+describe('buildStatusUpdates', () => {
+  test('addresses rows by their sheet row number, with headers once', () => {
+    const layout = { sheet: 'Leads', startColumn: 1, headerRow: 1, headers: ['name', 'email'] };
+    const statuses = new Map([
+      [7, { status: 'succeeded', submittedAt: Date.parse('2026-10-19T10:00:00Z'), confirmationId: 'A-1234' }],
+      [9, { status: 'failed', error: 'Submission rejected' }]
+    ]);
+    const data = buildStatusUpdates(layout, statuses, { withHeaders: true });
+    expect(data.slice(0, 4).map(d => d.range)).toEqual(["'Leads'!C1", "'Leads'!D1", "'Leads'!E1", "'Leads'!F1"]);
+    expect(data.slice(4)).toEqual([
+      { range: "'Leads'!C7:F7", values: [['succeeded', '2026-10-19T10:00:00.000Z', '', 'A-1234']] },
+      { range: "'Leads'!C9:F9", values: [['failed', '', 'Submission rejected', '']] }
+    ]);
+  });
+});
+
+describe('extractConfirmationId', () => {
+  test('takes a reported id, else one from the confirmation URL', () => {
+    expect(extractConfirmationId({ confirmationId: 42 })).toBe('42');
+    expect(extractConfirmationId({ pageUrl: 'https://example.com/thanks?ref=XY-77' })).toBe('XY-77');
+    expect(extractConfirmationId({ pageUrl: 'https://example.com/confirmation/ABC123' })).toBe('ABC123');
+    expect(extractConfirmationId({ pageUrl: 'https://example.com/thanks' })).toBe('');
+  });
+});
+
+describe('createStatusWriter', () => {
+  test('writes everything recorded since the last flush in one batchUpdate', async () => {
+    const connector = {
+      fetchSpreadsheetData: jest.fn().mockResolvedValue([['name', 'FM_Status', 'FM_SubmittedAt', 'FM_Error', 'FM_ConfirmationId']]),
+      batchUpdateValues: jest.fn().mockResolvedValue()
+    };
+    const writer = createStatusWriter({ connector, spreadsheetId: 's1', range: 'Sheet1!A1:Z', flushDelayMs: 60000 });
+    writer.record(2, { status: 'in-flight' });
+    writer.record(2, { status: 'succeeded' });
+    writer.record(3, { status: 'failed', error: 'Timed out' });
+    await writer.flush();
+    expect(connector.fetchSpreadsheetData).toHaveBeenCalledWith('s1', "'Sheet1'!1:1");
+    expect(connector.batchUpdateValues).toHaveBeenCalledTimes(1);
+    expect(connector.batchUpdateValues.mock.calls[0][1]).toEqual([
+      { range: "'Sheet1'!B2:E2", values: [['succeeded', '', '', '']] },
+      { range: "'Sheet1'!B3:E3", values: [['failed', '', 'Timed out', '']] }
+    ]);
+  });
+
+  test('keeps statuses for the next flush when a write fails', async () => {
+    const onError = jest.fn();
+    const connector = { batchUpdateValues: jest.fn().mockRejectedValueOnce(new Error('quota')).mockResolvedValue() };
+    const writer = createStatusWriter({ connector, spreadsheetId: 's1', range: 'A1', headers: ['name'], onError, flushDelayMs: 60000 });
+    writer.record(2, { status: 'succeeded' });
+    await writer.flush();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'quota' }), { failures: 1, gaveUp: false });
+    await writer.flush();
+    expect(connector.batchUpdateValues).toHaveBeenCalledTimes(2);
+    expect(connector.batchUpdateValues.mock.calls[1][1].map(d => d.range)).toEqual(['B1', 'C1', 'D1', 'E1', 'B2:E2']);
+  });
+
+  test('retries a failed write after the flush delay without another record', async () => {
+    jest.useFakeTimers();
+    try {
+      const connector = { batchUpdateValues: jest.fn().mockRejectedValueOnce(new Error('quota')).mockResolvedValue() };
+      const writer = createStatusWriter({ connector, spreadsheetId: 's1', range: 'A1', headers: ['name'], onError() {}, flushDelayMs: 1000 });
+      writer.record(2, { status: 'succeeded' });
+      await writer.flush();
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(2);
+      expect(connector.batchUpdateValues.mock.calls[1][1].map(d => d.range)).toContain('B2:E2');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('backs off between retries and gives up after maxRetries', async () => {
+    jest.useFakeTimers();
+    try {
+      const onError = jest.fn();
+      const connector = { batchUpdateValues: jest.fn().mockRejectedValue(new Error('quota')) };
+      const writer = createStatusWriter({
+        connector, spreadsheetId: 's1', range: 'A1', headers: ['name'], onError, flushDelayMs: 1000, maxRetries: 2
+      });
+      writer.record(2, { status: 'succeeded' });
+      await writer.flush();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(2);
+      // The second retry waits twice as long
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(3);
+      expect(onError).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'quota' }), { failures: 3, gaveUp: true });
+      await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(3);
+
+      // The kept statuses go along with the next record
+      writer.record(3, { status: 'failed' });
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(connector.batchUpdateValues).toHaveBeenCalledTimes(4);
+      expect(connector.batchUpdateValues.mock.calls[3][1].map(d => d.range)).toEqual(expect.arrayContaining(['B2:E2', 'B3:E3']));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
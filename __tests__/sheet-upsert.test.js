@@ -0,0 +1,45 @@
+const { planUpsert } = require('../sheet-upsert');
+
+describe('planUpsert', () => {
+  const existing = [
+    ['id', 'name', 'status'],
+    ['1', 'Ann', 'new'],
+    ['', 'Note'],
+    ['2', 'Bob', 'new']
+  ];
+
+  test('updates rows by key, keeping cells not mentioned, and appends the others', () => {
+    const plan = planUpsert(existing, [{ id: 2, status: 'done' }, { id: '3', name: 'Cy' }], 'id', 'Leads!A1:C');
+    expect(plan.updated).toBe(1);
+    expect(plan.appended).toBe(1);
+    expect(plan.data).toEqual([
+      { range: "'Leads'!A4:C4", values: [[2, 'Bob', 'done']] },
+      { range: "'Leads'!A5:C5", values: [['3', 'Cy', '']] }
+    ]);
+  });
+
+  test('adds missing columns to the header row and honours the range offset', () => {
+    const plan = planUpsert([['id', 'name'], ['1', 'Ann']], [{ id: '1', email: 'a@b.co', __rowNumber: 9 }], 'id', 'C3:D');
+    expect(plan.data).toEqual([
+      { range: 'E3', values: [['email']] },
+      { range: 'C4:E4', values: [['1', 'Ann', 'a@b.co']] }
+    ]);
+  });
+
+  test('starts an empty sheet with a header row', () => {
+    const plan = planUpsert([], [{ id: 'a', n: 1 }, { id: 'a', n: 2 }], 'id', 'A1');
+    expect(plan).toEqual({
+      data: [
+        { range: 'A1:B1', values: [['id', 'n']] },
+        { range: 'A2:B2', values: [['a', 2]] }
+      ],
+      updated: 0,
+      appended: 1
+    });
+  });
+
+  test('needs the key column and a key on every row', () => {
+    expect(() => planUpsert(existing, [{ name: 'x' }], 'email', 'A1')).toThrow('Key column "email" not found');
+    expect(() => planUpsert(existing, [{ name: 'x' }], 'id', 'A1')).toThrow('Row without a value for key column "id"');
+  });
+});
@@ -0,0 +1,79 @@
+const {
+  classifySubmissionOutcome,
+  resolveOutcomePatterns,
+  outcomePatternsFromProfile,
+} = require('../submission-outcome');
+
+const signals = (overrides) => ({ urlBefore: 'https://ex.com/signup', urlAfter: 'https://ex.com/signup', ...overrides });
+
+describe('classifySubmissionOutcome', () => {
+  test('a success message accepts the submission', () => {
+    const result = classifySubmissionOutcome(signals({ messages: ['Thank you! We will be in touch.'] }));
+    expect(result.outcome).toBe('accepted');
+    expect(result.evidence[0]).toMatchObject({ signal: 'successText', kind: 'accept' });
+  });
+
+  test('an error message or HTTP error rejects it', () => {
+    expect(classifySubmissionOutcome(signals({ messages: ['Something went wrong, please try again'] })).outcome)
+      .toBe('rejected');
+    const http = classifySubmissionOutcome(signals({
+      responses: [{ url: 'https://ex.com/api/signup', status: 422, method: 'POST' }],
+      formRemoved: true,
+    }));
+    expect(http.outcome).toBe('rejected');
+  });
+
+  test('rejection wins over acceptance of equal strength', () => {
+    const result = classifySubmissionOutcome(signals({ messages: ['Your form could not be submitted'] }));
+    expect(result.outcome).toBe('rejected');
+  });
+
+  test('a redirect to a thank-you page accepts, a plain redirect alone is unknown', () => {
+    expect(classifySubmissionOutcome(signals({ urlAfter: 'https://ex.com/signup/thank-you', navigated: true })).outcome)
+      .toBe('accepted');
+    expect(classifySubmissionOutcome(signals({ urlAfter: 'https://ex.com/home', navigated: true })).outcome)
+      .toBe('unknown');
+  });
+
+  test('two weak signals are enough to accept', () => {
+    const result = classifySubmissionOutcome(signals({
+      responses: [{ url: 'https://ex.com/api/signup', status: 201, method: 'POST' }],
+      formReset: true,
+    }));
+    expect(result.outcome).toBe('accepted');
+  });
+
+  test('nothing observed is unknown', () => {
+    expect(classifySubmissionOutcome(signals({})).outcome).toBe('unknown');
+  });
+
+  test('invalid fields after submit reject it', () => {
+    expect(classifySubmissionOutcome(signals({ fieldErrors: ['email'] })).outcome).toBe('rejected');
+  });
+});
+
+describe('outcome patterns', () => {
+  test('profile patterns extend the defaults', () => {
+    const patterns = resolveOutcomePatterns({ successText: ['order #\\d+ placed'] });
+    const result = classifySubmissionOutcome(signals({ messages: ['Order #123 placed'] }), patterns);
+    expect(result.outcome).toBe('accepted');
+    expect(patterns.successText.length).toBeGreaterThan(1);
+  });
+
+  test('profile patterns can replace the defaults', () => {
+    const patterns = resolveOutcomePatterns({ errorText: ['^nope$'], replaceDefaults: true });
+    expect(classifySubmissionOutcome(signals({ messages: ['Invalid email'] }), patterns).outcome).toBe('unknown');
+  });
+
+  test('reads <submissionOutcome> from a parsed user profile', () => {
+    const profile = {
+      submissionOutcome: [{ successText: ['received'], errorUrl: ['/oops'], replaceDefaults: ['true'] }],
+    };
+    expect(outcomePatternsFromProfile(profile)).toEqual({
+      successText: ['received'],
+      errorUrl: ['/oops'],
+      replaceDefaults: true,
+    });
+    expect(outcomePatternsFromProfile({})).toEqual({});
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment jsdom
+ */
+const { registerWidgetAdapter, findWidgetAdapter, fillWidget } = require('../widget-adapters');
+
+function render(html) {
+  document.body.innerHTML = html;
+  return document.body.firstElementChild;
+}
+
+// jsdom does no layout; listboxes count as open once they report a client rect
+function showAsOpen(el) {
+  el.getClientRects = () => [{ width: 100, height: 20 }];
+}
+
+function recordEvents(el, types) {
+  const seen = [];
+  types.forEach((type) => el.addEventListener(type, (e) => seen.push(e.key ? `${type}:${e.key}` : type)));
+  return seen;
+}
+
+describe('fillWidget', () => {
+  test('types into text fields with input and change events', async () => {
+    const input = render('<input name="email" type="email">');
+    const seen = recordEvents(input, ['input', 'change']);
+    await expect(fillWidget(input, 'a@b.co')).resolves.toEqual({ status: 'filled', adapter: 'text', error: null });
+    expect(input.value).toBe('a@b.co');
+    expect(seen).toEqual(['input', 'change']);
+  });
+
+  test('fails a text field whose page reverts the value', async () => {
+    const input = render('<input name="zip">');
+    input.addEventListener('change', () => { input.value = ''; });
+    await expect(fillWidget(input, '12345'))
+      .resolves.toEqual({ status: 'failed', adapter: 'text', error: 'Value did not persist after re-render' });
+  });
+
+  test('checks and unchecks checkboxes and radios from truthy strings', async () => {
+    const box = render('<input type="checkbox" name="terms">');
+    await fillWidget(box, 'yes');
+    expect(box.checked).toBe(true);
+    await fillWidget(box, 'no');
+    expect(box.checked).toBe(false);
+
+    const radio = render('<input type="radio" name="plan" checked>');
+    const seen = recordEvents(radio, ['change']);
+    await expect(fillWidget(radio, false)).resolves.toMatchObject({ status: 'filled', adapter: 'checkable' });
+    expect(radio.checked).toBe(false);
+    expect(seen).toEqual(['change']);
+  });
+
+  test('selects native options by value or text, and several for a multiple select', async () => {
+    const select = render('<select name="country"><option value="">-</option><option value="es">Spain</option></select>');
+    await fillWidget(select, 'spain');
+    expect(select.value).toBe('es');
+
+    const multi = render('<select multiple><option value="r">Red</option><option value="g">Green</option><option value="b">Blue</option></select>');
+    await fillWidget(multi, 'Red; b');
+    expect(Array.from(multi.selectedOptions).map((o) => o.value)).toEqual(['r', 'b']);
+
+    await expect(fillWidget(select, 'France'))
+      .resolves.toEqual({ status: 'failed', adapter: 'native-select', error: 'No option matching "France"' });
+  });
+
+  test('formats dates for native date inputs and for JS pickers', async () => {
+    const native = render('<input type="date">');
+    await expect(fillWidget(native, '03/05/2024')).resolves.toMatchObject({ status: 'filled', adapter: 'date-picker' });
+    expect(native.value).toBe('2024-03-05');
+
+    const picker = render('<input class="datepicker" data-date-format="DD.MM.YYYY" readonly>');
+    const seen = recordEvents(picker, ['keydown']);
+    await expect(fillWidget(picker, '2024-03-05')).resolves.toMatchObject({ status: 'filled', adapter: 'date-picker' });
+    expect(picker.value).toBe('05.03.2024');
+    expect(picker.readOnly).toBe(true);
+    expect(seen).toEqual(['keydown:Escape']);
+
+    await expect(fillWidget(native, 'soon')).resolves.toMatchObject({ status: 'failed', error: 'Unrecognized date "soon"' });
+  });
+
+  test('steps an ARIA slider with the arrow keys', async () => {
+    const slider = render('<div role="slider" tabindex="0" aria-valuenow="2"></div>');
+    slider.addEventListener('keydown', (e) => {
+      const now = Number(slider.getAttribute('aria-valuenow'));
+      slider.setAttribute('aria-valuenow', String(e.key === 'ArrowRight' ? now + 1 : now - 1));
+    });
+    await expect(fillWidget(slider, '5')).resolves.toMatchObject({ status: 'filled', adapter: 'range-slider' });
+    expect(slider.getAttribute('aria-valuenow')).toBe('5');
+
+    const range = render('<input type="range" min="0" max="10">');
+    await fillWidget(range, 7);
+    expect(range.value).toBe('7');
+  });
+
+  test('opens a custom select and clicks the matching option', async () => {
+    document.body.innerHTML = `
+      <button aria-haspopup="listbox" aria-controls="sizes">Size</button>
+      <ul id="sizes" role="listbox" hidden></ul>`;
+    const trigger = document.querySelector('button');
+    const listbox = document.getElementById('sizes');
+    let chosen = null;
+    trigger.addEventListener('click', () => {
+      listbox.innerHTML = '<li role="option" data-value="s">Small</li><li role="option" data-value="l">Large</li>';
+      showAsOpen(listbox);
+    });
+    listbox.addEventListener('click', (e) => { chosen = e.target.getAttribute('data-value'); });
+    await expect(fillWidget(trigger, 'Large')).resolves.toEqual({ status: 'filled', adapter: 'custom-select', error: null });
+    expect(chosen).toBe('l');
+  });
+
+  test('enters each tag of a tag input followed by Enter', async () => {
+    const input = render('<div class="tags-input"><input type="text"></div>').querySelector('input');
+    const tags = [];
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') tags.push(input.value);
+    });
+    await expect(fillWidget(input, 'red, green')).resolves.toMatchObject({ status: 'filled', adapter: 'tag-input' });
+    expect(tags).toEqual(['red', 'green']);
+  });
+
+  test('reports controls it cannot fill instead of skipping them', async () => {
+    await expect(fillWidget(render('<input disabled>'), 'x'))
+      .resolves.toEqual({ status: 'unsupported', adapter: null, error: 'Element is missing, disabled or read-only' });
+    await expect(fillWidget(render('<div></div>'), 'x'))
+      .resolves.toEqual({ status: 'unsupported', adapter: null, error: 'No adapter for <div>' });
+    await expect(fillWidget(null, 'x')).resolves.toMatchObject({ status: 'unsupported' });
+  });
+});
+
+describe('registerWidgetAdapter', () => {
+  test('rejects incomplete adapters', () => {
+    expect(() => registerWidgetAdapter({ name: 'broken', matches: () => true }))
+      .toThrow('Widget adapter needs a name, matches(el) and fill(el, value, context)');
+  });
+
+  test('runs custom adapters ahead of the built-ins', async () => {
+    const fill = jest.fn();
+    registerWidgetAdapter({ name: 'phone-widget', matches: (el) => el.hasAttribute('data-phone'), fill });
+    const input = render('<input data-phone>');
+    expect(findWidgetAdapter(input).name).toBe('phone-widget');
+    expect(findWidgetAdapter(render('<input>')).name).toBe('text');
+    await expect(fillWidget(input, '555')).resolves.toMatchObject({ status: 'filled', adapter: 'phone-widget' });
+    expect(fill).toHaveBeenCalledWith(input, '555', {});
+  });
+});
@@ -0,0 +1,53 @@
+const { runWorkerPool } = require('../worker-pool');
+
+const tick = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('runWorkerPool', () => {
+  test('never runs more than the concurrency limit and keeps results in item order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runWorkerPool([30, 5, 20, 1, 10], async (ms, index) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await tick(ms);
+      running -= 1;
+      return index;
+    }, { concurrency: 2 });
+    expect(peak).toBe(2);
+    expect(results.map((r) => r.value)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('settles failures without stopping the other items', async () => {
+    const settledOrder = [];
+    const results = await runWorkerPool([1, 2, 3], async (n) => {
+      if (n === 2) throw new Error('boom');
+      return n;
+    }, { concurrency: 3, onSettled: (settled, index) => settledOrder.push(index) });
+    expect(results[1].status).toBe('rejected');
+    expect(results[1].reason.message).toBe('boom');
+    expect(results[2]).toEqual({ status: 'fulfilled', value: 3 });
+    expect(settledOrder.sort()).toEqual([0, 1, 2]);
+  });
+
+  test('halves the limit when the error rate climbs and raises it after a clean window', async () => {
+    const changes = [];
+    const items = Array.from({ length: 24 }, (_, i) => i);
+    await runWorkerPool(items, async (i) => {
+      await tick(1);
+      if (i < 8) throw new Error('down');
+      return i;
+    }, {
+      concurrency: 4,
+      windowSize: 4,
+      errorRateThreshold: 0.5,
+      onConcurrencyChange: (limit) => changes.push(limit)
+    });
+    expect(changes[0]).toBe(2);
+    expect(changes).toContain(1);
+    expect(changes[changes.length - 1]).toBeGreaterThan(1);
+  });
+
+  test('resolves immediately for no items', async () => {
+    expect(await runWorkerPool([], () => { throw new Error('unused'); }, { concurrency: 3 })).toEqual([]);
+  });
+});
@@ -6,6 +6,7 @@ const { parseAsync } = require('json2csv');
 const ANALYTICS_LOG = path.resolve(__dirname, 'analytics.log');
 const ERROR_LOG = path.resolve(__dirname, 'analytics_error.log');
 const STATS_DB = path.resolve(__dirname, 'analytics_stats.json');
+const SUBMISSION_OUTCOMES = ['accepted', 'rejected', 'unknown'];
 
 // --- Input Validation/Sanitization Helpers ---
 
@@ -29,6 +30,18 @@ function cleanEventData(eventData) {
         }
     }
     if (eventData.success !== undefined) cleaned.success = !!eventData.success;
+    // A classified submission outcome decides success; a dispatched submit alone does not
+    if (SUBMISSION_OUTCOMES.includes(eventData.outcome)) {
+        cleaned.outcome = eventData.outcome;
+        cleaned.success = eventData.outcome === 'accepted';
+    }
+    if (Array.isArray(eventData.evidence)) {
+        cleaned.evidence = eventData.evidence.slice(0, 10).map(e => ({
+            signal: sanitizeString(String((e && e.signal) || ''), 32),
+            weight: Number(e && e.weight) || 0,
+            detail: sanitizeString(String((e && e.detail) || ''), 256)
+        }));
+    }
     if (eventData.errorCode && isValidString(eventData.errorCode, 32))
         cleaned.errorCode = sanitizeString(eventData.errorCode, 32);
     if (eventData.errorMessage && isValidString(eventData.errorMessage, 512))
@@ -98,7 +111,7 @@ async function readAllLines(filepath) {
 // Uses in-memory locking to avoid concurrency bug with overwrites
 let statsDbWriteLock = Promise.resolve();
 
-async function aggregateStatUpdate(eventType, formId) {
+async function aggregateStatUpdate(eventType, formId, outcome) {
     formId = validateFormId(formId);
     if (!formId) return; // Invalid, ignore
     await (statsDbWriteLock = statsDbWriteLock.then(async () => {
@@ -115,6 +128,10 @@ async function aggregateStatUpdate(eventType, formId) {
         stats[formId] = stats[formId] || { submission: 0, interaction: 0, lastEvent: null };
         if (!['submission', 'interaction'].includes(eventType)) return; // do not allow unknown eventType
         stats[formId][eventType] = (stats[formId][eventType] || 0) + 1;
+        if (eventType === 'submission' && SUBMISSION_OUTCOMES.includes(outcome)) {
+            stats[formId].outcomes = stats[formId].outcomes || { accepted: 0, rejected: 0, unknown: 0 };
+            stats[formId].outcomes[outcome] += 1;
+        }
         stats[formId].lastEvent = new Date().toISOString();
         try {
             await fs.promises.writeFile(STATS_DB, JSON.stringify(stats, null, 2), 'utf8');
@@ -131,7 +148,7 @@ async function logSubmissionEvent(eventData) {
         return;
     }
     await logToFile(ANALYTICS_LOG, { type: 'submission', ...cleanedData });
-    await aggregateStatUpdate('submission', cleanedData.formId);
+    await aggregateStatUpdate('submission', cleanedData.formId, cleanedData.outcome);
 }
 
 async function trackFormInteraction(formId, data = {}) {
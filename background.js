@@ -1,6 +1,23 @@
 const SESSION_SYNC_INTERVAL_MINUTES = 15;
 let currentUser = null;
 let currentSessionId = null;
+// Frames whose content script reported forms: tabId -> Map(frameId -> { url, topFrame, forms })
+const tabFrames = new Map();
+// Fields a content script could not fill (no widget adapter, or the adapter failed): tabId -> reports
+const unsupportedWidgets = new Map();
+// Strategy each mapped field was found by, per frame and mapping: tabId -> reports
+const resolvedLocators = new Map();
+// Mappings applied at low fingerprint confidence, shown as a warning on the tab: tabId -> reports
+const lowConfidenceMappings = new Map();
+// Latest classified submission outcome per tab: tabId -> { url, formId, outcome, evidence, at }
+const submissionOutcomes = new Map();
+// Batch worker channel to the Form Master server (settings in chrome.storage.local 'batchWorker':
+// { url, token }); rows it sends are filled in background tabs
+const BATCH_ROW_TIMEOUT_MS = 90000;
+const BATCH_RECONNECT_DELAY_MS = 30000;
+let batchSocket = null;
+// Tabs filling a batch row whose content script started submitting it: tabId -> true
+const submittingBatchTabs = new Map();
 
 // Initializes core background event listeners and state
 function initBackgroundEvents() {
@@ -8,6 +25,15 @@ function initBackgroundEvents() {
     chrome.runtime.onStartup.addListener(handleExtensionStartup);
     chrome.runtime.onInstalled.addListener(handleExtensionStartup);
     chrome.alarms.onAlarm.addListener(onAlarmTriggered);
+    chrome.tabs.onRemoved.addListener(tabId => {
+        tabFrames.delete(tabId);
+        unsupportedWidgets.delete(tabId);
+        resolvedLocators.delete(tabId);
+        lowConfidenceMappings.delete(tabId);
+        submissionOutcomes.delete(tabId);
+        submittingBatchTabs.delete(tabId);
+    });
+    chrome.webNavigation.onCommitted.addListener(forgetNavigatedFrame);
 
     // Set periodic session sync alarm
     chrome.alarms.create('syncSession', { periodInMinutes: SESSION_SYNC_INTERVAL_MINUTES });
@@ -17,6 +43,9 @@ function initBackgroundEvents() {
         if (area === 'local' && changes.user) {
             handleAuthStateChange(changes.user.newValue);
         }
+        if (area === 'local' && changes.batchWorker && batchSocket) {
+            batchSocket.close();
+        }
     });
 }
 
@@ -31,6 +60,7 @@ function handleExtensionStartup(details) {
             syncSessionWithServer(result.sessionId);
         }
     });
+    connectBatchChannel();
 }
 
 // Handles authentication state changes
@@ -103,6 +133,56 @@ function registerMessageListeners() {
                 case 'AUTOMATION_REQUEST':
                     processAutomationRequest(msg.request, sender, sendResponse);
                     return true; // Async
+                case 'forms-detected':
+                    recordFrameForms(msg, sender);
+                    sendResponse({ ack: true });
+                    break;
+                case 'unsupported-widgets':
+                    recordUnsupportedWidgets(msg, sender);
+                    sendResponse({ ack: true });
+                    break;
+                case 'locators-resolved':
+                    recordResolvedLocators(msg, sender);
+                    sendResponse({ ack: true });
+                    break;
+                case 'GET_RESOLVED_LOCATORS':
+                    sendResponse({ reports: resolvedLocators.get(msg.tabId) || [] });
+                    break;
+                case 'mapping-low-confidence':
+                    recordLowConfidenceMapping(msg, sender);
+                    sendResponse({ ack: true });
+                    break;
+                case 'GET_LOW_CONFIDENCE_MAPPINGS':
+                    sendResponse({ mappings: lowConfidenceMappings.get(msg.tabId) || [] });
+                    break;
+                case 'SAVE_MAPPING':
+                    saveMappingInFrame(msg, sendResponse);
+                    return true; // Async
+                case 'submission-outcome':
+                    if (sender && sender.tab) {
+                        submissionOutcomes.set(sender.tab.id, {
+                            url: msg.url,
+                            formId: msg.formId,
+                            outcome: msg.outcome,
+                            evidence: msg.evidence || [],
+                            at: Date.now()
+                        });
+                    }
+                    sendResponse({ ack: true });
+                    break;
+                case 'GET_SUBMISSION_OUTCOME':
+                    sendResponse({ outcome: submissionOutcomes.get(msg.tabId) || null });
+                    break;
+                case 'batch-row-submitting':
+                    if (sender && sender.tab) submittingBatchTabs.set(sender.tab.id, true);
+                    sendResponse({ ack: true });
+                    break;
+                case 'GET_UNSUPPORTED_WIDGETS':
+                    sendResponse({ fields: unsupportedWidgets.get(msg.tabId) || [] });
+                    break;
+                case 'FILL_FORMS':
+                    fillFormsInFrames(msg, sendResponse);
+                    return true; // Async
                 default:
                     // Unknown message type
                     sendResponse({ error: 'Unknown message type' });
@@ -135,6 +215,207 @@ function processAutomationRequest(request, sender, sendResponse) {
     });
 }
 
+// Remembers which frames of a tab have forms (reported by each frame's content script)
+function recordFrameForms(msg, sender) {
+    if (!sender || !sender.tab) return;
+    const tabId = sender.tab.id;
+    if (!tabFrames.has(tabId)) tabFrames.set(tabId, new Map());
+    tabFrames.get(tabId).set(sender.frameId || 0, {
+        url: msg.frameUrl || sender.url,
+        topFrame: !!msg.topFrame,
+        forms: msg.forms || []
+    });
+}
+
+// Keeps the latest unfillable-widget report per frame so the popup can point users at them
+function recordUnsupportedWidgets(msg, sender) {
+    if (!sender || !sender.tab) return;
+    const tabId = sender.tab.id;
+    const frameId = sender.frameId || 0;
+    const reports = (unsupportedWidgets.get(tabId) || []).filter(r => r.frameId !== frameId || r.mappingKey !== msg.mappingKey);
+    reports.push({ frameId, url: msg.url, mappingKey: msg.mappingKey, fields: msg.fields || [] });
+    unsupportedWidgets.set(tabId, reports);
+    console.warn(`[FormMaster] ${(msg.fields || []).length} field(s) could not be filled on ${msg.url}`, msg.fields);
+}
+
+// Keeps the latest locator report per frame and mapping: which strategy found each field and
+// which saved locators were stale (the content script repairs those itself)
+function recordResolvedLocators(msg, sender) {
+    if (!sender || !sender.tab) return;
+    const tabId = sender.tab.id;
+    const frameId = sender.frameId || 0;
+    const fields = msg.fields || [];
+    const reports = (resolvedLocators.get(tabId) || []).filter(r => r.frameId !== frameId || r.mappingKey !== msg.mappingKey);
+    reports.push({ frameId, url: msg.url, mappingKey: msg.mappingKey, fields });
+    resolvedLocators.set(tabId, reports);
+    const stale = fields.filter(f => f.stale).map(f => f.key);
+    if (stale.length) console.warn(`[FormMaster] ${stale.length} stale locator(s) for mapping "${msg.mappingKey}" on ${msg.url}`, stale);
+}
+
+// Warns on the tab (badge and tooltip) that a saved mapping was applied to a form that only
+// looks like the one it was saved for, and keeps the report for the popup
+function recordLowConfidenceMapping(msg, sender) {
+    if (!sender || !sender.tab) return;
+    const tabId = sender.tab.id;
+    const reports = (lowConfidenceMappings.get(tabId) || []).filter(r => r.mappingKey !== msg.mappingKey || r.formId !== msg.formId);
+    reports.push({ frameId: sender.frameId || 0, url: msg.url, formId: msg.formId, mappingKey: msg.mappingKey, confidence: msg.confidence, breakdown: msg.breakdown || null });
+    lowConfidenceMappings.set(tabId, reports);
+    const percent = Math.round((msg.confidence || 0) * 100);
+    chrome.action.setBadgeBackgroundColor({ tabId, color: '#f5a623' });
+    chrome.action.setBadgeText({ tabId, text: '!' });
+    chrome.action.setTitle({ tabId, title: `Mapping "${msg.mappingKey}" applied at ${percent}% confidence - check the filled fields` });
+    console.warn(`[FormMaster] Mapping "${msg.mappingKey}" applied to ${msg.formId} at low confidence (${msg.confidence}) on ${msg.url}`, msg.breakdown);
+}
+
+// Saves a mapping for a form in a tab's frame (msg.frameId, default the top frame); the
+// content script stores it with the form's fingerprint. msg: { tabId, frameId, formId,
+// mappingKey, fields }
+function saveMappingInFrame(msg, sendResponse) {
+    const saveMessage = { type: 'save-mapping', formId: msg.formId, mappingKey: msg.mappingKey, fields: msg.fields };
+    chrome.tabs.sendMessage(msg.tabId, saveMessage, { frameId: msg.frameId || 0 }, response => {
+        if (chrome.runtime.lastError) {
+            sendResponse({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+            sendResponse({ success: !!response && response.status === 'saved', ...response });
+        }
+    });
+}
+
+// A frame that navigates loses its forms; a top-level navigation resets the whole tab
+function forgetNavigatedFrame(details) {
+    if (details.frameId === 0) {
+        tabFrames.delete(details.tabId);
+        unsupportedWidgets.delete(details.tabId);
+        resolvedLocators.delete(details.tabId);
+        if (lowConfidenceMappings.delete(details.tabId)) chrome.action.setBadgeText({ tabId: details.tabId, text: '' });
+    } else if (tabFrames.has(details.tabId)) {
+        tabFrames.get(details.tabId).delete(details.frameId);
+    }
+}
+
+// Sends a fill request to the frames of a tab that have forms (or to msg.frameId only)
+// and responds with each frame's result
+function fillFormsInFrames(msg, sendResponse) {
+    const frames = tabFrames.get(msg.tabId) || new Map();
+    const frameIds = msg.frameId !== undefined
+        ? [msg.frameId]
+        : (frames.size ? [...frames.keys()] : [0]);
+    const fillMessage = { type: 'fill-form', mappings: msg.mappings, traverseSteps: msg.traverseSteps, row: msg.row };
+    Promise.all(frameIds.map(frameId => new Promise(resolve => {
+        chrome.tabs.sendMessage(msg.tabId, fillMessage, { frameId }, response => {
+            const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : null;
+            resolve({ frameId, url: frames.has(frameId) ? frames.get(frameId).url : null, response, error });
+        });
+    })))
+    .then(results => sendResponse({ success: results.some(r => !r.error), frames: results }));
+}
+
+// Registers this extension as a batch worker with the server and fills the rows it sends.
+// Reconnects after the socket closes; without a configured url and token it stays idle.
+function connectBatchChannel() {
+    chrome.storage.local.get(['batchWorker'], (result) => {
+        const worker = result.batchWorker;
+        if (batchSocket || !worker || !worker.url || !worker.token) return;
+        const socket = new WebSocket(worker.url);
+        batchSocket = socket;
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ type: 'extension_register', payload: { token: worker.token } }));
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+            if (message.type !== 'batch_row' || !message.data) return;
+            const { requestId, job } = message.data;
+            runBatchRow(job).then(result => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ type: 'batch_row_result', payload: { requestId, result } }));
+                }
+            });
+        };
+        socket.onclose = () => {
+            if (batchSocket === socket) batchSocket = null;
+            setTimeout(connectBatchChannel, BATCH_RECONNECT_DELAY_MS);
+        };
+    });
+}
+
+// Fills and submits one batch row ({ url, formData, outcomePatterns }) in an inactive tab and
+// resolves to the content script's report ({ submitted, reason, verification, outcome, timings }).
+// A row whose page unloaded mid-submit is reported as submitted with the outcome the tab
+// recorded, or an unknown one.
+function runBatchRow(job) {
+    const startedAt = Date.now();
+    return new Promise(resolve => {
+        chrome.tabs.create({ url: job.url, active: false }, tab => {
+            let settled = false;
+            let timer = null;
+            const finish = (report) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                chrome.tabs.onUpdated.removeListener(onUpdated);
+                submittingBatchTabs.delete(tab.id);
+                // The page the row ended on, for failure reports
+                chrome.tabs.get(tab.id, current => {
+                    const pageUrl = (!chrome.runtime.lastError && current && current.url) || job.url;
+                    chrome.tabs.remove(tab.id, () => void chrome.runtime.lastError);
+                    const finishedAt = Date.now();
+                    resolve({ ...report, pageUrl, timings: { startedAt, finishedAt, durationMs: finishedAt - startedAt } });
+                });
+            };
+            const unanswered = (reason) => {
+                if (!submittingBatchTabs.has(tab.id)) return finish({ submitted: false, reason });
+                const recorded = submissionOutcomes.get(tab.id);
+                finish({
+                    submitted: true,
+                    reason,
+                    outcome: recorded
+                        ? { outcome: recorded.outcome, evidence: recorded.evidence }
+                        : { outcome: 'unknown', evidence: [] }
+                });
+            };
+            const onUpdated = (tabId, info) => {
+                if (tabId !== tab.id || info.status !== 'complete') return;
+                chrome.tabs.onUpdated.removeListener(onUpdated);
+                const fillMessage = { type: 'fill-row', formData: job.formData, outcomePatterns: job.outcomePatterns, dryRun: !!job.dryRun };
+                findRowFrame(tab.id, job.formData).then(frameId => {
+                    chrome.tabs.sendMessage(tab.id, fillMessage, { frameId }, response => {
+                        if (chrome.runtime.lastError || !response) {
+                            unanswered(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response from the page');
+                        } else {
+                            finish(response);
+                        }
+                    });
+                });
+            };
+            timer = setTimeout(() => unanswered('Timed out filling the row'), BATCH_ROW_TIMEOUT_MS);
+            chrome.tabs.onUpdated.addListener(onUpdated);
+        });
+    });
+}
+
+// The frame of a tab whose form has the most of a row's fields (asked with 'match-row'), so
+// rows for forms embedded in iframes are filled there; the top frame when none has any
+function findRowFrame(tabId, formData) {
+    return new Promise(resolve => {
+        chrome.webNavigation.getAllFrames({ tabId }, frames => {
+            const frameIds = !chrome.runtime.lastError && frames ? frames.map(f => f.frameId) : [0];
+            Promise.all(frameIds.map(frameId => new Promise(done => {
+                chrome.tabs.sendMessage(tabId, { type: 'match-row', formData }, { frameId }, response => {
+                    done({ frameId, hits: (!chrome.runtime.lastError && response && response.hits) || 0 });
+                });
+            }))).then(results => {
+                const best = results.filter(r => r.hits > 0).sort((a, b) => b.hits - a.hits || a.frameId - b.frameId)[0];
+                resolve(best ? best.frameId : 0);
+            });
+        });
+    });
+}
+
 // Responds to triggered alarms
 function onAlarmTriggered(alarmInfo) {
     if (alarmInfo && alarmInfo.name === 'syncSession') {
@@ -0,0 +1,158 @@
+const { FormAutomator } = require('./node');
+const { transformRow } = require('./data-transforms');
+
+// Batch executors: how a batch row actually gets submitted.
+// An executor is { name, execute(job) => Promise<result>, close() (optional), supportsDryRun
+// (true if it honours job.dryRun) } where
+//   job:    { batchId, rowIndex, profile, row, mapping, formData (the row transformed through
+//             the mapping; built from row and mapping when absent), url, batchConfig, outcomePatterns,
+//             idempotencyKey (stable per batch run and row, for deduplicating submissions),
+//             dryRun, screenshotPath (dry runs: fill and verify only, screenshot to this path) }
+//   result: { status: 'submitted'|'failed'|'previewed', outcome, reason, verification, pageUrl,
+//             timings } plus filledFields, missingFields, unverifiedFields and screenshotPath
+//             for a dry run
+// and outcome is a classified submission outcome (see submission-outcome.js).
+// 'headless' drives Chromium through FormAutomator; 'extension' is registered by the server
+// once browser extensions can connect to it (see createExtensionExecutor).
+
+const DEFAULT_EXECUTOR = 'headless';
+const executors = new Map();
+
+function registerBatchExecutor(name, executor) {
+    if (!executor || typeof executor.execute !== 'function') {
+        throw new Error(`Batch executor "${name}" must implement execute(job)`);
+    }
+    executors.set(name, { name, ...executor });
+}
+
+function getBatchExecutor(name = DEFAULT_EXECUTOR) {
+    return executors.get(name) || null;
+}
+
+// Map a sheet row to form data. mapping is { formFieldName: columnName or field spec } (see
+// data-transforms.js); without a mapping the row's columns are used as field names. Columns
+// starting with "__", status write-back columns and options.excludeColumns are never filled.
+function buildFormData(row, mapping, options) {
+    return transformRow(row, mapping, options);
+}
+
+function jobFormData(job) {
+    const config = job.batchConfig || {};
+    return job.formData || buildFormData(job.row, job.mapping, { excludeColumns: [config.urlColumn] });
+}
+
+// Target page of a row: batchConfig.urlColumn (per-row URLs) or batchConfig.url
+function resolveJobUrl(job) {
+    const config = job.batchConfig || {};
+    return job.url || (config.urlColumn && job.row && job.row[config.urlColumn]) || config.url || null;
+}
+
+function toResult(report, timings) {
+    const result = {
+        status: report.submitted ? 'submitted' : report.dryRun && !report.reason ? 'previewed' : 'failed',
+        outcome: report.outcome || null,
+        reason: report.reason || null,
+        verification: report.verification || null,
+        pageUrl: report.pageUrl || null,
+        timings
+    };
+    if (report.dryRun) {
+        result.dryRun = true;
+        result.filledFields = report.filledFields || [];
+        result.missingFields = report.missingFields || [];
+        result.unverifiedFields = report.unverifiedFields || [];
+        result.screenshotPath = report.screenshotPath || null;
+    }
+    return result;
+}
+
+// Error for a result that was not submitted, with the result attached as err.result. Fields
+// that failed verification (not found, rejected by the browser or the site, values not kept)
+// fail the same way on every attempt, so such rows are not retried.
+function resultError(result, fallbackMessage) {
+    const err = new Error(result.reason || fallbackMessage);
+    err.result = result;
+    if (result.verification && result.verification.ok === false) err.transient = false;
+    return err;
+}
+
+// Headless Chromium through FormAutomator. The browser is launched on the first row and kept
+// for the following ones until close().
+// options: FormAutomator options ({ logFile, potFile, outcomePatterns }) and navigationTimeoutMs
+function createHeadlessExecutor(options = {}) {
+    let automator = null;
+    return {
+        supportsDryRun: true,
+        async execute(job) {
+            const url = resolveJobUrl(job);
+            const startedAt = Date.now();
+            if (!url) {
+                return toResult({ submitted: false, reason: 'No target URL for row' }, { startedAt, finishedAt: startedAt, durationMs: 0 });
+            }
+            automator = automator || new FormAutomator(options);
+            const report = await automator.submitRow(url, jobFormData(job), {
+                outcomePatterns: job.outcomePatterns,
+                navigationTimeoutMs: options.navigationTimeoutMs,
+                dryRun: !!job.dryRun,
+                screenshotPath: job.screenshotPath
+            });
+            return toResult(report, report.timings);
+        },
+        async close() {
+            if (automator) await automator.closeBrowser();
+        }
+    };
+}
+
+// Connected browser extensions. dispatch(job) sends a row to an extension and resolves to
+// its report ({ submitted, reason, verification, outcome, pageUrl }); the server provides it.
+// It rejects with err.dispatched set when the row reached an extension that then went away
+// or did not answer.
+function createExtensionExecutor({ dispatch }) {
+    if (typeof dispatch !== 'function') throw new Error('Extension executor needs a dispatch(job) function');
+    return {
+        supportsDryRun: true,
+        async execute(job) {
+            const url = resolveJobUrl(job);
+            const startedAt = Date.now();
+            let report;
+            if (!url) {
+                report = { submitted: false, reason: 'No target URL for row' };
+            } else {
+                try {
+                    report = await dispatch({
+                        batchId: job.batchId,
+                        rowIndex: job.rowIndex,
+                        idempotencyKey: job.idempotencyKey,
+                        profile: job.profile,
+                        url,
+                        formData: jobFormData(job),
+                        outcomePatterns: job.outcomePatterns,
+                        dryRun: !!job.dryRun
+                    });
+                } catch (err) {
+                    // Once an extension had the row (err.dispatched) it may have submitted it
+                    // before the failure: the outcome is unknown and the row is not sent again
+                    report = err.dispatched
+                        ? { submitted: true, reason: err.message, outcome: { outcome: 'unknown', evidence: [] } }
+                        : { submitted: false, reason: err.message };
+                }
+            }
+            const finishedAt = Date.now();
+            return toResult(report || {}, { ...(report && report.timings), startedAt, finishedAt, durationMs: finishedAt - startedAt });
+        }
+    };
+}
+
+registerBatchExecutor('headless', createHeadlessExecutor());
+
+module.exports = {
+    DEFAULT_EXECUTOR,
+    registerBatchExecutor,
+    getBatchExecutor,
+    createHeadlessExecutor,
+    createExtensionExecutor,
+    buildFormData,
+    resolveJobUrl,
+    resultError
+};
@@ -0,0 +1,72 @@
+const { specApplies, transformValue } = require('./data-transforms');
+
+// Dry-run reports: what a batch would do without submitting anything. Each row is mapped,
+// its form detected, filled and verified, and the executor stops before the submit (see
+// executeBatch's dryRun option). The report is
+//   { batchId, generatedAt, total, wouldSucceed, wouldFail, rows: [row report] }
+// with a row report
+//   { rowIndex, rowNumber, wouldSubmit, reason, missingValues, missingFields, unverifiedFields,
+//     invalidFields, filledFields, screenshotPath, pageUrl }
+// - missingValues: mapped form fields the row has no value for once transformed (nothing to fill)
+// - missingFields: fields with a value but no element on the form
+// - unverifiedFields: fields with a value that may be on a form step the dry run could not
+//   reach without submitting
+// - invalidFields: filled fields that failed verification, as [{ field, errors }]
+
+// Form fields a mapping ({ formField: column or field spec }, see data-transforms.js) has no
+// value for in this row. A field whose transform fails is not missing; the row's reason says why.
+// Neither is one whose when condition leaves it out for the row.
+function missingMappedValues(row, mapping) {
+    if (!mapping) return [];
+    return Object.entries(mapping)
+        .filter(([, spec]) => specApplies(row, spec))
+        .filter(([, spec]) => {
+            try {
+                return transformValue(row, spec) === '';
+            } catch (err) {
+                return false;
+            }
+        })
+        .map(([field]) => field);
+}
+
+// Report for one row from its executor result, or from the error it failed with
+function previewRowReport(row, rowIndex, mapping, settled) {
+    const result = settled.status === 'fulfilled' ? settled.value : settled.reason.result || null;
+    const verification = result && result.verification;
+    const invalidFields = verification && Array.isArray(verification.fields)
+        ? verification.fields.filter(f => !f.ok).map(f => ({ field: f.key, errors: f.errors || [] }))
+        : [];
+    const reason = settled.status === 'fulfilled' ? null : settled.reason.message;
+    return {
+        rowIndex,
+        rowNumber: row && row.__rowNumber ? row.__rowNumber : null,
+        wouldSubmit: settled.status === 'fulfilled' && result.status === 'previewed',
+        reason,
+        missingValues: missingMappedValues(row || {}, mapping),
+        missingFields: (result && result.missingFields) || [],
+        unverifiedFields: (result && result.unverifiedFields) || [],
+        invalidFields,
+        filledFields: (result && result.filledFields) || [],
+        screenshotPath: (result && result.screenshotPath) || null,
+        pageUrl: (result && result.pageUrl) || null
+    };
+}
+
+function buildPreviewReport(batchId, rowReports, generatedAt = Date.now()) {
+    const wouldSucceed = rowReports.filter(r => r.wouldSubmit).length;
+    return {
+        batchId,
+        generatedAt,
+        total: rowReports.length,
+        wouldSucceed,
+        wouldFail: rowReports.length - wouldSucceed,
+        rows: rowReports
+    };
+}
+
+module.exports = {
+    missingMappedValues,
+    previewRowReport,
+    buildPreviewReport
+};
@@ -1,15 +1,55 @@
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const { logSubmissionEvent } = require('./analytics');
+const { DEFAULT_EXECUTOR, getBatchExecutor, resolveJobUrl, resultError } = require('./batch-executors');
+const { resolveBatchSettings, loadAutomationConfig } = require('./batch-settings');
+const { runWorkerPool } = require('./worker-pool');
+const { rateLimiter, rateLimitKey } = require('./rate-limiter');
+const { normalizeSchedule, computeNextRunAt, nextRunWindowStart, createBatchScheduler } = require('./batch-scheduler');
+const { resolveRetryPolicy, retryDelay, classifyError } = require('./retry-policy');
+const {
+    FAILURES_TAB,
+    fieldDiagnosticsOf,
+    toFailureSheet,
+    fromFailureSheet,
+    deadLetterQueue
+} = require('./dead-letter-queue');
+const sheetsConnector = require('./google-sheets-connector');
+const { createStatusWriter, extractConfirmationId } = require('./sheet-status');
+const { previewRowReport, buildPreviewReport } = require('./batch-preview');
+const { transformRow } = require('./data-transforms');
+const { validateRow, validateRows, describeErrors, columnDiagnostics } = require('./row-validation');
 
 // In-memory batch state and progress tracking
 const batches = new Map();
+// Runs kept in a recurring batch's runHistory
+const MAX_RUN_HISTORY = 20;
+// Why a batch can be paused with rows held back; it resumes by itself once no row is held
+const HOLD_REASONS = ['rate-limit', 'run-window'];
+// Batches running in this process (the others marked running were interrupted)
+const activeBatches = new Set();
+// Pause/cancel plumbing of active batches: batchId -> { waiters, cancellation, cancel }
+const batchControls = new Map();
+// Status write-back to the source spreadsheet (see sheet-status.js): batchId -> writer, and
+// the connectors callers passed to executeBatch (else the shared connector is used)
+const statusWriters = new Map();
+const statusConnectors = new Map();
+// Sheets watched for new rows (see watchSheetForNewRows): watchId -> watch
+const sheetWatches = new Map();
 const BATCH_STATE_FILE = path.resolve(__dirname, 'batch-state.json');
+// Dry-run screenshots, one directory per batch
+const DRY_RUN_DIR = path.resolve(__dirname, 'dry-runs');
 
+// Written to a temporary file and renamed over the state file, so a crash mid-write never
+// leaves a truncated batch-state.json behind
 function persistBatchState() {
+    const tmpFile = `${BATCH_STATE_FILE}.tmp`;
     try {
-        fs.writeFileSync(BATCH_STATE_FILE, JSON.stringify([...batches.entries()]), 'utf-8');
+        fs.writeFileSync(tmpFile, JSON.stringify([...batches.entries()]), 'utf-8');
+        fs.renameSync(tmpFile, BATCH_STATE_FILE);
     } catch (err) {
         console.error('Failed to persist batch state:', err);
     }
@@ -34,109 +74,676 @@ loadBatchState();
 class BatchEventEmitter extends EventEmitter {}
 const batchEmitter = new BatchEventEmitter();
 
+// batchConfig.schedule makes the batch run by itself (see batch-scheduler.js for the
+// schedule format; an invalid schedule throws). Without one the batch waits for executeBatch.
 function scheduleBatchRun(profile, batchConfig) {
+    const schedule = batchConfig && batchConfig.schedule ? normalizeSchedule(batchConfig.schedule) : null;
     const batchId = uuidv4();
     const batch = {
         id: batchId,
         profile,
         batchConfig,
         inputRows: [],
+        checkpoints: [],
         status: 'scheduled',
-        progress: { total: 0, processed: 0, failed: 0, succeeded: 0 },
+        progress: { total: 0, processed: 0, failed: 0, succeeded: 0, unknown: 0 },
         createdAt: Date.now(),
         updatedAt: Date.now(),
         logs: [],
         summary: null,
         failures: [],
-        retries: []
+        retries: [],
+        schedule,
+        nextRunAt: schedule ? computeNextRunAt(schedule, Date.now(), 0) : null,
+        runsCompleted: 0,
+        runHistory: []
     };
     batches.set(batchId, batch);
     persistBatchState();
-    logBatchEvent(batchId, 'scheduled', { profile, batchConfig });
+    logBatchEvent(batchId, 'scheduled', { profile, batchConfig, nextRunAt: batch.nextRunAt });
     return batchId;
 }
 
-async function executeBatch(profile, inputRows) {
-    // Find the scheduled batch for this profile
-    const batchEntry = [...batches.values()].find(
-        b => b.profile === profile && b.status === 'scheduled'
-    );
-    if (!batchEntry) throw new Error(i18n('No scheduled batch for this profile.'));
+// options.batchId runs that batch; otherwise the profile's scheduled batch that is not waiting
+// for a later scheduled run
+// options: { batchId, connector, dryRun } - connector: an initialized google-sheets-connector
+// for the status write-back of a batch with batchConfig.statusSheet (rows from
+// importBatchProfiles); dryRun: preview the rows instead (see previewBatch)
+async function executeBatch(profile, inputRows, options = {}) {
+    const batchEntry = options.batchId
+        ? batches.get(options.batchId)
+        : [...batches.values()].find(
+            b => b.profile === profile && b.status === 'scheduled' && !(b.nextRunAt > Date.now())
+        );
+    if (!batchEntry || batchEntry.status !== 'scheduled') throw new Error(i18n('No scheduled batch for this profile.'));
+    if (options.dryRun) return previewBatch(batchEntry, inputRows);
 
+    if (options.connector) statusConnectors.set(batchEntry.id, options.connector);
     batchEntry.inputRows = inputRows;
+    batchEntry.checkpoints = createCheckpoints(batchEntry, inputRows);
     batchEntry.progress.total = inputRows.length;
+    await quarantineInvalidRows(batchEntry);
     batchEntry.status = 'running';
     batchEntry.updatedAt = Date.now();
     persistBatchState();
+    return runBatch(batchEntry, 'started');
+}
 
-    batchEmitter.emit('batchStarted', batchEntry.id);
-    logBatchEvent(batchEntry.id, 'started', { total: inputRows.length });
-    const results = [];
-    const failures = [];
-    for (const [idx, row] of inputRows.entries()) {
-        try {
-            // Simulate form processing:
-            const result = await processForm(batchEntry.profile, row);
-            results.push(result);
-            batchEntry.progress.succeeded += 1;
-        } catch (err) {
-            failures.push({ row, profile: batchEntry.profile, error: err.message, attempt: 1 });
-            batchEntry.progress.failed += 1;
-            logBatchEvent(batchEntry.id, 'rowFailure', { idx, error: err.message, row });
+// Dry run (see batch-preview.js): every row is mapped, filled and verified but not submitted,
+// with a screenshot of the filled form in the headless executor. Nothing is rate limited,
+// checkpointed or written back, and the batch stays scheduled; its last report is kept as
+// batch.dryRunReport. Resolves to the report.
+async function previewBatch(batchEntry, inputRows) {
+    const executor = batchExecutor(batchEntry);
+    if (!executor.supportsDryRun) throw new Error(i18n('Batch executor does not support dry runs') + ': ' + executor.name);
+    const settings = await resolveBatchSettings(batchEntry.profile, batchEntry.batchConfig || {});
+    const config = batchEntry.batchConfig || {};
+    logBatchEvent(batchEntry.id, 'dryRunStarted', { rows: inputRows.length });
+    let settledRows;
+    try {
+        settledRows = await runWorkerPool(inputRows, (row, idx) => previewRow(batchEntry, settings, row, idx), {
+            concurrency: settings.concurrency
+        });
+    } finally {
+        await closeExecutor(batchEntry);
+    }
+    const report = buildPreviewReport(batchEntry.id, settledRows.map((settled, idx) =>
+        previewRowReport(inputRows[idx], idx, config.mapping, settled)));
+    batchEntry.dryRunReport = report;
+    batchEntry.updatedAt = Date.now();
+    persistBatchState();
+    const summary = { total: report.total, wouldSucceed: report.wouldSucceed, wouldFail: report.wouldFail };
+    logBatchEvent(batchEntry.id, 'dryRunCompleted', summary);
+    batchEmitter.emit('batchPreviewed', batchEntry.id, summary);
+    return report;
+}
+
+async function previewRow(batch, settings, row, rowIndex) {
+    const errors = validateRow(row, settings.validation);
+    if (errors.length) throw new Error(i18n('Row failed validation') + ': ' + describeErrors(errors));
+    const job = {
+        ...buildJob({ ...batch, settings }, row, rowIndex, null),
+        dryRun: true,
+        screenshotPath: path.join(DRY_RUN_DIR, batch.id, `row-${rowIndex + 1}.png`)
+    };
+    const result = await batchExecutor(batch).execute(job);
+    if (result.status !== 'previewed') {
+        const err = new Error(result.reason || i18n('Form could not be filled'));
+        err.result = result;
+        throw err;
+    }
+    return result;
+}
+
+// Check every row against the profile's validation schema (see row-validation.js) before any
+// row is submitted. Invalid rows are quarantined: never submitted, their cell errors kept on
+// the checkpoint, written back to the sheet and put in the dead-letter queue, where they can
+// be fixed in the Failures tab and re-queued.
+async function quarantineInvalidRows(batchEntry) {
+    const settings = await resolveBatchSettings(batchEntry.profile, batchEntry.batchConfig || {});
+    if (!settings.validation) return;
+    const { quarantined } = validateRows(batchEntry.inputRows, settings.validation);
+    if (!quarantined.length) return;
+    const now = Date.now();
+    for (const { rowIndex, errors } of quarantined) {
+        const checkpoint = batchEntry.checkpoints[rowIndex];
+        checkpoint.state = 'quarantined';
+        checkpoint.error = i18n('Row failed validation') + ': ' + describeErrors(errors);
+        checkpoint.validationErrors = errors;
+        checkpoint.fieldDiagnostics = columnDiagnostics(errors);
+        checkpoint.updatedAt = now;
+        recordRowStatus(batchEntry, rowIndex);
+    }
+    batchEntry.progress.quarantined = quarantined.length;
+    batchEntry.progress.processed += quarantined.length;
+    deadLetterQueue.add(quarantined.map(({ rowIndex }) => ({
+        row: batchEntry.inputRows[rowIndex],
+        profile: batchEntry.profile,
+        batchId: batchEntry.id,
+        rowIndex,
+        error: batchEntry.checkpoints[rowIndex].error,
+        errorClass: 'invalid',
+        fieldDiagnostics: batchEntry.checkpoints[rowIndex].fieldDiagnostics,
+        pageUrl: null,
+        failedAt: now,
+        attempt: 0
+    })));
+    logBatchEvent(batchEntry.id, 'rowsQuarantined', {
+        count: quarantined.length,
+        rows: quarantined.map(q => ({ idx: q.rowIndex, rowNumber: q.rowNumber, errors: q.errors }))
+    });
+    batchEmitter.emit('rowsQuarantined', batchEntry.id, { count: quarantined.length });
+}
+
+// Run the pending rows of a running batch, then finish it
+async function runBatch(batchEntry, event) {
+    activeBatches.add(batchEntry.id);
+    const control = { waiters: [] };
+    control.cancellation = new Promise(resolve => { control.cancel = resolve; });
+    batchControls.set(batchEntry.id, control);
+    try {
+        batchEntry.settings = await resolveBatchSettings(batchEntry.profile, batchEntry.batchConfig || {});
+        batchEntry.concurrency = { limit: batchEntry.settings.concurrency, max: batchEntry.settings.concurrency };
+        batchEntry.startedAt = batchEntry.startedAt || Date.now();
+        batchEntry.pace = { since: Date.now(), processed: batchEntry.progress.processed };
+        batchEntry.heldRows = 0;
+        const pending = pendingRowIndexes(batchEntry);
+        batchEntry.pendingByRateKey = countRowsByRateKey(batchEntry, pending.map(idx => batchEntry.inputRows[idx]));
+        batchEntry.progress.projectedFinishAt = projectBatchFinish(batchEntry);
+
+        batchEmitter.emit(event === 'started' ? 'batchStarted' : 'batchResumed', batchEntry.id);
+        logBatchEvent(batchEntry.id, event, { total: batchEntry.inputRows.length, pending: pending.length, concurrency: batchEntry.settings.concurrency });
+        // Rows run in parallel up to the batch's concurrency; each row's bookkeeping happens in
+        // one synchronous step as it settles, so progress counts never interleave
+        const settledRows = await runWorkerPool(pending, idx => submitBatchRow(batchEntry, idx), {
+            concurrency: batchEntry.settings.concurrency,
+            isError: settled => settled.status === 'rejected' || outcomeOf(settled.value) === 'rejected',
+            onConcurrencyChange: (limit, errorRate) => {
+                batchEntry.concurrency.limit = limit;
+                logBatchEvent(batchEntry.id, 'concurrencyChanged', { limit, errorRate });
+            },
+            onSettled: (settled, n) => recordRowResult(batchEntry, pending[n], settled)
+        });
+        const results = settledRows.filter(s => s.status === 'fulfilled' && s.value).map(s => s.value);
+        return await finishBatch(batchEntry, results);
+    } finally {
+        activeBatches.delete(batchEntry.id);
+        batchControls.delete(batchEntry.id);
+    }
+}
+
+function recordRowResult(batchEntry, idx, settled) {
+    const checkpoint = batchEntry.checkpoints[idx];
+    // Not pending, or stopped by a cancellation before it was submitted: left untouched
+    if (settled.status === 'fulfilled' ? !settled.value : settled.reason.cancelled) return;
+    settleCheckpoint(checkpoint, settled);
+    recordRowStatus(batchEntry, idx);
+    if (checkpoint.state === 'succeeded') {
+        batchEntry.progress.succeeded += 1;
+    } else if (checkpoint.state === 'unknown') {
+        batchEntry.progress.unknown = (batchEntry.progress.unknown || 0) + 1;
+        logBatchEvent(batchEntry.id, 'rowOutcomeUnknown', { idx, evidence: checkpoint.outcome ? checkpoint.outcome.evidence : [] });
+    } else {
+        batchEntry.progress.failed += 1;
+        if (settled.status === 'fulfilled') {
+            logBatchEvent(batchEntry.id, 'rowRejected', { idx, error: checkpoint.error, evidence: checkpoint.outcome.evidence });
+        } else {
+            const err = settled.reason;
+            logBatchEvent(batchEntry.id, 'rowFailure', { idx, error: err.message, row: batchEntry.inputRows[idx], timings: err.result && err.result.timings });
         }
-        batchEntry.progress.processed += 1;
-        batchEntry.updatedAt = Date.now();
-        persistBatchState();
-        batchEmitter.emit('progress', batchEntry.id, { ...batchEntry.progress });
     }
+    batchEntry.progress.processed += 1;
+    batchEntry.progress.projectedFinishAt = projectBatchFinish(batchEntry);
+    batchEntry.updatedAt = Date.now();
+    persistBatchState();
+    batchEmitter.emit('progress', batchEntry.id, { ...batchEntry.progress });
+}
+
+async function finishBatch(batchEntry, results) {
+    const cancelled = batchEntry.status === 'cancelling';
+    if (cancelled) {
+        for (const checkpoint of batchEntry.checkpoints) {
+            if (checkpoint.state !== 'pending') continue;
+            checkpoint.state = 'cancelled';
+            checkpoint.updatedAt = Date.now();
+            batchEntry.progress.cancelled = (batchEntry.progress.cancelled || 0) + 1;
+            recordRowStatus(batchEntry, batchEntry.checkpoints.indexOf(checkpoint));
+        }
+    }
+    const failures = failuresOf(batchEntry);
     batchEntry.failures = failures;
-    batchEntry.status = failures.length === 0 ? 'completed' : 'failed';
+    // Rows that are not retried (permanent failures, and rows that may have been submitted) go
+    // to the dead-letter queue now; the others once retryFailedSubmissions gives up on them
+    const policy = retryPolicyOf(batchEntry);
+    deadLetterQueue.add(failures.filter(f => f.errorClass !== 'transient' || f.attempt >= policy.maxAttempts));
+    batchEntry.status = cancelled ? 'cancelled' : failures.length === 0 ? 'completed' : 'failed';
     batchEntry.updatedAt = Date.now();
     batchEntry.summary = {
-        total: inputRows.length,
+        total: batchEntry.inputRows.length,
         succeeded: batchEntry.progress.succeeded,
         failed: batchEntry.progress.failed,
+        unknown: batchEntry.progress.unknown || 0,
+        cancelled: batchEntry.progress.cancelled || 0,
+        quarantined: batchEntry.progress.quarantined || 0,
         completedAt: Date.now()
     };
+    if (cancelled) batchEntry.nextRunAt = null;
     persistBatchState();
-    logBatchEvent(batchEntry.id, 'completed', batchEntry.summary);
-    batchEmitter.emit('batchCompleted', batchEntry.id, batchEntry.summary);
+    await closeExecutor(batchEntry);
+    await flushRowStatuses(batchEntry);
+    logBatchEvent(batchEntry.id, batchEntry.status, batchEntry.summary);
+    if (cancelled) {
+        batchEmitter.emit('batchCancelled', batchEntry.id, batchEntry.summary);
+    } else {
+        batchEmitter.emit('batchCompleted', batchEntry.id, batchEntry.summary);
+        scheduleNextRun(batchEntry, { status: batchEntry.status, startedAt: batchEntry.startedAt, ...batchEntry.summary });
+    }
     return { batchId: batchEntry.id, results, failures: batchEntry.failures };
 }
 
-async function retryFailedSubmissions(failures, retryPolicy) {
-    const maxAttempts = retryPolicy.maxAttempts || 3;
-    const retryDelay = retryPolicy.retryDelayMs || 1000;
+// ---- Pause, resume and cancel ----
+// Cooperative: rows check in before they start and again right before they are submitted
+// (see passRowGate); rows already being submitted finish. Each change emits a batchEmitter event.
+
+function requireBatch(batchId) {
+    const batch = batches.get(batchId);
+    if (!batch) throw new Error(i18n('Unknown batch') + ': ' + batchId);
+    return batch;
+}
+
+function isManuallyPaused(batch) {
+    return batch.status === 'paused' && batch.pauseReason === 'manual';
+}
+
+// Running batches stop starting rows until resumeBatch
+function pauseBatch(batchId) {
+    const batch = requireBatch(batchId);
+    if (!['running', 'paused'].includes(batch.status) || isManuallyPaused(batch)) {
+        throw new Error(i18n('Only a running batch can be paused'));
+    }
+    batch.status = 'paused';
+    batch.pauseReason = 'manual';
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    logBatchEvent(batch.id, 'paused', { reason: 'manual' });
+    batchEmitter.emit('batchPaused', batch.id, { reason: 'manual' });
+    return { batchId: batch.id, status: batch.status, progress: { ...batch.progress } };
+}
+
+// A batch paused in this process picks up its waiting rows; one paused before a restart is
+// resumed like an interrupted batch
+function resumeBatch(batchId) {
+    const batch = requireBatch(batchId);
+    if (!isManuallyPaused(batch)) throw new Error(i18n('Only a paused batch can be resumed'));
+    if (!activeBatches.has(batch.id)) {
+        resumeInterruptedBatch(batch);
+        return { batchId: batch.id, status: batch.status, progress: { ...batch.progress } };
+    }
+    batch.status = 'running';
+    batch.pauseReason = null;
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    logBatchEvent(batch.id, 'resumed', { reason: 'manual' });
+    batchEmitter.emit('batchResumed', batch.id);
+    batchControls.get(batch.id).waiters.splice(0).forEach(wake => wake());
+    return { batchId: batch.id, status: batch.status, progress: { ...batch.progress } };
+}
+
+// Scheduled batches are called off; running ones stop starting rows, let the rows being
+// submitted finish, and end as 'cancelled' with their other rows left unsubmitted
+function cancelBatch(batchId) {
+    const batch = requireBatch(batchId);
+    if (batch.status === 'scheduled') {
+        batch.status = 'cancelled';
+        batch.nextRunAt = null;
+        batch.updatedAt = Date.now();
+        persistBatchState();
+        logBatchEvent(batch.id, 'cancelled', { scheduled: true });
+        batchEmitter.emit('batchCancelled', batch.id, batch.summary);
+        return { batchId: batch.id, status: batch.status, progress: { ...batch.progress } };
+    }
+    if (!['running', 'paused'].includes(batch.status)) throw new Error(i18n('Only a scheduled, running or paused batch can be cancelled'));
+    batch.status = 'cancelling';
+    batch.pauseReason = null;
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    logBatchEvent(batch.id, 'cancelling', {});
+    batchEmitter.emit('batchCancelling', batch.id);
+    const control = batchControls.get(batch.id);
+    if (control) {
+        control.cancel();
+        control.waiters.splice(0).forEach(wake => wake());
+    } else {
+        // Paused before a restart: nothing is running, so finish it here
+        finishBatch(batch, []).catch(err => logBatchEvent(batch.id, 'cancelFailure', { error: err.message }));
+    }
+    return { batchId: batch.id, status: batch.status, progress: { ...batch.progress } };
+}
+
+// Resolves true when a row may go ahead: waits while the batch is paused by hand, and
+// resolves false once the batch is being cancelled
+async function passRowGate(batch) {
+    const control = batchControls.get(batch.id);
+    while (control && isManuallyPaused(batch)) {
+        await new Promise(resolve => control.waiters.push(resolve));
+    }
+    return batch.status !== 'cancelling';
+}
+
+// Sleep that a cancellation cuts short
+function holdFor(batch, ms) {
+    const control = batchControls.get(batch.id);
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        if (control) control.cancellation.then(() => { clearTimeout(timer); resolve(); });
+    });
+}
+
+// Batches that were running when the process stopped (found in batch-state.json on startup)
+// continue from their first unfinished row. A row that was in flight may already have been
+// submitted, so it is failed for review instead of being submitted again.
+// Batches stopped while being cancelled are finished as cancelled.
+// Resolves once the resumed batches have finished.
+async function resumeInterruptedBatches() {
+    const interrupted = [...batches.values()].filter(b =>
+        !activeBatches.has(b.id) &&
+        (['running', 'cancelling'].includes(b.status) || (b.status === 'paused' && HOLD_REASONS.includes(b.pauseReason))));
+    return Promise.all(interrupted.map(resumeInterruptedBatch));
+}
+
+async function resumeInterruptedBatch(batch) {
+    if (!Array.isArray(batch.checkpoints)) {
+        // Saved before rows had checkpoints: there is no telling which rows went out
+        batch.status = 'failed';
+        batch.updatedAt = Date.now();
+        persistBatchState();
+        logBatchEvent(batch.id, 'interrupted', { resumable: false });
+        return null;
+    }
+    for (const [idx, checkpoint] of batch.checkpoints.entries()) {
+        if (checkpoint.state !== 'in-flight') continue;
+        checkpoint.state = 'failed';
+        checkpoint.error = i18n('Interrupted while submitting; not resubmitted in case it went through');
+        checkpoint.updatedAt = Date.now();
+        batch.progress.failed += 1;
+        batch.progress.processed += 1;
+        recordRowStatus(batch, idx);
+        logBatchEvent(batch.id, 'rowInterrupted', { idx });
+    }
+    if (batch.status === 'cancelling') return finishBatch(batch, []);
+    batch.status = 'running';
+    batch.pauseReason = null;
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    try {
+        return await runBatch(batch, 'resumed');
+    } catch (err) {
+        logBatchEvent(batch.id, 'resumeFailure', { error: err.message });
+        return null;
+    }
+}
+
+// A batch with a schedule records the run and goes back to 'scheduled' while it has runs left
+function scheduleNextRun(batch, run) {
+    if (!batch.schedule) return;
+    batch.runsCompleted = (batch.runsCompleted || 0) + 1;
+    batch.runHistory = [...(batch.runHistory || []), run].slice(-MAX_RUN_HISTORY);
+    batch.nextRunAt = computeNextRunAt(batch.schedule, Date.now(), batch.runsCompleted);
+    if (batch.nextRunAt) {
+        batch.status = 'scheduled';
+        batch.inputRows = [];
+        batch.checkpoints = [];
+        batch.startedAt = null;
+        batch.progress = { total: 0, processed: 0, failed: 0, succeeded: 0, unknown: 0 };
+    }
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    logBatchEvent(batch.id, 'rescheduled', { runsCompleted: batch.runsCompleted, nextRunAt: batch.nextRunAt });
+    if (batch.nextRunAt) batchEmitter.emit('batchScheduled', batch.id, batch.nextRunAt);
+}
+
+// Batch list for the dashboard: status, progress and schedule of every batch
+function listBatches() {
+    return [...batches.values()].map(b => ({
+        id: b.id,
+        profile: b.profile,
+        status: b.status,
+        pauseReason: b.pauseReason || null,
+        progress: { ...b.progress },
+        schedule: b.schedule || null,
+        nextRunAt: b.nextRunAt || null,
+        runsCompleted: b.runsCompleted || 0,
+        runHistory: b.runHistory || [],
+        summary: b.summary,
+        createdAt: b.createdAt,
+        updatedAt: b.updatedAt
+    }));
+}
+
+let scheduler = null;
+
+// Start running scheduled batches when they are due. Batches come from batch-state.json, so
+// schedules survive restarts; a run missed while the server was down starts right away.
+// options: { loadRows(batch) => rows of the run (default: batchConfig.rows), intervalMs }
+function startBatchScheduler(options = {}) {
+    if (scheduler) return scheduler;
+    const loadRows = options.loadRows || (batch => (batch.batchConfig && batch.batchConfig.rows) || []);
+    scheduler = createBatchScheduler({
+        intervalMs: options.intervalMs,
+        listDue: now => [...batches.values()].filter(b => b.status === 'scheduled' && b.nextRunAt && b.nextRunAt <= now),
+        run: async batch => {
+            logBatchEvent(batch.id, 'scheduledRunDue', { nextRunAt: batch.nextRunAt });
+            const rows = await loadRows(batch);
+            await executeBatch(batch.profile, rows, { batchId: batch.id });
+        },
+        onError: (err, batch) => {
+            logBatchEvent(batch.id, 'scheduledRunFailure', { error: err.message });
+            // Rows could not be loaded: the run counts as failed, so a broken source does not
+            // retrigger it on every poll
+            if (batch.status === 'scheduled') {
+                scheduleNextRun(batch, { status: 'failed', error: err.message, startedAt: Date.now() });
+                if (!batch.nextRunAt) batch.status = 'failed';
+                persistBatchState();
+            }
+        }
+    });
+    scheduler.start();
+    return scheduler;
+}
+
+function stopBatchScheduler() {
+    if (scheduler) scheduler.stop();
+    scheduler = null;
+}
+
+// Retry failed rows (as returned by executeBatch) under a retry policy (see retry-policy.js;
+// retryPolicy overrides config.ini's max_retries/retry_delay_seconds). Only transient failures
+// are retried, with exponential backoff and jitter; permanent ones are handed back at once.
+// Resolves to { succeeded, failures } where each failure carries its errorClass. The rows it
+// gives up on go to the dead-letter queue.
+async function retryFailedSubmissions(failures, retryPolicy = {}) {
+    const policy = resolveRetryPolicy(retryPolicy, loadAutomationConfig().Automation);
     const finalResults = [];
     const newFailures = [];
+    const touchedBatches = new Map();
     for (const failure of failures) {
+        const batchId = failure.batchId || 'NA';
         let attempt = failure.attempt || 1;
         let lastError = failure.error;
+        let errorClass = classifyError(failure.error, failure.outcome);
+        let diagnostics = { fieldDiagnostics: failure.fieldDiagnostics || [], pageUrl: failure.pageUrl || null };
         let succeeded = false;
-        while (attempt <= maxAttempts && !succeeded) {
+        while (attempt < policy.maxAttempts && errorClass === 'transient' && !succeeded) {
+            const waitMs = retryDelay(policy, attempt);
+            logBatchEvent(batchId, 'retryScheduled', { idx: failure.rowIndex, attempt: attempt + 1, waitMs });
+            await delay(waitMs);
+            attempt += 1;
             try {
-                await delay(retryDelay);
-                const result = await processForm(failure.profile, failure.row);
+                const batch = batches.get(failure.batchId) || { profile: failure.profile, batchConfig: {} };
+                touchedBatches.set(failure.batchId, batch);
+                const checkpoint = batch.checkpoints && batch.checkpoints[failure.rowIndex];
+                // Idempotency guard: a row that has gone through since is not submitted again
+                if (checkpoint && ['succeeded', 'unknown'].includes(checkpoint.state)) {
+                    logBatchEvent(batchId, 'retrySkipped', { idx: failure.rowIndex, state: checkpoint.state });
+                    succeeded = true;
+                    break;
+                }
+                const wasFailed = !!checkpoint && checkpoint.state === 'failed';
+                let result;
+                try {
+                    result = await processForm(batch, failure.row, failure.rowIndex, checkpoint);
+                } catch (err) {
+                    if (checkpoint) settleCheckpoint(checkpoint, { status: 'rejected', reason: err });
+                    if (checkpoint) recordRowStatus(batch, failure.rowIndex);
+                    throw err;
+                }
+                if (checkpoint) settleCheckpoint(checkpoint, { status: 'fulfilled', value: result });
+                if (checkpoint) recordRowStatus(batch, failure.rowIndex);
+                if (wasFailed) recordRecoveredRow(batch, failure.rowIndex);
+                persistBatchState();
+                // A rejected submission is a permanent failure; an unknown outcome is not
+                // retried either, since the site may have accepted it
+                if (outcomeOf(result) === 'rejected') {
+                    const err = new Error(describeRejection(result.outcome));
+                    err.transient = false;
+                    err.result = result;
+                    throw err;
+                }
                 finalResults.push(result);
                 succeeded = true;
             } catch (err) {
                 lastError = err.message;
-                logBatchEvent('NA', 'retryFailure', {
+                errorClass = classifyError(err);
+                diagnostics = {
+                    fieldDiagnostics: fieldDiagnosticsOf(err.result && err.result.verification),
+                    pageUrl: (err.result && err.result.pageUrl) || null
+                };
+                logBatchEvent(batchId, 'retryFailure', {
+                    idx: failure.rowIndex,
                     profile: failure.profile,
                     error: lastError,
+                    errorClass,
                     row: failure.row,
                     attempt
                 });
-                attempt += 1;
             }
         }
         if (!succeeded) {
-            newFailures.push({ ...failure, error: lastError, attempt });
+            newFailures.push({ ...failure, ...diagnostics, error: lastError, errorClass, attempt, failedAt: Date.now() });
         }
     }
+    deadLetterQueue.add(newFailures);
+    for (const batch of touchedBatches.values()) {
+        await closeExecutor(batch);
+        await flushRowStatuses(batch);
+    }
     return { succeeded: finalResults, failures: newFailures };
 }
 
+// A failed row that went through on retry counts as succeeded (or unknown) instead of failed,
+// and leaves the batch's failures; a failed batch without failures left is completed
+function recordRecoveredRow(batch, rowIndex) {
+    const checkpoint = batch.checkpoints[rowIndex];
+    if (checkpoint.state === 'failed') return;
+    batch.progress.failed = Math.max(0, batch.progress.failed - 1);
+    if (checkpoint.state === 'succeeded') {
+        batch.progress.succeeded += 1;
+    } else {
+        batch.progress.unknown = (batch.progress.unknown || 0) + 1;
+    }
+    batch.failures = failuresOf(batch);
+    if (batch.summary) {
+        batch.summary = {
+            ...batch.summary,
+            succeeded: batch.progress.succeeded,
+            failed: batch.progress.failed,
+            unknown: batch.progress.unknown || 0
+        };
+    }
+    if (batch.status === 'failed' && !batch.failures.length) batch.status = 'completed';
+    batch.updatedAt = Date.now();
+    logBatchEvent(batch.id, 'rowRecovered', { idx: rowIndex, state: checkpoint.state, status: batch.status });
+    batchEmitter.emit('progress', batch.id, { ...batch.progress });
+}
+
+// ---- Dead-letter queue (see dead-letter-queue.js) ----
+
+// Write the batch's open dead-lettered rows to the "Failures" tab of a spreadsheet
+// (spreadsheetId, else batchConfig.spreadsheetId). connector: an initialized
+// google-sheets-connector instance.
+async function exportDeadLetters(batchId, connector, spreadsheetId) {
+    const batch = batches.get(batchId);
+    const sheetId = spreadsheetId || (batch && batch.batchConfig && batch.batchConfig.spreadsheetId);
+    if (!sheetId) throw new Error(i18n('No spreadsheet to export the failures to'));
+    const entries = deadLetterQueue.list({ batchId, status: 'open' });
+    await connector.writeSheetTab(sheetId, FAILURES_TAB, toFailureSheet(entries));
+    logBatchEvent(batchId, 'failuresExported', { spreadsheetId: sheetId, rows: entries.length });
+    return { exported: entries.length, spreadsheetId: sheetId, tab: FAILURES_TAB };
+}
+
+// Run the batch's open dead-lettered rows (all, or options.ids) again as a new batch with the
+// same profile and settings. With options.connector the rows are read back from the Failures
+// tab first, so fixes made there go along. Resolves to { batchId, requeued } without waiting
+// for the new batch to finish.
+async function requeueDeadLetters(batchId, options = {}) {
+    const source = requireBatch(batchId);
+    let entries = deadLetterQueue.list({ batchId, status: 'open', ids: options.ids });
+    if (!entries.length) throw new Error(i18n('No failed rows to re-queue'));
+    if (options.connector) {
+        const sheetId = options.spreadsheetId || (source.batchConfig && source.batchConfig.spreadsheetId);
+        if (!sheetId) throw new Error(i18n('No spreadsheet to read the failures from'));
+        const edited = new Map(fromFailureSheet(await options.connector.fetchSpreadsheetData(sheetId, FAILURES_TAB))
+            .map(({ id, row }) => [id, row]));
+        // Lines deleted from the tab are left out
+        entries = entries.filter(e => edited.has(e.id)).map(e => ({ ...e, row: edited.get(e.id) }));
+        if (!entries.length) throw new Error(i18n('No failed rows to re-queue'));
+    }
+    const { schedule, ...batchConfig } = source.batchConfig || {};
+    const requeuedId = scheduleBatchRun(source.profile, { ...batchConfig, requeuedFrom: batchId });
+    deadLetterQueue.markRequeued(entries.map(e => e.id), requeuedId);
+    logBatchEvent(batchId, 'failuresRequeued', { batchId: requeuedId, rows: entries.length });
+    executeBatch(source.profile, entries.map(e => e.row), { batchId: requeuedId })
+        .catch(err => logBatchEvent(requeuedId, 'requeueFailure', { error: err.message }));
+    return { batchId: requeuedId, requeued: entries.length };
+}
+
+function listDeadLetters(filter) {
+    return deadLetterQueue.list(filter);
+}
+
+// ---- Sheet watches ----
+// Rows added to a watched sheet run as a new batch of just those rows. Rows are matched by
+// keyColumn (see sheet-diff.js), and a row only counts once its key cell is filled, so rows
+// still being typed in are not picked up half done; without keyColumn a row counts as soon as
+// anything is typed in it. The rows found when the watch starts are left alone. Watches live in
+// this process only: they end with it.
+
+function watchSheetForNewRows(profile, batchConfig = {}, options = {}) {
+    const { connector = sheetsConnector, spreadsheetId, range, keyColumn } = options;
+    if (!spreadsheetId || !range) throw new Error(i18n('A spreadsheet and range to watch are needed'));
+    const id = uuidv4();
+    // Statuses go next to the rows unless batchConfig says where; a watch has no schedule
+    const { schedule, ...rest } = batchConfig;
+    const config = { statusSheet: { spreadsheetId, range }, ...rest, sheetWatchId: id };
+    const watch = { id, profile, spreadsheetId, range, keyColumn: keyColumn || null, startedAt: Date.now(), batchIds: [] };
+    const onRows = ({ added, rows: sheetRows }) => {
+        if (keyColumn && sheetRows.length && !(keyColumn in sheetRows[0]) && !watch.keyMissing) {
+            watch.keyMissing = true;
+            logBatchEvent(null, 'sheetWatchFailure', { watchId: id, error: `Key column "${keyColumn}" not found` });
+        }
+        const rows = keyColumn ? added.filter(row => String(row[keyColumn] ?? '').trim()) : added;
+        if (!rows.length) return;
+        const batchId = scheduleBatchRun(profile, config);
+        watch.batchIds.push(batchId);
+        watch.lastRowsAt = Date.now();
+        logBatchEvent(batchId, 'sheetRowsAdded', { watchId: id, spreadsheetId, range, rows: rows.length });
+        batchEmitter.emit('sheetRowsAdded', batchId, { watchId: id, rows: rows.length });
+        executeBatch(profile, rows, { batchId, connector })
+            .catch(err => logBatchEvent(batchId, 'sheetWatchFailure', { error: err.message }));
+    };
+    watch.stop = connector.listenForSheetUpdates(spreadsheetId, range, onRows, {
+        keyColumn,
+        intervalMs: options.intervalMs,
+        maxIntervalMs: options.maxIntervalMs
+    });
+    sheetWatches.set(id, watch);
+    logBatchEvent(null, 'sheetWatchStarted', { watchId: id, profile, spreadsheetId, range, keyColumn });
+    return id;
+}
+
+function stopSheetWatch(watchId) {
+    const watch = sheetWatches.get(watchId);
+    if (!watch) throw new Error(i18n('No such sheet watch'));
+    watch.stop();
+    sheetWatches.delete(watchId);
+    logBatchEvent(null, 'sheetWatchStopped', { watchId, batches: watch.batchIds.length });
+    return { watchId, stopped: true };
+}
+
+function listSheetWatches() {
+    return [...sheetWatches.values()].map(({ stop, batchIds, ...watch }) => ({ ...watch, batchIds: [...batchIds] }));
+}
+
 function trackBatchProgress(batchId) {
     return batches.get(batchId) ? { ...batches.get(batchId).progress } : null;
 }
@@ -154,14 +761,293 @@ function handleBatchCompletion(batchId, summary) {
 
 // Helpers
 
-async function processForm(profile, row) {
-    // Actual implementation would interact with automation backend or plugin modules
-    if (Math.random() < 0.9) {
-        await delay(120 + Math.random() * 80);
-        return { profile, row, status: 'success' };
+// ---- Status write-back (batchConfig.statusSheet, see sheet-status.js) ----
+
+function statusWriterOf(batch) {
+    const target = batch.batchConfig && batch.batchConfig.statusSheet;
+    if (!target || !target.spreadsheetId || !batch.id) return null;
+    let writer = statusWriters.get(batch.id);
+    if (!writer) {
+        writer = createStatusWriter({
+            connector: statusConnectors.get(batch.id) || sheetsConnector,
+            spreadsheetId: target.spreadsheetId,
+            range: target.range,
+            onError: (err, { gaveUp }) => logBatchEvent(batch.id, 'statusWriteFailure', { error: err.message, gaveUp })
+        });
+        statusWriters.set(batch.id, writer);
+    }
+    return writer;
+}
+
+// Queue the row's checkpoint state for its sheet row (rows without __rowNumber are skipped)
+function recordRowStatus(batch, rowIndex) {
+    const row = batch.inputRows && batch.inputRows[rowIndex];
+    const writer = row && row.__rowNumber ? statusWriterOf(batch) : null;
+    if (!writer) return;
+    const checkpoint = batch.checkpoints[rowIndex];
+    writer.record(row.__rowNumber, {
+        status: checkpoint.state,
+        submittedAt: checkpoint.submittedAt,
+        error: checkpoint.error,
+        confirmationId: checkpoint.confirmationId
+    });
+}
+
+async function flushRowStatuses(batch) {
+    const writer = statusWriters.get(batch.id);
+    if (!writer) return;
+    statusWriters.delete(batch.id);
+    await writer.flush();
+}
+
+function retryPolicyOf(batch) {
+    return resolveRetryPolicy((batch.batchConfig && batch.batchConfig.retryPolicy) || {}, loadAutomationConfig().Automation);
+}
+
+function batchExecutor(batch) {
+    const name = (batch.batchConfig && batch.batchConfig.executor) || DEFAULT_EXECUTOR;
+    const executor = getBatchExecutor(name);
+    if (!executor) throw new Error(i18n('Unknown batch executor') + ': ' + name);
+    return executor;
+}
+
+// Per-row checkpoints (batch.checkpoints, parallel to inputRows), persisted with the batch:
+//   { state, attempts, idempotencyKey, error, outcome, updatedAt }
+// state goes 'pending' -> 'in-flight' (handed to the executor) -> 'succeeded' | 'failed' |
+// 'unknown' (submitted, but the site's answer was unclear). Only pending rows are submitted;
+// rows that fail validation are 'quarantined' before the batch starts (with validationErrors).
+function createCheckpoints(batch, rows) {
+    const run = batch.runsCompleted || 0;
+    return rows.map((row, idx) => ({
+        state: 'pending',
+        attempts: 0,
+        idempotencyKey: crypto.createHash('sha256').update(JSON.stringify([batch.id, run, idx, row])).digest('hex').slice(0, 32),
+        error: null,
+        outcome: null,
+        updatedAt: Date.now()
+    }));
+}
+
+function pendingRowIndexes(batch) {
+    return batch.checkpoints.map((c, idx) => (c.state === 'pending' ? idx : -1)).filter(idx => idx >= 0);
+}
+
+// Record how a submission attempt ended ({ status: 'fulfilled', value } or { status: 'rejected', reason })
+function settleCheckpoint(checkpoint, settled) {
+    if (settled.status === 'fulfilled') {
+        const outcome = outcomeOf(settled.value);
+        checkpoint.state = outcome === 'accepted' ? 'succeeded' : outcome === 'rejected' ? 'failed' : 'unknown';
+        checkpoint.outcome = settled.value.outcome || null;
+        checkpoint.error = outcome === 'rejected' ? describeRejection(settled.value.outcome) : null;
+        checkpoint.submittedAt = Date.now();
+        checkpoint.confirmationId = outcome === 'accepted' ? extractConfirmationId(settled.value) || null : null;
     } else {
-        throw new Error(i18n('Simulated form submission error'));
+        checkpoint.state = 'failed';
+        checkpoint.error = settled.reason.message;
+        checkpoint.submittedAt = null;
+        checkpoint.confirmationId = null;
     }
+    // What went wrong on the page, for the dead-letter queue
+    const result = settled.status === 'fulfilled' ? settled.value : settled.reason.result;
+    checkpoint.fieldDiagnostics = checkpoint.state === 'failed' ? fieldDiagnosticsOf(result && result.verification) : [];
+    checkpoint.pageUrl = (result && result.pageUrl) || null;
+    checkpoint.updatedAt = Date.now();
+}
+
+function failuresOf(batch) {
+    return batch.checkpoints
+        .map((c, idx) => ({ c, idx }))
+        .filter(({ c }) => c.state === 'failed')
+        .map(({ c, idx }) => ({
+            row: batch.inputRows[idx],
+            profile: batch.profile,
+            batchId: batch.id,
+            rowIndex: idx,
+            error: c.error,
+            errorClass: classifyError(c.error, c.outcome),
+            outcome: c.outcome || undefined,
+            fieldDiagnostics: c.fieldDiagnostics || [],
+            pageUrl: c.pageUrl || null,
+            failedAt: c.updatedAt,
+            attempt: Math.max(1, c.attempts)
+        }));
+}
+
+// Submit a pending batch row and record its outcome in analytics. Resolves to null for a row
+// that is not pending (already handled), which is never submitted again, or that the batch
+// was cancelled before.
+async function submitBatchRow(batch, rowIndex) {
+    const checkpoint = batch.checkpoints[rowIndex];
+    if (checkpoint.state !== 'pending') return null;
+    if (!(await passRowGate(batch))) return null;
+    let result;
+    try {
+        result = await processForm(batch, batch.inputRows[rowIndex], rowIndex, checkpoint);
+    } catch (err) {
+        if (err.cancelled) throw err;
+        await recordSubmissionOutcome(batch, rowIndex, null, err.message);
+        throw err;
+    }
+    await recordSubmissionOutcome(batch, rowIndex, result.outcome, null);
+    return result;
+}
+
+// Submit one row through the batch's executor (batchConfig.executor, see batch-executors.js).
+// Resolves to { profile, row, status, outcome, timings, ... } where outcome is the classified
+// submission outcome ({ outcome: 'accepted'|'rejected'|'unknown', evidence }). A row that never
+// got submitted (no form, invalid fields, navigation error) throws with the reason, and the
+// executor's result attached as err.result.
+// With the row's checkpoint, the row is marked in flight (and persisted) right before it is
+// handed to the executor, and its idempotency key goes along with the job. A row the batch is
+// paused or cancelled for while it waits is held or dropped there (err.cancelled).
+async function processForm(batch, row, rowIndex, checkpoint) {
+    const job = buildJob(batch, row, rowIndex, checkpoint);
+    await waitForRunWindow(batch);
+    await waitForRateLimit(batch, job);
+    if (!(await passRowGate(batch))) {
+        const err = new Error(i18n('Batch was cancelled'));
+        err.cancelled = true;
+        throw err;
+    }
+    if (checkpoint) {
+        checkpoint.state = 'in-flight';
+        checkpoint.attempts += 1;
+        checkpoint.updatedAt = Date.now();
+        persistBatchState();
+        recordRowStatus(batch, rowIndex);
+    }
+    const result = await batchExecutor(batch).execute(job);
+    if (result.status !== 'submitted') throw resultError(result, i18n('Form was not submitted'));
+    return { profile: batch.profile, row, ...result };
+}
+
+// Executor job for a row (see batch-executors.js). The row's form data is transformed through
+// the batch mapping here (see data-transforms.js), so a value that cannot be transformed fails
+// the row before anything is filled.
+function buildJob(batch, row, rowIndex, checkpoint) {
+    const config = batch.batchConfig || {};
+    return {
+        batchId: batch.id,
+        rowIndex,
+        profile: batch.profile,
+        row,
+        mapping: config.mapping,
+        formData: transformRow(row, config.mapping, { excludeColumns: [config.urlColumn] }),
+        batchConfig: config,
+        outcomePatterns: batch.settings ? batch.settings.outcomePatterns : config.outcomePatterns,
+        idempotencyKey: checkpoint ? checkpoint.idempotencyKey : undefined
+    };
+}
+
+// Hold a row until the profile's formsPerHour allows another submission to its domain (see
+// rate-limiter.js)
+async function waitForRateLimit(batch, job) {
+    const formsPerHour = batch.settings && batch.settings.formsPerHour;
+    const url = resolveJobUrl(job);
+    if (!formsPerHour || !url) return;
+    const key = rateLimitKey(batch.profile, url);
+    if (batch.pendingByRateKey && batch.pendingByRateKey[key] > 0) batch.pendingByRateKey[key] -= 1;
+    const waitMs = rateLimiter.reserve(key, formsPerHour);
+    if (waitMs <= 0) return;
+    holdRow(batch, 'rate-limit', waitMs, { key });
+    await holdFor(batch, waitMs);
+    releaseRow(batch);
+}
+
+// Hold a row of a batch with a run window until the window opens again
+async function waitForRunWindow(batch) {
+    const schedule = batch.schedule;
+    if (!schedule || !schedule.window) return;
+    const opensAt = nextRunWindowStart(Date.now(), schedule.window, schedule.timeZone);
+    const waitMs = opensAt === null ? 0 : opensAt - Date.now();
+    if (waitMs <= 0) return;
+    holdRow(batch, 'run-window', waitMs, { opensAt });
+    await holdFor(batch, waitMs);
+    releaseRow(batch);
+}
+
+// A held row pauses a running batch (see HOLD_REASONS); it resumes once no row is held
+function holdRow(batch, reason, waitMs, detail) {
+    batch.heldRows = (batch.heldRows || 0) + 1;
+    if (batch.status !== 'running') return;
+    batch.status = 'paused';
+    batch.pauseReason = reason;
+    batch.progress.projectedFinishAt = projectBatchFinish(batch);
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    logBatchEvent(batch.id, 'paused', { reason, waitMs, ...detail });
+    batchEmitter.emit('batchPaused', batch.id, { reason, resumeAt: Date.now() + waitMs });
+}
+
+function releaseRow(batch) {
+    batch.heldRows -= 1;
+    if (batch.heldRows > 0 || batch.status !== 'paused' || !HOLD_REASONS.includes(batch.pauseReason)) return;
+    const reason = batch.pauseReason;
+    batch.status = 'running';
+    batch.pauseReason = null;
+    batch.updatedAt = Date.now();
+    persistBatchState();
+    logBatchEvent(batch.id, 'resumed', { reason });
+    batchEmitter.emit('batchResumed', batch.id);
+}
+
+// Remaining rows per rate-limit key, for projecting when a rate-limited batch can finish
+function countRowsByRateKey(batch, rows) {
+    const counts = {};
+    if (!batch.settings || !batch.settings.formsPerHour) return counts;
+    for (const row of rows) {
+        const url = resolveJobUrl({ row, batchConfig: batch.batchConfig || {} });
+        if (!url) continue;
+        const key = rateLimitKey(batch.profile, url);
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+}
+
+// Projected finish time: the later of the pace so far and what the rate limits allow for the
+// rows not yet submitted (null until there is either)
+function projectBatchFinish(batch) {
+    const { total, processed } = batch.progress;
+    const now = Date.now();
+    if (processed >= total) return now;
+    const estimates = Object.entries(batch.pendingByRateKey || {})
+        .map(([key, count]) => rateLimiter.projectFinish(key, batch.settings.formsPerHour, count));
+    // Pace of this process only, so time spent down before a resume does not count
+    const pace = batch.pace || { since: batch.startedAt, processed: 0 };
+    const done = processed - pace.processed;
+    if (done > 0) estimates.push(now + ((now - pace.since) / done) * (total - processed));
+    return estimates.length ? Math.round(Math.max(...estimates)) : null;
+}
+
+async function closeExecutor(batch) {
+    try {
+        const executor = batchExecutor(batch);
+        if (typeof executor.close === 'function') await executor.close();
+    } catch (err) {
+        logBatchEvent(batch.id, 'executorCloseFailure', { error: err.message });
+    }
+}
+
+function outcomeOf(result) {
+    return (result && result.outcome && result.outcome.outcome) || 'unknown';
+}
+
+function describeRejection(outcome) {
+    const evidence = ((outcome && outcome.evidence) || []).filter(e => e.kind === 'reject');
+    const details = evidence.map(e => e.detail || e.signal).filter(Boolean);
+    return i18n('Submission rejected') + (details.length ? ': ' + details.join('; ') : '');
+}
+
+// Record a row's submission outcome in analytics (errorMessage when the row never got submitted)
+async function recordSubmissionOutcome(batch, rowIndex, outcome, errorMessage) {
+    await logSubmissionEvent({
+        formId: (batch.batchConfig && batch.batchConfig.formId) || batch.profile,
+        success: outcomeOf({ outcome }) === 'accepted',
+        outcome: outcome ? outcome.outcome : undefined,
+        evidence: outcome ? outcome.evidence : undefined,
+        errorMessage: errorMessage || undefined,
+        meta: { batchId: batch.id, rowIndex }
+    });
 }
 
 function delay(ms) {
@@ -195,6 +1081,19 @@ module.exports = {
     retryFailedSubmissions,
     trackBatchProgress,
     handleBatchCompletion,
+    listBatches,
+    resumeInterruptedBatches,
+    pauseBatch,
+    resumeBatch,
+    cancelBatch,
+    exportDeadLetters,
+    requeueDeadLetters,
+    listDeadLetters,
+    watchSheetForNewRows,
+    stopSheetWatch,
+    listSheetWatches,
+    startBatchScheduler,
+    stopBatchScheduler,
     batchEmitter,
     logBatchEvent,
     i18n
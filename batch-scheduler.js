@@ -0,0 +1,331 @@
+// Batch schedules: when a scheduled batch runs next.
+// A schedule (batchConfig.schedule) is
+//   { startAt, cron, timeZone, runs, intervalMinutes, window: { days, start, end } }
+// - startAt: first run (ISO string or ms; a date and time without an offset, as from a
+//   datetime-local input, is read in timeZone). Without cron, later runs follow every
+//   intervalMinutes (default: daily).
+// - cron: five-field cron expression (minute hour day-of-month month day-of-week, with lists,
+//   ranges and steps) or @hourly/@daily/@weekly/@monthly/@yearly; startAt then only delays
+//   the first run.
+// - timeZone: IANA zone startAt, cron fields and windows are read in (default: the server's).
+// - runs: how many times the batch runs (default: once without cron, forever with it).
+// - window: runs and their rows only go out inside it, e.g.
+//   { days: 'mon-fri', start: '09:00', end: '17:00' }; end before start spans midnight.
+
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// How far ahead a schedule is searched for its next run
+const MAX_SEARCH_MS = 5 * 366 * DAY_MS;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const DEFAULT_POLL_INTERVAL_MS = 30000;
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!m) throw new Error(`Invalid cron ${field.name}: "${text}"`);
+        const from = m[1] === '*' ? field.min : Number(m[2]);
+        const to = m[1] === '*' ? field.max : m[3] !== undefined ? Number(m[3]) : m[4] ? field.max : from;
+        const step = m[4] ? Number(m[4]) : 1;
+        if (from < field.min || to > field.max || from > to || step < 1) {
+            throw new Error(`Invalid cron ${field.name}: "${text}"`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const fields = (CRON_ALIASES[text] || text).split(/\s+/);
+    if (fields.length !== 5) throw new Error(`Cron expression needs 5 fields: "${expression}"`);
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        // As in cron, a restricted day of month and day of week match either one
+        anyDayOfMonth: fields[2].startsWith('*'),
+        anyDayOfWeek: fields[4].startsWith('*')
+    };
+}
+
+const zoneFormatters = new Map();
+
+// Wall-clock { year, month, day, hour, minute, weekday } of a time in timeZone (default: local)
+function zonedParts(time, timeZone) {
+    if (!timeZone) {
+        const d = new Date(time);
+        return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate(), hour: d.getHours(), minute: d.getMinutes(), weekday: d.getDay() };
+    }
+    let formatter = zoneFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+        zoneFormatters.set(timeZone, formatter);
+    }
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(time))) parts[part.type] = part.value;
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday.slice(0, 3).toLowerCase())
+    };
+}
+
+// First whole minute after `after` that matches, skipping whole days and hours that cannot.
+// match: { day(parts), hour(parts), minute(parts) }. Returns ms, or null within MAX_SEARCH_MS.
+function findNextMinute(after, timeZone, match) {
+    let t = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const end = after + MAX_SEARCH_MS;
+    while (t <= end) {
+        const p = zonedParts(t, timeZone);
+        if (!match.day(p)) {
+            // An hour short of midnight, in case the day is shortened by a DST change
+            t += Math.max(60 - p.minute, ((23 - p.hour) * 60 + (60 - p.minute) - 60)) * MINUTE_MS;
+        } else if (!match.hour(p)) {
+            t += (60 - p.minute) * MINUTE_MS;
+        } else if (!match.minute(p)) {
+            t += MINUTE_MS;
+        } else {
+            return t;
+        }
+    }
+    return null;
+}
+
+function nextCronTime(cron, after, timeZone) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    return findNextMinute(after, timeZone, {
+        day: p => {
+            if (!parsed.month.has(p.month)) return false;
+            const dom = parsed.dayOfMonth.has(p.day);
+            const dow = parsed.dayOfWeek.has(p.weekday);
+            if (parsed.anyDayOfMonth || parsed.anyDayOfWeek) return dom && dow;
+            return dom || dow;
+        },
+        hour: p => parsed.hour.has(p.hour),
+        minute: p => parsed.minute.has(p.minute)
+    });
+}
+
+function parseTimeOfDay(text, fallback) {
+    if (text === undefined || text === null || text === '') return fallback;
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) throw new Error(`Invalid time of day: "${text}"`);
+    return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// Weekday numbers (0 = Sunday) from [1, 2], 'mon-fri', 'mon,wed,fri' or '1-5'
+function parseDays(days) {
+    if (days === undefined || days === null || days === '') return null;
+    const dayNumber = d => {
+        const text = String(d).trim().toLowerCase();
+        const n = /^\d$/.test(text) ? Number(text) % 7 : WEEKDAYS.indexOf(text.slice(0, 3));
+        if (n < 0 || n > 6) throw new Error(`Invalid day: "${d}"`);
+        return n;
+    };
+    const result = new Set();
+    for (const item of Array.isArray(days) ? days : String(days).split(',')) {
+        const [from, to] = String(item).split('-');
+        if (to === undefined) {
+            result.add(dayNumber(from));
+            continue;
+        }
+        for (let d = dayNumber(from), last = dayNumber(to), i = 0; i < 7; d = (d + 1) % 7, i++) {
+            result.add(d);
+            if (d === last) break;
+        }
+    }
+    return [...result].sort();
+}
+
+function windowMatcher(window) {
+    const start = window.startMinute;
+    const end = window.endMinute;
+    const inTime = m => (start <= end ? m >= start && m < end : m >= start || m < end);
+    return {
+        day: p => !window.days || window.days.includes(p.weekday),
+        hour: p => {
+            const first = p.hour * 60;
+            return inTime(first) || inTime(first + 59) || (start > first && start < first + 60);
+        },
+        minute: p => inTime(p.hour * 60 + p.minute)
+    };
+}
+
+function isWithinRunWindow(time, window, timeZone) {
+    if (!window) return true;
+    const matcher = windowMatcher(window);
+    const p = zonedParts(time, timeZone);
+    return matcher.day(p) && matcher.minute(p);
+}
+
+// `time` itself when inside the window, else when the window next opens (or null)
+function nextRunWindowStart(time, window, timeZone) {
+    if (isWithinRunWindow(time, window, timeZone)) return time;
+    return findNextMinute(time, timeZone, windowMatcher(window));
+}
+
+// A date and time without an offset ("2026-10-20T09:00", "2026-10-20 09:00:30", "2026-10-20")
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+// The time at which the clocks in timeZone show the wall-clock time (given as if it were UTC).
+// The zone's offset is taken at the first guess and checked once more, for a guess on the other
+// side of a daylight saving change.
+function fromZonedWallClock(wall, timeZone) {
+    const offsetAt = time => {
+        const p = zonedParts(time, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+    };
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+}
+
+function toTime(value, timeZone) {
+    if (value === undefined || value === null || value === '') return null;
+    const local = timeZone && typeof value === 'string' ? LOCAL_DATE_TIME.exec(value.trim()) : null;
+    let time;
+    if (local) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = local.map(n => (n === undefined ? undefined : Number(n)));
+        const wall = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        // Out-of-range parts ("2026-02-30") would otherwise roll over into the next month
+        const exists = wall.getUTCMonth() === month - 1 && wall.getUTCDate() === day && wall.getUTCHours() === hour && wall.getUTCMinutes() === minute;
+        time = exists ? fromZonedWallClock(wall.getTime(), timeZone) : NaN;
+    } else {
+        time = typeof value === 'number' ? value : Date.parse(value);
+    }
+    if (Number.isNaN(time)) throw new Error(`Invalid start time: "${value}"`);
+    return time;
+}
+
+// Validate a schedule and bring it into the stored form (times in ms, days as numbers).
+// Throws with a readable message on anything invalid.
+function normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') throw new Error('Schedule must be an object');
+    const timeZone = schedule.timeZone || null;
+    if (timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (e) {
+            throw new Error(`Unknown time zone: "${timeZone}"`);
+        }
+    }
+    const normalized = {
+        startAt: toTime(schedule.startAt, timeZone),
+        cron: schedule.cron ? String(schedule.cron).trim() : null,
+        timeZone,
+        runs: schedule.runs ? Number(schedule.runs) : null,
+        intervalMinutes: schedule.intervalMinutes ? Number(schedule.intervalMinutes) : null,
+        window: null
+    };
+    if (!normalized.startAt && !normalized.cron) throw new Error('Schedule needs a start time or a cron expression');
+    if (normalized.cron) parseCron(normalized.cron);
+    if (normalized.runs !== null && !(Number.isInteger(normalized.runs) && normalized.runs > 0)) {
+        throw new Error('Runs must be a positive whole number');
+    }
+    if (normalized.intervalMinutes !== null && !(normalized.intervalMinutes > 0)) {
+        throw new Error('Interval must be a positive number of minutes');
+    }
+    if (schedule.window) {
+        normalized.window = {
+            days: parseDays(schedule.window.days),
+            startMinute: parseTimeOfDay(schedule.window.start, 0),
+            endMinute: parseTimeOfDay(schedule.window.end, 24 * 60)
+        };
+    }
+    if (!normalized.cron && !normalized.runs) normalized.runs = 1;
+    return normalized;
+}
+
+// When a batch with this (normalized) schedule runs next, given how many runs it has had.
+// null once all runs are done. Missed runs (e.g. while the server was down) are due at once
+// for the first run, and skipped for later ones.
+function computeNextRunAt(schedule, after, runsCompleted = 0) {
+    if (schedule.runs && runsCompleted >= schedule.runs) return null;
+    let next;
+    if (schedule.cron) {
+        const from = runsCompleted === 0 && schedule.startAt ? Math.max(after, schedule.startAt - MINUTE_MS) : after;
+        next = nextCronTime(schedule.cron, from, schedule.timeZone);
+    } else if (runsCompleted === 0) {
+        next = schedule.startAt;
+    } else {
+        const interval = (schedule.intervalMinutes || DEFAULT_INTERVAL_MINUTES) * MINUTE_MS;
+        const slot = Math.max(runsCompleted, Math.ceil((after - schedule.startAt) / interval));
+        next = schedule.startAt + slot * interval;
+    }
+    if (next === null || !schedule.window) return next;
+    return nextRunWindowStart(next, schedule.window, schedule.timeZone);
+}
+
+// Polls for due batches. listDue(now) returns the batches due at now; run(batch) runs one.
+// A batch is not started again while its previous run() is still going.
+function createBatchScheduler({ listDue, run, onError, intervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+    let timer = null;
+    const active = new Set();
+
+    function tick(now = Date.now()) {
+        for (const batch of listDue(now)) {
+            if (active.has(batch.id)) continue;
+            active.add(batch.id);
+            Promise.resolve()
+                .then(() => run(batch))
+                .catch(err => onError && onError(err, batch))
+                .finally(() => active.delete(batch.id));
+        }
+    }
+
+    return {
+        start() {
+            if (timer) return;
+            timer = setInterval(tick, intervalMs);
+            if (timer.unref) timer.unref();
+            tick();
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        tick
+    };
+}
+
+module.exports = {
+    parseCron,
+    nextCronTime,
+    isWithinRunWindow,
+    nextRunWindowStart,
+    normalizeSchedule,
+    computeNextRunAt,
+    createBatchScheduler
+};
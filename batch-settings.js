@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const ini = require('ini');
+const xml2js = require('xml2js');
+const { outcomePatternsFromProfile } = require('./submission-outcome');
+const { schemaFromProfile, mergeSchemas } = require('./row-validation');
+
+// Settings a batch runs with, combined from config.ini ([Automation]), the batch's profile in
+// user-profiles.xml (<limits>, <submissionOutcome>, <rowValidation>) and the batch's own batchConfig.
+const CONFIG_FILE = path.resolve(__dirname, 'config.ini');
+const PROFILES_FILE = path.resolve(__dirname, 'user-profiles.xml');
+
+let automationConfig = null;
+let profilesLoad = null;
+
+function loadAutomationConfig() {
+    if (!automationConfig) {
+        try {
+            automationConfig = ini.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+        } catch (err) {
+            console.warn('Could not load config.ini:', err.message);
+            automationConfig = {};
+        }
+    }
+    return automationConfig;
+}
+
+// The xml2js-parsed <profile> with this id, or null
+async function loadUserProfile(profileId) {
+    if (!profilesLoad) {
+        profilesLoad = fs.promises.readFile(PROFILES_FILE, 'utf-8')
+            .then(data => xml2js.parseStringPromise(data))
+            .catch(err => {
+                console.warn('Could not load user-profiles.xml:', err.message);
+                return {};
+            });
+    }
+    const config = await profilesLoad;
+    const profiles = (config.userProfiles && config.userProfiles.profile) || [];
+    return profiles.find(p => p.$ && p.$.id === profileId) || null;
+}
+
+function positiveNumber(value) {
+    const n = parseInt([].concat(value)[0], 10);
+    return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function lowest(...values) {
+    const set = values.filter(Boolean);
+    return set.length ? Math.min(...set) : null;
+}
+
+// Resolves to { concurrency, formsPerHour, outcomePatterns, validation }. concurrency is the
+// lowest of max_concurrent_sessions, the profile's maxConcurrentSessions and
+// batchConfig.concurrency; formsPerHour (per target domain, see rate-limiter.js) the lower of
+// the profile's and batchConfig.formsPerHour; batchConfig.outcomePatterns override the
+// profile's per pattern kind; validation is the profile's row schema plus
+// batchConfig.validation (see row-validation.js), or null.
+async function resolveBatchSettings(profileId, batchConfig = {}) {
+    const automation = loadAutomationConfig().Automation || {};
+    const profile = await loadUserProfile(profileId);
+    const limits = (profile && profile.limits && profile.limits[0]) || {};
+    return {
+        concurrency: lowest(
+            positiveNumber(automation.max_concurrent_sessions),
+            positiveNumber(limits.maxConcurrentSessions),
+            positiveNumber(batchConfig.concurrency)
+        ) || 1,
+        formsPerHour: lowest(positiveNumber(limits.formsPerHour), positiveNumber(batchConfig.formsPerHour)),
+        outcomePatterns: { ...outcomePatternsFromProfile(profile), ...(batchConfig.outcomePatterns || {}) },
+        validation: mergeSchemas(schemaFromProfile(profile), batchConfig.validation)
+    };
+}
+
+module.exports = {
+    loadAutomationConfig,
+    loadUserProfile,
+    resolveBatchSettings
+};
@@ -1,3 +1,23 @@
+(function () {
+  // The helpers are listed ahead of this file in manifest.json's content_scripts and share
+  // this isolated world with it, each as FormMaster.<name>
+  const { isHidden, cssEscape, detectFormSteps, extractFormMetadata, resolveFieldLabel } = FormMaster.formDetectionEngine;
+  const { computeFormFingerprint, findBestMapping } = FormMaster.formFingerprint;
+  const { buildLocatorBundle, resolveLocator, normalizeFieldEntries } = FormMaster.fieldLocator;
+  const { resolveMappingEntries, hasConditionalEntries, waitTimeoutFor } = FormMaster.mappingConditions;
+  const { fillWidget } = FormMaster.widgetAdapters;
+  const { simulateTyping, simulateFormSubmission } = FormMaster.humanSimulation;
+  const { verifyFilledFields, summarizeVerification } = FormMaster.fillVerification;
+  const { watchSubmissionOutcome } = FormMaster.submissionOutcome;
+
+  const MAX_WIZARD_STEPS = 20;
+  const STEP_CHANGE_TIMEOUT_MS = 8000;
+  // Adapters whose field should read back exactly what was filled; the others (date pickers,
+  // comboboxes, tag inputs, ...) may legitimately reformat the value
+  const VALUE_VERIFIED_ADAPTERS = ['text', 'native-select', 'checkable', 'range-slider'];
+  // Success/error patterns for submission outcomes, from settings.outcomePatterns
+  let outcomePatterns = {};
+
 function log(message, data) {
     try {
       if (data !== undefined) {
@@ -14,12 +34,16 @@ function log(message, data) {
     listenForMessages();
     const forms = scanForForms();
     highlightDetectedForms(forms);
+    reportDetectedForms(forms);
     loadUserMappings().then(mappings => {
       applyUserMappings(mappings, forms).then(() => {
         forms.forEach(form => interceptFormSubmission(form));
       });
     });
-    loadSettings().then(settings => injectSimulationModules(settings));
+    loadSettings().then(settings => {
+      outcomePatterns = (settings && settings.outcomePatterns) || {};
+      injectSimulationModules(settings);
+    });
   }
 
   // 2. Scan the DOM for forms
@@ -44,25 +68,281 @@ function log(message, data) {
   }
 
   // 4. Apply user mappings for autofilling or field customization
-  async function applyUserMappings(mappings, forms) {
+  // With options.traverseSteps, multi-step forms are filled step by step (see fillFormSteps).
+  // options.row is the data row conditional mappings are evaluated against (see
+  // mapping-conditions.js); entries with clicks or conditionally rendered fields are handled
+  // in order (see fillEntriesInOrder).
+  async function applyUserMappings(mappings, forms, options = {}) {
     if (!mappings) return;
     const fillPromises = [];
     for (const form of forms) {
-      const formId = getFormIdentifier(form);
-      const formMapping = mappings[formId];
-      if (formMapping && formMapping.fields) {
-        for (const [selector, value] of Object.entries(formMapping.fields)) {
-          const el = form.querySelector(selector);
-          if (el) {
-            fillPromises.push(setElementValueSimulated(el, value));
+      const match = matchFormMapping(form, mappings);
+      const formMapping = match && match.mapping;
+      if (formMapping && (formMapping.fields || formMapping.branches)) {
+        if (match.lowConfidence) warnLowConfidenceMapping(form, match);
+        const { entries, skipped, branch } = resolveMappingEntries(formMapping, options.row);
+        if (skipped.length) log(`Skipping ${skipped.length} conditional field(s)`, skipped);
+        const locatorReport = [];
+        const finish = result => finishLocatorReport(match.key, locatorReport, {...result, branch, skipped});
+        if (options.traverseSteps) {
+          fillPromises.push(fillFormSteps(form, entries, locatorReport).then(finish));
+          continue;
+        }
+        if (hasConditionalEntries(entries)) {
+          fillPromises.push(fillEntriesInOrder(entries, form, locatorReport)
+            .then(() => verifyMappedFields(locatorReport))
+            .then(verification => finish({verification})));
+          continue;
+        }
+        const fills = [];
+        for (const entry of entries) {
+          const resolved = resolveLocator(entry.locator, form);
+          if (resolved) {
+            fills.push(fillMappedField(entry, resolved, locatorReport));
           }
         }
+        fillPromises.push(Promise.all(fills)
+          .then(() => verifyMappedFields(locatorReport))
+          .then(verification => finish({verification})));
       }
     }
     // Wait for all simulations (including simulated typing) to complete
     return Promise.all(fillPromises);
   }
 
+  // Handle entries one after another in mapping order: click actions are performed, and a
+  // field that only renders after an earlier answer (entry.after, entry.waitFor) is waited for
+  // through a MutationObserver instead of being skipped. handled collects the keys of the
+  // entries done; entries whose field never showed up are left out of it.
+  async function fillEntriesInOrder(entries, root, report, handled = new Set()) {
+    for (const entry of entries) {
+      if (handled.has(entry.key)) continue;
+      let resolved = resolveVisible(entry, root);
+      const timeoutMs = resolved ? 0 : waitTimeoutFor(entry, handled);
+      if (timeoutMs) {
+        log(`Waiting for conditional field "${entry.key}"`);
+        await waitForCondition(() => !!(resolved = resolveVisible(entry, root)), timeoutMs);
+      }
+      if (!resolved) continue;
+      handled.add(entry.key);
+      if (entry.action === 'click') {
+        clickMappedElement(entry, resolved, report);
+      } else {
+        await fillMappedField(entry, resolved, report);
+      }
+    }
+    return handled;
+  }
+
+  function resolveVisible(entry, root) {
+    const resolved = resolveLocator(entry.locator, root);
+    return resolved && !isHidden(resolved.element) ? resolved : null;
+  }
+
+  // Click an element a mapping reveals fields with (a tab, a "Business" option, ...). Recorded
+  // with the fills so its locator is reported and repaired, but not verified.
+  function clickMappedElement(entry, resolved, report) {
+    report.push({
+      key: entry.key,
+      strategy: resolved.strategy,
+      stale: resolved.stale,
+      locator: resolved.stale ? buildLocatorBundle(resolved.element) : undefined,
+      element: resolved.element,
+      action: 'click',
+      fill: {status: 'filled', adapter: 'click'}
+    });
+    resolved.element.click();
+  }
+
+  // Fill a field found through its locator bundle, recording which strategy matched and how
+  // the widget fill went. Entries found through a fallback strategy get a rebuilt bundle so
+  // the mapping repairs itself.
+  async function fillMappedField(entry, resolved, report) {
+    const record = {
+      key: entry.key,
+      strategy: resolved.strategy,
+      stale: resolved.stale,
+      locator: resolved.stale ? buildLocatorBundle(resolved.element) : undefined,
+      element: resolved.element,
+      expected: entry.value
+    };
+    report.push(record);
+    record.fill = await setElementValueSimulated(resolved.element, entry.value);
+    if (record.fill.status !== 'filled') {
+      record.widget = describeWidget(resolved.element);
+    }
+  }
+
+  // Re-read filled fields: value kept, constraint validation and site-rendered errors.
+  // Resolves to { ok, fields, failures, reason } (see fill-verification.js)
+  function verifyMappedFields(records) {
+    return verifyFilledFields(records.filter(r => !r.action).map(r => ({
+      key: r.key,
+      element: r.element,
+      expected: r.expected,
+      compareValue: VALUE_VERIFIED_ADAPTERS.includes(r.fill.adapter),
+      fillError: r.fill.status === 'filled' ? null : (r.fill.error || r.fill.status)
+    })));
+  }
+
+  function describeWidget(el) {
+    return {
+      tag: el.tagName.toLowerCase(),
+      type: el.getAttribute('type') || '',
+      role: el.getAttribute('role') || '',
+      className: typeof el.className === 'string' ? el.className : ''
+    };
+  }
+
+  // Report matched strategies and widgets that could not be filled to the background, and
+  // persist repaired locators
+  function finishLocatorReport(mappingKey, report, result) {
+    const repaired = report.filter(r => r.stale);
+    const unfilledWidgets = report
+      .filter(r => r.fill && r.fill.status !== 'filled')
+      .map(({key, fill, widget}) => ({key, status: fill.status, adapter: fill.adapter, error: fill.error, widget}));
+    communicateWithBackground({
+      type: 'locators-resolved',
+      url: location.href,
+      mappingKey,
+      fields: report.map(({key, strategy, stale}) => ({key, strategy, stale}))
+    });
+    if (unfilledWidgets.length) {
+      log(`${unfilledWidgets.length} field(s) could not be filled`, unfilledWidgets);
+      communicateWithBackground({
+        type: 'unsupported-widgets',
+        url: location.href,
+        mappingKey,
+        fields: unfilledWidgets
+      });
+    }
+    if (repaired.length) {
+      log(`Repairing ${repaired.length} stale locator(s)`, repaired.map(r => r.key));
+      repairStoredLocators(mappingKey, repaired);
+    }
+    return {
+      ...result,
+      locators: report.map(({key, strategy, stale}) => ({key, strategy, stale})),
+      unsupported: unfilledWidgets
+    };
+  }
+
+  // Find the saved mapping for a form: by structural fingerprint first, then by the legacy
+  // id/name/action key older mappings were saved under.
+  // Returns { key, mapping, confidence, lowConfidence } or null.
+  function matchFormMapping(form, mappings) {
+    const match = findBestMapping(fingerprintForm(form), mappings);
+    if (match) return match;
+    const legacyKey = getFormIdentifier(form);
+    if (!mappings[legacyKey]) return null;
+    return { key: legacyKey, mapping: mappings[legacyKey], confidence: null, lowConfidence: false };
+  }
+
+  function fingerprintForm(form) {
+    return computeFormFingerprint(extractFormMetadata(form), { url: location.href });
+  }
+
+  function warnLowConfidenceMapping(form, match) {
+    log(`Applying mapping "${match.key}" at low confidence (${match.confidence})`, match.breakdown);
+    communicateWithBackground({
+      type: 'mapping-low-confidence',
+      url: location.href,
+      formId: getFormIdentifier(form),
+      mappingKey: match.key,
+      confidence: match.confidence,
+      breakdown: match.breakdown
+    });
+  }
+
+  // Save a mapping for a form together with its fingerprint, which is what matchFormMapping
+  // finds it by on later visits. fields: [{ key, locator, value, ... }] (an entry without a
+  // locator is looked up by its key as field name) or the legacy { [cssSelector]: value };
+  // fields found in the form are stored with a full locator bundle. The mapping is saved under
+  // mappingKey, else the key of the mapping the form already matches, else the form's
+  // identifier. Resolves to { mappingKey, fingerprint }.
+  async function saveFormMapping(form, fields, mappingKey) {
+    const mappings = await loadUserMappings();
+    const match = mappingKey ? null : matchFormMapping(form, mappings);
+    const key = mappingKey || (match && match.key) || getFormIdentifier(form);
+    const entries = normalizeFieldEntries(fields).map(entry => {
+      const locator = Object.keys(entry.locator).length ? entry.locator : {name: entry.key};
+      const resolved = resolveLocator(locator, form);
+      return {...entry, locator: resolved ? buildLocatorBundle(resolved.element) : locator};
+    });
+    const fingerprint = fingerprintForm(form);
+    mappings[key] = {...mappings[key], fields: entries, fingerprint, savedAt: Date.now()};
+    wrapChromeStorageSet('formMappings', mappings);
+    log(`Saved mapping "${key}" (${entries.length} field(s))`);
+    return {mappingKey: key, fingerprint};
+  }
+
+  // 4b. Fill a wizard-style form: fill the mapped fields the current step shows, click its
+  // "Next" control, wait for the following step to render, and repeat until the final step.
+  // Each step is verified before advancing; a step with invalid fields stops the traversal.
+  // Submission itself is left to the caller.
+  // Resolves to { steps, completed, unfilled, verification }.
+  async function fillFormSteps(form, entries, locatorReport) {
+    const pending = new Map(entries.map(entry => [entry.key, entry]));
+    // Conditional entries are handled in order; done keeps what earlier steps handled, so a
+    // field revealed by an answer on an earlier step is still waited for
+    const conditional = hasConditionalEntries(entries);
+    const done = new Set();
+    const verifiedFields = [];
+    const verification = () => summarizeVerification(verifiedFields);
+    let current = form;
+    let steps = 0;
+    while (steps < MAX_WIZARD_STEPS) {
+      const model = detectFormSteps(current);
+      const active = model.steps[model.currentStep];
+      if (!active) break;
+      steps += 1;
+      const stepStart = locatorReport.length;
+      if (conditional) {
+        const handled = await fillEntriesInOrder([...pending.values()], active.node, locatorReport, new Set(done));
+        for (const key of handled) {
+          pending.delete(key);
+          done.add(key);
+        }
+      } else {
+        const fills = [];
+        for (const [key, entry] of pending) {
+          const resolved = resolveLocator(entry.locator, active.node);
+          if (resolved && !isHidden(resolved.element)) {
+            pending.delete(key);
+            fills.push(fillMappedField(entry, resolved, locatorReport));
+          }
+        }
+        await Promise.all(fills);
+      }
+      const stepVerification = await verifyMappedFields(locatorReport.slice(stepStart));
+      verifiedFields.push(...stepVerification.fields);
+      if (!stepVerification.ok) {
+        log(`Wizard step ${steps} has invalid fields`, stepVerification.failures);
+        return { steps, completed: false, unfilled: [...pending.keys()], verification: verification() };
+      }
+      const advance = active.advanceControl;
+      if (!advance || advance.kind !== 'next' || !pending.size) {
+        return { steps, completed: true, unfilled: [...pending.keys()], verification: verification() };
+      }
+      log(`Advancing wizard step ${steps}`, {form: getFormIdentifier(current)});
+      advance.node.click();
+      const changed = await waitForCondition(
+        () => !active.node.isConnected || isHidden(active.node) || !current.isConnected,
+        STEP_CHANGE_TIMEOUT_MS
+      );
+      if (!changed) {
+        log('Wizard step did not advance', {form: getFormIdentifier(current)});
+        break;
+      }
+      // SPA wizards may re-render the whole form between steps
+      if (!current.isConnected) {
+        current = scanForForms().find(f => [...pending.values()].some(entry => resolveLocator(entry.locator, f))) || null;
+        if (!current) break;
+      }
+    }
+    return { steps, completed: false, unfilled: [...pending.keys()], verification: verification() };
+  }
+
   // 5. Intercept form submission to provide hooks for automations
   function interceptFormSubmission(formElement) {
     formElement.addEventListener('submit', function(evt) {
@@ -75,10 +355,104 @@ function log(message, data) {
           formId: getFormIdentifier(formElement),
           data: serializeForm(formElement)
         });
+      } else {
+        reportSubmissionOutcome(formElement);
       }
     }, true);
   }
 
+  // Watch what the page does after a real submit and report whether it was accepted
+  function reportSubmissionOutcome(formElement) {
+    const formId = getFormIdentifier(formElement);
+    const report = result => {
+      log(`Submission outcome: ${result.outcome}`, result.evidence);
+      communicateWithBackground({
+        type: 'submission-outcome',
+        url: location.href,
+        formId,
+        outcome: result.outcome,
+        evidence: result.evidence
+      });
+    };
+    watchSubmissionOutcome(formElement, {patterns: outcomePatterns}).then(report);
+  }
+
+  // Batch rows sent by the server through background.js: fill the form whose fields best match
+  // formData ({ fieldName: value }) step by step (see fillFormSteps), verify it and submit it.
+  // Columns the page has no field for are skipped, as the headless executor does.
+  // Resolves to { submitted, reason, verification, outcome }. A dry run fills and verifies only
+  // (advancing wizard steps, never submitting), and reports { dryRun, filledFields,
+  // missingFields } instead of an outcome.
+  async function fillBatchRow(formData, patterns, dryRun) {
+    const best = findRowForm(formData || {});
+    if (!best) return {submitted: false, reason: 'No matching form found'};
+    const {entries, mismatched} = rowEntries(best.form, formData);
+    const locatorReport = [];
+    const steps = await fillFormSteps(best.form, entries, locatorReport);
+    if (steps.unfilled.length) log(`Skipping ${steps.unfilled.length} column(s) without a field`, steps.unfilled);
+    const verification = summarizeVerification([...steps.verification.fields, ...mismatched]);
+    if (dryRun) {
+      return {
+        submitted: false,
+        dryRun: true,
+        reason: verification.ok ? null : verification.reason,
+        verification,
+        filledFields: locatorReport.map(r => r.key),
+        missingFields: steps.unfilled
+      };
+    }
+    if (!verification.ok) return {submitted: false, reason: verification.reason, verification};
+    // SPA wizards may have re-rendered the form on the way
+    const form = best.form.isConnected
+      ? best.form
+      : scanForForms().find(f => locatorReport.some(r => f.contains(r.element)));
+    if (!form) return {submitted: false, reason: 'Form was replaced before it could be submitted', verification};
+    // Tell the background the row is being submitted: the navigation that follows may unload
+    // this page before the outcome gets back
+    communicateWithBackground({type: 'batch-row-submitting', url: location.href});
+    const outcome = await simulateFormSubmission(form, {outcome: {patterns: patterns || outcomePatterns}});
+    return {submitted: true, reason: null, verification, outcome};
+  }
+
+  function rowFieldOf(form, name) {
+    return form.querySelector(`[name="${cssEscape(name)}"]`) || form.querySelector(`#${cssEscape(name)}`);
+  }
+
+  // The form with the most of a row's fields, as { form, hits }, or null
+  function findRowForm(formData) {
+    const names = Object.keys(formData);
+    let best = null;
+    for (const form of scanForForms()) {
+      const hits = names.filter(name => rowFieldOf(form, name)).length;
+      if (hits && (!best || hits > best.hits)) best = {form, hits};
+    }
+    return best;
+  }
+
+  // Fill entries for a batch row: a field by its id or name, and a radio group by the radio
+  // whose value (or label) is the row's value. Radio groups with no such radio come back as
+  // failed field results in mismatched.
+  function rowEntries(form, formData) {
+    const entries = [];
+    const mismatched = [];
+    for (const [key, value] of Object.entries(formData)) {
+      const radios = Array.from(form.querySelectorAll(`input[type="radio"][name="${cssEscape(key)}"]`));
+      if (!radios.length) {
+        entries.push({key, locator: {id: key, name: key}, value});
+        continue;
+      }
+      const wanted = String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+      const radio = radios.find(r => r.value.trim().toLowerCase() === wanted) ||
+        radios.find(r => resolveFieldLabel(r).text.toLowerCase() === wanted);
+      if (radio) {
+        entries.push({key, locator: {css: `input[type="radio"][name="${cssEscape(key)}"][value="${cssEscape(radio.value)}"]`}, value: true});
+      } else {
+        mismatched.push({key, ok: false, valueMatches: false, valid: null, validityFlags: [], validationMessage: '', siteErrors: [], errors: ['no matching option']});
+      }
+    }
+    return {entries, mismatched};
+  }
+
   // 6. Message passing to background
   function communicateWithBackground(message) {
     try {
@@ -92,22 +466,71 @@ function log(message, data) {
     }
   }
 
+  // Injected with all_frames, so every frame reports its own forms; background.js keeps
+  // track of which frames have forms and addresses fill requests to them by frameId
+  function reportDetectedForms(forms) {
+    if (!forms.length) return;
+    communicateWithBackground({
+      type: 'forms-detected',
+      frameUrl: location.href,
+      topFrame: window.top === window,
+      forms: forms.map(getFormIdentifier)
+    });
+  }
+
   // Listen for messages from background or popup
   function listenForMessages() {
     if (window.hasFormMasterListener) return;
     window.hasFormMasterListener = true;
-    async function handler(message, sender, sendResponse) {
+    // Fills answer once they are done: the listener returns true so the message port stays
+    // open until then (an async listener returns a Promise, and Chrome closes the port)
+    function handler(message, sender, sendResponse) {
+      const respond = typeof sendResponse === 'function' ? sendResponse : () => {};
       if (message && message.type === 'fill-form') {
+        applyUserMappings(message.mappings, scanForForms(), {
+          traverseSteps: message.traverseSteps !== false,
+          row: message.row
+        }).then(results => {
+          const filled = (results || []).filter(Boolean);
+          respond({
+            status: 'filled',
+            frameUrl: location.href,
+            verified: filled.every(result => !result.verification || result.verification.ok),
+            forms: filled
+          });
+        }).catch(err => respond({status: 'error', frameUrl: location.href, error: err.message}));
+        return true;
+      }
+      if (message && message.type === 'fill-row') {
+        fillBatchRow(message.formData, message.outcomePatterns, message.dryRun)
+          .catch(err => ({submitted: false, reason: err.message}))
+          .then(respond);
+        return true;
+      }
+      if (message && message.type === 'match-row') {
+        const best = findRowForm(message.formData || {});
+        respond({hits: best ? best.hits : 0});
+        return false;
+      }
+      if (message && message.type === 'save-mapping') {
         const forms = scanForForms();
-        await applyUserMappings(message.mappings, forms);
-        sendResponse && sendResponse({status: 'filled'});
+        const form = message.formId
+          ? forms.find(f => getFormIdentifier(f) === message.formId)
+          : forms.length === 1 ? forms[0] : null;
+        if (!form) {
+          respond({status: 'error', error: message.formId ? `Form "${message.formId}" not found` : 'Which form to save the mapping for (formId) is needed'});
+          return false;
+        }
+        saveFormMapping(form, message.fields, message.mappingKey)
+          .then(saved => respond({status: 'saved', frameUrl: location.href, ...saved}))
+          .catch(err => respond({status: 'error', error: err.message}));
+        return true;
       }
       if (message && message.type === 'highlight-forms') {
         highlightDetectedForms(scanForForms());
-        sendResponse && sendResponse({status: 'highlighted'});
+        respond({status: 'highlighted'});
       }
-      // Support async response in Firefox
-      return true;
+      return false;
     }
     if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
       chrome.runtime.onMessage.addListener(handler);
@@ -166,10 +589,38 @@ function log(message, data) {
     return wrapChromeStorageGet('formMappings');
   }
 
+  // Replace the locator bundles of repaired fields in the stored mapping
+  async function repairStoredLocators(mappingKey, repaired) {
+    const mappings = await loadUserMappings();
+    const mapping = mappings[mappingKey];
+    if (!mapping || !(mapping.fields || mapping.branches)) return;
+    const byKey = new Map(repaired.map(r => [r.key, r.locator]));
+    const repair = fields => normalizeFieldEntries(fields).map(entry =>
+      byKey.has(entry.key) ? {...entry, locator: byKey.get(entry.key)} : entry
+    );
+    if (mapping.fields) mapping.fields = repair(mapping.fields);
+    for (const branch of mapping.branches || []) branch.fields = repair(branch.fields);
+    wrapChromeStorageSet('formMappings', mappings);
+  }
+
+  function wrapChromeStorageSet(namespaceKey, value) {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+        chrome.storage.sync.set({[namespaceKey]: value});
+      } else if (typeof browser !== 'undefined' && browser.storage && browser.storage.sync) {
+        browser.storage.sync.set({[namespaceKey]: value}).catch(() => {});
+      }
+    } catch (e) {
+      // silent fail
+    }
+  }
+
   function loadSettings() {
     return wrapChromeStorageGet('formMasterSettings');
   }
 
+  // Human-readable form name for logs and messages, and the key a mapping is saved under when
+  // none is given (saved mappings are found by their fingerprint, see matchFormMapping)
   function getFormIdentifier(form) {
     return form.getAttribute('id') ||
            form.getAttribute('name') ||
@@ -177,34 +628,39 @@ function log(message, data) {
            `form-index-${Array.from(document.forms).indexOf(form)}`;
   }
 
-  // Returns a Promise that resolves when the value is set, including simulated typing effect
+  // Fill any supported control through its widget adapter (see widget-adapters.js).
+  // Resolves to { status: 'filled'|'unsupported'|'failed', adapter, error }
   function setElementValueSimulated(el, value) {
-    return new Promise((resolve) => {
-      if (el.disabled || el.readOnly) return resolve();
-      if (el.type === 'checkbox' || el.type === 'radio') {
-        el.checked = !!value;
-        el.dispatchEvent(new Event('change', {bubbles:true}));
-        resolve();
-      } else if (el.tagName === 'SELECT') {
-        el.value = value;
-        el.dispatchEvent(new Event('change', {bubbles:true}));
-        resolve();
-      } else {
-        el.focus();
-        el.value = '';
-        let chars = String(value).split('');
-        let i = 0;
-        (function typeChar() {
-          if (i < chars.length) {
-            el.value += chars[i++];
-            el.dispatchEvent(new Event('input', {bubbles:true}));
-            setTimeout(typeChar, 15 + Math.random()*35);
-          } else {
-            el.dispatchEvent(new Event('change', {bubbles:true}));
-            resolve();
-          }
-        })();
-      }
+    return fillWidget(el, value, {typeText: typeTextSimulated});
+  }
+
+  // Types text key by key with the full keyboard/input event sequence (so React/Vue/Angular
+  // controlled inputs keep it). A value the page's framework reverted is typed once more.
+  // Resolves to whether the value persisted.
+  async function typeTextSimulated(el, value) {
+    const typing = {minDelay: 15, maxDelay: 50, errorRate: 0};
+    if (await simulateTyping(el, value, {typing})) return true;
+    log('Typed value was reverted, retrying', {field: el.name || el.id});
+    return simulateTyping(el, value, {typing});
+  }
+
+  // Resolves true as soon as check() holds (re-evaluated on every DOM mutation), or false
+  // once timeoutMs passes without it holding
+  function waitForCondition(check, timeoutMs) {
+    return new Promise(resolve => {
+      if (check()) return resolve(true);
+      let timer = null;
+      const observer = new MutationObserver(() => {
+        if (!check()) return;
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(true);
+      });
+      observer.observe(document.documentElement, {childList: true, subtree: true, attributes: true});
+      timer = setTimeout(() => {
+        observer.disconnect();
+        resolve(check());
+      }, timeoutMs);
     });
   }
 
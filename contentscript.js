@@ -1,3 +1,8 @@
+// A classic content script: the helpers are loaded ahead of it (as in manifest.json's
+// content_scripts) and shared as FormMaster.<name>
+const { buildLocatorBundle, resolveLocator, normalizeFieldEntries } = FormMaster.fieldLocator;
+const { fillWidget } = FormMaster.widgetAdapters;
+
 function log() {
   try { 
     console.log('[FormMaster]', ...arguments); 
@@ -70,17 +75,39 @@ function highlightDetectedForms(forms) {
 
 // USER MAPPINGS APPLICATION
 
+// mappings: legacy { selector: value } or [{ key, locator, value }] locator bundles.
+// Returns which locator strategy matched each field, so stale bundles can be repaired, and
+// how its widget adapter did ('filled', 'unsupported' or 'failed').
 async function applyUserMappings(form, mappings) {
-  if (!mappings || !form) return;
-  Object.entries(mappings).forEach(([selector, value]) => {
-    const el = form.querySelector(selector);
-    if (el) {
-      // Attempt to properly simulate native typing
-      el.value = value;
-      el.dispatchEvent(new Event('input', { bubbles: true }));
-      el.dispatchEvent(new Event('change', { bubbles: true }));
+  if (!mappings || !form) return [];
+  const report = [];
+  for (const entry of normalizeFieldEntries(mappings)) {
+    const resolved = resolveLocator(entry.locator, form);
+    if (resolved) {
+      const el = resolved.element;
+      const fill = await fillWidget(el, entry.value);
+      report.push({
+        key: entry.key,
+        strategy: resolved.strategy,
+        stale: resolved.stale,
+        locator: resolved.stale ? buildLocatorBundle(el) : undefined,
+        fill
+      });
     }
-  });
+  }
+  return report;
+}
+
+// Put the bundles rebuilt for stale locators back into the mappings and save them through the
+// background, which get-mappings reads them from, so the next visit resolves them directly
+function persistRepairedLocators(mappings, report) {
+  const repaired = new Map(report.filter((r) => r.stale).map((r) => [r.key, r.locator]));
+  if (!repaired.size) return;
+  log(`Repairing ${repaired.size} stale locator(s)`, [...repaired.keys()]);
+  const fields = normalizeFieldEntries(mappings).map((entry) =>
+    repaired.has(entry.key) ? { ...entry, locator: repaired.get(entry.key) } : entry
+  );
+  sendMessageToBackground({ type: 'save-mappings', url: location.href, mappings: fields });
 }
 
 // FORM SUBMISSION INTERCEPTION
@@ -122,19 +149,6 @@ function injectSimulationModules(settings = {}) {
   window.FormMasterSim = { simulateTyping };
 }
 
-// Utility: Return a unique selector for an element (approx)
-function getUniqueSelector(el) {
-  if (el.id) return `#${el.id}`;
-  let path = el.tagName.toLowerCase();
-  if (el.name) path += `[name="${el.name}"]`;
-  let parent = el.parentElement;
-  while (parent && parent !== document.body) {
-    path = `${parent.tagName.toLowerCase()} > ${path}`;
-    parent = parent.parentElement;
-  }
-  return path;
-}
-
 // MAIN INIT
 
 async function initContentScript() {
@@ -146,12 +160,16 @@ async function initContentScript() {
 
     // Communicate form structures to background for mapping, user training, etc.
     for (let form of forms) {
-      const formData = Array.from(form.elements).map(inp => ({
-        name: inp.name,
-        type: inp.type,
-        tag: inp.tagName,
-        selector: getUniqueSelector(inp)
-      }));
+      const formData = Array.from(form.elements).map(inp => {
+        const locator = buildLocatorBundle(inp);
+        return {
+          name: inp.name,
+          type: inp.type,
+          tag: inp.tagName,
+          selector: locator.css,
+          locator
+        };
+      });
       await sendMessageToBackground({ 
         type: 'form-detected', 
         url: location.href,
@@ -167,7 +185,20 @@ async function initContentScript() {
     forms.forEach((form) => {
       // Only process if a mapping block is defined for this form
       if (Object.keys(mappings).length) {
-        applyUserMappings(form, mappings);
+        applyUserMappings(form, mappings).then((report) => {
+          if (report.length) {
+            sendMessageToBackground({ type: 'locators-resolved', url: location.href, fields: report });
+          }
+          persistRepairedLocators(mappings, report);
+          const unfilled = report.filter((r) => r.fill.status !== 'filled');
+          if (unfilled.length) {
+            sendMessageToBackground({
+              type: 'unsupported-widgets',
+              url: location.href,
+              fields: unfilled.map(({ key, fill }) => ({ key, status: fill.status, adapter: fill.adapter, error: fill.error }))
+            });
+          }
+        });
       }
       interceptFormSubmission(form, async (formEl, event) => {
         // Optionally send the form data to background for automation logic
@@ -18,7 +18,73 @@ const getSubmissionStats = async () => ({
   errorCount: 7
 });
 const exportAnalytics = async (format) => true;
-const scheduleBatch = async (batchSettings) => true;
+
+// Batch API (server.js routes), sent with the session cookie; rejects with the server's error
+const apiRequest = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(path, {
+    method,
+    credentials: 'same-origin',
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+  return data;
+};
+const scheduleBatch = async (profile, batchConfig) =>
+  (await apiRequest('/api/batches', { method: 'POST', body: { profile, batchConfig } })).batchId;
+const getBatches = async () => (await apiRequest('/api/batches')).batches;
+const batchControlRequest = (action) => async (batchId) =>
+  apiRequest(`/api/batches/${encodeURIComponent(batchId)}/${action}`, { method: 'POST' });
+const pauseBatch = batchControlRequest('pause');
+const resumeBatch = batchControlRequest('resume');
+const cancelBatch = batchControlRequest('cancel');
+// Failed rows go to the source spreadsheet's Failures tab, and are re-queued from there so the
+// fixes made in the tab go along
+const exportBatchFailures = async (batchId) =>
+  apiRequest(`/api/batches/${encodeURIComponent(batchId)}/failures/export`, { method: 'POST', body: {} });
+const requeueBatchFailures = async (batchId) =>
+  apiRequest(`/api/batches/${encodeURIComponent(batchId)}/failures/requeue`, { method: 'POST', body: { fromSheet: true } });
+const previewTransforms = async (mapping, rows) =>
+  (await apiRequest('/api/transforms/preview', { method: 'POST', body: { mapping, rows } })).rows;
+
+const EMPTY_BATCH_SETTINGS = {
+  profile: undefined,
+  name: '',
+  csvPath: '',
+  rows: '',
+  url: '',
+  urlColumn: '',
+  mapping: '',
+  startTime: '',
+  runs: '',
+  cron: '',
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  windowDays: '',
+  windowStart: '',
+  windowEnd: ''
+};
+
+// Modal fields -> batchConfig with its rows (a CSV file in the server's data directory, or
+// rows pasted as JSON), target page, mapping and schedule (see batch-scheduler.js). Throws on
+// invalid JSON.
+const toBatchConfig = (settings) => ({
+  name: settings.name,
+  csvPath: settings.rows ? undefined : settings.csvPath || undefined,
+  rows: settings.rows ? [].concat(JSON.parse(settings.rows)) : undefined,
+  url: settings.url || undefined,
+  urlColumn: settings.urlColumn || undefined,
+  mapping: settings.mapping ? JSON.parse(settings.mapping) : undefined,
+  schedule: {
+    startAt: settings.startTime || undefined,
+    cron: settings.cron || undefined,
+    timeZone: settings.timeZone || undefined,
+    runs: settings.runs || undefined,
+    window: settings.windowDays || settings.windowStart || settings.windowEnd
+      ? { days: settings.windowDays || undefined, start: settings.windowStart || undefined, end: settings.windowEnd || undefined }
+      : undefined
+  }
+});
 
 const Dashboard = ({
   // Accept props here if needed in the future
@@ -32,9 +98,13 @@ const Dashboard = ({
   const [profileModalVisible, setProfileModalVisible] = useState(false);
   const [newProfileData, setNewProfileData] = useState({ name: '', formUrl: '' });
   const [batchModalVisible, setBatchModalVisible] = useState(false);
-  const [batchSettings, setBatchSettings] = useState({ name: '', startTime: '', runs: '' });
+  const [batchSettings, setBatchSettings] = useState(EMPTY_BATCH_SETTINGS);
+  const [batches, setBatches] = useState([]);
   const [stats, setStats] = useState(null);
   const [exporting, setExporting] = useState(false);
+  const [transformModalVisible, setTransformModalVisible] = useState(false);
+  const [transformInput, setTransformInput] = useState({ mapping: '{}', rows: '[]' });
+  const [transformPreview, setTransformPreview] = useState([]);
 
   // --- Authentication Handler ---
   const handleLogin = async (oauthData) => {
@@ -44,6 +114,7 @@ const Dashboard = ({
       setUser(userData);
       notification.success({ message: 'Logged in successfully' });
       await loadAutomationProfiles();
+      await loadBatches();
       await displaySubmissionStats();
     } catch (error) {
       notification.error({ message: 'Login failed', description: error.message || String(error) });
@@ -113,18 +184,35 @@ const Dashboard = ({
     setIsLoading(true);
     try {
       // Validate batchSettings
-      if (!batchSettings.name || !batchSettings.startTime || !batchSettings.runs || Number.isNaN(batchSettings.runs)) {
+      if (!batchSettings.profile || !batchSettings.name || (!batchSettings.startTime && !batchSettings.cron) || Number.isNaN(batchSettings.runs)) {
         notification.error({
           message: 'Missing Fields',
-          description: 'Please provide all batch settings fields.'
+          description: 'Please pick a profile and provide a batch name and a start time or cron expression.'
         });
         setIsLoading(false);
         return;
       }
-      await scheduleBatch(batchSettings);
+      if ((!batchSettings.csvPath && !batchSettings.rows) || (!batchSettings.url && !batchSettings.urlColumn)) {
+        notification.error({
+          message: 'Missing Fields',
+          description: 'Please provide the rows (a CSV file or rows JSON) and a target form URL or URL column.'
+        });
+        setIsLoading(false);
+        return;
+      }
+      let batchConfig;
+      try {
+        batchConfig = toBatchConfig(batchSettings);
+      } catch (err) {
+        notification.error({ message: 'Invalid JSON', description: err.message });
+        setIsLoading(false);
+        return;
+      }
+      await scheduleBatch(batchSettings.profile, batchConfig);
       notification.success({ message: 'Batch scheduled' });
       setBatchModalVisible(false);
-      setBatchSettings({ name: '', startTime: '', runs: '' });
+      setBatchSettings(EMPTY_BATCH_SETTINGS);
+      await loadBatches();
     } catch (err) {
       notification.error({ message: 'Batch scheduling failed', description: err.message || String(err) });
     } finally {
@@ -189,15 +277,100 @@ const Dashboard = ({
   };
 
   const handleOpenBatchModal = () => {
-    setBatchSettings({ name: '', startTime: '', runs: '' });
+    setBatchSettings(EMPTY_BATCH_SETTINGS);
     setBatchModalVisible(true);
   };
 
   const handleCloseBatchModal = () => {
     setBatchModalVisible(false);
-    setBatchSettings({ name: '', startTime: '', runs: '' });
+    setBatchSettings(EMPTY_BATCH_SETTINGS);
   };
 
+  // --- Batches: list and pause/resume/cancel ---
+  const loadBatches = async () => {
+    try {
+      setBatches(await getBatches());
+    } catch (err) {
+      notification.error({ message: 'Could not load batches', description: err.message || String(err) });
+    }
+  };
+
+  const controlBatch = async (control, batchId, label) => {
+    setIsLoading(true);
+    try {
+      await control(batchId);
+      notification.success({ message: `Batch ${label}` });
+      await loadBatches();
+    } catch (err) {
+      notification.error({ message: 'Batch update failed', description: err.message || String(err) });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // --- Failed rows: export to the sheet's Failures tab, re-queue after fixing them there ---
+  const exportFailures = async (batchId) => {
+    setIsLoading(true);
+    try {
+      const result = await exportBatchFailures(batchId);
+      notification.success({ message: `${result.exported} failed rows written to the ${result.tab} tab` });
+    } catch (err) {
+      notification.error({ message: 'Failure export failed', description: err.message || String(err) });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const requeueFailures = async (batchId) => {
+    setIsLoading(true);
+    try {
+      const result = await requeueBatchFailures(batchId);
+      notification.success({ message: `${result.requeued} rows re-queued` });
+      await loadBatches();
+    } catch (err) {
+      notification.error({ message: 'Re-queue failed', description: err.message || String(err) });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // --- Mapping transforms: sample rows as the batch processor would fill them ---
+  const runTransformPreview = async () => {
+    let mapping;
+    let rows;
+    try {
+      mapping = JSON.parse(transformInput.mapping || '{}');
+      rows = JSON.parse(transformInput.rows || '[]');
+    } catch (err) {
+      notification.error({ message: 'Invalid JSON', description: err.message });
+      return;
+    }
+    setIsLoading(true);
+    try {
+      setTransformPreview(await previewTransforms(mapping, Array.isArray(rows) ? rows : [rows]));
+    } catch (err) {
+      notification.error({ message: 'Transform preview failed', description: err.message || String(err) });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCloseTransformModal = () => {
+    setTransformModalVisible(false);
+    setTransformPreview([]);
+  };
+
+  const transformPreviewColumns = [
+    { title: 'Row', dataIndex: 'rowIndex', key: 'rowIndex', render: (rowIndex) => rowIndex + 1 },
+    {
+      title: 'Form Data',
+      key: 'formData',
+      render: (_, rec) => (rec.error
+        ? <span style={{ color: '#cf1322' }}>{rec.error}</span>
+        : <code>{JSON.stringify(rec.formData)}</code>)
+    }
+  ];
+
   // Profile Table Columns
   const profileColumns = [
     { title: 'Profile Name', dataIndex: 'name', key: 'name' },
@@ -216,6 +389,68 @@ const Dashboard = ({
     }
   ];
 
+  // Batch Table Columns
+  const batchColumns = [
+    { title: 'Batch', dataIndex: 'id', key: 'id' },
+    {
+      title: 'Profile',
+      dataIndex: 'profile',
+      key: 'profile',
+      render: (profile) => (automationProfiles.find(p => p.id === profile) || { name: profile }).name
+    },
+    { title: 'Status', dataIndex: 'status', key: 'status' },
+    {
+      title: 'Progress',
+      key: 'progress',
+      render: (_, rec) => (rec.progress ? `${rec.progress.processed || 0} / ${rec.progress.total || 0}` : '-')
+    },
+    {
+      title: 'Quarantined',
+      key: 'quarantined',
+      render: (_, rec) => (rec.progress && rec.progress.quarantined ? rec.progress.quarantined : '-')
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, rec) => {
+        const manuallyPaused = rec.status === 'paused' && rec.pauseReason === 'manual';
+        return (
+          <div style={{ display: 'flex', gap: 8 }}>
+            {manuallyPaused ? (
+              <Button onClick={() => controlBatch(resumeBatch, rec.id, 'resumed')}>Resume</Button>
+            ) : (
+              <Button
+                onClick={() => controlBatch(pauseBatch, rec.id, 'paused')}
+                disabled={!['running', 'paused'].includes(rec.status)}
+              >
+                Pause
+              </Button>
+            )}
+            <Button
+              danger
+              onClick={() => controlBatch(cancelBatch, rec.id, 'cancelled')}
+              disabled={!['scheduled', 'running', 'paused'].includes(rec.status)}
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={() => exportFailures(rec.id)}
+              disabled={!rec.progress || !rec.progress.failed}
+            >
+              Export Failures
+            </Button>
+            <Button
+              onClick={() => requeueFailures(rec.id)}
+              disabled={!rec.progress || !rec.progress.failed}
+            >
+              Re-queue Failures
+            </Button>
+          </div>
+        );
+      }
+    }
+  ];
+
   // Unified profile form state binding (either new or edit)
   const profileFormData = activeProfile ? activeProfile : newProfileData;
   const setProfileFormData = activeProfile
@@ -284,6 +519,9 @@ const Dashboard = ({
               >
                 Schedule Batch Automation
               </Button>
+              <Button onClick={() => setTransformModalVisible(true)}>
+                Preview Transforms
+              </Button>
             </div>
             <Card
               title="Submission Stats"
@@ -312,6 +550,14 @@ const Dashboard = ({
               pagination={{ pageSize: 6 }}
               title={() => 'Automation Profiles'}
             />
+            <Table
+              dataSource={batches}
+              columns={batchColumns}
+              rowKey="id"
+              pagination={{ pageSize: 6 }}
+              title={() => 'Batches'}
+              style={{ marginTop: 24 }}
+            />
           </>
         )}
 
@@ -348,6 +594,17 @@ const Dashboard = ({
           okText="Schedule"
           destroyOnClose
         >
+          <Select
+            placeholder="Profile"
+            value={batchSettings.profile}
+            onChange={value => {
+              // The profile's form is the default target page
+              const picked = automationProfiles.find(p => p.id === value);
+              setBatchSettings({ ...batchSettings, profile: value, url: batchSettings.url || (picked && picked.formUrl) || '' });
+            }}
+            options={automationProfiles.map(p => ({ value: p.id, label: p.name }))}
+            style={{ width: '100%', marginBottom: 16 }}
+          />
           <Input
             placeholder="Batch Name"
             value={batchSettings.name}
@@ -355,7 +612,41 @@ const Dashboard = ({
             style={{ marginBottom: 16 }}
           />
           <Input
-            placeholder="Start Time (ISO)"
+            placeholder="CSV File (path in the server's data directory)"
+            value={batchSettings.csvPath}
+            onChange={e => setBatchSettings({ ...batchSettings, csvPath: e.target.value })}
+            disabled={!!batchSettings.rows}
+            style={{ marginBottom: 16 }}
+          />
+          <Input.TextArea
+            placeholder='Or rows JSON, e.g. [{ "email": "jane@example.com" }]'
+            value={batchSettings.rows}
+            onChange={e => setBatchSettings({ ...batchSettings, rows: e.target.value })}
+            autoSize={{ minRows: 2, maxRows: 8 }}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="Target Form URL"
+            value={batchSettings.url}
+            onChange={e => setBatchSettings({ ...batchSettings, url: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="URL Column (per-row target URLs), optional"
+            value={batchSettings.urlColumn}
+            onChange={e => setBatchSettings({ ...batchSettings, urlColumn: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
+          <Input.TextArea
+            placeholder='Mapping JSON, optional, e.g. { "email": "E-mail" }'
+            value={batchSettings.mapping}
+            onChange={e => setBatchSettings({ ...batchSettings, mapping: e.target.value })}
+            autoSize={{ minRows: 2, maxRows: 8 }}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="Start Time"
+            type="datetime-local"
             value={batchSettings.startTime}
             onChange={e => setBatchSettings({ ...batchSettings, startTime: e.target.value })}
             style={{ marginBottom: 16 }}
@@ -372,8 +663,71 @@ const Dashboard = ({
             style={{ marginBottom: 16 }}
             min={1}
           />
+          <Input
+            placeholder="Cron Expression (e.g. 0 9 * * 1-5), optional"
+            value={batchSettings.cron}
+            onChange={e => setBatchSettings({ ...batchSettings, cron: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="Time Zone (e.g. Europe/Berlin)"
+            value={batchSettings.timeZone}
+            onChange={e => setBatchSettings({ ...batchSettings, timeZone: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="Run Window Days (e.g. mon-fri), optional"
+            value={batchSettings.windowDays}
+            onChange={e => setBatchSettings({ ...batchSettings, windowDays: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="Run Window Start (HH:MM), optional"
+            value={batchSettings.windowStart}
+            onChange={e => setBatchSettings({ ...batchSettings, windowStart: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
+          <Input
+            placeholder="Run Window End (HH:MM), optional"
+            value={batchSettings.windowEnd}
+            onChange={e => setBatchSettings({ ...batchSettings, windowEnd: e.target.value })}
+            style={{ marginBottom: 16 }}
+          />
           {/* More batch settings as needed */}
         </Modal>
+
+        {/* Mapping Transform Preview Modal */}
+        <Modal
+          open={transformModalVisible}
+          title="Preview Transforms"
+          onCancel={handleCloseTransformModal}
+          onOk={runTransformPreview}
+          okText="Preview"
+          width={720}
+          destroyOnClose
+        >
+          <Input.TextArea
+            placeholder='Mapping JSON, e.g. { "firstName": { "column": "Name", "transforms": ["splitName:first"] } }'
+            value={transformInput.mapping}
+            onChange={e => setTransformInput({ ...transformInput, mapping: e.target.value })}
+            autoSize={{ minRows: 4, maxRows: 12 }}
+            style={{ marginBottom: 16 }}
+          />
+          <Input.TextArea
+            placeholder='Sample rows JSON, e.g. [{ "Name": "Jane Q Public" }]'
+            value={transformInput.rows}
+            onChange={e => setTransformInput({ ...transformInput, rows: e.target.value })}
+            autoSize={{ minRows: 3, maxRows: 10 }}
+            style={{ marginBottom: 16 }}
+          />
+          <Table
+            dataSource={transformPreview}
+            columns={transformPreviewColumns}
+            rowKey="rowIndex"
+            pagination={false}
+            size="small"
+          />
+        </Modal>
       </Card>
     </Spin>
   );
@@ -0,0 +1,228 @@
+const { evaluateCondition } = require('./mapping-conditions');
+const { STATUS_COLUMNS } = require('./sheet-status');
+
+// Transforms between spreadsheet columns and form fields. A batch mapping is
+//   { formField: spec }
+// where spec is a column name, or
+//   { column | columns, separator, default, transforms: [step], when }
+// - column: the source column; columns: several, joined with separator (default ' ') after
+//   dropping empty ones.
+// - default: used when the source is empty, before the transforms run.
+// - transforms: applied in order. A step is a name, 'name:argument', or { type, ...options }:
+//     trim, upper, lower, title
+//     date     { format: 'MM/DD/YYYY' (default) | 'ISO' | tokens YYYY MM DD M D, from: 'MDY'|'DMY' }
+//              accepts sheet serial dates (days since 1899-12-30), YYYY-MM-DD and M/D/YYYY
+//     phone    { format: 'digits' (default) | 'e164' | 'us', countryCode: '1' }
+//     splitName { part: 'first' | 'last' } - "Jane Q Public" or "Public, Jane Q"
+//     lookup   { table: { from: to }, caseInsensitive: true, fallback } - unmatched values are
+//              kept unless fallback is given
+// - when: only fill the field for rows the condition holds for (a mapping condition on the row's
+//   columns, see mapping-conditions.js).
+// A step that cannot make sense of its value throws; the row then fails with the field named.
+
+const SHEET_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 86400000;
+
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// Date from a sheet serial number or a date string, as UTC midnight
+function parseDateValue(value, from = 'MDY') {
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return new Date(SHEET_EPOCH_MS + Math.floor(Number(text)) * DAY_MS);
+    }
+    let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(text);
+    if (m) return validDate(Number(m[1]), Number(m[2]), Number(m[3]), value);
+    m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (m) {
+        const [month, day] = from === 'DMY' ? [m[2], m[1]] : [m[1], m[2]];
+        return validDate(Number(m[3]), Number(month), Number(day), value);
+    }
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) throw new Error(`Not a date: "${value}"`);
+    const d = new Date(parsed);
+    return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+}
+
+function validDate(year, month, day, original) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) {
+        throw new Error(`Not a date: "${original}"`);
+    }
+    return d;
+}
+
+function formatDate(date, format = 'MM/DD/YYYY') {
+    if (format === 'ISO') format = 'YYYY-MM-DD';
+    const parts = {
+        YYYY: String(date.getUTCFullYear()),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        M: String(date.getUTCMonth() + 1),
+        D: String(date.getUTCDate())
+    };
+    return format.replace(/YYYY|MM|DD|M|D/g, token => parts[token]);
+}
+
+function normalizePhone(value, format = 'digits', countryCode = '1') {
+    const text = String(value).trim();
+    const international = text.startsWith('+') || text.startsWith('00');
+    let digits = text.replace(/\D/g, '');
+    if (text.startsWith('00')) digits = digits.slice(2);
+    if (digits.length < 7) throw new Error(`Not a phone number: "${value}"`);
+    if (format === 'digits') return digits;
+    const code = String(countryCode).replace(/\D/g, '');
+    if (format === 'e164') {
+        if (international) return `+${digits}`;
+        // A North American number written with its leading 1 already carries the country code
+        if (code === '1' && digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+        return `+${code}${digits.replace(/^0+/, '')}`;
+    }
+    if (format === 'us') {
+        const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+        if (national.length !== 10) throw new Error(`Not a US phone number: "${value}"`);
+        return `(${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`;
+    }
+    throw new Error(`Unknown phone format: "${format}"`);
+}
+
+function splitName(value, part = 'first') {
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    let first;
+    let last;
+    if (text.includes(',')) {
+        [last, first] = text.split(',').map(s => s.trim());
+    } else {
+        const words = text.split(' ');
+        last = words.length > 1 ? words.pop() : '';
+        first = words.join(' ');
+    }
+    if (part === 'first') return first || '';
+    if (part === 'last') return last || '';
+    throw new Error(`Unknown name part: "${part}"`);
+}
+
+function lookup(value, options) {
+    const table = options.table || {};
+    const caseInsensitive = options.caseInsensitive !== false;
+    const key = String(value).trim();
+    if (Object.prototype.hasOwnProperty.call(table, key)) return String(table[key]);
+    if (caseInsensitive) {
+        const match = Object.keys(table).find(k => k.toLowerCase() === key.toLowerCase());
+        if (match !== undefined) return String(table[match]);
+    }
+    return options.fallback !== undefined ? String(options.fallback) : String(value);
+}
+
+const TRANSFORMS = {
+    trim: value => String(value).trim(),
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    title: value => String(value).toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase()),
+    date: (value, options) => formatDate(parseDateValue(value, options.from), options.format || options.arg),
+    phone: (value, options) => normalizePhone(value, options.format || options.arg, options.countryCode),
+    splitName: (value, options) => splitName(value, options.part || options.arg),
+    lookup
+};
+
+// 'date:ISO' -> { type: 'date', arg: 'ISO' }
+function normalizeStep(step) {
+    if (typeof step === 'string') {
+        const i = step.indexOf(':');
+        return i < 0 ? { type: step } : { type: step.slice(0, i), arg: step.slice(i + 1) };
+    }
+    if (!step || typeof step !== 'object' || !step.type) throw new Error('Transform step needs a type');
+    return step;
+}
+
+function applyTransforms(value, steps = []) {
+    let result = value;
+    for (const raw of steps) {
+        const step = normalizeStep(raw);
+        const transform = TRANSFORMS[step.type];
+        if (!transform) throw new Error(`Unknown transform: "${step.type}"`);
+        // Empty values pass through; a default belongs in the spec
+        if (isEmpty(result)) return '';
+        result = transform(result, step);
+    }
+    return isEmpty(result) ? '' : String(result);
+}
+
+// Whether a field spec's when condition holds for the row
+function specApplies(row, spec) {
+    return !spec || typeof spec !== 'object' || evaluateCondition(spec.when, { row });
+}
+
+// The value of one field spec for a row ('' when it does not apply to the row)
+function transformValue(row, spec) {
+    const field = typeof spec === 'string' ? { column: spec } : spec || {};
+    if (!specApplies(row, field)) return '';
+    let value;
+    if (Array.isArray(field.columns)) {
+        value = field.columns
+            .map(column => row[column])
+            .filter(v => !isEmpty(v))
+            .map(v => String(v).trim())
+            .join(field.separator === undefined ? ' ' : field.separator);
+    } else {
+        value = row[field.column];
+    }
+    if (isEmpty(value) && field.default !== undefined) value = field.default;
+    if (isEmpty(value)) return '';
+    return applyTransforms(value, field.transforms);
+}
+
+// Form data ({ formField: string }) for a row. Without a mapping the row's columns are used as
+// field names; columns starting with "__" are metadata, and the status write-back columns
+// (sheet-status.js) and options.excludeColumns (e.g. the batch's urlColumn) are never filled.
+// Fields that end up empty are left out.
+function transformRow(row, mapping, options = {}) {
+    const formData = {};
+    if (mapping && Object.keys(mapping).length) {
+        for (const [field, spec] of Object.entries(mapping)) {
+            let value;
+            try {
+                value = transformValue(row, spec);
+            } catch (err) {
+                throw new Error(`Could not transform ${field}: ${err.message}`);
+            }
+            if (value !== '') formData[field] = value;
+        }
+        return formData;
+    }
+    const excluded = new Set([...STATUS_COLUMNS, ...(options.excludeColumns || [])]);
+    for (const [column, value] of Object.entries(row || {})) {
+        if (column.startsWith('__') || excluded.has(column) || isEmpty(value)) continue;
+        formData[column] = String(value);
+    }
+    return formData;
+}
+
+// Per-row form data or error for the first rows, for checking a mapping before a run
+function previewTransforms(rows, mapping, limit = 20) {
+    return rows.slice(0, limit).map((row, rowIndex) => {
+        try {
+            return { rowIndex, formData: transformRow(row, mapping) };
+        } catch (err) {
+            return { rowIndex, error: err.message };
+        }
+    });
+}
+
+module.exports = {
+    parseDateValue,
+    formatDate,
+    normalizePhone,
+    splitName,
+    applyTransforms,
+    specApplies,
+    transformValue,
+    transformRow,
+    previewTransforms
+};
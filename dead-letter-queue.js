@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Dead-letter queue: batch rows that failed for good (a permanent error, or out of retries),
+// kept in dead-letters.json until they are re-queued. An entry is
+//   { id, batchId, profile, rowIndex, row, error, errorClass, fieldDiagnostics, pageUrl,
+//     attempts, failedAt, status: 'open'|'requeued', requeuedAt, requeuedBatchId }
+// Open entries can be written to a "Failures" tab of the source spreadsheet, fixed there and
+// read back for re-queueing (see toFailureSheet / fromFailureSheet).
+const DEAD_LETTER_FILE = path.resolve(__dirname, 'dead-letters.json');
+const FAILURES_TAB = 'Failures';
+// Columns the Failures tab starts with; the row's own fields follow
+const FAILURE_COLUMNS = ['FM_DeadLetterId', 'FM_BatchId', 'FM_Row', 'FM_Error', 'FM_FieldErrors', 'FM_PageUrl', 'FM_FailedAt'];
+
+// Failed fields of a fill verification (see fill-verification.js) as [{ field, errors }]
+function fieldDiagnosticsOf(verification) {
+    if (!verification || !Array.isArray(verification.fields)) return [];
+    return verification.fields
+        .filter(f => !f.ok)
+        .map(f => ({ field: f.key, errors: f.errors || [] }));
+}
+
+// options: { file (default dead-letters.json), now } - now is injectable for tests
+function createDeadLetterQueue(options = {}) {
+    const file = options.file || DEAD_LETTER_FILE;
+    const now = options.now || Date.now;
+    let entries = null;
+
+    function load() {
+        if (entries) return entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('Could not load dead-letter queue:', err.message);
+            entries = [];
+        }
+        return entries;
+    }
+
+    // Same write-then-rename as batch-state.json, so a crash never truncates the file
+    function save() {
+        const tmpFile = `${file}.tmp`;
+        try {
+            fs.writeFileSync(tmpFile, JSON.stringify(entries, null, 2), 'utf-8');
+            fs.renameSync(tmpFile, file);
+        } catch (err) {
+            console.error('Could not persist dead-letter queue:', err.message);
+        }
+    }
+
+    // Add failed rows ({ batchId, profile, rowIndex, row, error, errorClass, fieldDiagnostics,
+    // pageUrl, attempt, failedAt }); a row already open for the same batch is replaced.
+    // Returns the new entries.
+    function add(failures) {
+        load();
+        const added = failures.map(failure => ({
+            id: crypto.randomUUID(),
+            batchId: failure.batchId || null,
+            profile: failure.profile || null,
+            rowIndex: failure.rowIndex,
+            row: failure.row,
+            error: failure.error || null,
+            errorClass: failure.errorClass || null,
+            fieldDiagnostics: failure.fieldDiagnostics || [],
+            pageUrl: failure.pageUrl || null,
+            attempts: failure.attempt || 1,
+            failedAt: failure.failedAt || now(),
+            status: 'open'
+        }));
+        if (!added.length) return added;
+        const replaced = new Set(added.map(e => `${e.batchId}|${e.rowIndex}`));
+        entries = entries.filter(e => e.status !== 'open' || !replaced.has(`${e.batchId}|${e.rowIndex}`));
+        entries.push(...added);
+        save();
+        return added;
+    }
+
+    // filter: { batchId, status, ids }
+    function list(filter = {}) {
+        return load().filter(e =>
+            (!filter.batchId || e.batchId === filter.batchId) &&
+            (!filter.status || e.status === filter.status) &&
+            (!filter.ids || filter.ids.includes(e.id)));
+    }
+
+    function markRequeued(ids, requeuedBatchId) {
+        const requeuedAt = now();
+        for (const entry of load()) {
+            if (!ids.includes(entry.id)) continue;
+            entry.status = 'requeued';
+            entry.requeuedAt = requeuedAt;
+            entry.requeuedBatchId = requeuedBatchId;
+        }
+        save();
+    }
+
+    return { add, list, markRequeued };
+}
+
+// Entries as spreadsheet values: a header row of FAILURE_COLUMNS plus every row field, then
+// one line per entry
+function toFailureSheet(entries) {
+    const fields = [];
+    for (const entry of entries) {
+        for (const key of Object.keys(entry.row || {})) {
+            if (!fields.includes(key) && !FAILURE_COLUMNS.includes(key)) fields.push(key);
+        }
+    }
+    const lines = entries.map(entry => [
+        entry.id,
+        entry.batchId || '',
+        entry.rowIndex + 1,
+        entry.error || '',
+        (entry.fieldDiagnostics || []).map(d => `${d.field}: ${d.errors.join(', ')}`).join('; '),
+        entry.pageUrl || '',
+        new Date(entry.failedAt).toISOString(),
+        ...fields.map(key => {
+            const value = entry.row ? entry.row[key] : undefined;
+            return value === undefined || value === null ? '' : String(value);
+        })
+    ]);
+    return [[...FAILURE_COLUMNS, ...fields], ...lines];
+}
+
+// Rows read back from a Failures tab as [{ id, row }], with the operator's edits; lines
+// without a dead-letter id are skipped
+function fromFailureSheet(values) {
+    if (!values || values.length < 2) return [];
+    const headers = values[0];
+    const idColumn = headers.indexOf(FAILURE_COLUMNS[0]);
+    if (idColumn < 0) return [];
+    return values.slice(1)
+        .filter(line => line[idColumn])
+        .map(line => {
+            const row = {};
+            headers.forEach((header, i) => {
+                if (!FAILURE_COLUMNS.includes(header)) row[header] = line[i] === undefined ? '' : line[i];
+            });
+            return { id: line[idColumn], row };
+        });
+}
+
+// Shared by batch runs and the server
+const deadLetterQueue = createDeadLetterQueue();
+
+module.exports = {
+    FAILURES_TAB,
+    FAILURE_COLUMNS,
+    fieldDiagnosticsOf,
+    createDeadLetterQueue,
+    toFailureSheet,
+    fromFailureSheet,
+    deadLetterQueue
+};
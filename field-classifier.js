@@ -0,0 +1,176 @@
+// Built-in semantic classifier for detected form fields.
+// Scores the metadata produced by form-detection-engine (name, id, label, placeholder,
+// type, autocomplete, pattern, maxLength, inputMode) against a catalog of semantic types.
+
+// Evidence weights, combined per type as a noisy-OR so several weak signals add up
+// without ever exceeding 1.
+(function () {
+const SIGNAL_WEIGHTS = {
+  autocomplete: 0.95,
+  inputType: 0.85,
+  name: 0.6,
+  id: 0.55,
+  label: 0.6,
+  placeholder: 0.45,
+  constraint: 0.2,
+};
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Keywords are matched against normalized text (lowercase, no diacritics, camelCase and
+// separators split into words), in English, Spanish, German and French.
+const SEMANTIC_TYPES = {
+  email: {
+    autocomplete: ['email'],
+    inputTypes: ['email'],
+    inputModes: ['email'],
+    keywords: /\b(e ?mail|email address|correo( electronico)?|courriel|e ?mail ?adresse|adresse (e ?)?mail)\b/,
+  },
+  phone: {
+    autocomplete: ['tel', 'tel-national', 'tel-local'],
+    inputTypes: ['tel'],
+    inputModes: ['tel'],
+    keywords: /\b(phone|tel|telephone|mobile|cell|cellphone|telefono|movil|celular|telefon|telefonnummer|handy|mobil|rufnummer|portable)\b/,
+    constraint: (field) => hasDigitPattern(field.pattern) || inRange(field.maxLength, 7, 20),
+  },
+  firstName: {
+    autocomplete: ['given-name'],
+    keywords: /\b(first ?name|given ?name|fname|forename|nombre|vorname|prenom)\b/,
+    exclude: /\b(nombre completo|nombre de usuario|nombre de la empresa)\b/,
+  },
+  lastName: {
+    autocomplete: ['family-name'],
+    keywords: /\b(last ?name|surname|family ?name|lname|apellidos?|nachname|familienname|nom de famille|nom)\b/,
+    exclude: /\b(nom complet|nom d utilisateur)\b/,
+  },
+  fullName: {
+    autocomplete: ['name'],
+    keywords: /\b(full ?name|your name|name|nombre completo|vollstandiger name|nom complet)\b/,
+    exclude: /\b(first|last|given|family|sur|user|company|business|file|middle|nick)\s?name\b|\bnombre de\b/,
+  },
+  username: {
+    autocomplete: ['username'],
+    keywords: /\b(user ?name|user ?id|login|usuario|nombre de usuario|benutzer ?name|identifiant|nom d utilisateur)\b/,
+  },
+  password: {
+    autocomplete: ['current-password', 'new-password'],
+    inputTypes: ['password'],
+    keywords: /\b(password|passwd|pwd|passwort|kennwort|contrasena|mot de passe)\b/,
+  },
+  organization: {
+    autocomplete: ['organization'],
+    keywords: /\b(company|organi[sz]ation|business|employer|empresa|firma|unternehmen|societe|entreprise)\b/,
+  },
+  addressLine1: {
+    autocomplete: ['street-address', 'address-line1'],
+    keywords: /\b(address( line)? ?1?|street|addr ?1|direccion|calle|strasse|anschrift|adresse|rue)\b/,
+    exclude: /\b(e ?mail|ip|web|line ?2|addr ?2)\b/,
+  },
+  addressLine2: {
+    autocomplete: ['address-line2'],
+    keywords: /\b(address line ?2|address ?2|addr ?2|apt|apartment|suite|unit|piso|departamento|wohnung|adresszusatz|complement( d adresse)?)\b/,
+  },
+  city: {
+    autocomplete: ['address-level2'],
+    keywords: /\b(city|town|ciudad|localidad|municipio|stadt|ort|ville|commune)\b/,
+  },
+  state: {
+    autocomplete: ['address-level1'],
+    keywords: /\b(state|province|region|county|provincia|estado|bundesland|departement)\b/,
+    constraint: (field) => field.maxLength === 2,
+  },
+  postalCode: {
+    autocomplete: ['postal-code'],
+    inputModes: ['numeric'],
+    keywords: /\b(zip( ?code)?|postal( ?code)?|post ?code|codigo postal|cp|plz|postleitzahl|code postal)\b/,
+    constraint: (field) => hasDigitPattern(field.pattern) || inRange(field.maxLength, 4, 10),
+  },
+  country: {
+    autocomplete: ['country', 'country-name'],
+    keywords: /\b(country|nation|pais|land|pays)\b/,
+  },
+  birthDate: {
+    autocomplete: ['bday'],
+    keywords: /\b(birth ?(date|day)?|date of birth|dob|bday|fecha de nacimiento|nacimiento|geburts ?datum|geburtstag|date de naissance|naissance)\b/,
+  },
+  date: {
+    inputTypes: ['date', 'datetime-local'],
+    keywords: /\b(date|fecha|datum)\b/,
+    exclude: /\b(birth|nacimiento|geburt|naissance|update)\b/,
+    constraint: (field) => /(\\d|\[0-9\])\{[1-4]\}[-/.]/.test(field.pattern || ''),
+  },
+  url: {
+    autocomplete: ['url'],
+    inputTypes: ['url'],
+    inputModes: ['url'],
+    keywords: /\b(url|website|web ?site|homepage|sitio web|pagina web|webseite|site web)\b/,
+  },
+};
+
+function inRange(value, min, max) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
+
+function hasDigitPattern(pattern) {
+  return /\\d|\[0-9\]/.test(pattern || '');
+}
+
+// "billingAddress_line1[zip]" -> "billing address line1 zip"; "Teléfono" -> "telefono"
+function normalizeFieldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Last meaningful token of an autocomplete attribute ("shipping address-line1" -> "address-line1")
+function autocompleteToken(value) {
+  const tokens = String(value || '').toLowerCase().split(/\s+/).filter((t) => t && t !== 'webauthn');
+  return tokens.length ? tokens[tokens.length - 1] : '';
+}
+
+// Score a single field against every semantic type.
+// Returns candidates sorted by confidence: [{ type, confidence, signals }]
+function classifyField(field) {
+  if (!field) return [];
+  const token = autocompleteToken(field.autocomplete);
+  const inputType = String(field.type || '').toLowerCase();
+  const inputMode = String(field.inputMode || '').toLowerCase();
+  const texts = {
+    name: normalizeFieldText(field.name),
+    id: normalizeFieldText(field.id),
+    label: normalizeFieldText(field.label),
+    placeholder: normalizeFieldText(field.placeholder),
+  };
+
+  const candidates = [];
+  for (const [type, def] of Object.entries(SEMANTIC_TYPES)) {
+    const signals = [];
+    if (token && def.autocomplete && def.autocomplete.includes(token)) signals.push('autocomplete');
+    if (def.inputTypes && def.inputTypes.includes(inputType)) signals.push('inputType');
+    for (const [source, text] of Object.entries(texts)) {
+      if (!text || !def.keywords.test(text)) continue;
+      if (def.exclude && def.exclude.test(text)) continue;
+      signals.push(source);
+    }
+    if (signals.length && def.inputModes && def.inputModes.includes(inputMode)) signals.push('constraint');
+    if (signals.length && def.constraint && def.constraint(field)) signals.push('constraint');
+    if (!signals.length) continue;
+    const miss = signals.reduce((acc, s) => acc * (1 - SIGNAL_WEIGHTS[s]), 1);
+    candidates.push({ type, confidence: Math.round((1 - miss) * 1000) / 1000, signals });
+  }
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+const api = {
+  SEMANTIC_TYPES,
+  DEFAULT_MIN_CONFIDENCE,
+  classifyField,
+  normalizeFieldText,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).fieldClassifier = api;
+})();
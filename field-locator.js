@@ -0,0 +1,270 @@
+(function () {
+const { isHidden, resolveFieldLabel, cssEscape } = typeof module === 'object' ? require('./form-detection-engine') : FormMaster.formDetectionEngine;
+
+// Resilient field locators.
+// A mapped field is saved as a bundle of independent ways to find it again (id, name, label
+// text, ARIA role+name, placeholder, position relative to its label, CSS and XPath). At fill
+// time they are tried in LOCATOR_STRATEGIES order and the strategy that matched is reported,
+// so a bundle whose preferred strategies went stale can be rebuilt from the element found.
+
+const LOCATOR_STRATEGIES = ['id', 'name', 'label', 'aria', 'placeholder', 'labelRelative', 'css', 'xpath'];
+const LOCATOR_FIELD_SELECTOR = 'input:not([type="hidden"]), select, textarea, [contenteditable="true"], [role="textbox"], [role="combobox"]';
+// Ids that look framework-generated change between page loads and are not worth saving
+const GENERATED_ID_PATTERN = /\d{3,}|[0-9a-f]{8,}|^(ember|react|ng-|mui-|radix-|:r)/i;
+const LABEL_RELATIVE_MAX_DISTANCE = 300;
+
+const IMPLICIT_ROLES = {
+  checkbox: 'checkbox',
+  radio: 'radio',
+  range: 'slider',
+  number: 'spinbutton',
+  search: 'searchbox',
+  button: 'button',
+  submit: 'button',
+};
+
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function isStableId(id) {
+  return !!id && !GENERATED_ID_PATTERN.test(id);
+}
+
+function ariaRole(el) {
+  const explicit = el.getAttribute('role');
+  if (explicit) return explicit;
+  const tag = el.tagName;
+  if (tag === 'SELECT') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+  if (tag === 'TEXTAREA' || el.isContentEditable || el.getAttribute('contenteditable') === 'true') return 'textbox';
+  if (tag === 'INPUT') return IMPLICIT_ROLES[(el.type || '').toLowerCase()] || 'textbox';
+  return '';
+}
+
+// Accessible name per the explicit ARIA/label sources only (heuristic labels are not names)
+function ariaName(el) {
+  const label = resolveFieldLabel(el);
+  return ['aria-labelledby', 'aria-label', 'label-for', 'label-wrap'].includes(label.source) ? label.text : '';
+}
+
+// Shortest tag:nth-of-type chain from the nearest ancestor with a stable id (or <body>)
+function buildCssSelector(el) {
+  if (isStableId(el.id)) return `#${cssEscape(el.id)}`;
+  const parts = [];
+  let node = el;
+  while (node && node.nodeType === 1 && node.tagName !== 'BODY' && node.tagName !== 'HTML') {
+    if (node !== el && isStableId(node.id)) {
+      parts.unshift(`#${cssEscape(node.id)}`);
+      return parts.join(' > ');
+    }
+    let part = node.tagName.toLowerCase();
+    const name = node.getAttribute('name');
+    if (node === el && name) {
+      part += `[name="${cssEscape(name)}"]`;
+    } else if (node.parentElement) {
+      const sameTag = Array.from(node.parentElement.children).filter((c) => c.tagName === node.tagName);
+      if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+    }
+    parts.unshift(part);
+    node = node.parentElement;
+  }
+  return parts.join(' > ');
+}
+
+function buildXPath(el) {
+  const parts = [];
+  let node = el;
+  while (node && node.nodeType === 1) {
+    if (isStableId(node.id)) {
+      parts.unshift(`//*[@id="${node.id}"]`);
+      return parts.join('/');
+    }
+    const sameTag = node.parentNode
+      ? Array.from(node.parentNode.children || []).filter((c) => c.tagName === node.tagName)
+      : [node];
+    parts.unshift(`${node.tagName.toLowerCase()}[${sameTag.indexOf(node) + 1}]`);
+    node = node.parentElement;
+  }
+  return `/${parts.join('/')}`;
+}
+
+// Leaf-ish element whose own text is exactly the label text
+function findLabelElements(root, labelText) {
+  const wanted = normalize(labelText);
+  if (!wanted) return [];
+  return Array.from(root.querySelectorAll('label, span, div, td, th, p, legend, strong, b'))
+    .filter((el) => el.children.length <= 1 && normalize(el.textContent) === wanted && !isHidden(el));
+}
+
+// Where the field sits relative to its label: 'right', 'below', 'left' or 'above'
+function relativeDirection(labelRect, fieldRect) {
+  const dx = (fieldRect.left + fieldRect.width / 2) - (labelRect.left + labelRect.width / 2);
+  const dy = (fieldRect.top + fieldRect.height / 2) - (labelRect.top + labelRect.height / 2);
+  if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? 'right' : 'left';
+  return dy >= 0 ? 'below' : 'above';
+}
+
+function rectDistance(a, b) {
+  const dx = (a.left + a.width / 2) - (b.left + b.width / 2);
+  const dy = (a.top + a.height / 2) - (b.top + b.height / 2);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function describeLabelPosition(el, labelText) {
+  const root = el.ownerDocument;
+  const fieldRect = el.getBoundingClientRect();
+  if (!labelText || (!fieldRect.width && !fieldRect.height)) return null;
+  const labels = findLabelElements(root, labelText);
+  if (!labels.length) return null;
+  const nearest = labels
+    .map((labelEl) => ({ rect: labelEl.getBoundingClientRect() }))
+    .sort((a, b) => rectDistance(a.rect, fieldRect) - rectDistance(b.rect, fieldRect))[0];
+  return { labelText, direction: relativeDirection(nearest.rect, fieldRect) };
+}
+
+// Capture every locator strategy for an element. The bundle is plain JSON.
+function buildLocatorBundle(el) {
+  const label = resolveFieldLabel(el);
+  return {
+    tag: el.tagName.toLowerCase(),
+    type: (el.getAttribute('type') || '').toLowerCase(),
+    id: isStableId(el.id) ? el.id : '',
+    name: el.getAttribute('name') || '',
+    label: label.text,
+    aria: { role: ariaRole(el), name: ariaName(el) },
+    placeholder: el.getAttribute('placeholder') || '',
+    labelRelative: describeLabelPosition(el, label.text),
+    css: buildCssSelector(el),
+    xpath: buildXPath(el),
+  };
+}
+
+function candidateFields(root, bundle) {
+  return Array.from(root.querySelectorAll(LOCATOR_FIELD_SELECTOR))
+    .filter((el) => !bundle.tag || el.tagName.toLowerCase() === bundle.tag || el.getAttribute('contenteditable') === 'true');
+}
+
+// One matcher per strategy: returns the matching elements (a strategy only counts when it
+// yields exactly one, so an ambiguous name or label falls through to the next strategy)
+const STRATEGY_MATCHERS = {
+  id: (root, bundle) => {
+    if (!bundle.id) return [];
+    const el = root.querySelector(`#${cssEscape(bundle.id)}`);
+    return el ? [el] : [];
+  },
+  name: (root, bundle) => {
+    if (!bundle.name) return [];
+    const named = Array.from(root.querySelectorAll(`[name="${cssEscape(bundle.name)}"]`));
+    if (named.length > 1 && bundle.label) {
+      return named.filter((el) => normalize(resolveFieldLabel(el).text) === normalize(bundle.label));
+    }
+    return named;
+  },
+  label: (root, bundle) => {
+    if (!bundle.label) return [];
+    return candidateFields(root, bundle).filter((el) => normalize(resolveFieldLabel(el).text) === normalize(bundle.label));
+  },
+  aria: (root, bundle) => {
+    if (!bundle.aria || !bundle.aria.name) return [];
+    return Array.from(root.querySelectorAll(LOCATOR_FIELD_SELECTOR))
+      .filter((el) => ariaRole(el) === bundle.aria.role && normalize(ariaName(el)) === normalize(bundle.aria.name));
+  },
+  placeholder: (root, bundle) => {
+    if (!bundle.placeholder) return [];
+    return Array.from(root.querySelectorAll(`[placeholder="${cssEscape(bundle.placeholder)}"]`));
+  },
+  labelRelative: (root, bundle) => {
+    const rel = bundle.labelRelative;
+    if (!rel) return [];
+    const fields = candidateFields(root, bundle).filter((el) => !isHidden(el));
+    for (const labelEl of findLabelElements(root, rel.labelText)) {
+      const labelRect = labelEl.getBoundingClientRect();
+      const nearest = fields
+        .map((el) => ({ el, rect: el.getBoundingClientRect() }))
+        .filter(({ rect }) => relativeDirection(labelRect, rect) === rel.direction &&
+          rectDistance(labelRect, rect) <= LABEL_RELATIVE_MAX_DISTANCE)
+        .sort((a, b) => rectDistance(labelRect, a.rect) - rectDistance(labelRect, b.rect))[0];
+      if (nearest) return [nearest.el];
+    }
+    return [];
+  },
+  css: (root, bundle) => {
+    if (!bundle.css) return [];
+    try {
+      // First match, as legacy selector mappings always behaved
+      const el = root.querySelector(bundle.css);
+      return el ? [el] : [];
+    } catch (e) {
+      return [];
+    }
+  },
+  xpath: (root, bundle) => {
+    if (!bundle.xpath) return [];
+    const doc = root.ownerDocument || root;
+    if (typeof doc.evaluate !== 'function') return [];
+    try {
+      const result = doc.evaluate(bundle.xpath, doc, null, 9 /* FIRST_ORDERED_NODE_TYPE */, null);
+      const el = result.singleNodeValue;
+      return el && (root === doc || root.contains(el)) ? [el] : [];
+    } catch (e) {
+      return [];
+    }
+  },
+};
+
+// First strategy the bundle has data for; matching through anything later means the
+// bundle is stale
+function preferredStrategy(bundle) {
+  return LOCATOR_STRATEGIES.find((s) => {
+    if (s === 'aria') return !!(bundle.aria && bundle.aria.name);
+    return !!bundle[s];
+  }) || null;
+}
+
+// Find the element a bundle points at within root (a form or document).
+// Returns { element, strategy, stale } or null when no strategy finds exactly one element.
+function resolveLocator(bundle, root) {
+  if (!bundle || !root) return null;
+  for (const strategy of LOCATOR_STRATEGIES) {
+    let matches = [];
+    try {
+      matches = STRATEGY_MATCHERS[strategy](root, bundle);
+    } catch (e) {
+      matches = [];
+    }
+    if (matches.length === 1) {
+      return { element: matches[0], strategy, stale: strategy !== preferredStrategy(bundle) };
+    }
+  }
+  return null;
+}
+
+// Mapping fields are either the legacy { [cssSelector]: value } object or an array of
+// { locator, value } entries. Normalizes both to [{ key, locator, value }]; other properties
+// of an entry (conditions, see mapping-conditions.js) are kept.
+function normalizeFieldEntries(fields) {
+  if (Array.isArray(fields)) {
+    return fields.map((entry, idx) => ({
+      ...entry,
+      key: entry.key || (entry.locator && (entry.locator.name || entry.locator.id || entry.locator.css)) || `field-${idx}`,
+      locator: entry.locator || {},
+      value: entry.value,
+    }));
+  }
+  return Object.entries(fields || {}).map(([selector, value]) => ({
+    key: selector,
+    locator: { css: selector },
+    value,
+  }));
+}
+
+const api = {
+  LOCATOR_STRATEGIES,
+  buildLocatorBundle,
+  resolveLocator,
+  normalizeFieldEntries,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).fieldLocator = api;
+})();
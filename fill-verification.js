@@ -0,0 +1,206 @@
+// Post-fill verification.
+// After a fill, every field is read back: its value, the browser's constraint validation
+// (validity / validationMessage) and any error the site rendered for it (aria-invalid,
+// aria-errormessage / aria-describedby, error elements next to the field). The result is a
+// per-field report plus a one-line reason suitable for a failed batch row.
+
+(function () {
+const DEFAULT_SETTLE_MS = 150;
+
+// Reads a field's state in the page. Self-contained (no module references) so Puppeteer can
+// run it through elementHandle.evaluate(inspectField).
+function inspectField(el) {
+  const ERROR_SELECTOR = '.error, .errors, .error-message, .field-error, .form-error, .invalid-feedback, ' +
+    '.text-danger, .help-block.error, [role="alert"], [aria-live="assertive"]';
+  const ERROR_WRAPPER_SELECTOR = '.has-error, .is-invalid, .field-error, .error';
+  const ERROR_CLASS = /error|invalid|danger/i;
+  const VALIDITY_FLAGS = ['valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+    'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError'];
+  const visible = (node) => !!(node.offsetWidth || node.offsetHeight || node.getClientRects().length);
+  const text = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+  const doc = el.ownerDocument;
+  const ariaInvalid = el.getAttribute('aria-invalid') === 'true';
+
+  const siteErrors = [];
+  const addMessage = (node) => {
+    if (!node || node === el || node.contains(el) || !visible(node)) return;
+    const message = text(node);
+    if (message && !siteErrors.includes(message)) siteErrors.push(message);
+  };
+  const idRefs = (attr) => (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean)
+    .map((id) => doc.getElementById(id)).filter(Boolean);
+
+  idRefs('aria-errormessage').forEach(addMessage);
+  // Descriptions are usually hints; they count once the field is invalid or they look like errors
+  idRefs('aria-describedby')
+    .filter((node) => ariaInvalid || ERROR_CLASS.test(node.className || '') || node.getAttribute('role') === 'alert')
+    .forEach(addMessage);
+  // Error elements in the field's own wrapper; stop at a container that holds other fields
+  let wrapper = el.parentElement;
+  for (let depth = 0; wrapper && depth < 3; depth++) {
+    const others = Array.from(wrapper.querySelectorAll('input:not([type="hidden"]), select, textarea'))
+      .filter((field) => field !== el && (!el.name || field.name !== el.name));
+    if (others.length) break;
+    wrapper.querySelectorAll(ERROR_SELECTOR).forEach(addMessage);
+    if (wrapper.matches(ERROR_WRAPPER_SELECTOR)) wrapper.querySelectorAll('.help-block, .form-text, .feedback').forEach(addMessage);
+    wrapper = wrapper.parentElement;
+  }
+
+  let value;
+  let selectedText = '';
+  if (el.type === 'checkbox' || el.type === 'radio') {
+    value = el.checked;
+  } else if (el.tagName === 'SELECT') {
+    const selected = Array.from(el.selectedOptions || []);
+    value = el.multiple ? selected.map((o) => o.value) : el.value;
+    selectedText = selected.map(text).join(', ');
+  } else if (el.isContentEditable) {
+    value = text(el);
+  } else {
+    value = el.value;
+  }
+
+  const validity = el.validity;
+  return {
+    tag: el.tagName.toLowerCase(),
+    type: (el.getAttribute('type') || '').toLowerCase(),
+    value,
+    selectedText,
+    valid: validity ? validity.valid : true,
+    validityFlags: validity ? VALIDITY_FLAGS.filter((flag) => validity[flag]) : [],
+    validationMessage: el.validationMessage || '',
+    ariaInvalid,
+    siteErrors,
+  };
+}
+
+function normalizeValue(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') return !/^(|0|false|no|off|n)$/i.test(value.trim());
+  return !!value;
+}
+
+// Loose equality for a filled value: case and whitespace are ignored, and values that only
+// differ in formatting characters ("555-0100" vs "5550100") match
+function valuesEquivalent(actual, expected) {
+  const a = normalizeValue(actual);
+  const b = normalizeValue(expected);
+  if (a === b) return true;
+  const formatting = /[\s\-().+/]/g;
+  return /\d/.test(a) && a.replace(formatting, '') === b.replace(formatting, '');
+}
+
+function valueMatches(state, expected) {
+  if (state.type === 'checkbox' || state.type === 'radio') return state.value === toBoolean(expected);
+  if (Array.isArray(state.value)) {
+    const wanted = (Array.isArray(expected) ? expected : String(expected).split(/[,;]/)).map(normalizeValue).filter(Boolean);
+    return wanted.length === state.value.length && state.value.every((v) => wanted.includes(normalizeValue(v)));
+  }
+  if (state.tag === 'select') {
+    return valuesEquivalent(state.value, expected) || valuesEquivalent(state.selectedText, expected);
+  }
+  return valuesEquivalent(state.value, expected);
+}
+
+// Turn an inspectField() state into a field result.
+// options: { expected, compareValue } - the value is only compared when compareValue is not false
+// and an expected value is given (widgets like date pickers legitimately reformat what they get).
+// Values never appear in the errors, since fields may hold personal data.
+function evaluateField(key, state, options = {}) {
+  const compare = options.compareValue !== false && options.expected !== undefined;
+  const matches = compare ? valueMatches(state, options.expected) : null;
+  const errors = [];
+  if (matches === false) errors.push('value was not kept');
+  if (!state.valid) {
+    errors.push(state.validationMessage || `invalid (${state.validityFlags.join(', ') || 'constraint validation'})`);
+  }
+  errors.push(...state.siteErrors);
+  if (state.ariaInvalid && !state.siteErrors.length) errors.push('marked invalid by the page');
+  return {
+    key,
+    ok: !errors.length,
+    valueMatches: matches,
+    valid: state.valid,
+    validityFlags: state.validityFlags,
+    validationMessage: state.validationMessage,
+    siteErrors: state.siteErrors,
+    errors,
+  };
+}
+
+function unfilledResult(key, error) {
+  return { key, ok: false, valueMatches: null, valid: null, validityFlags: [], validationMessage: '', siteErrors: [], errors: [error] };
+}
+
+// Collapse field results into { ok, fields, failures, reason }
+function summarizeVerification(fields) {
+  const failed = fields.filter((f) => !f.ok);
+  return {
+    ok: !failed.length,
+    fields,
+    failures: failed.map((f) => f.key),
+    reason: failed.length ? failed.map((f) => `${f.key}: ${f.errors.join(', ')}`).join('; ') : null,
+  };
+}
+
+// Give blur-triggered and async site validation a chance to render
+async function settle(doc, settleMs) {
+  const active = doc && doc.activeElement;
+  if (active && typeof active.blur === 'function') active.blur();
+  await new Promise((resolve) => setTimeout(resolve, settleMs));
+}
+
+// Verify fields filled in this document.
+// entries: [{ key, element, expected, compareValue, fillError }] - an entry with fillError was
+// not filled at all and fails with that error.
+async function verifyFilledFields(entries, options = {}) {
+  const withElement = entries.find((e) => e.element);
+  await settle(withElement && withElement.element.ownerDocument, options.settleMs ?? DEFAULT_SETTLE_MS);
+  const fields = entries.map((entry) => {
+    if (entry.fillError || !entry.element) {
+      return unfilledResult(entry.key, entry.fillError || 'field not found');
+    }
+    return evaluateField(entry.key, inspectField(entry.element), entry);
+  });
+  return summarizeVerification(fields);
+}
+
+// Puppeteer variant: verify the named fields of a form handle against formData.
+// names: the field names that were filled (defaults to every key of formData).
+async function verifyFilledFieldsRemote(formHandle, formData, names, options = {}) {
+  await formHandle.evaluate((f) => {
+    const active = f.ownerDocument.activeElement;
+    if (active && typeof active.blur === 'function') active.blur();
+  });
+  await new Promise((resolve) => setTimeout(resolve, options.settleMs ?? DEFAULT_SETTLE_MS));
+  const fields = [];
+  for (const name of names || Object.keys(formData)) {
+    const selector = `[name="${String(name).replace(/["\\]/g, '\\$&')}"]`;
+    // A radio group holds its value in the checked option, which was picked by value when filling
+    const handle = await formHandle.$(`${selector}[type="radio"]:checked`) || await formHandle.$(selector);
+    if (!handle) {
+      fields.push(unfilledResult(name, 'field not found'));
+      continue;
+    }
+    const state = await handle.evaluate(inspectField);
+    await handle.dispose();
+    fields.push(evaluateField(name, state, { expected: state.type === 'radio' ? true : formData[name] }));
+  }
+  return summarizeVerification(fields);
+}
+
+const api = {
+  inspectField,
+  evaluateField,
+  summarizeVerification,
+  valuesEquivalent,
+  verifyFilledFields,
+  verifyFilledFieldsRemote,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).fillVerification = api;
+})();
@@ -1,3 +1,6 @@
+(function () {
+const { classifyField, DEFAULT_MIN_CONFIDENCE } = typeof module === 'object' ? require('./field-classifier') : FormMaster.fieldClassifier;
+
 const FORM_FIELD_SELECTORS = [
   'input:not([type="hidden"]):not([disabled])',
   'select:not([disabled])',
@@ -26,8 +29,12 @@ function isHidden(el) {
   return false;
 }
 
-// Main: Detect forms within main DOM and within all shadow roots
-function detectForms(documentContext) {
+const FRAME_SELECTOR = 'iframe, frame';
+const MAX_FRAME_DEPTH = 5;
+
+// Main: Detect forms within main DOM, within all shadow roots and, unless
+// options.includeFrames is false, within same-origin (i)frame documents
+function detectForms(documentContext, options = {}) {
   const forms = [];
   const formElems = Array.from(documentContext.querySelectorAll('form'));
   formElems.forEach((form) => {
@@ -35,10 +42,55 @@ function detectForms(documentContext) {
   });
   const shadowForms = detectFormsInShadowDOM(documentContext);
   shadowForms.forEach((f) => forms.push(f));
+  const depth = options.frameDepth || 0;
+  if (options.includeFrames !== false && depth < MAX_FRAME_DEPTH) {
+    Array.from(documentContext.querySelectorAll(FRAME_SELECTOR)).forEach((frame) => {
+      const frameDoc = getSameOriginFrameDocument(frame);
+      if (!frameDoc || isHidden(frame)) return;
+      detectForms(frameDoc, { ...options, frameDepth: depth + 1 }).forEach((f) => forms.push(f));
+    });
+  }
   // Remove duplicates (i.e., same DOM reference)
   return Array.from(new Set(forms));
 }
 
+// Document of an <iframe>/<frame>, or null when it is cross-origin or not loaded yet
+function getSameOriginFrameDocument(frame) {
+  try {
+    const doc = frame.contentDocument || (frame.contentWindow && frame.contentWindow.document);
+    return doc && doc.documentElement ? doc : null;
+  } catch (e) {
+    // SecurityError: cross-origin frame, handled by the extension's per-frame content script
+    return null;
+  }
+}
+
+// Path of (i)frames from the top document down to the one containing node.
+// Each entry: { index, id, name, src }, index being the position among the parent
+// document's frames. Empty for nodes in the top document.
+function getFramePath(node) {
+  const path = [];
+  let doc = node && (node.ownerDocument || node);
+  while (doc && doc.defaultView) {
+    let frameEl = null;
+    try {
+      frameEl = doc.defaultView.frameElement;
+    } catch (e) {
+      frameEl = null;
+    }
+    if (!frameEl) break;
+    const parentDoc = frameEl.ownerDocument;
+    path.unshift({
+      index: Array.from(parentDoc.querySelectorAll(FRAME_SELECTOR)).indexOf(frameEl),
+      id: frameEl.id || '',
+      name: frameEl.getAttribute('name') || '',
+      src: frameEl.getAttribute('src') || '',
+    });
+    doc = parentDoc;
+  }
+  return path;
+}
+
 // Traverse DOM, look for ShadowRoots, recursively find forms within them
 function detectFormsInShadowDOM(rootNode) {
   const forms = [];
@@ -66,6 +118,161 @@ function detectFormsInShadowDOM(rootNode) {
   return forms;
 }
 
+// Ranked label sources, most explicit first. Each resolver returns '' when it has nothing.
+const LABEL_RESOLVERS = [
+  ['aria-labelledby', labelFromAriaLabelledBy],
+  ['aria-label', labelFromAriaLabel],
+  ['label-for', labelFromLabelFor],
+  ['label-wrap', labelFromWrappingLabel],
+  ['table-header', labelFromTableCell],
+  ['preceding-text', labelFromPrecedingText],
+  ['legend', labelFromLegend],
+  ['placeholder', labelFromPlaceholder],
+];
+const MAX_LABEL_LENGTH = 120;
+const LABEL_SEARCH_DEPTH = 3;
+
+function normalizeLabelText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Text of a label-ish element, without the text of any form controls nested in it
+function labelTextOf(node) {
+  if (!node) return '';
+  if (node.nodeType === 3) return normalizeLabelText(node.textContent);
+  if (node.nodeType !== 1) return '';
+  const clone = node.cloneNode(true);
+  clone.querySelectorAll('input, select, textarea, option, [contenteditable="true"]').forEach((c) => c.remove());
+  return normalizeLabelText(clone.textContent);
+}
+
+// getElementById that also works inside shadow roots
+function findByIdInRoot(el, id) {
+  const root = typeof el.getRootNode === 'function' ? el.getRootNode() : el.ownerDocument;
+  if (root && typeof root.getElementById === 'function') return root.getElementById(id);
+  return root && typeof root.querySelector === 'function' ? root.querySelector(`#${cssEscape(id)}`) : null;
+}
+
+function cssEscape(value) {
+  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') return CSS.escape(value);
+  return String(value).replace(/["\\#.:[\]()>+~*^$|=\s]/g, '\\$&');
+}
+
+function labelFromAriaLabelledBy(el) {
+  const ids = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  return normalizeLabelText(ids.map((id) => labelTextOf(findByIdInRoot(el, id))).join(' '));
+}
+
+function labelFromAriaLabel(el) {
+  return normalizeLabelText(el.getAttribute('aria-label'));
+}
+
+function labelFromLabelFor(el) {
+  if (!el.id) return '';
+  const root = typeof el.getRootNode === 'function' ? el.getRootNode() : el.ownerDocument;
+  const labelElem = root.querySelector(`label[for="${cssEscape(el.id)}"]`);
+  return labelTextOf(labelElem);
+}
+
+function labelFromWrappingLabel(el) {
+  return labelTextOf(el.closest('label'));
+}
+
+// Table layouts: a <th> (or text cell) to the left in the same row, else the column header
+function labelFromTableCell(el) {
+  const cell = el.closest('td, th');
+  if (!cell) return '';
+  const row = cell.parentElement;
+  if (!row) return '';
+  let prev = cell.previousElementSibling;
+  while (prev) {
+    const text = labelTextOf(prev);
+    if (text && !prev.querySelector('input, select, textarea')) return text;
+    prev = prev.previousElementSibling;
+  }
+  const table = cell.closest('table');
+  if (!table) return '';
+  const headerRow = table.querySelector('thead tr') || table.rows[0];
+  if (!headerRow || headerRow === row) return '';
+  const header = headerRow.cells[cell.cellIndex];
+  return header && header.tagName === 'TH' ? labelTextOf(header) : '';
+}
+
+// Nearest text before the field, stopping as soon as we hit another control's territory
+function labelFromPrecedingText(el) {
+  let node = el;
+  for (let depth = 0; node && depth < LABEL_SEARCH_DEPTH; depth++) {
+    let sibling = node.previousSibling;
+    while (sibling) {
+      if (sibling.nodeType === 1) {
+        if (sibling.matches(FORM_FIELD_SELECTORS.join(',')) ||
+            sibling.querySelector(FORM_FIELD_SELECTORS.join(','))) {
+          return '';
+        }
+        // A fieldset legend labels the whole group; leave it to the 'legend' resolver
+        if (sibling.tagName !== 'LEGEND' && !isHidden(sibling)) {
+          const text = labelTextOf(sibling);
+          if (text) return text.length <= MAX_LABEL_LENGTH ? text : '';
+        }
+      } else if (sibling.nodeType === 3) {
+        const text = normalizeLabelText(sibling.textContent);
+        if (text) return text.length <= MAX_LABEL_LENGTH ? text : '';
+      }
+      sibling = sibling.previousSibling;
+    }
+    node = node.parentElement;
+    if (!node || node.tagName === 'FORM' || node.tagName === 'FIELDSET' || node.tagName === 'BODY') break;
+  }
+  return '';
+}
+
+function labelFromLegend(el) {
+  const fieldset = el.closest('fieldset');
+  if (!fieldset) return '';
+  const legend = Array.from(fieldset.children).find((c) => c.tagName === 'LEGEND');
+  return labelTextOf(legend);
+}
+
+// Last resort for unlabelled fields: the hint text shown inside them
+function labelFromPlaceholder(el) {
+  const text = normalizeLabelText(el.getAttribute('placeholder'));
+  return text.length <= MAX_LABEL_LENGTH ? text : '';
+}
+
+// Resolve the human-readable label of a field, trying LABEL_RESOLVERS in rank order.
+// Returns { text, source } where source is the resolver name, or '' when nothing matched.
+function resolveFieldLabel(el) {
+  for (const [source, resolver] of LABEL_RESOLVERS) {
+    let text = '';
+    try {
+      text = resolver(el);
+    } catch (e) {
+      text = '';
+    }
+    if (text) return { text, source };
+  }
+  return { text: '', source: '' };
+}
+
+// Field metadata shared by real <form>s and synthetic (visually grouped) forms
+function buildFieldMetadata(el) {
+  const label = resolveFieldLabel(el);
+  return {
+    name: el.name || '',
+    id: el.id || '',
+    type: (el.type || el.tagName).toLowerCase(),
+    label: label.text,
+    labelSource: label.source,
+    placeholder: el.placeholder || '',
+    required: !!el.required,
+    autocomplete: el.autocomplete || '',
+    pattern: el.getAttribute('pattern') || '',
+    maxLength: el.hasAttribute('maxlength') ? Number(el.getAttribute('maxlength')) : null,
+    inputMode: el.getAttribute('inputmode') || '',
+    node: el,
+  };
+}
+
 // Extract metadata about the form's structure, fields, labels etc.
 function extractFormMetadata(formElement) {
   const fields = [];
@@ -77,27 +284,7 @@ function extractFormMetadata(formElement) {
     if (el.disabled) return;
     if (usedFields.has(el)) return;
     usedFields.add(el);
-    let label = '';
-    // Prefer label via <label for>
-    if (el.id) {
-      const labelElem = formElement.ownerDocument.querySelector(`label[for="${el.id}"]`);
-      if (labelElem) label = labelElem.textContent.trim();
-    }
-    // Or parent <label>
-    if (!label) {
-      const parentLabel = el.closest('label');
-      if (parentLabel) label = parentLabel.textContent.trim();
-    }
-    fields.push({
-      name: el.name || '',
-      id: el.id || '',
-      type: (el.type || el.tagName).toLowerCase(),
-      label,
-      placeholder: el.placeholder || '',
-      required: !!el.required,
-      autocomplete: el.autocomplete || '',
-      node: el,
-    });
+    fields.push(buildFieldMetadata(el));
   });
   return {
     node: formElement,
@@ -105,12 +292,98 @@ function extractFormMetadata(formElement) {
     name: formElement.name || '',
     action: formElement.action || '',
     method: (formElement.method || '').toUpperCase(),
+    framePath: getFramePath(formElement),
     fields,
   };
 }
 
-// Suggest mappings from rules or heuristics (e.g., autofill for "email", "password", etc.)
-function suggestMappings(formFields, rules) {
+// Multi-step (wizard) forms: containers that typically hold one step each, and the
+// button captions that advance to the next step rather than submitting.
+const STEP_CONTAINER_SELECTORS = [
+  '[data-step]',
+  '[role="tabpanel"]',
+  '.wizard-step',
+  '.form-step',
+  '.step',
+  'fieldset',
+];
+const ADVANCE_CONTROL_PATTERN = /\b(next|continue|proceed|weiter|siguiente|continuar|suivant|continuer)\b/i;
+const ADVANCE_CONTROL_SELECTOR = 'button, input[type="button"], input[type="submit"], [role="button"], a[href="#"], a:not([href])';
+
+function controlCaption(el) {
+  return normalizeLabelText(
+    el.getAttribute('aria-label') || el.value || el.textContent || el.getAttribute('title') || ''
+  );
+}
+
+function isSubmitControl(el) {
+  const type = (el.getAttribute('type') || '').toLowerCase();
+  return (el.tagName === 'BUTTON' && (type === '' || type === 'submit')) ||
+    (el.tagName === 'INPUT' && type === 'submit');
+}
+
+// Find the control that moves a step forward: a "Next"-style control if there is one, else
+// the submit control (which makes the step final). Only visible controls count unless
+// includeHidden is set (used for steps that are not revealed yet).
+// Returns { node, kind: 'next'|'submit' } or null.
+function findAdvanceControl(container, includeHidden = false) {
+  const controls = Array.from(container.querySelectorAll(ADVANCE_CONTROL_SELECTOR))
+    .filter((el) => (includeHidden || !isHidden(el)) && !el.disabled);
+  const next = controls.find((el) => ADVANCE_CONTROL_PATTERN.test(controlCaption(el)));
+  if (next) return { node: next, kind: 'next' };
+  const submit = controls.find(isSubmitControl);
+  return submit ? { node: submit, kind: 'submit' } : null;
+}
+
+// Step containers are the outermost matches of the first selector that yields two or more
+function findStepContainers(formElement) {
+  for (const selector of STEP_CONTAINER_SELECTORS) {
+    const matches = Array.from(formElement.querySelectorAll(selector));
+    const outermost = matches.filter((el) => !matches.some((other) => other !== el && other.contains(el)));
+    if (outermost.length >= 2) return outermost;
+  }
+  return [];
+}
+
+// Model a form as an ordered sequence of steps. Hidden steps are included (their fields are
+// not filterable by visibility yet); SPA wizards that render one step at a time come back as a
+// single visible step whose advance control is 'next', so callers re-run detection after
+// advancing.
+// Returns { node, multiStep, currentStep, steps: [{ index, node, visible, fields, advanceControl, final }] }
+function detectFormSteps(formElement) {
+  const containers = findStepContainers(formElement);
+  const stepNodes = containers.length ? containers : [formElement];
+  const steps = stepNodes.map((node, index) => {
+    const visible = !isHidden(node);
+    const fields = Array.from(node.querySelectorAll(FORM_FIELD_SELECTORS.join(',')))
+      .filter((el) => (el.name || el.id) && (!visible || !isHidden(el)))
+      .map(buildFieldMetadata);
+    const advanceControl = findAdvanceControl(node, !visible);
+    return {
+      index,
+      node,
+      visible,
+      fields,
+      advanceControl,
+      final: index === stepNodes.length - 1 && (!advanceControl || advanceControl.kind === 'submit'),
+    };
+  });
+  const currentStep = steps.findIndex((step) => step.visible);
+  const current = steps[currentStep];
+  return {
+    node: formElement,
+    multiStep: steps.length > 1 || !!(current && current.advanceControl && current.advanceControl.kind === 'next'),
+    currentStep,
+    steps,
+  };
+}
+
+// Suggest mappings for detected fields. Caller rules win; fields no rule matches fall back
+// to the built-in semantic classifier (see field-classifier.js).
+// Each suggestion: { field, mapping, source: 'rule'|'classifier'|null, confidence, candidates }
+function suggestMappings(formFields, rules, options = {}) {
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+  const useClassifier = options.classify !== false;
   const suggestions = [];
   formFields.forEach((field) => {
     let bestMatch = null;
@@ -134,10 +407,19 @@ function suggestMappings(formFields, rules) {
         }
       }
     }
+    const candidates = useClassifier ? classifyField(field) : [];
     if (bestMatch) {
-      suggestions.push({ field, mapping: bestMatch });
+      suggestions.push({ field, mapping: bestMatch, source: 'rule', confidence: 1, candidates });
+    } else if (candidates.length && candidates[0].confidence >= minConfidence) {
+      suggestions.push({
+        field,
+        mapping: candidates[0].type,
+        source: 'classifier',
+        confidence: candidates[0].confidence,
+        candidates,
+      });
     } else {
-      suggestions.push({ field, mapping: null });
+      suggestions.push({ field, mapping: null, source: null, confidence: 0, candidates });
     }
   });
   return suggestions;
@@ -186,32 +468,35 @@ function fallbackVisualDetection(domSnapshot) {
   if (cluster.length >= 2) clusterForms.push(cluster);
   // Build metadata for each cluster-form
   return clusterForms.map((clusterEls, idx) => {
-    const fields = clusterEls.map((el) => ({
-      name: el.name || '',
-      id: el.id || '',
-      type: (el.type || el.tagName).toLowerCase(),
-      label: '', // Try to get label
-      placeholder: el.placeholder || '',
-      required: !!el.required,
-      autocomplete: el.autocomplete || '',
-      node: el,
-    }));
+    const fields = clusterEls.map(buildFieldMetadata);
     return {
       node: null, // Not a true <form>
       id: '',
       name: '',
       action: '',
       method: '',
+      framePath: getFramePath(clusterEls[0]),
       synthetic: true,
       fields,
     };
   });
 }
 
-module.exports = {
+const api = {
+  isHidden,
   detectForms,
   detectFormsInShadowDOM,
+  getFramePath,
   extractFormMetadata,
+  resolveFieldLabel,
+  cssEscape,
+  detectFormSteps,
+  findAdvanceControl,
+  ADVANCE_CONTROL_PATTERN,
   suggestMappings,
   fallbackVisualDetection,
-};
\ No newline at end of file
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).formDetectionEngine = api;
+})();
@@ -0,0 +1,174 @@
+// Structural form fingerprints, used to key saved user mappings.
+// A fingerprint is built from the normalized page URL pattern, the form's fields
+// (name/type/label) and its DOM path, and is plain JSON so it can be stored alongside the
+// mapping. Saved mappings are matched fuzzily, so they survive query strings, added forms
+// and minor markup changes.
+
+(function () {
+const FINGERPRINT_VERSION = 1;
+const FINGERPRINT_WEIGHTS = { url: 0.3, fields: 0.55, domPath: 0.15 };
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+// Matches between DEFAULT_MIN_CONFIDENCE and this are applied, but flagged as low confidence
+const DEFAULT_WARN_BELOW = 0.85;
+
+// Path segments that identify a record rather than a page ("/orders/1234/edit")
+const VOLATILE_SEGMENT = /^(\d+|[0-9a-f]{8,}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// "https://Shop.example.com/orders/1234/edit/?ref=x#top" -> "shop.example.com/orders/*/edit"
+function normalizeUrlPattern(url) {
+  if (!url) return '';
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return String(url).split(/[?#]/)[0].toLowerCase();
+  }
+  const segments = parsed.pathname.split('/')
+    .filter(Boolean)
+    .map((segment) => (VOLATILE_SEGMENT.test(segment) ? '*' : segment.toLowerCase()));
+  return [parsed.host.toLowerCase(), ...segments].join('/');
+}
+
+// Tag chain from <body> down to the node, e.g. "body>main>div>form"
+function getDomPath(node) {
+  const tags = [];
+  let current = node;
+  while (current && current.nodeType === 1 && current.tagName !== 'BODY' && current.tagName !== 'HTML') {
+    tags.unshift(current.tagName.toLowerCase());
+    current = current.parentElement || (current.parentNode && current.parentNode.host) || null;
+  }
+  return ['body', ...tags].join('>');
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// 32-bit FNV-1a, hex encoded; enough to key storage entries, not a security boundary
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Build a fingerprint from extractFormMetadata() output.
+// options: { url, domPath } (domPath defaults to the path of metadata.node)
+function computeFormFingerprint(metadata, options = {}) {
+  const fields = (metadata.fields || []).map((f) => ({
+    name: f.name || f.id || '',
+    type: f.type || '',
+    label: normalizeText(f.label),
+  }));
+  const urlPattern = normalizeUrlPattern(options.url);
+  const domPath = options.domPath !== undefined
+    ? options.domPath
+    : (metadata.node ? getDomPath(metadata.node) : '');
+  const fieldKeys = fields.map((f) => `${f.type}:${f.name || f.label}`).sort();
+  return {
+    version: FINGERPRINT_VERSION,
+    urlPattern,
+    domPath,
+    fields,
+    hash: hashString(`${urlPattern}|${fieldKeys.join(',')}`),
+  };
+}
+
+function urlSimilarity(a, b) {
+  if (a === b) return 1;
+  const segA = a.split('/');
+  const segB = b.split('/');
+  if (segA[0] !== segB[0]) return 0; // different host
+  let same = 0;
+  for (let i = 0; i < Math.min(segA.length, segB.length); i++) {
+    if (segA[i] === segB[i] || segA[i] === '*' || segB[i] === '*') same++;
+  }
+  return same / Math.max(segA.length, segB.length);
+}
+
+function fieldsMatch(a, b) {
+  if (a.name && b.name) return a.name === b.name;
+  return !!a.label && a.label === b.label && a.type === b.type;
+}
+
+// Dice coefficient over fields, matching by name (or by label+type for unnamed fields)
+function fieldSimilarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  const unmatched = b.slice();
+  let matches = 0;
+  for (const field of a) {
+    const idx = unmatched.findIndex((other) => fieldsMatch(field, other));
+    if (idx !== -1) {
+      matches++;
+      unmatched.splice(idx, 1);
+    }
+  }
+  return (2 * matches) / (a.length + b.length);
+}
+
+// Longest-common-subsequence ratio over DOM path segments
+function pathSimilarity(a, b) {
+  if (a === b) return 1;
+  const segA = a.split('>');
+  const segB = b.split('>');
+  const lcs = Array.from({ length: segA.length + 1 }, () => new Array(segB.length + 1).fill(0));
+  for (let i = 1; i <= segA.length; i++) {
+    for (let j = 1; j <= segB.length; j++) {
+      lcs[i][j] = segA[i - 1] === segB[j - 1]
+        ? lcs[i - 1][j - 1] + 1
+        : Math.max(lcs[i - 1][j], lcs[i][j - 1]);
+    }
+  }
+  return (2 * lcs[segA.length][segB.length]) / (segA.length + segB.length);
+}
+
+// Similarity of two fingerprints in [0, 1], with the per-component breakdown. Forms on
+// different hosts never match, however alike their fields: a mapping saved on one site must
+// not fill the user's data into another.
+function compareFingerprints(a, b) {
+  if (a.hash === b.hash && a.domPath === b.domPath) {
+    return { score: 1, breakdown: { url: 1, fields: 1, domPath: 1 } };
+  }
+  const breakdown = {
+    url: urlSimilarity(a.urlPattern || '', b.urlPattern || ''),
+    fields: fieldSimilarity(a.fields || [], b.fields || []),
+    domPath: pathSimilarity(a.domPath || '', b.domPath || ''),
+  };
+  if (!breakdown.url) return { score: 0, breakdown };
+  const score = Object.entries(FINGERPRINT_WEIGHTS)
+    .reduce((sum, [key, weight]) => sum + weight * breakdown[key], 0);
+  return { score: Math.round(score * 1000) / 1000, breakdown };
+}
+
+// Pick the saved mapping whose fingerprint best matches.
+// savedMappings: { [key]: { fingerprint, fields, ... } }; entries without a fingerprint are skipped.
+// Returns { key, mapping, confidence, lowConfidence, breakdown } or null below minConfidence
+// (or when no saved mapping is from the same host).
+function findBestMapping(fingerprint, savedMappings, options = {}) {
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+  const warnBelow = options.warnBelow !== undefined ? options.warnBelow : DEFAULT_WARN_BELOW;
+  let best = null;
+  for (const [key, mapping] of Object.entries(savedMappings || {})) {
+    if (!mapping || !mapping.fingerprint) continue;
+    const { score, breakdown } = compareFingerprints(fingerprint, mapping.fingerprint);
+    if (!breakdown.url) continue;
+    if (score >= minConfidence && (!best || score > best.confidence)) {
+      best = { key, mapping, confidence: score, lowConfidence: score < warnBelow, breakdown };
+    }
+  }
+  return best;
+}
+
+const api = {
+  computeFormFingerprint,
+  compareFingerprints,
+  findBestMapping,
+  normalizeUrlPattern,
+  getDomPath,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).formFingerprint = api;
+})();
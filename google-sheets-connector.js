@@ -1,30 +1,79 @@
 const { google } = require('googleapis');
 const { EventEmitter } = require('events');
-const path = require('path');
 const fs = require('fs');
+const { columnLetter, parseSheetRange } = require('./sheet-status');
+const { planUpsert } = require('./sheet-upsert');
+const { rowsFromValues, diffRows, hasChanges, nextPollInterval } = require('./sheet-diff');
+
+// The Google Sheets connector (googlesheetsconnector.js is a deprecated alias of it that keeps the
+// old module's defaults).
+// Credentials for initGoogleAuth, any of
+//   - a service account key ({ type: 'service_account', client_email, private_key })
+//   - installed/web OAuth client credentials ({ installed | web }) with the user's token
+//     (config.token, or config.tokenPath to a JSON file)
+//   - an authorized user file ({ type: 'authorized_user', client_id, client_secret, refresh_token })
+//   - one of the above as a file (config.credentialsPath) or JSON string (config.credentialsJSON)
+// config.scopes overrides DEFAULT_SCOPES. Refreshed OAuth tokens are emitted as 'tokens'.
+//
+// Writes: appendValues (below the table), updateValues (overwrite a range), upsertByKey
+// (update rows by a key column, append the others; see sheet-upsert.js) and clearValues, or
+// writeValues(sheetId, range, values, { mode }) with mode one of WRITE_MODES.
+//
+// Changes: listenForSheetUpdates(sheetId, range, callback, options) polls a table (header row
+// first) and calls callback({ added, changed, removed, rows }) when rows change, matching rows
+// by options.keyColumn (see sheet-diff.js); it returns a function that stops this listener.
+// Polls start every options.intervalMs and back off (options.backoffFactor, up to
+// options.maxIntervalMs) while nothing changes; a poll only reads the range when Drive reports
+// the spreadsheet modified. options.emitInitial reports the rows found first as added. Every
+// change is also emitted as 'sheetUpdate' ({ sheetId, range, keyColumn, added, changed,
+// removed, rows }), and polling errors as 'error' when anyone listens for them.
+const DEFAULT_SCOPES = [
+    'https://www.googleapis.com/auth/spreadsheets',
+    'https://www.googleapis.com/auth/drive'
+];
+const WRITE_MODES = ['append', 'update', 'upsertByKey', 'clear'];
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+function readJSON(file, what) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read ${what} from ${file}: ${err.message}`);
+    }
+}
 
 class GoogleSheetsConnector extends EventEmitter {
     constructor() {
         super();
         this.sheets = null;
+        this.drive = null;
         this.auth = null;
-        this.pollIntervals = {};
+        // `${sheetId}|${range}|${keyColumn}` -> { timer, callbacks, rows, modifiedTime, intervalMs, poll }
+        this.watchers = new Map();
     }
 
     async initGoogleAuth(config) {
+        if (config.credentialsPath || config.credentialsJSON) {
+            const credentials = config.credentialsPath
+                ? readJSON(config.credentialsPath, 'Google credentials')
+                : JSON.parse(config.credentialsJSON);
+            const { credentialsPath, credentialsJSON, ...rest } = config;
+            return this.initGoogleAuth({ ...rest, ...credentials });
+        }
+        const scopes = config.scopes || DEFAULT_SCOPES;
         if (config.type === 'service_account') {
             const jwt = new google.auth.JWT(
                 config.client_email,
                 null,
                 config.private_key.replace(/\\n/g, '\n'),
-                [
-                    'https://www.googleapis.com/auth/spreadsheets',
-                    'https://www.googleapis.com/auth/drive'
-                ]
+                scopes
             );
             await jwt.authorize();
             this.auth = jwt;
-            this.sheets = google.sheets({ version: 'v4', auth: jwt });
+        } else if (config.type === 'authorized_user') {
+            const oAuth2Client = new google.auth.OAuth2(config.client_id, config.client_secret);
+            oAuth2Client.setCredentials({ refresh_token: config.refresh_token });
+            this.auth = this.#watchTokens(oAuth2Client);
         } else if (config.installed || config.web) {
             const credentials = config.installed || config.web;
             const oAuth2Client = new google.auth.OAuth2(
@@ -32,95 +81,235 @@ class GoogleSheetsConnector extends EventEmitter {
                 credentials.client_secret,
                 credentials.redirect_uris[0]
             );
-            if (config.token) {
-                oAuth2Client.setCredentials(config.token);
-            } else {
-                throw new Error('OAuth token needed for user account.');
-            }
-            this.auth = oAuth2Client;
-            this.sheets = google.sheets({ version: 'v4', auth: oAuth2Client });
+            const token = config.token || (config.tokenPath && readJSON(config.tokenPath, 'OAuth token'));
+            if (!token) throw new Error('OAuth token needed for user account.');
+            oAuth2Client.setCredentials(token);
+            this.auth = this.#watchTokens(oAuth2Client);
         } else {
             throw new Error('Invalid Google API credentials.');
         }
+        this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+        this.drive = google.drive({ version: 'v3', auth: this.auth });
     }
 
-    async fetchSpreadsheetData(sheetId, range) {
+    // options.valueRenderOption: e.g. 'UNFORMATTED_VALUE' for raw numbers and date serials
+    async fetchSpreadsheetData(sheetId, range, options = {}) {
         this.#ensureInitialized();
         const res = await this.sheets.spreadsheets.values.get({
             spreadsheetId: sheetId,
             range,
+            ...(options.valueRenderOption ? { valueRenderOption: options.valueRenderOption } : {}),
         });
         return res.data.values || [];
     }
 
-    async saveMappingToSheet(sheetId, mappingData) {
+    // Writes rows of values (or a single row) in one of WRITE_MODES; upsertByKey takes row
+    // objects and options.keyColumn. options.valueInputOption defaults to 'RAW'.
+    async writeValues(sheetId, range, values, options = {}) {
+        const mode = options.mode || 'append';
+        switch (mode) {
+            case 'append':
+                return this.appendValues(sheetId, range, values, options);
+            case 'update':
+                return this.updateValues(sheetId, range, values, options);
+            case 'upsertByKey':
+                return this.upsertByKey(sheetId, range, values, options.keyColumn, options);
+            case 'clear':
+                return this.clearValues(sheetId, range);
+            default:
+                throw new Error(`Unknown write mode "${mode}"; use one of ${WRITE_MODES.join(', ')}`);
+        }
+    }
+
+    // Adds rows below the table the range belongs to
+    async appendValues(sheetId, range, values, options = {}) {
+        this.#ensureInitialized();
+        const res = await this.sheets.spreadsheets.values.append({
+            spreadsheetId: sheetId,
+            range,
+            valueInputOption: options.valueInputOption || 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: toRows(values) },
+        });
+        return { updatedRange: res && res.data && res.data.updates ? res.data.updates.updatedRange : null };
+    }
+
+    // Overwrites cells starting at the range's top-left cell
+    async updateValues(sheetId, range, values, options = {}) {
         this.#ensureInitialized();
-        let values = mappingData;
-        if (!Array.isArray(mappingData[0])) {
-            values = [mappingData];
+        const rows = toRows(values);
+        const { sheet, startColumn, headerRow } = parseSheetRange(range);
+        const width = Math.max(1, ...rows.map(r => r.length));
+        const prefix = sheet ? `'${sheet.replace(/'/g, "''")}'!` : '';
+        const target = `${prefix}${columnLetter(startColumn)}${headerRow}:${columnLetter(startColumn + width - 1)}${headerRow + rows.length - 1}`;
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: sheetId,
+            range: target,
+            valueInputOption: options.valueInputOption || 'RAW',
+            resource: { values: rows },
+        });
+        return { updatedRange: target };
+    }
+
+    // rows: objects keyed by header. range covers the table, header row first.
+    // Resolves to { updated, appended }.
+    async upsertByKey(sheetId, range, rows, keyColumn, options = {}) {
+        this.#ensureInitialized();
+        if (!keyColumn) throw new Error('upsertByKey needs a keyColumn');
+        const existing = await this.fetchSpreadsheetData(sheetId, range);
+        const { data, updated, appended } = planUpsert(existing, rows, keyColumn, range);
+        if (data.length) {
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: sheetId,
+                resource: { valueInputOption: options.valueInputOption || 'RAW', data },
+            });
         }
-        try {
-            await this.sheets.spreadsheets.values.append({
+        return { updated, appended };
+    }
+
+    async clearValues(sheetId, range) {
+        this.#ensureInitialized();
+        await this.sheets.spreadsheets.values.clear({ spreadsheetId: sheetId, range });
+        return { clearedRange: range };
+    }
+
+    // Mapping rows, appended to the first sheet by default; options as for writeValues
+    // (e.g. { mode: 'update' } to overwrite from A1)
+    async saveMappingToSheet(sheetId, mappingData, options = {}) {
+        if (!Array.isArray(mappingData) || !mappingData.length) {
+            throw new Error('mappingData must be a non-empty array');
+        }
+        return this.writeValues(sheetId, options.range || 'A1', mappingData, options);
+    }
+
+    // Replace the contents of a tab (sheet) with values, adding the tab if it does not exist yet
+    async writeSheetTab(sheetId, title, values) {
+        this.#ensureInitialized();
+        const meta = await this.sheets.spreadsheets.get({
+            spreadsheetId: sheetId,
+            fields: 'sheets.properties.title',
+        });
+        const exists = (meta.data.sheets || []).some(s => s.properties.title === title);
+        if (!exists) {
+            await this.sheets.spreadsheets.batchUpdate({
                 spreadsheetId: sheetId,
-                range: 'A1',
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values },
+                resource: { requests: [{ addSheet: { properties: { title } } }] },
             });
-        } catch (err) {
-            // Surface to caller
-            throw err;
         }
+        const range = `'${title.replace(/'/g, "''")}'`;
+        await this.clearValues(sheetId, range);
+        await this.updateValues(sheetId, `${range}!A1`, values);
     }
 
-    listenForSheetUpdates(sheetId, callback, range = 'A1:Z1000', intervalMs = 5000) {
+    listenForSheetUpdates(sheetId, range, callback, options = {}) {
         this.#ensureInitialized();
-        const normRange = (range || '').trim().toUpperCase();
-        const intervalKey = `${sheetId}_${normRange}`;
-        if (this.pollIntervals[intervalKey]) return; // Already listening
-
-        let lastData = null;
-
-        const poll = async () => {
-            try {
-                const data = await this.fetchSpreadsheetData(sheetId, range);
-                const serialized = JSON.stringify(data);
-                if (lastData !== null && lastData !== serialized) {
-                    callback(data);
+        if (typeof callback !== 'function') throw new Error('listenForSheetUpdates needs a callback');
+        const keyColumn = options.keyColumn || null;
+        const key = watcherKey(sheetId, range, keyColumn);
+        let watcher = this.watchers.get(key);
+        if (!watcher) {
+            const baseMs = options.intervalMs || DEFAULT_POLL_INTERVAL_MS;
+            const backoff = { baseMs, maxMs: options.maxIntervalMs, factor: options.backoffFactor };
+            watcher = { timer: null, callbacks: new Set(), rows: null, modifiedTime: null, checkModifiedTime: true, intervalMs: baseMs };
+            const poll = async () => {
+                let changed = false;
+                try {
+                    const modifiedTime = await this.#modifiedTime(sheetId, watcher);
+                    if (watcher.rows === null || !modifiedTime || modifiedTime !== watcher.modifiedTime) {
+                        const rows = rowsFromValues(await this.fetchSpreadsheetData(sheetId, range), range);
+                        const first = watcher.rows === null;
+                        const diff = first
+                            ? { added: rows, changed: [], removed: [] }
+                            : diffRows(watcher.rows, rows, { keyColumn });
+                        watcher.rows = rows;
+                        watcher.modifiedTime = modifiedTime;
+                        changed = !first && hasChanges(diff);
+                        for (const listener of watcher.callbacks) {
+                            if (changed || (first && listener.emitInitial)) listener.callback({ ...diff, rows });
+                        }
+                        if (changed) this.emit('sheetUpdate', { sheetId, range, keyColumn, ...diff, rows });
+                    }
+                } catch (err) {
+                    if (this.listenerCount('error')) this.emit('error', err);
                 }
-                lastData = serialized;
-            } catch (err) {
-                this.emit('error', err);
-            }
+                if (this.watchers.get(key) !== watcher) return;
+                watcher.intervalMs = nextPollInterval(watcher.intervalMs, changed, backoff);
+                watcher.timer = setTimeout(poll, watcher.intervalMs);
+            };
+            watcher.poll = poll;
+            this.watchers.set(key, watcher);
+        }
+        const listener = { callback, emitInitial: !!options.emitInitial };
+        watcher.callbacks.add(listener);
+        if (watcher.rows === null) {
+            if (watcher.callbacks.size === 1) watcher.poll();
+        } else if (listener.emitInitial) {
+            callback({ added: watcher.rows, changed: [], removed: [], rows: watcher.rows });
+        }
+        return () => {
+            watcher.callbacks.delete(listener);
+            if (!watcher.callbacks.size) this.stopListeningForSheetUpdates(sheetId, range, keyColumn);
         };
-
-        poll();
-        this.pollIntervals[intervalKey] = setInterval(poll, intervalMs);
     }
 
-    stopListeningForSheetUpdates(sheetId, range = 'A1:Z1000') {
-        const normRange = (range || '').trim().toUpperCase();
-        const intervalKey = `${sheetId}_${normRange}`;
-        if (this.pollIntervals[intervalKey]) {
-            clearInterval(this.pollIntervals[intervalKey]);
-            delete this.pollIntervals[intervalKey];
-        }
+    // Stops every listener of the range (with that keyColumn)
+    stopListeningForSheetUpdates(sheetId, range, keyColumn) {
+        const key = watcherKey(sheetId, range, keyColumn);
+        const watcher = this.watchers.get(key);
+        if (!watcher) return;
+        clearTimeout(watcher.timer);
+        this.watchers.delete(key);
     }
 
+    // Rows below the header row as objects. __rowNumber is the row's number in the sheet, so
+    // results can be written back next to it (see sheet-status.js).
     async importBatchProfiles(sheetId, range) {
-        const rows = await this.fetchSpreadsheetData(sheetId, range);
-        if (!rows || rows.length === 0) return [];
-        const headers = rows[0];
-        return rows.slice(1).map(row => {
-            const obj = {};
-            headers.forEach((h, i) => { obj[h] = row[i] || ''; });
-            return obj;
+        return rowsFromValues(await this.fetchSpreadsheetData(sheetId, range), range);
+    }
+
+    // Write several ranges in one request. data: [{ range, values }]
+    async batchUpdateValues(sheetId, data) {
+        this.#ensureInitialized();
+        if (!data.length) return;
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: sheetId,
+            resource: { valueInputOption: 'RAW', data },
         });
     }
 
+    // The spreadsheet's last modification time from Drive, so that polls of a sheet nobody
+    // edited skip reading the range. Resolves to null, and stops asking for this watcher, when
+    // Drive cannot tell (e.g. the scopes leave Drive out).
+    async #modifiedTime(sheetId, watcher) {
+        if (!this.drive || !watcher.checkModifiedTime) return null;
+        try {
+            const res = await this.drive.files.get({ fileId: sheetId, fields: 'modifiedTime', supportsAllDrives: true });
+            return (res.data && res.data.modifiedTime) || null;
+        } catch (err) {
+            watcher.checkModifiedTime = false;
+            return null;
+        }
+    }
+
+    #watchTokens(oAuth2Client) {
+        oAuth2Client.on('tokens', tokens => this.emit('tokens', tokens));
+        return oAuth2Client;
+    }
+
     #ensureInitialized() {
         if (!this.sheets) throw new Error('Google Sheets not initialized. Call initGoogleAuth first.');
     }
 }
 
-module.exports = new GoogleSheetsConnector();
\ No newline at end of file
+function toRows(values) {
+    return Array.isArray(values[0]) ? values : [values];
+}
+
+function watcherKey(sheetId, range, keyColumn) {
+    return `${sheetId}|${String(range || '').trim().toUpperCase()}|${keyColumn || ''}`;
+}
+
+module.exports = new GoogleSheetsConnector();
+// For callers that need their own credentials (e.g. one connector per signed-in user)
+module.exports.GoogleSheetsConnector = GoogleSheetsConnector;
+module.exports.WRITE_MODES = WRITE_MODES;
@@ -1,3 +1,6 @@
+(function () {
+const { watchSubmissionOutcome } = typeof module === 'object' ? require('./submission-outcome') : FormMaster.submissionOutcome;
+
 function randomBetween(min, max) {
   return Math.random() * (max - min) + min;
 }
@@ -11,7 +14,7 @@ function addRandomization(config = {}) {
     typing: {
       minDelay: config.typing?.minDelay || 60,
       maxDelay: config.typing?.maxDelay || 160,
-      errorRate: config.typing?.errorRate || 0.03,
+      errorRate: config.typing?.errorRate ?? 0.03,
       correctionDelay: config.typing?.correctionDelay || [200, 500],
     },
     mouse: {
@@ -26,37 +29,141 @@ function addRandomization(config = {}) {
   };
 }
 
+// Event constructors of the field's own window, so fields inside iframes get events
+// their page recognizes
+function eventWindow(field) {
+  return (field.ownerDocument && field.ownerDocument.defaultView) || window;
+}
+
+/**
+ * Sets a property through the setter on the element's prototype chain rather than the instance.
+ * React (and other libraries that track values) shadow `value`/`checked` on the instance, so a
+ * plain assignment updates their tracker too and the following input event is ignored as a no-op.
+ * @param {HTMLElement} field - The element to update.
+ * @param {string} property - 'value' or 'checked'.
+ * @param {*} value - The new value.
+ */
+function setNativeProperty(field, property, value) {
+  let proto = Object.getPrototypeOf(field);
+  while (proto) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+    if (descriptor && descriptor.set) {
+      descriptor.set.call(field, value);
+      return;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  field[property] = value;
+}
+
+/**
+ * Sets an input, textarea or select value the way the browser does for user edits.
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - The element to update.
+ * @param {string} value - The new value.
+ */
+function setNativeValue(field, value) {
+  setNativeProperty(field, 'value', value);
+}
+
+/**
+ * Sets a checkbox or radio `checked` state through the native setter.
+ * @param {HTMLInputElement} field - The checkbox or radio input.
+ * @param {boolean} checked - The new state.
+ */
+function setNativeChecked(field, checked) {
+  setNativeProperty(field, 'checked', checked);
+}
+
+// KeyboardEvent init for a single character or a named key ('Backspace', 'Enter', ...)
+function keyEventInit(key) {
+  let code = '';
+  if (/^[a-z]$/i.test(key)) code = `Key${key.toUpperCase()}`;
+  else if (/^[0-9]$/.test(key)) code = `Digit${key}`;
+  else if (key === ' ') code = 'Space';
+  else if (key.length > 1) code = key;
+  return {key, code, bubbles: true, cancelable: true, composed: true};
+}
+
+/**
+ * Dispatches the event sequence of one user edit: keydown, keypress (printable keys only),
+ * beforeinput, the value change, input and keyup. As in a browser, a cancelled keydown or
+ * beforeinput leaves the value untouched.
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - The field being edited.
+ * @param {string} key - The key pressed.
+ * @param {string} inputType - InputEvent.inputType, e.g. 'insertText' or 'deleteContentBackward'.
+ * @param {string|null} data - InputEvent.data (the inserted text, or null for deletions).
+ * @param {string} nextValue - The field value after the edit.
+ */
+function dispatchEdit(field, key, inputType, data, nextValue) {
+  const view = eventWindow(field);
+  const init = keyEventInit(key);
+  const proceed = field.dispatchEvent(new view.KeyboardEvent('keydown', init));
+  if (proceed) {
+    if (key.length === 1) field.dispatchEvent(new view.KeyboardEvent('keypress', init));
+    const editInit = {inputType, data, bubbles: true, composed: true};
+    if (field.dispatchEvent(new view.InputEvent('beforeinput', {...editInit, cancelable: true}))) {
+      setNativeValue(field, nextValue);
+      field.dispatchEvent(new view.InputEvent('input', editInit));
+    }
+  }
+  field.dispatchEvent(new view.KeyboardEvent('keyup', init));
+}
+
+/**
+ * Waits for pending re-renders, then checks the field still holds the expected value.
+ * Controlled components that missed the edit restore their previous state on re-render.
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - The filled field.
+ * @param {string} expected - The value that should have persisted.
+ * @param {object} [options] - { settleMs } time to let frameworks re-render (default 50).
+ * @returns {Promise<boolean>} Whether the value survived.
+ */
+async function verifyValuePersisted(field, expected, options = {}) {
+  await delay(options.settleMs ?? 50);
+  const view = eventWindow(field);
+  if (typeof view.requestAnimationFrame === 'function') {
+    await new Promise(resolve => view.requestAnimationFrame(() => resolve()));
+  }
+  return String(field.value) === String(expected);
+}
+
 /**
  * Simulates human-like typing into a field.
+ * Clears the field, then types one key at a time with the full keyboard/input event
+ * sequence, so framework-controlled inputs (React, Vue, Angular) pick up every change.
  * @param {HTMLInputElement|HTMLTextAreaElement} field - The input or textarea element to type into.
  * @param {string} value - The string value to type.
  * @param {object} [options] - Optional randomization config.
+ * @returns {Promise<boolean>} Whether the typed value survived a re-render (see verifyValuePersisted).
  */
 async function simulateTyping(field, value, options = {}) {
   const opts = addRandomization(options);
+  value = String(value);
   if (typeof field.focus === 'function') {
     field.focus();
   }
 
-  let text = '';
-  for (let i = 0; i < value.length; i++) {
-    text += value[i];
-    field.value = text;
-    field.dispatchEvent(new InputEvent('input', {bubbles: true}));
+  if (field.value) {
+    if (typeof field.select === 'function') field.select();
+    dispatchEdit(field, 'Backspace', 'deleteContentBackward', null, '');
+  }
 
+  // Each edit applies to the field's current value, so a key the page cancelled stays out
+  for (let i = 0; i < value.length; i++) {
     if (opts.typing.errorRate > 0 && Math.random() < opts.typing.errorRate) {
-      // Simulate mistyping a random character
+      // Simulate mistyping a random character, then correcting it with Backspace
       const errorChar = String.fromCharCode(97 + Math.floor(Math.random() * 26));
-      field.value = text + errorChar;
-      field.dispatchEvent(new InputEvent('input', {bubbles: true}));
+      const before = field.value;
+      dispatchEdit(field, errorChar, 'insertText', errorChar, before + errorChar);
       await delay(randomBetween(...opts.typing.correctionDelay));
-      field.value = text;
-      field.dispatchEvent(new InputEvent('input', {bubbles: true}));
+      if (field.value !== before) dispatchEdit(field, 'Backspace', 'deleteContentBackward', null, before);
     }
 
+    dispatchEdit(field, value[i], 'insertText', value[i], field.value + value[i]);
+
     await delay(randomBetween(opts.typing.minDelay, opts.typing.maxDelay));
   }
-  field.dispatchEvent(new Event('change', {bubbles: true}));
+  field.dispatchEvent(new (eventWindow(field).Event)('change', {bubbles: true}));
+  return verifyValuePersisted(field, value);
 }
 
 /**
@@ -136,12 +243,16 @@ async function simulateScrolling(element, options = {}) {
 /**
  * Simulates submitting a form with human interactions.
  * Prefer click on submit button (if present), fallback to native submit event.
+ * Then watches the page to tell whether the site accepted the submission.
  * @param {HTMLFormElement} formElement - The form element to submit.
- * @param {object} [options] - Optional randomization config.
+ * @param {object} [options] - Optional randomization config, plus `outcome`:
+ *   { patterns, timeoutMs } for the outcome watcher (see submission-outcome.js).
+ * @returns {Promise<{outcome: string, evidence: Array}|undefined>} The submission outcome.
  */
 async function simulateFormSubmission(formElement, options = {}) {
   const opts = addRandomization(options);
   if (!formElement || typeof formElement.querySelector !== 'function') return;
+  const outcome = watchSubmissionOutcome(formElement, options.outcome);
   const submitButton = formElement.querySelector('[type="submit"], button:not([type]), button[type="submit"]');
   if (submitButton) {
     await simulateMouseInteraction(submitButton, 'click', opts);
@@ -149,12 +260,20 @@ async function simulateFormSubmission(formElement, options = {}) {
   } else {
     formElement.dispatchEvent(new Event('submit', {bubbles: true, cancelable: true}));
   }
+  return outcome;
 }
 
-module.exports = {
+const api = {
   addRandomization,
+  setNativeValue,
+  setNativeChecked,
+  verifyValuePersisted,
   simulateTyping,
   simulateMouseInteraction,
   simulateScrolling,
   simulateFormSubmission
-};
\ No newline at end of file
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).humanSimulation = api;
+})();
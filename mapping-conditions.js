@@ -0,0 +1,111 @@
+(function () {
+const { normalizeFieldEntries } = typeof module === 'object' ? require('./field-locator') : FormMaster.fieldLocator;
+
+// Conditional mappings. Besides { key, locator, value }, a mapping field entry may have
+//   column   - take the value from this column of the row being filled instead of value
+//   when     - only fill the field if the condition holds for the row (see evaluateCondition)
+//   action   - 'click': click the element instead of filling it (e.g. a "Business" tab)
+//   after    - key of the entry that reveals this field; once that one is handled, the field
+//              is waited for instead of skipped
+//   waitFor  - wait for the field to render even without an after (true, or a timeout in ms)
+// and a mapping may carry per-row branches on top of its fields:
+//   { fields, branches: [{ name, when, fields }] }
+// The first branch whose when holds (a branch without when always does) adds its fields.
+//
+// A condition is
+//   { column | field, equals | notEquals | in | matches | present }
+//   { all: [condition] } | { any: [condition] } | { not: condition }
+// column reads the row, field the value mapped to another entry. Values are compared trimmed
+// and case-insensitively; present: true holds for a non-empty value, present: false for an
+// empty one, and a condition with only column/field means present: true.
+
+const DEFAULT_WAIT_TIMEOUT_MS = 5000;
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function same(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// context: { row, values } - values are the mapped value of each entry key
+function evaluateCondition(condition, context = {}) {
+  if (!condition) return true;
+  if (Array.isArray(condition.all)) return condition.all.every(c => evaluateCondition(c, context));
+  if (Array.isArray(condition.any)) return condition.any.some(c => evaluateCondition(c, context));
+  if (condition.not) return !evaluateCondition(condition.not, context);
+  let value;
+  if (condition.column !== undefined) value = (context.row || {})[condition.column];
+  else if (condition.field !== undefined) value = (context.values || {})[condition.field];
+  else throw new Error('Mapping condition needs a column or field');
+  if (condition.equals !== undefined) return !isEmpty(value) && same(value, condition.equals);
+  if (condition.notEquals !== undefined) return isEmpty(value) || !same(value, condition.notEquals);
+  if (Array.isArray(condition.in)) return !isEmpty(value) && condition.in.some(v => same(value, v));
+  if (condition.matches !== undefined) return !isEmpty(value) && new RegExp(condition.matches, 'i').test(String(value).trim());
+  if (condition.present === false) return isEmpty(value);
+  return !isEmpty(value);
+}
+
+// The first branch of a mapping that applies to the row, or null
+function selectBranch(mapping, context) {
+  const branches = (mapping && mapping.branches) || [];
+  return branches.find(branch => evaluateCondition(branch.when, context)) || null;
+}
+
+function valuesOf(entries) {
+  return Object.fromEntries(entries.map(entry => [entry.key, entry.value]));
+}
+
+// Entries to handle for a row, in mapping order: the mapping's fields plus those of the
+// row's branch, with column values filled in and entries whose condition fails left out.
+// Returns { entries, skipped: [{ key, reason: 'condition'|'no value' }], branch }.
+function resolveMappingEntries(mapping, row) {
+  const withValues = entries => entries.map(entry => (
+    entry.column !== undefined && row
+      ? { ...entry, value: isEmpty(row[entry.column]) ? undefined : String(row[entry.column]) }
+      : entry
+  ));
+  const base = withValues(normalizeFieldEntries(mapping && mapping.fields));
+  const branch = selectBranch(mapping, { row, values: valuesOf(base) });
+  const candidates = branch ? [...base, ...withValues(normalizeFieldEntries(branch.fields))] : base;
+  const context = { row, values: valuesOf(candidates) };
+  const entries = [];
+  const skipped = [];
+  for (const entry of candidates) {
+    if (!evaluateCondition(entry.when, context)) {
+      skipped.push({ key: entry.key, reason: 'condition' });
+    } else if (!entry.action && isEmpty(entry.value) && entry.column !== undefined) {
+      skipped.push({ key: entry.key, reason: 'no value' });
+    } else {
+      entries.push(entry);
+    }
+  }
+  return { entries, skipped, branch: branch ? branch.name || null : null };
+}
+
+// Whether the entries need to be handled one after another (clicks, fields rendered later)
+function hasConditionalEntries(entries) {
+  return entries.some(entry => entry.action || entry.after || entry.waitFor);
+}
+
+// How long to wait for an entry's field to render, or 0 if it is not waited for.
+// handled: keys of the entries handled so far.
+function waitTimeoutFor(entry, handled) {
+  const waits = entry.waitFor || (entry.after && handled.has(entry.after));
+  if (!waits) return 0;
+  return typeof entry.waitFor === 'number' ? entry.waitFor : DEFAULT_WAIT_TIMEOUT_MS;
+}
+
+const api = {
+  DEFAULT_WAIT_TIMEOUT_MS,
+  evaluateCondition,
+  selectBranch,
+  resolveMappingEntries,
+  hasConditionalEntries,
+  waitTimeoutFor,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).mappingConditions = api;
+})();
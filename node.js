@@ -6,6 +6,25 @@ const ini = require('ini');
 const xml2js = require('xml2js');
 const { format } = require('util');
 const gettextParser = require('gettext-parser'); // Ensure dependency
+const { ADVANCE_CONTROL_PATTERN } = require('./form-detection-engine');
+const { verifyFilledFieldsRemote, summarizeVerification } = require('./fill-verification');
+const { observeSubmissionOutcome } = require('./submission-outcome');
+const { resolveBatchSettings } = require('./batch-settings');
+const { rateLimiter, rateLimitKey } = require('./rate-limiter');
+
+const MAX_WIZARD_STEPS = 20;
+const STEP_CHANGE_TIMEOUT_MS = 8000;
+// How long to wait for hidden fields of a row to be revealed by the answers just filled in
+const REVEAL_TIMEOUT_MS = 1500;
+// Browser-side helpers detectFormSteps and the widget adapters need, evaluated into a page the
+// way the extension's manifest loads them (classic scripts sharing FormMaster.*)
+const PAGE_HELPER_SCRIPTS = ['field-classifier.js', 'form-detection-engine.js', 'submission-outcome.js',
+    'human-simulation.js', 'widget-adapters.js'];
+// Controls filled through the widget adapters instead of typed into
+const CHOICE_CONTROL_SELECTOR = 'select, input[type="checkbox"], input[type="radio"]';
+// Controls that submit their form when clicked
+const SUBMIT_CONTROL_SELECTOR = 'button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]';
+let pageHelperSource = null;
 
 class Logger {
     constructor(logFile) {
@@ -105,12 +124,132 @@ function redactFieldValue(fieldValue) {
     return '[REDACTED]';
 }
 
+// Finds a visible "Next"-style control inside a form (page context).
+// Returns its element handle, or null when the form has no further step.
+async function findAdvanceControlRemote(form) {
+    const handle = await form.evaluateHandle((f, patternSource) => {
+        const pattern = new RegExp(patternSource, 'i');
+        const controls = Array.from(f.querySelectorAll('button, input[type="button"], input[type="submit"], [role="button"]'));
+        return controls.find(el => {
+            const visible = !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+            const caption = el.getAttribute('aria-label') || el.value || el.textContent || '';
+            return visible && !el.disabled && pattern.test(caption.trim());
+        }) || null;
+    }, ADVANCE_CONTROL_PATTERN.source);
+    const element = handle.asElement();
+    if (!element) await handle.dispose();
+    return element;
+}
+
+// Evaluates PAGE_HELPER_SCRIPTS into the frame unless they are there already
+async function loadPageHelpersRemote(frame) {
+    pageHelperSource = pageHelperSource ||
+        PAGE_HELPER_SCRIPTS.map(file => fs.readFileSync(path.join(__dirname, file), 'utf8')).join('\n');
+    const loaded = await frame.evaluate(() => !!(globalThis.FormMaster &&
+        globalThis.FormMaster.formDetectionEngine && globalThis.FormMaster.widgetAdapters));
+    if (!loaded) await frame.evaluate(pageHelperSource);
+}
+
+// Whether detectFormSteps (see form-detection-engine.js) takes a form for a wizard (page
+// context): it has step containers, or its current step advances through a "Next" control
+// that is not a submit button. Forms that got no data are only advanced when it does, so
+// search, login and newsletter forms are never clicked through (or submitted).
+async function isWizardFormRemote(frame, form) {
+    try {
+        await loadPageHelpersRemote(frame);
+        return await form.evaluate((f, submitSelector) => {
+            const model = FormMaster.formDetectionEngine.detectFormSteps(f);
+            const current = model.steps[model.currentStep];
+            const control = current && current.advanceControl;
+            return model.steps.length > 1 || !!(control && control.kind === 'next' && !control.node.matches(submitSelector));
+        }, SUBMIT_CONTROL_SELECTOR);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Sets a select, checkbox or radio group through the widget adapters (see widget-adapters.js;
+// page context). A radio group is set through the option whose value or label matches value.
+// Resolves to fillWidget's { status, adapter, error }.
+async function fillChoiceRemote(frame, input, value) {
+    await loadPageHelpersRemote(frame);
+    return input.evaluate((el, value) => {
+        if (el.type !== 'radio') return FormMaster.widgetAdapters.fillWidget(el, value);
+        const normalize = text => String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+        const caption = option => normalize(Array.from(option.labels || []).map(label => label.textContent).join(' '));
+        const group = Array.from((el.form || el.ownerDocument).querySelectorAll('input[type="radio"]'))
+            .filter(option => option.name === el.name);
+        const option = group.find(o => normalize(o.value) === normalize(value)) ||
+            group.find(o => caption(o) === normalize(value));
+        if (!option) return { status: 'failed', adapter: 'checkable', error: 'no matching option' };
+        return FormMaster.widgetAdapters.fillWidget(option, true);
+    }, value);
+}
+
+// What identifies a form across re-renders (page context): its id, name and action, and its
+// position among the frame's forms as the last resort
+async function captureFormIdentityRemote(form) {
+    return form.evaluate(f => ({
+        id: f.getAttribute('id') || '',
+        name: f.getAttribute('name') || '',
+        action: f.getAttribute('action') || '',
+        index: Array.from(f.ownerDocument.forms).indexOf(f)
+    }));
+}
+
+// Finds the form a captured identity belongs to in a frame, or null when it is gone
+async function findFormByIdentityRemote(frame, identity) {
+    const handle = await frame.evaluateHandle(({ id, name, action, index }) => {
+        const forms = Array.from(document.forms);
+        const byAttribute = (attr, value) => {
+            if (!value) return null;
+            const matches = forms.filter(f => f.getAttribute(attr) === value);
+            return matches.length === 1 ? matches[0] : null;
+        };
+        return byAttribute('id', id) || byAttribute('name', name) || byAttribute('action', action) ||
+            (!id && !name && forms[index]) || null;
+    }, identity);
+    const element = handle.asElement();
+    if (!element) await handle.dispose();
+    return element;
+}
+
+// One-line reason for a submission that was not accepted, from its strongest evidence
+function describeOutcome(outcome) {
+    const relevant = outcome.evidence.filter(e => outcome.outcome !== 'rejected' || e.kind === 'reject');
+    const strongest = relevant.sort((a, b) => b.weight - a.weight)[0];
+    const detail = strongest ? `${strongest.signal}${strongest.detail ? ' (' + strongest.detail + ')' : ''}` : 'no evidence';
+    return `Submission ${outcome.outcome}: ${detail}`;
+}
+
+// Which formData fields a dry run filled, and which it found no field for. With laterSteps (the
+// run stopped before a step it could not advance to without submitting) the fields left may
+// be on those steps, and are reported as unverified instead.
+function dryRunCoverage(formData, filledNames, laterSteps = false) {
+    const unfilled = Object.keys(formData).filter(name => !filledNames.has(name));
+    return {
+        dryRun: true,
+        filledFields: [...filledNames],
+        missingFields: laterSteps ? [] : unfilled,
+        unverifiedFields: laterSteps ? unfilled : []
+    };
+}
+
+function finishTimings(timings) {
+    const finishedAt = Date.now();
+    return { ...timings, finishedAt, durationMs: finishedAt - timings.startedAt };
+}
+
 class FormAutomator {
     constructor(options) {
         this.logger = new Logger(options.logFile || 'formmaster.log');
+        // Success/error text and URL patterns for classifying submissions (see submission-outcome.js)
+        this.outcomePatterns = options.outcomePatterns || {};
         this.configLoader = new ConfigLoader();
         this.translator = new Translator(options.potFile || 'messages.pot');
         this.browser = null;
+        // Report of the last detectAndFillForm call: { accepted, submitted, reason, verification, outcome }
+        this.lastFillReport = null;
     }
 
     async launchBrowser() {
@@ -126,6 +265,7 @@ class FormAutomator {
     async closeBrowser() {
         if (this.browser) {
             await this.browser.close();
+            this.browser = null;
             this.logger.log(this.translator.t('Browser closed'));
         }
     }
@@ -141,56 +281,298 @@ class FormAutomator {
         });
     }
 
-    async detectAndFillForm(page, formData) {
-        // Detect form
-        const forms = await page.$$('form');
-        if (!forms.length) {
+    // Returns true only when the site accepted the submission; this.lastFillReport holds the
+    // outcome or the failure reason (see fillAndSubmitForm)
+    async detectAndFillForm(page, formData, options = {}) {
+        this.lastFillReport = await this.fillAndSubmitForm(page, formData, options);
+        return this.lastFillReport.accepted;
+    }
+
+    // Fills the first form that has fields for formData and submits it. Every step is verified
+    // before moving on (value kept, constraint validation, site-rendered errors); a form with
+    // invalid fields is not submitted. The submission is then classified (see submission-outcome.js).
+    // options: { outcomePatterns } overrides the automator's patterns (e.g. per profile);
+    // { dryRun: true } fills and verifies every step it can reach without submitting: it only
+    // advances through "Next" controls that are not submit buttons.
+    // Returns { accepted, submitted, reason, verification, outcome }, plus dryRun, filledFields,
+    // missingFields and unverifiedFields for a dry run.
+    async fillAndSubmitForm(page, formData, options = {}) {
+        // Detect forms in every frame, so embedded (iframe) forms are filled in their own context
+        const targets = [];
+        for (const frame of page.frames()) {
+            const frameForms = await frame.$$('form').catch(() => []);
+            frameForms.forEach(form => targets.push({ frame, form }));
+        }
+        if (!targets.length) {
             this.logger.log(this.translator.t('No form found'));
-            return false;
+            return { accepted: false, submitted: false, reason: 'No form found', verification: null, outcome: null };
         }
-        for (let form of forms) {
-            const inputs = await form.$$('[name]');
-            let filled = false;
-            for (let input of inputs) {
-                const name = await input.evaluate(el => el.name);
-                if (formData[name]) {
-                    await input.focus();
-                    await input.click({ clickCount: 3 });
-                    await input.type(formData[name], { delay: 80 + Math.random() * 40 });
-                    filled = true;
-                    if (isSensitiveField(name)) {
-                        this.logger.log(format(this.translator.t('Filled field: %s (redacted)'), name));
-                    } else {
-                        this.logger.log(format(this.translator.t('Filled field: %s'), name));
+        for (let { frame, form } of targets) {
+            const filledNames = new Set();
+            const verifiedFields = [];
+            let laterSteps = false;
+            // Multi-step forms: fill what the current step shows, then advance until the
+            // form has no further "Next" control (or nothing is left to fill). Steps without
+            // mapped fields (intro, consent or review pages) are advanced through as well, as
+            // long as the form got data already or is a recognised wizard.
+            for (let step = 1; step <= MAX_WIZARD_STEPS; step++) {
+                const filledBefore = new Set(filledNames);
+                await this.fillVisibleFields(frame, form, formData, filledNames);
+                // Answers may reveal conditional fields on the same step ("Business" shows
+                // the company fields): fill those as they appear
+                while (await this.waitForRevealedFields(frame, form, Object.keys(formData).filter(name => !filledNames.has(name)))) {
+                    const filledCount = filledNames.size;
+                    await this.fillVisibleFields(frame, form, formData, filledNames);
+                    if (filledNames.size === filledCount) break;
+                }
+                if (!filledNames.size && !(await isWizardFormRemote(frame, form))) break;
+                const stepNames = [...filledNames].filter(name => !filledBefore.has(name));
+                if (stepNames.length) {
+                    const stepVerification = await verifyFilledFieldsRemote(form, formData, stepNames);
+                    verifiedFields.push(...stepVerification.fields);
+                    if (!stepVerification.ok) {
+                        this.logger.log(format(this.translator.t('Field verification failed: %s'), stepVerification.reason));
+                        return {
+                            accepted: false,
+                            submitted: false,
+                            reason: stepVerification.reason,
+                            verification: summarizeVerification(verifiedFields),
+                            outcome: null,
+                            ...(options.dryRun ? dryRunCoverage(formData, filledNames, laterSteps) : {})
+                        };
                     }
                 }
+                if (Object.keys(formData).every(name => filledNames.has(name))) break;
+                const advance = await findAdvanceControlRemote(form);
+                if (!advance) break;
+                // A submit button could send the step (or the whole form) to the site
+                if (options.dryRun && await advance.evaluate((el, selector) => el.matches(selector), SUBMIT_CONTROL_SELECTOR)) {
+                    await advance.dispose();
+                    laterSteps = true;
+                    break;
+                }
+                const identity = await captureFormIdentityRemote(form);
+                this.logger.log(format(this.translator.t('Advancing to form step %s'), step + 1));
+                const advanced = await this.advanceFormStep(frame, advance);
+                if (!advanced) {
+                    this.logger.log(this.translator.t('Form step did not advance'));
+                    break;
+                }
+                // SPA wizards may replace the form element between steps; pick the re-rendered
+                // one by the identity it had, not whichever form comes first on the page
+                if (!(await form.evaluate(f => f.isConnected).catch(() => false))) {
+                    form = await findFormByIdentityRemote(frame, identity);
+                    if (!form) break;
+                }
             }
-            if (filled) {
+            if (filledNames.size) {
+                const verification = summarizeVerification(verifiedFields);
+                if (options.dryRun) {
+                    this.logger.log(this.translator.t('Dry run: form filled, not submitted'));
+                    return {
+                        accepted: false,
+                        submitted: false,
+                        reason: null,
+                        verification,
+                        outcome: null,
+                        ...dryRunCoverage(formData, filledNames, laterSteps)
+                    };
+                }
                 // Try submission
+                let submitting = false;
                 try {
+                    const outcomeObserver = await observeSubmissionOutcome(frame, form, {
+                        patterns: options.outcomePatterns || this.outcomePatterns
+                    });
+                    submitting = true;
                     await form.evaluate(f => f.submit());
                     this.logger.log(this.translator.t('Form submitted'));
-                    return true;
+                    const outcome = await outcomeObserver.result();
+                    this.logger.log(format(this.translator.t('Submission outcome: %s'), outcome.outcome));
+                    const accepted = outcome.outcome === 'accepted';
+                    return {
+                        accepted,
+                        submitted: true,
+                        reason: accepted ? null : describeOutcome(outcome),
+                        verification,
+                        outcome
+                    };
                 } catch (e) {
                     this.logger.log(this.translator.t('Form submission failed') + ': ' + e.message);
-                    return false;
+                    // Once submit() ran the site may have the row: report an unknown outcome,
+                    // which is never retried, instead of a failure
+                    if (submitting) {
+                        return {
+                            accepted: false,
+                            submitted: true,
+                            reason: 'Submission outcome unknown: ' + e.message,
+                            verification,
+                            outcome: { outcome: 'unknown', evidence: [] }
+                        };
+                    }
+                    return {
+                        accepted: false,
+                        submitted: false,
+                        reason: 'Form submission failed: ' + e.message,
+                        verification,
+                        outcome: null
+                    };
                 }
             }
         }
-        return false;
+        return { accepted: false, submitted: false, reason: 'No form field matched the data', verification: null, outcome: null };
+    }
+
+    // Fills the visible, not yet filled named controls of a form (in frame) from formData: text
+    // is typed, selects, checkboxes and radio groups are set through the widget adapters. A
+    // control that cannot take its value still counts as filled, so verification fails it.
+    async fillVisibleFields(frame, form, formData, filledNames) {
+        const inputs = await form.$$('[name]');
+        for (let input of inputs) {
+            const { name, visible, choice } = await input.evaluate((el, selector) => ({
+                name: el.name,
+                visible: !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length),
+                choice: el.matches(selector)
+            }), CHOICE_CONTROL_SELECTOR);
+            if (!formData[name] || filledNames.has(name) || !visible) continue;
+            if (choice) {
+                const result = await fillChoiceRemote(frame, input, formData[name]);
+                if (result.status !== 'filled') {
+                    this.logger.log(format(this.translator.t('Could not fill field %s: %s'), name, result.error));
+                }
+            } else {
+                await input.focus();
+                await input.click({ clickCount: 3 });
+                await input.type(formData[name], { delay: 80 + Math.random() * 40 });
+            }
+            filledNames.add(name);
+            if (isSensitiveField(name)) {
+                this.logger.log(format(this.translator.t('Filled field: %s (redacted)'), name));
+            } else {
+                this.logger.log(format(this.translator.t('Filled field: %s'), name));
+            }
+        }
+    }
+
+    // Waits, through a MutationObserver in the page, for one of the named fields that are in
+    // the form but hidden to become visible. Returns false if none is hidden or none shows up
+    // within REVEAL_TIMEOUT_MS.
+    async waitForRevealedFields(frame, form, names) {
+        if (!names.length) return false;
+        const hidden = await form.evaluate((f, names) => names.filter(name => {
+            const el = f.querySelector(`[name="${CSS.escape(name)}"]`);
+            return el && !(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+        }), names).catch(() => []);
+        if (!hidden.length) return false;
+        try {
+            await frame.waitForFunction((f, names) => names.some(name => {
+                const el = f.querySelector(`[name="${CSS.escape(name)}"]`);
+                return el && !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+            }), { polling: 'mutation', timeout: REVEAL_TIMEOUT_MS }, form, hidden);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Clicks a step's "Next" control and waits for a navigation or for the set of visible
+    // fields to change. frame is the Puppeteer page or frame that holds the form.
+    // Returns false if neither happens before the timeout.
+    async advanceFormStep(frame, advanceHandle) {
+        const before = await frame.evaluate(() => Array.from(document.querySelectorAll('input, select, textarea'))
+            .filter(el => el.name && (el.offsetWidth || el.offsetHeight || el.getClientRects().length))
+            .map(el => el.name)
+            .join('|'));
+        await advanceHandle.click();
+        try {
+            await Promise.race([
+                frame.waitForNavigation({ timeout: STEP_CHANGE_TIMEOUT_MS }),
+                frame.waitForFunction(prev => Array.from(document.querySelectorAll('input, select, textarea'))
+                    .filter(el => el.name && (el.offsetWidth || el.offsetHeight || el.getClientRects().length))
+                    .map(el => el.name)
+                    .join('|') !== prev, { timeout: STEP_CHANGE_TIMEOUT_MS }, before)
+            ]);
+            return true;
+        } catch (e) {
+            return false;
+        } finally {
+            await advanceHandle.dispose();
+        }
     }
 
-    async automate(url, formData) {
+    // Fills and submits one row of data on url in a new page of a shared browser, which is
+    // launched on first use and kept open for following rows (see closeBrowser).
+    // A dry run (options.dryRun) stops before submitting and, with options.screenshotPath,
+    // saves a screenshot of the filled form there.
+    // Returns { accepted, submitted, reason, verification, outcome, pageUrl, timings }.
+    async submitRow(url, formData, options = {}) {
+        if (!this.browser) {
+            // Rows submitted concurrently share a single launch
+            this.browserLaunch = this.browserLaunch || this.launchBrowser().finally(() => { this.browserLaunch = null; });
+            await this.browserLaunch;
+        }
+        const timings = { startedAt: Date.now() };
+        const page = await this.browser.newPage();
+        try {
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: options.navigationTimeoutMs || 30000 });
+            timings.navigationMs = Date.now() - timings.startedAt;
+            const fillStartedAt = Date.now();
+            const report = await this.fillAndSubmitForm(page, formData, options);
+            timings.fillAndSubmitMs = Date.now() - fillStartedAt;
+            if (report.dryRun && options.screenshotPath) {
+                report.screenshotPath = await this.takeScreenshot(page, options.screenshotPath);
+            }
+            return { ...report, pageUrl: page.url(), timings: finishTimings(timings) };
+        } catch (e) {
+            this.logger.log(this.translator.t('Automation error') + ': ' + e.message);
+            return {
+                accepted: false,
+                submitted: false,
+                reason: e.message,
+                verification: null,
+                outcome: null,
+                pageUrl: page.isClosed() ? url : page.url(),
+                timings: finishTimings(timings)
+            };
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    // Full-page screenshot; resolves to its path, or null when it could not be taken
+    async takeScreenshot(page, filePath) {
+        try {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await page.screenshot({ path: filePath, fullPage: true });
+            return filePath;
+        } catch (e) {
+            this.logger.log(this.translator.t('Screenshot failed') + ': ' + e.message);
+            return null;
+        }
+    }
+
+    // options.profile: user-profiles.xml profile whose formsPerHour limit (shared with batch runs,
+    // see rate-limiter.js) and outcome patterns apply
+    async automate(url, formData, options = {}) {
+        let fillOptions = {};
+        if (options.profile) {
+            const settings = await resolveBatchSettings(options.profile);
+            fillOptions = { outcomePatterns: { ...this.outcomePatterns, ...settings.outcomePatterns } };
+            await rateLimiter.acquire(rateLimitKey(options.profile, url), settings.formsPerHour, waitMs => {
+                this.logger.log(format(this.translator.t('Rate limit reached, waiting %d s'), Math.ceil(waitMs / 1000)));
+            });
+        }
         await this.launchBrowser();
         const page = await this.browser.newPage();
         try {
             await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
             this.logger.log(format(this.translator.t('Navigated to: %s'), url));
-            const result = await this.detectAndFillForm(page, formData);
+            const result = await this.detectAndFillForm(page, formData, fillOptions);
             if (result) {
                 this.logger.log(this.translator.t('Automation succeeded'));
             } else {
-                this.logger.log(this.translator.t('Automation failed (no form filled or submitted)'));
+                this.logger.log(this.translator.t('Automation failed (no form filled or submitted)') +
+                    (this.lastFillReport && this.lastFillReport.reason ? ': ' + this.lastFillReport.reason : ''));
             }
         } catch (e) {
             this.logger.log(this.translator.t('Automation error') + ': ' + e.message);
@@ -0,0 +1,82 @@
+// Token-bucket rate limiting for form submissions, keyed by profile and target domain so a
+// profile's formsPerHour applies to each site separately. A bucket holds up to `burst`
+// tokens and refills continuously. A submission reserves its token up front (the bucket may
+// go negative), so concurrent rows queue up one after another instead of waking together.
+
+const MS_PER_HOUR = 3600000;
+
+function rateLimitKey(profile, url) {
+    let host;
+    try {
+        host = new URL(url).hostname;
+    } catch (e) {
+        host = String(url || '');
+    }
+    return `${profile || 'default'}|${host}`;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// options: { burst (default 1), now, sleep } - now/sleep are injectable for tests
+function createRateLimiter(options = {}) {
+    const now = options.now || Date.now;
+    const sleep = options.sleep || delay;
+    const burst = Math.max(1, options.burst || 1);
+    const buckets = new Map();
+
+    function refill(key, perHour) {
+        const t = now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: t };
+            buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(burst, bucket.tokens + (t - bucket.updatedAt) * perHour / MS_PER_HOUR);
+        bucket.updatedAt = t;
+        return bucket;
+    }
+
+    // Time (ms) until `tokens` more tokens have refilled
+    function refillTime(tokens, perHour) {
+        return tokens > 0 ? Math.ceil(tokens * MS_PER_HOUR / perHour) : 0;
+    }
+
+    // Take a token; returns how long to wait (ms) before submitting. No limit: always 0.
+    function reserve(key, perHour) {
+        if (!perHour) return 0;
+        const bucket = refill(key, perHour);
+        bucket.tokens -= 1;
+        return refillTime(-bucket.tokens, perHour);
+    }
+
+    // Reserve a token and wait for it; onWait(waitMs) is called first when there is a wait.
+    // Resolves to the time waited.
+    async function acquire(key, perHour, onWait) {
+        const waitMs = reserve(key, perHour);
+        if (waitMs > 0) {
+            if (onWait) onWait(waitMs);
+            await sleep(waitMs);
+        }
+        return waitMs;
+    }
+
+    // Earliest time `count` more submissions could be made for key
+    function projectFinish(key, perHour, count) {
+        if (!perHour || count <= 0) return now();
+        const bucket = refill(key, perHour);
+        return now() + refillTime(count - bucket.tokens, perHour);
+    }
+
+    return { reserve, acquire, projectFinish };
+}
+
+// Shared by batch runs, retries and single-shot automations
+const rateLimiter = createRateLimiter();
+
+module.exports = {
+    rateLimitKey,
+    createRateLimiter,
+    rateLimiter
+};
@@ -0,0 +1,123 @@
+// Retry policies for failed batch rows: which failures are worth another attempt, and how long
+// to wait before it. A policy is
+//   { maxAttempts, baseDelayMs, maxDelayMs, multiplier, jitter }
+// - maxAttempts: attempts per row in total, the first submission included.
+// - baseDelayMs: wait before the first retry; each later retry waits `multiplier` times longer,
+//   up to maxDelayMs.
+// - jitter: fraction (0-1) of each wait that is randomized away, so rows that failed together
+//   do not all retry at the same moment.
+// Defaults come from config.ini ([Automation] max_retries, retry_delay_seconds).
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 5 * 60000,
+    multiplier: 2,
+    jitter: 0.5
+};
+
+// Failures that will fail the same way again: the site rejected the data, or the data does
+// not fit the form
+const PERMANENT_PATTERNS = [
+    /rejected/i,
+    /no form field matched/i,
+    /missing (?:required )?field/i,
+    /required field/i,
+    /no target url/i,
+    /not resubmitted/i,
+    /could not transform/i,
+    /unknown batch executor/i,
+    // Field verification (see fill-verification.js)
+    /field not found/i,
+    /value was not kept/i,
+    /\binvalid \(/i,
+    /marked invalid by the page/i,
+    /no matching option/i
+];
+
+// Failures after the row was handed over for submission (the form was submitted, or an
+// extension had the row when it went away): the site may have it, so it is not sent again
+const UNKNOWN_PATTERNS = [
+    /submission outcome unknown/i,
+    /extension disconnected|did not report a result/i
+];
+
+// Failures of the moment: timeouts, network and server errors, a browser that went away, and
+// detection that missed a form that is there
+const TRANSIENT_PATTERNS = [
+    /time(?:d)? ?out/i,
+    /\bE(?:TIMEDOUT|CONNRESET|CONNREFUSED|PIPE|AI_AGAIN)\b/,
+    /socket hang up|net::ERR_/i,
+    /\b5\d\d\b|bad gateway|service unavailable|internal server error/i,
+    /no form found/i,
+    /detached|target closed|context was destroyed|session closed/i,
+    /no browser extension connected/i
+];
+
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+function numberOr(value, fallback) {
+    const n = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? n : fallback;
+}
+
+// Policy from config.ini's [Automation] section merged with per-call overrides (retryDelayMs is
+// accepted as the older name of baseDelayMs)
+function resolveRetryPolicy(overrides = {}, automation = {}) {
+    const maxRetries = numberOr(automation.max_retries, null);
+    const delaySeconds = numberOr(automation.retry_delay_seconds, null);
+    const base = {
+        ...DEFAULT_RETRY_POLICY,
+        ...(maxRetries !== null ? { maxAttempts: maxRetries + 1 } : {}),
+        ...(delaySeconds !== null ? { baseDelayMs: delaySeconds * 1000 } : {})
+    };
+    const policy = {
+        maxAttempts: numberOr(overrides.maxAttempts, base.maxAttempts),
+        baseDelayMs: numberOr(overrides.baseDelayMs, numberOr(overrides.retryDelayMs, base.baseDelayMs)),
+        maxDelayMs: numberOr(overrides.maxDelayMs, base.maxDelayMs),
+        multiplier: numberOr(overrides.multiplier, base.multiplier),
+        jitter: Math.min(1, Math.max(0, numberOr(overrides.jitter, base.jitter)))
+    };
+    policy.maxDelayMs = Math.max(policy.maxDelayMs, policy.baseDelayMs);
+    return policy;
+}
+
+// Wait (ms) before retry number `retry` (1 for the first retry)
+function retryDelay(policy, retry, random = Math.random) {
+    const backoff = policy.baseDelayMs * Math.pow(policy.multiplier, Math.max(0, retry - 1));
+    const capped = Math.min(policy.maxDelayMs, backoff);
+    return Math.round(capped * (1 - policy.jitter * random()));
+}
+
+// 'transient', 'permanent' or 'unknown' (the row may have been submitted). Only transient
+// failures are retried. error is an Error or a message; outcome the classified submission
+// outcome, if the form was submitted. An explicit err.transient, a network error code or an
+// HTTP status (err.status) decide first, then the message. Errors that match nothing count as
+// transient, as every failure used to be retried.
+function classifyError(error, outcome) {
+    if (outcome && outcome.outcome === 'rejected') return 'permanent';
+    if (error && typeof error === 'object') {
+        if (typeof error.transient === 'boolean') return error.transient ? 'transient' : 'permanent';
+        if (TRANSIENT_CODES.includes(error.code)) return 'transient';
+        const status = Number(error.status || error.statusCode);
+        if (status >= 500 || status === 429) return 'transient';
+        if (status >= 400 && status < 500) return 'permanent';
+    }
+    const message = typeof error === 'string' ? error : (error && error.message) || '';
+    if (UNKNOWN_PATTERNS.some(p => p.test(message))) return 'unknown';
+    if (PERMANENT_PATTERNS.some(p => p.test(message))) return 'permanent';
+    if (TRANSIENT_PATTERNS.some(p => p.test(message))) return 'transient';
+    return 'transient';
+}
+
+function isRetryable(error, outcome) {
+    return classifyError(error, outcome) === 'transient';
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    retryDelay,
+    classifyError,
+    isRetryable
+};
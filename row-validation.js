@@ -0,0 +1,258 @@
+const { parseDateValue, normalizePhone } = require('./data-transforms');
+
+// Row validation: a schema checked over every row of a batch before any row is submitted, so
+// bad data is quarantined up front instead of failing on the live site. A schema is
+//   { columns: { column: check }, rules: [rule] }
+// with
+//   check: { required, type, pattern, enum, minLength, maxLength, min, max, message }
+//     type: 'string' (default) | 'number' | 'integer' | 'boolean' | 'email' | 'url' | 'date' |
+//           'phone'; min/max apply to numbers and integers; an empty cell is only checked for
+//           required
+//   rule (across columns, skipped while the cells it compares are empty):
+//     { type: 'requiredIf', column, when: { column, equals | in } } - when without equals/in
+//       means "when that column has a value"
+//     { type: 'anyOf', columns } - at least one of them has a value
+//     { type: 'compare', column, op: '<'|'<='|'>'|'>='|'=='|'!=', other } - numbers, dates
+//       or text
+//   each with an optional message.
+// Errors are per cell: { column, value, message }.
+// Profiles carry a schema as <rowValidation> in user-profiles.xml (see schemaFromProfile);
+// batchConfig.validation adds to it.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEAN_VALUES = ['true', 'false', 'yes', 'no', '1', '0', 'y', 'n'];
+const COMPARISONS = {
+    '<': d => d < 0,
+    '<=': d => d <= 0,
+    '>': d => d > 0,
+    '>=': d => d >= 0,
+    '==': d => d === 0,
+    '!=': d => d !== 0
+};
+
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isNumeric(text) {
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text);
+}
+
+function isValidDate(text) {
+    try {
+        parseDateValue(text);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Why a non-empty value does not have the type, or null
+function typeError(text, type) {
+    switch (type || 'string') {
+        case 'string':
+            return null;
+        case 'number':
+            return isNumeric(text) ? null : 'must be a number';
+        case 'integer':
+            return /^[-+]?\d+$/.test(text) ? null : 'must be a whole number';
+        case 'boolean':
+            return BOOLEAN_VALUES.includes(text.toLowerCase()) ? null : 'must be yes or no';
+        case 'email':
+            return EMAIL.test(text) ? null : 'must be an email address';
+        case 'url':
+            return /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(text) ? null : 'must be a URL';
+        case 'date':
+            return isValidDate(text) ? null : 'must be a date';
+        case 'phone':
+            try {
+                normalizePhone(text);
+                return null;
+            } catch (e) {
+                return 'must be a phone number';
+            }
+        default:
+            return `has an unknown type "${type}"`;
+    }
+}
+
+// Problems of one cell against its column check, as messages
+function checkCell(value, check) {
+    if (isEmpty(value)) return check.required ? [check.message || 'is required'] : [];
+    const text = String(value).trim();
+    const typeProblem = typeError(text, check.type);
+    if (typeProblem) return [check.message || typeProblem];
+    const problems = [];
+    if (check.pattern && !new RegExp(check.pattern).test(text)) problems.push('has the wrong format');
+    if (Array.isArray(check.enum) && check.enum.length && !check.enum.map(String).includes(text)) {
+        problems.push(`must be one of ${check.enum.join(', ')}`);
+    }
+    if (check.minLength !== undefined && text.length < Number(check.minLength)) {
+        problems.push(`must be at least ${check.minLength} characters`);
+    }
+    if (check.maxLength !== undefined && text.length > Number(check.maxLength)) {
+        problems.push(`must be at most ${check.maxLength} characters`);
+    }
+    if (check.type === 'number' || check.type === 'integer') {
+        if (check.min !== undefined && Number(text) < Number(check.min)) problems.push(`must be at least ${check.min}`);
+        if (check.max !== undefined && Number(text) > Number(check.max)) problems.push(`must be at most ${check.max}`);
+    }
+    return check.message && problems.length ? [check.message] : problems;
+}
+
+function conditionHolds(row, when) {
+    const value = row[when.column];
+    if (when.equals !== undefined) return !isEmpty(value) && String(value).trim() === String(when.equals);
+    if (Array.isArray(when.in)) return !isEmpty(value) && when.in.map(String).includes(String(value).trim());
+    return !isEmpty(value);
+}
+
+// Sign of a - b: as numbers when both are numeric, as dates when both are dates, else as text
+function compareValues(a, b) {
+    const x = String(a).trim();
+    const y = String(b).trim();
+    if (isNumeric(x) && isNumeric(y)) return Math.sign(Number(x) - Number(y));
+    if (isValidDate(x) && isValidDate(y)) return Math.sign(parseDateValue(x) - parseDateValue(y));
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Cell errors of one cross-column rule
+function checkRule(row, rule) {
+    switch (rule.type) {
+        case 'requiredIf':
+            if (!rule.when || !conditionHolds(row, rule.when) || !isEmpty(row[rule.column])) return [];
+            return [{
+                column: rule.column,
+                message: rule.message || `is required when ${rule.when.column} is ${rule.when.equals !== undefined ? rule.when.equals : 'set'}`
+            }];
+        case 'anyOf': {
+            const columns = rule.columns || [];
+            if (!columns.length || columns.some(column => !isEmpty(row[column]))) return [];
+            return [{ column: columns[0], message: rule.message || `one of ${columns.join(', ')} is required` }];
+        }
+        case 'compare': {
+            const test = COMPARISONS[rule.op];
+            if (!test) throw new Error(`Unknown comparison "${rule.op}" in validation rule`);
+            if (isEmpty(row[rule.column]) || isEmpty(row[rule.other])) return [];
+            if (test(compareValues(row[rule.column], row[rule.other]))) return [];
+            return [{ column: rule.column, message: rule.message || `must be ${rule.op} ${rule.other}` }];
+        }
+        default:
+            throw new Error(`Unknown validation rule "${rule.type}"`);
+    }
+}
+
+// Cell errors of a row: [{ column, value, message }]
+function validateRow(row, schema) {
+    const errors = [];
+    if (!schema) return errors;
+    for (const [column, check] of Object.entries(schema.columns || {})) {
+        for (const message of checkCell(row[column], check || {})) errors.push({ column, value: row[column], message });
+    }
+    for (const rule of schema.rules || []) {
+        for (const error of checkRule(row, rule)) errors.push({ ...error, value: row[error.column] });
+    }
+    return errors;
+}
+
+// Splits rows into the indexes of valid ones and quarantined rows:
+//   { valid: [rowIndex], quarantined: [{ rowIndex, rowNumber, errors }] }
+function validateRows(rows, schema) {
+    const valid = [];
+    const quarantined = [];
+    rows.forEach((row, rowIndex) => {
+        const errors = validateRow(row || {}, schema);
+        if (errors.length) quarantined.push({ rowIndex, rowNumber: (row && row.__rowNumber) || null, errors });
+        else valid.push(rowIndex);
+    });
+    return { valid, quarantined };
+}
+
+// "email is required; zip has the wrong format"
+function describeErrors(errors) {
+    return errors.map(e => `${e.column} ${e.message}`).join('; ');
+}
+
+// Cell errors grouped per column, as the dead-letter queue's [{ field, errors }]
+function columnDiagnostics(errors) {
+    const byColumn = new Map();
+    for (const { column, message } of errors) {
+        if (!byColumn.has(column)) byColumn.set(column, []);
+        byColumn.get(column).push(message);
+    }
+    return [...byColumn].map(([field, messages]) => ({ field, errors: messages }));
+}
+
+function text(node) {
+    return node && typeof node === 'object' ? node._ : node;
+}
+
+function flag(value) {
+    return value !== undefined ? String(value).trim() === 'true' : undefined;
+}
+
+function withoutUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// Reads the <rowValidation> element of a user-profiles.xml profile as parsed by xml2js:
+//   <column name="email" required="true" type="email" maxLength="120"/>
+//   <column name="state"><allowed>CA</allowed><allowed>NY</allowed></column>
+//   <rule type="requiredIf" column="state" whenColumn="country" equals="US"/>
+//   <rule type="anyOf" columns="email,phone"/>
+//   <rule type="compare" column="endDate" op="&gt;=" other="startDate"/>
+// Returns a schema, or null when the profile has none.
+function schemaFromProfile(profile) {
+    const node = profile && profile.rowValidation && [].concat(profile.rowValidation)[0];
+    if (!node || typeof node !== 'object') return null;
+    const columns = {};
+    for (const column of [].concat(node.column || [])) {
+        const attrs = (column && column.$) || {};
+        if (!attrs.name) continue;
+        columns[attrs.name] = withoutUndefined({
+            required: flag(attrs.required),
+            type: attrs.type,
+            pattern: attrs.pattern,
+            enum: column.allowed ? [].concat(column.allowed).map(text) : undefined,
+            minLength: attrs.minLength,
+            maxLength: attrs.maxLength,
+            min: attrs.min,
+            max: attrs.max,
+            message: attrs.message
+        });
+    }
+    const rules = [].concat(node.rule || []).map(rule => {
+        const attrs = (rule && rule.$) || {};
+        return withoutUndefined({
+            type: attrs.type,
+            column: attrs.column,
+            columns: attrs.columns ? attrs.columns.split(',').map(s => s.trim()) : undefined,
+            when: attrs.whenColumn
+                ? withoutUndefined({ column: attrs.whenColumn, equals: attrs.equals, in: attrs.in ? attrs.in.split(',').map(s => s.trim()) : undefined })
+                : undefined,
+            op: attrs.op,
+            other: attrs.other,
+            message: attrs.message
+        });
+    });
+    return { columns, rules };
+}
+
+// The profile's schema with batchConfig.validation on top: its column checks replace the
+// profile's for the same column, its rules are added. null when neither has one.
+function mergeSchemas(base, extra) {
+    if (!base && !extra) return null;
+    return {
+        columns: { ...((base && base.columns) || {}), ...((extra && extra.columns) || {}) },
+        rules: [...((base && base.rules) || []), ...((extra && extra.rules) || [])]
+    };
+}
+
+module.exports = {
+    validateRow,
+    validateRows,
+    describeErrors,
+    columnDiagnostics,
+    schemaFromProfile,
+    mergeSchemas
+};
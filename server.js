@@ -14,6 +14,26 @@ const xml2js = require('xml2js');
 const path = require('path');
 const Redis = require('ioredis');
 const RedisStore = require('connect-redis')(session);
+const crypto = require('crypto');
+const { registerBatchExecutor, createExtensionExecutor } = require('./batch-executors');
+const { GoogleSheetsConnector } = require('./google-sheets-connector');
+const { previewTransforms } = require('./data-transforms');
+const {
+    scheduleBatchRun,
+    listBatches,
+    startBatchScheduler,
+    resumeInterruptedBatches,
+    pauseBatch,
+    resumeBatch,
+    cancelBatch,
+    exportDeadLetters,
+    requeueDeadLetters,
+    listDeadLetters,
+    watchSheetForNewRows,
+    stopSheetWatch,
+    listSheetWatches,
+    batchEmitter
+} = require('./batch-processor');
 
 // ---- Configs ----
 const config = ini.parse(fs.readFileSync('./config.ini', 'utf-8'));
@@ -24,6 +44,11 @@ const SESSION_SECRET = config.session.secret;
 const ANALYTICS_LOG_FILE = config.analytics.log_file;
 const CLOUD_STORAGE_API = config.cloud.api_endpoint;
 const PORT = config.server.port;
+// Shared secret browser extensions present to receive batch rows; unset disables the channel
+const BATCH_WORKER_TOKEN = config.Extensions && config.Extensions.batch_worker_token;
+const EXTENSION_JOB_TIMEOUT_MS = 120000;
+// Scheduled batches read CSV row files from here only
+const BATCH_DATA_DIR = path.resolve(__dirname, (config.Data && config.Data.data_dir) || 'data/');
 // Check for critical secrets and config
 if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI || !SESSION_SECRET) {
     throw new Error('Missing required configuration. Please check config.ini for secrets and API endpoints.');
@@ -253,6 +278,12 @@ function handleWebSocketConnection(socket, req) {
                 socket.send(JSON.stringify({ type: 'cloud_sync_response', data: resp }));
             } else if (data.type === 'track_event') {
                 logAnalyticsEvent(data.payload);
+            } else if (data.type === 'extension_register') {
+                registerExtensionWorker(socket, data.payload);
+            } else if (data.type === 'batch_row_result') {
+                settleExtensionJob(socket, data.payload);
+            } else if (BATCH_CONTROL_MESSAGES[data.type]) {
+                socket.send(JSON.stringify({ type: 'batch_control_response', data: controlBatchFromSocket(socket, data) }));
             }
         } catch (err) {
             logger.error({ type: 'ws_message_error', error: err.message });
@@ -260,10 +291,257 @@ function handleWebSocketConnection(socket, req) {
         }
     });
     socket.on('close', () => {
+        releaseExtensionWorker(socket);
         logger.info({ type: 'ws_connection_closed', timestamp: new Date().toISOString() });
     });
 }
 
+// ---- Batch rows for browser extensions ----
+// Extensions that registered as batch workers, and the rows they are working on
+const extensionWorkers = new Set();
+const pendingExtensionJobs = new Map(); // requestId -> { socket, resolve, reject, timer }
+
+function registerExtensionWorker(socket, payload = {}) {
+    const token = String(payload.token || '');
+    const valid = !!BATCH_WORKER_TOKEN && token.length === String(BATCH_WORKER_TOKEN).length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(String(BATCH_WORKER_TOKEN)));
+    if (!valid) {
+        logger.warn({ type: 'extension_register_rejected' });
+        socket.send(JSON.stringify({ type: 'extension_register_response', data: { registered: false } }));
+        return;
+    }
+    extensionWorkers.add(socket);
+    logger.info({ type: 'extension_registered', workers: extensionWorkers.size });
+    socket.send(JSON.stringify({ type: 'extension_register_response', data: { registered: true } }));
+}
+
+function releaseExtensionWorker(socket) {
+    extensionWorkers.delete(socket);
+    for (const [requestId, job] of pendingExtensionJobs) {
+        if (job.socket !== socket) continue;
+        clearTimeout(job.timer);
+        pendingExtensionJobs.delete(requestId);
+        job.reject(Object.assign(new Error('Extension disconnected'), { dispatched: true }));
+    }
+}
+
+function settleExtensionJob(socket, payload = {}) {
+    const job = pendingExtensionJobs.get(payload.requestId);
+    if (!job || job.socket !== socket) return;
+    clearTimeout(job.timer);
+    pendingExtensionJobs.delete(payload.requestId);
+    job.resolve(payload.result || { submitted: false, reason: 'Empty result from extension' });
+}
+
+// Send a batch row to the least busy connected extension; resolves to its report
+// ({ submitted, reason, verification, outcome }). Failures once the row was sent carry
+// err.dispatched, since the extension may have submitted it (see createExtensionExecutor).
+function dispatchToExtension(job) {
+    const load = socket => [...pendingExtensionJobs.values()].filter(j => j.socket === socket).length;
+    const socket = [...extensionWorkers]
+        .filter(s => s.readyState === WebSocket.OPEN)
+        .sort((a, b) => load(a) - load(b))[0];
+    if (!socket) return Promise.reject(new Error('No browser extension connected'));
+    const requestId = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingExtensionJobs.delete(requestId);
+            reject(Object.assign(new Error('Extension did not report a result in time'), { dispatched: true }));
+        }, EXTENSION_JOB_TIMEOUT_MS);
+        pendingExtensionJobs.set(requestId, { socket, resolve, reject, timer });
+        socket.send(JSON.stringify({ type: 'batch_row', data: { requestId, job } }));
+    });
+}
+
+registerBatchExecutor('extension', createExtensionExecutor({ dispatch: dispatchToExtension }));
+
+// ---- Batches ----
+app.get('/api/batches', (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    res.json({ batches: listBatches() });
+});
+
+// Body: { profile, batchConfig } - profile is the profile id; batchConfig needs a row source
+// (rows or csvPath, see loadBatchRows) and a target page (url or urlColumn), and
+// batchConfig.schedule makes the batch run by itself (one-off or cron, time zone, run window,
+// number of runs; see batch-scheduler.js)
+app.post('/api/batches', (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    const { profile } = req.body || {};
+    const batchConfig = (req.body || {}).batchConfig || {};
+    if (!profile) return res.status(400).json({ error: 'profile is required' });
+    if (!Array.isArray(batchConfig.rows) && !batchConfig.csvPath) {
+        return res.status(400).json({ error: 'batchConfig needs rows or a csvPath' });
+    }
+    if (batchConfig.csvPath && !path.resolve(BATCH_DATA_DIR, batchConfig.csvPath).startsWith(BATCH_DATA_DIR + path.sep)) {
+        return res.status(400).json({ error: 'CSV file must be inside the data directory' });
+    }
+    if (!batchConfig.url && !batchConfig.urlColumn) {
+        return res.status(400).json({ error: 'batchConfig needs a url or a urlColumn' });
+    }
+    try {
+        const batchId = scheduleBatchRun(profile, batchConfig);
+        res.json({ batchId, batch: listBatches().find(b => b.id === batchId) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Body: { mapping, rows } - sample rows as the batch processor would fill them (see
+// data-transforms.js), so a mapping can be checked before a batch runs
+app.post('/api/transforms/preview', (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    const { mapping, rows } = req.body || {};
+    if (!Array.isArray(rows)) return res.status(400).json({ error: 'rows must be an array' });
+    res.json({ rows: previewTransforms(rows, mapping || {}) });
+});
+
+// Pause, resume and cancel: POST /api/batches/:id/pause (or /resume, /cancel), or the WebSocket
+// messages batch_pause, batch_resume and batch_cancel with payload { batchId }
+const BATCH_CONTROLS = { pause: pauseBatch, resume: resumeBatch, cancel: cancelBatch };
+const BATCH_CONTROL_MESSAGES = { batch_pause: 'pause', batch_resume: 'resume', batch_cancel: 'cancel' };
+
+for (const [action, control] of Object.entries(BATCH_CONTROLS)) {
+    app.post(`/api/batches/:id/${action}`, (req, res) => {
+        if (!req.session.userId) return res.status(401).send('Unauthorized');
+        try {
+            res.json(control(req.params.id));
+        } catch (err) {
+            res.status(409).json({ error: err.message });
+        }
+    });
+}
+
+function controlBatchFromSocket(socket, data) {
+    const action = BATCH_CONTROL_MESSAGES[data.type];
+    const batchId = data.payload && data.payload.batchId;
+    if (!socket.session || !socket.session.userId) return { action, batchId, error: 'Unauthorized' };
+    try {
+        return { action, ...BATCH_CONTROLS[action](batchId) };
+    } catch (err) {
+        return { action, batchId, error: err.message };
+    }
+}
+
+// Batch state changes go out to signed-in dashboard connections as
+// { type: 'batch_event', data: { event, batchId, detail } }
+const BROADCAST_BATCH_EVENTS = [
+    'batchStarted',
+    'batchResumed',
+    'batchPaused',
+    'batchCancelling',
+    'batchCancelled',
+    'batchCompleted',
+    'batchScheduled',
+    'rowsQuarantined',
+    'sheetRowsAdded',
+    'progress'
+];
+
+for (const event of BROADCAST_BATCH_EVENTS) {
+    batchEmitter.on(event, (batchId, detail) => {
+        const message = JSON.stringify({ type: 'batch_event', data: { event, batchId, detail } });
+        for (const client of wss.clients) {
+            if (client.readyState === WebSocket.OPEN && client.session && client.session.userId) client.send(message);
+        }
+    });
+}
+
+// ---- Dead-lettered rows ----
+// Rows that failed for good (see dead-letter-queue.js). They can be exported to a "Failures"
+// tab of the source spreadsheet (body.spreadsheetId, else batchConfig.spreadsheetId) and
+// re-queued as a new batch, from that tab (fromSheet) so fixes made there go along.
+app.get('/api/dead-letters', (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    const { batchId, status } = req.query;
+    res.json({ deadLetters: listDeadLetters({ batchId, status }) });
+});
+
+app.post('/api/batches/:id/failures/export', async (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    try {
+        const connector = await sheetsConnectorFor(req.session);
+        res.json(await exportDeadLetters(req.params.id, connector, (req.body || {}).spreadsheetId));
+    } catch (err) {
+        logger.error({ type: 'failures_export_error', batchId: req.params.id, error: err.message });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/batches/:id/failures/requeue', async (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    const { ids, spreadsheetId, fromSheet } = req.body || {};
+    try {
+        const connector = fromSheet ? await sheetsConnectorFor(req.session) : null;
+        res.json(await requeueDeadLetters(req.params.id, { ids, connector, spreadsheetId }));
+    } catch (err) {
+        logger.error({ type: 'failures_requeue_error', batchId: req.params.id, error: err.message });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// ---- Sheet watches ----
+// Rows added to a spreadsheet table run as batches of just those rows (see
+// watchSheetForNewRows). Body: { profile, batchConfig, spreadsheetId, range, keyColumn,
+// intervalMs, maxIntervalMs }
+app.get('/api/sheet-watches', (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    res.json({ watches: listSheetWatches() });
+});
+
+app.post('/api/sheet-watches', async (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    const { profile, batchConfig, spreadsheetId, range, keyColumn, intervalMs, maxIntervalMs } = req.body || {};
+    if (!profile) return res.status(400).json({ error: 'profile is required' });
+    try {
+        const connector = await sheetsConnectorFor(req.session);
+        const watchId = watchSheetForNewRows(profile, batchConfig || {}, {
+            connector, spreadsheetId, range, keyColumn, intervalMs, maxIntervalMs
+        });
+        res.json({ watchId });
+    } catch (err) {
+        logger.error({ type: 'sheet_watch_error', spreadsheetId, error: err.message });
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/sheet-watches/:id', (req, res) => {
+    if (!req.session.userId) return res.status(401).send('Unauthorized');
+    try {
+        res.json(stopSheetWatch(req.params.id));
+    } catch (err) {
+        res.status(404).json({ error: err.message });
+    }
+});
+
+// A Sheets connector with the signed-in user's own OAuth tokens (never shared between users)
+async function sheetsConnectorFor(sessionData) {
+    if (!sessionData.tokens) throw new Error('Sign in with Google to use Google Sheets');
+    const connector = new GoogleSheetsConnector();
+    await connector.initGoogleAuth({
+        web: {
+            client_id: GOOGLE_CLIENT_ID,
+            client_secret: GOOGLE_CLIENT_SECRET,
+            redirect_uris: [GOOGLE_REDIRECT_URI]
+        },
+        token: sessionData.tokens
+    });
+    return connector;
+}
+
+// Rows of a scheduled batch run: inline batchConfig.rows, or a CSV file in the data directory
+// (batchConfig.csvPath)
+async function loadBatchRows(batch) {
+    const batchConfig = batch.batchConfig || {};
+    if (Array.isArray(batchConfig.rows)) return batchConfig.rows;
+    if (batchConfig.csvPath) {
+        const csvPath = path.resolve(BATCH_DATA_DIR, batchConfig.csvPath);
+        if (!csvPath.startsWith(BATCH_DATA_DIR + path.sep)) throw new Error('CSV file must be inside the data directory');
+        return loadCsv(csvPath);
+    }
+    throw new Error('Batch has no row source (rows or csvPath)');
+}
+
 // ---- Misc Sample Endpoint ----
 app.post('/api/formdata', async (req, res) => {
     const userId = req.session.userId;
@@ -316,6 +594,9 @@ function startServer() {
     server.listen(PORT, () => {
         logger.info({ type: 'server_start', port: PORT, timestamp: new Date().toISOString() });
     });
+    // Batches cut short by a crash or restart continue where they stopped
+    resumeInterruptedBatches().catch(err => logger.error({ type: 'batch_resume_error', error: err.message }));
+    startBatchScheduler({ loadRows: loadBatchRows });
 }
 
 // Start server only when executed directly
@@ -331,5 +612,6 @@ module.exports = {
     logAnalyticsEvent,
     handleWebSocketConnection,
     syncWithCloudStorage,
-    processGoogleSheetsRequest
+    processGoogleSheetsRequest,
+    dispatchToExtension
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { columnLetter, parseSheetRange } = require('./sheet-status');
+
+// Row-level change detection for sheet listeners (see listenForSheetUpdates in
+// google-sheets-connector.js). Rows are matched between two reads by a primary key column
+// (keyColumn), else by their row number. A diff is
+//   { added: [row], changed: [{ key, before, after, columns }], removed: [row] }
+// where rows are objects keyed by header with __rowNumber (as importBatchProfiles returns
+// them) and columns lists the headers whose value changed. A row that only moved is not
+// changed. Rows without a key are matched by row number; of rows sharing a key, the first
+// one counts.
+
+const DEFAULT_IDLE_BACKOFF = { factor: 2, maxMs: 300000 };
+
+// Row objects from sheet values, header row first. Empty and duplicate headers are rejected,
+// since their columns could not be told apart.
+function rowsFromValues(values, range) {
+    if (!values || values.length === 0) return [];
+    const { headerRow, startColumn } = parseSheetRange(range);
+    const headers = [];
+    values[0].forEach((raw, i) => {
+        const header = String(raw === undefined || raw === null ? '' : raw).trim();
+        const column = columnLetter(startColumn + i);
+        if (!header) throw new Error(`Header at column ${column} is empty`);
+        if (headers.includes(header)) throw new Error(`Duplicate header "${header}" found at column ${column}`);
+        headers.push(header);
+    });
+    return values.slice(1).map((row, offset) => {
+        const obj = {};
+        headers.forEach((h, i) => { obj[h] = row[i] || ''; });
+        obj.__rowNumber = headerRow + 1 + offset;
+        return obj;
+    });
+}
+
+function rowKey(row, keyColumn) {
+    const value = keyColumn ? row[keyColumn] : '';
+    const key = value === undefined || value === null ? '' : String(value).trim();
+    return key ? `key:${key}` : `row:${row.__rowNumber}`;
+}
+
+function indexRows(rows, keyColumn) {
+    const index = new Map();
+    for (const row of rows) {
+        const key = rowKey(row, keyColumn);
+        if (!index.has(key)) index.set(key, row);
+    }
+    return index;
+}
+
+function changedColumns(before, after) {
+    const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...columns].filter(column => !column.startsWith('__') && String(before[column] ?? '') !== String(after[column] ?? ''));
+}
+
+function diffRows(previous, current, options = {}) {
+    const before = indexRows(previous || [], options.keyColumn);
+    const after = indexRows(current || [], options.keyColumn);
+    const diff = { added: [], changed: [], removed: [] };
+    for (const [key, row] of after) {
+        const old = before.get(key);
+        if (!old) {
+            diff.added.push(row);
+            continue;
+        }
+        const columns = changedColumns(old, row);
+        if (columns.length) diff.changed.push({ key: key.replace(/^(key|row):/, ''), before: old, after: row, columns });
+    }
+    for (const [key, row] of before) {
+        if (!after.has(key)) diff.removed.push(row);
+    }
+    return diff;
+}
+
+function hasChanges(diff) {
+    return diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0;
+}
+
+// Poll interval after a poll: back to baseMs when something changed, else longer by factor,
+// up to maxMs
+function nextPollInterval(currentMs, changed, options = {}) {
+    const { baseMs, factor = DEFAULT_IDLE_BACKOFF.factor, maxMs = DEFAULT_IDLE_BACKOFF.maxMs } = options;
+    if (changed) return baseMs;
+    return Math.min(Math.max(currentMs, baseMs) * factor, Math.max(maxMs, baseMs));
+}
+
+module.exports = {
+    rowsFromValues,
+    diffRows,
+    hasChanges,
+    nextPollInterval
+};
@@ -0,0 +1,199 @@
+// Status write-back: each batch row's submission status written into the spreadsheet rows it
+// was imported from (importBatchProfiles tags rows with their sheet row as __rowNumber).
+// Status cells of a batch are collected and written together through one values.batchUpdate
+// per flush, so a batch costs a handful of Sheets API calls instead of one per row.
+//   batchConfig.statusSheet: { spreadsheetId, range } - range as passed to importBatchProfiles
+
+const STATUS_COLUMNS = ['FM_Status', 'FM_SubmittedAt', 'FM_Error', 'FM_ConfirmationId'];
+const DEFAULT_FLUSH_DELAY_MS = 2000;
+// Failed writes are retried after flushDelayMs, doubling per failure up to MAX_RETRY_DELAY_MS
+const DEFAULT_MAX_FLUSH_RETRIES = 5;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+// Query parameters and path segments that usually carry a confirmation number
+const CONFIRMATION_PARAMS = /^(confirmation|confirmation_?id|reference|ref|order|order_?id|ticket|submission_?id|application_?id)$/i;
+const CONFIRMATION_PATH = /\/(?:confirmation|reference|order|ticket|submission)s?\/([A-Za-z0-9-]{4,})\/?$/i;
+
+// 1 -> A, 27 -> AA
+function columnLetter(column) {
+    let letters = '';
+    for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function columnNumber(letters) {
+    return [...letters.toUpperCase()].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0);
+}
+
+// 'Sheet1!B2:H' -> { sheet: 'Sheet1', startColumn: 2, headerRow: 2 }. Without a sheet name
+// the range refers to the first sheet.
+function parseSheetRange(range) {
+    const text = String(range || 'A1');
+    const bang = text.lastIndexOf('!');
+    const sheet = bang >= 0 ? text.slice(0, bang).replace(/^'(.*)'$/, '$1').replace(/''/g, "'") : null;
+    const m = /^([A-Za-z]+)?(\d+)?/.exec(bang >= 0 ? text.slice(bang + 1) : text);
+    return {
+        sheet,
+        startColumn: m && m[1] ? columnNumber(m[1]) : 1,
+        headerRow: m && m[2] ? Number(m[2]) : 1
+    };
+}
+
+function sheetPrefix(sheet) {
+    return sheet ? `'${sheet.replace(/'/g, "''")}'!` : '';
+}
+
+function a1(sheet, column, row, lastColumn = column) {
+    const prefix = sheetPrefix(sheet);
+    const start = `${columnLetter(column)}${row}`;
+    return lastColumn === column ? prefix + start : `${prefix}${start}:${columnLetter(lastColumn)}${row}`;
+}
+
+// Sheet column of each status column: where the header already has it, else appended after
+// the last header. missing lists the ones that need a header cell.
+function statusColumnLayout(headers, startColumn = 1) {
+    const columns = {};
+    const missing = [];
+    let next = startColumn + headers.length;
+    for (const name of STATUS_COLUMNS) {
+        const index = headers.indexOf(name);
+        if (index >= 0) {
+            columns[name] = startColumn + index;
+        } else {
+            columns[name] = next++;
+            missing.push(name);
+        }
+    }
+    return { columns, missing };
+}
+
+// Best effort: an id the executor reported, else one in the confirmation page's URL
+function extractConfirmationId(result) {
+    if (!result) return '';
+    if (result.confirmationId) return String(result.confirmationId);
+    const url = result.pageUrl;
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        for (const [key, value] of parsed.searchParams) {
+            if (CONFIRMATION_PARAMS.test(key) && value) return value;
+        }
+        const m = CONFIRMATION_PATH.exec(parsed.pathname);
+        return m ? m[1] : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// Cell values of a row status { status, submittedAt, error, confirmationId }
+function statusCells(status) {
+    return {
+        FM_Status: status.status || '',
+        FM_SubmittedAt: status.submittedAt ? new Date(status.submittedAt).toISOString() : '',
+        FM_Error: status.error || '',
+        FM_ConfirmationId: status.confirmationId || ''
+    };
+}
+
+// values.batchUpdate data for row statuses (Map rowNumber -> status). Adjacent status columns
+// are written as one range per row; withHeaders adds the header cells of missing columns.
+function buildStatusUpdates(layout, statuses, options = {}) {
+    const { sheet, startColumn, headerRow } = layout;
+    const { columns, missing } = statusColumnLayout(layout.headers, startColumn);
+    const runs = [];
+    for (const name of STATUS_COLUMNS.slice().sort((a, b) => columns[a] - columns[b])) {
+        const last = runs[runs.length - 1];
+        if (last && columns[name] === columns[last[last.length - 1]] + 1) last.push(name);
+        else runs.push([name]);
+    }
+    const data = [];
+    if (options.withHeaders) {
+        for (const name of missing) data.push({ range: a1(sheet, columns[name], headerRow), values: [[name]] });
+    }
+    for (const [rowNumber, status] of statuses) {
+        const cells = statusCells(status);
+        for (const run of runs) {
+            data.push({
+                range: a1(sheet, columns[run[0]], rowNumber, columns[run[run.length - 1]]),
+                values: [run.map(name => cells[name])]
+            });
+        }
+    }
+    return data;
+}
+
+async function readHeaders(connector, spreadsheetId, layout) {
+    const row = layout.headerRow;
+    const rows = await connector.fetchSpreadsheetData(spreadsheetId, `${sheetPrefix(layout.sheet)}${row}:${row}`);
+    return (rows[0] || []).slice(layout.startColumn - 1);
+}
+
+// Collects row statuses and writes them in one batchUpdate per flush, at most every
+// flushDelayMs. connector: an initialized google-sheets-connector instance; headers: the sheet's
+// header row (read from the sheet on the first flush when not given). onError(err, { failures,
+// gaveUp }) is called when a write fails; the statuses are kept and the write is retried with
+// exponential backoff, up to maxRetries times in a row. After that the statuses wait for the
+// next record() or flush().
+function createStatusWriter({
+    connector, spreadsheetId, range, headers, onError,
+    flushDelayMs = DEFAULT_FLUSH_DELAY_MS, maxRetries = DEFAULT_MAX_FLUSH_RETRIES
+}) {
+    const layout = { ...parseSheetRange(range), headers: null };
+    const pending = new Map();
+    let headersWritten = false;
+    let timer = null;
+    let failures = 0;
+    let writing = Promise.resolve();
+
+    function scheduleFlush(delayMs = flushDelayMs) {
+        if (timer) return;
+        timer = setTimeout(() => { timer = null; flush(); }, delayMs);
+        if (timer.unref) timer.unref();
+    }
+
+    function record(rowNumber, status) {
+        if (!rowNumber) return;
+        pending.set(Number(rowNumber), status);
+        scheduleFlush();
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        writing = writing.then(async () => {
+            if (!pending.size) return;
+            const statuses = new Map(pending);
+            pending.clear();
+            try {
+                if (!layout.headers) {
+                    layout.headers = headers || await readHeaders(connector, spreadsheetId, layout);
+                    headersWritten = statusColumnLayout(layout.headers).missing.length === 0;
+                }
+                await connector.batchUpdateValues(spreadsheetId, buildStatusUpdates(layout, statuses, { withHeaders: !headersWritten }));
+                headersWritten = true;
+                failures = 0;
+            } catch (err) {
+                for (const [rowNumber, status] of statuses) if (!pending.has(rowNumber)) pending.set(rowNumber, status);
+                failures++;
+                // Retry on its own, so the statuses are not stuck until the next record()
+                const gaveUp = failures > maxRetries;
+                if (!gaveUp) scheduleFlush(Math.min(MAX_RETRY_DELAY_MS, flushDelayMs * 2 ** (failures - 1)));
+                if (onError) onError(err, { failures, gaveUp });
+            }
+        });
+        return writing;
+    }
+
+    return { record, flush };
+}
+
+module.exports = {
+    STATUS_COLUMNS,
+    columnLetter,
+    parseSheetRange,
+    statusColumnLayout,
+    extractConfirmationId,
+    buildStatusUpdates,
+    createStatusWriter
+};
@@ -0,0 +1,74 @@
+const { columnLetter, parseSheetRange } = require('./sheet-status');
+
+// Upserts by key column: rows (objects keyed by header) update the sheet row with the same
+// value in the key column, or are appended below the last row. planUpsert works out the
+// values.batchUpdate data from the range's current values, so the connector needs one read
+// and one write per upsert. Columns the sheet does not have yet are added to the header row;
+// cells of an updated row that a row object does not mention are kept.
+
+function cellKey(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function rangeOf(sheet, startColumn, rowNumber, width) {
+    const prefix = sheet ? `'${sheet.replace(/'/g, "''")}'!` : '';
+    const first = `${columnLetter(startColumn)}${rowNumber}`;
+    return width > 1 ? `${prefix}${first}:${columnLetter(startColumn + width - 1)}${rowNumber}` : prefix + first;
+}
+
+// existing: the range's values, header row first (as fetchSpreadsheetData returns them);
+// range: the range they were read from. Returns { data, updated, appended } where data is
+// [{ range, values }].
+function planUpsert(existing, rows, keyColumn, range) {
+    const { sheet, startColumn, headerRow } = parseSheetRange(range);
+    const headers = (existing[0] || []).map(cellKey);
+    const headerCount = headers.length;
+    for (const row of rows) {
+        for (const column of Object.keys(row)) {
+            if (!column.startsWith('__') && !headers.includes(column)) headers.push(column);
+        }
+    }
+    const keyIndex = headers.indexOf(keyColumn);
+    if (keyIndex < 0) throw new Error(`Key column "${keyColumn}" not found`);
+
+    // Sheet row number and values of each key, existing rows first
+    const byKey = new Map();
+    existing.slice(1).forEach((values, offset) => {
+        const key = cellKey(values[keyIndex]);
+        if (key && !byKey.has(key)) byKey.set(key, { rowNumber: headerRow + 1 + offset, values: [...values] });
+    });
+    let nextRow = headerRow + Math.max(existing.length, 1);
+    const touched = new Map();
+    let appended = 0;
+    for (const row of rows) {
+        const key = cellKey(row[keyColumn]);
+        if (!key) throw new Error(`Row without a value for key column "${keyColumn}"`);
+        let target = byKey.get(key);
+        if (!target) {
+            target = { rowNumber: nextRow++, values: [] };
+            byKey.set(key, target);
+            appended += 1;
+        }
+        headers.forEach((column, i) => {
+            if (Object.prototype.hasOwnProperty.call(row, column)) target.values[i] = row[column];
+        });
+        touched.set(target.rowNumber, target);
+    }
+
+    const data = [];
+    if (headers.length > headerCount) {
+        data.push({
+            range: rangeOf(sheet, startColumn + headerCount, headerRow, headers.length - headerCount),
+            values: [headers.slice(headerCount)]
+        });
+    }
+    for (const { rowNumber, values } of touched.values()) {
+        const cells = headers.map((column, i) => (values[i] === undefined || values[i] === null ? '' : values[i]));
+        data.push({ range: rangeOf(sheet, startColumn, rowNumber, headers.length), values: [cells] });
+    }
+    return { data, updated: touched.size - appended, appended };
+}
+
+module.exports = {
+    planUpsert
+};
@@ -0,0 +1,298 @@
+// Submission outcome detection.
+// After a submit, signals are collected (navigation, URL changes, the submission's network
+// response, success/error messages the page shows, the form disappearing or being reset) and
+// classified into an outcome:
+//   { outcome: 'accepted'|'rejected'|'unknown', evidence: [{ signal, kind, weight, detail }] }
+// where kind is 'accept' or 'reject'.
+// Text and URL patterns can be configured per profile (see outcomePatternsFromProfile).
+
+(function () {
+const DEFAULT_OUTCOME_TIMEOUT_MS = 10000;
+// Evidence weights: a strong signal (2) decides on its own, weak ones (1) need company
+const STRONG = 2;
+const WEAK = 1;
+const ACCEPT_THRESHOLD = 2;
+const MAX_PAGE_TEXT = 5000;
+
+const DEFAULT_OUTCOME_PATTERNS = {
+  successText: [
+    /\b(thank(s| you)|success(fully)?|submitted|received|confirm(ed|ation)|we('| wi)ll be in touch)\b/i,
+    /\b(gracias|enviado|danke|erfolgreich|merci|envoy[ée])\b/i,
+  ],
+  errorText: [
+    /\b(error|failed|invalid|could not be (submitted|processed|sent)|please (try again|correct|fix)|is required|went wrong)\b/i,
+    /\b(fehler|ung[üu]ltig|erreur|invalide)\b/i,
+  ],
+  successUrl: [/\b(thank[-_]?you|thanks|success|confirm(ation)?|complete[d]?)\b/i],
+  errorUrl: [/\b(error|fail(ed|ure)?)\b/i],
+};
+
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(String(pattern), 'i');
+  } catch (e) {
+    return new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+}
+
+// Merge profile patterns (strings or RegExps) with the defaults. A profile can replace a
+// default list instead of extending it with { replaceDefaults: true }.
+function resolveOutcomePatterns(custom = {}) {
+  const resolved = {};
+  for (const key of Object.keys(DEFAULT_OUTCOME_PATTERNS)) {
+    const extra = [].concat(custom[key] || []).filter(Boolean).map(toRegExp);
+    resolved[key] = custom.replaceDefaults && extra.length ? extra : [...extra, ...DEFAULT_OUTCOME_PATTERNS[key]];
+  }
+  return resolved;
+}
+
+// Reads the <submissionOutcome> element of a user-profiles.xml profile as parsed by xml2js:
+// <successText>, <errorText>, <successUrl>, <errorUrl> (repeatable, regular expressions)
+function outcomePatternsFromProfile(profile) {
+  const node = profile && profile.submissionOutcome && [].concat(profile.submissionOutcome)[0];
+  if (!node || typeof node !== 'object') return {};
+  const patterns = {};
+  for (const key of Object.keys(DEFAULT_OUTCOME_PATTERNS)) {
+    if (node[key]) patterns[key] = [].concat(node[key]).map((v) => (typeof v === 'object' ? v._ : v)).filter(Boolean);
+  }
+  const replace = [].concat(node.replaceDefaults || [])[0];
+  if (String(replace).trim() === 'true') patterns.replaceDefaults = true;
+  return patterns;
+}
+
+function firstMatch(patterns, texts) {
+  for (const text of texts) {
+    for (const pattern of patterns) {
+      const m = pattern.exec(text);
+      if (m) return { pattern: pattern.source, match: m[0] };
+    }
+  }
+  return null;
+}
+
+function pathOf(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  } catch (e) {
+    return String(url || '');
+  }
+}
+
+// Classify collected signals:
+//   { urlBefore, urlAfter, navigated, responses: [{ url, status, method }], messages: [text],
+//     pageText, formRemoved, formReset, fieldErrors: [text] }
+// messages are texts that appeared after the submit (alerts, toasts, status regions); pageText
+// is the page body after a navigation. A rejection signal at least as strong as the acceptance
+// evidence wins; acceptance needs one strong or two weak signals; anything else is 'unknown'.
+function classifySubmissionOutcome(signals = {}, patterns = resolveOutcomePatterns()) {
+  const evidence = [];
+  const add = (signal, weight, detail, kind) => evidence.push({ signal, kind, weight, detail });
+
+  const messages = (signals.messages || []).filter(Boolean);
+  const texts = signals.navigated && signals.pageText ? [...messages, signals.pageText] : messages;
+  const errorText = firstMatch(patterns.errorText, messages);
+  const successText = firstMatch(patterns.successText, texts);
+  if (errorText) add('errorText', STRONG, errorText.match, 'reject');
+  if (successText) add('successText', STRONG, successText.match, 'accept');
+  if (signals.fieldErrors && signals.fieldErrors.length) add('fieldErrors', STRONG, signals.fieldErrors.join('; '), 'reject');
+
+  const urlChanged = !!signals.urlAfter && signals.urlAfter !== signals.urlBefore;
+  if (urlChanged) {
+    const after = pathOf(signals.urlAfter);
+    const errorUrl = firstMatch(patterns.errorUrl, [after]);
+    const successUrl = firstMatch(patterns.successUrl, [after]);
+    if (errorUrl) add('errorUrl', STRONG, signals.urlAfter, 'reject');
+    else if (successUrl) add('successUrl', STRONG, signals.urlAfter, 'accept');
+    else add('urlChanged', WEAK, signals.urlAfter, 'accept');
+  } else if (signals.navigated) {
+    add('navigated', WEAK, signals.urlAfter || signals.urlBefore, 'accept');
+  }
+
+  for (const response of signals.responses || []) {
+    if (response.status >= 400) {
+      add('httpError', STRONG, `${response.method || ''} ${response.url} -> ${response.status}`.trim(), 'reject');
+    } else if (response.status >= 200 && response.status < 400) {
+      add('httpOk', WEAK, `${response.method || ''} ${response.url} -> ${response.status}`.trim(), 'accept');
+    }
+  }
+  if (signals.formRemoved) add('formRemoved', WEAK, null, 'accept');
+  else if (signals.formReset) add('formReset', WEAK, null, 'accept');
+
+  // One signal per kind counts towards the score, so ten 200 responses are still one weak signal
+  const score = (kind) => {
+    const best = new Map();
+    evidence.filter((e) => e.kind === kind).forEach((e) => best.set(e.signal, Math.max(best.get(e.signal) || 0, e.weight)));
+    return [...best.values()].reduce((sum, w) => sum + w, 0);
+  };
+  const accept = score('accept');
+  const reject = score('reject');
+  let outcome = 'unknown';
+  if (reject > 0 && reject >= accept) outcome = 'rejected';
+  else if (accept >= ACCEPT_THRESHOLD) outcome = 'accepted';
+  return { outcome, evidence };
+}
+
+// True once the evidence is decisive enough to stop waiting
+function isDecisive(result) {
+  return result.evidence.some((e) => e.weight === STRONG);
+}
+
+// Texts of alert/status regions and error markers. Self-contained so Puppeteer can run it in
+// the page (frame.evaluate(collectOutcomeMessages, formHandle)).
+function collectOutcomeMessages(form) {
+  const REGION_SELECTOR = '[role="alert"], [role="status"], [aria-live], .alert, .notice, .notification, .toast, ' +
+    '.message, .messages, .success, .error, .errors, .form-error, .form-success, .invalid-feedback';
+  const visible = (node) => !!(node.offsetWidth || node.offsetHeight || node.getClientRects().length);
+  const text = (node) => (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim();
+  const doc = (form && form.ownerDocument) || document;
+  const messages = Array.from(doc.querySelectorAll(REGION_SELECTOR))
+    .filter((node) => visible(node) && text(node))
+    .map(text);
+  const fieldErrors = form && form.isConnected
+    ? Array.from(form.querySelectorAll('[aria-invalid="true"]')).map((el) => el.name || el.id || el.tagName.toLowerCase())
+    : [];
+  return { messages: [...new Set(messages)].slice(0, 20), fieldErrors };
+}
+
+// In-page watcher (content script / human-simulation): call before submitting.
+// Resolves to a classified outcome once the evidence is decisive, the page unloads, or
+// options.timeoutMs passes. options: { patterns (profile patterns), timeoutMs, onNavigate }.
+function watchSubmissionOutcome(form, options = {}) {
+  const doc = form.ownerDocument;
+  const view = doc.defaultView;
+  const patterns = resolveOutcomePatterns(options.patterns);
+  const urlBefore = view.location.href;
+  // Messages already on the page (cookie banners, stale alerts) are not about this submit
+  const initialMessages = new Set(collectOutcomeMessages(form).messages);
+  const added = [];
+  let formReset = false;
+  const onReset = () => { formReset = true; };
+  form.addEventListener('reset', onReset);
+
+  return new Promise((resolve) => {
+    let finished = false;
+    const signals = (navigated) => {
+      const collected = collectOutcomeMessages(form);
+      return {
+        urlBefore,
+        urlAfter: view.location.href,
+        navigated,
+        messages: [...new Set([...added, ...collected.messages])].filter((m) => !initialMessages.has(m)),
+        fieldErrors: collected.fieldErrors,
+        formRemoved: !form.isConnected,
+        formReset,
+      };
+    };
+    const finish = (navigated) => {
+      if (finished) return;
+      finished = true;
+      observer.disconnect();
+      clearTimeout(timer);
+      clearInterval(poll);
+      view.removeEventListener('pagehide', onPageHide);
+      form.removeEventListener('reset', onReset);
+      resolve(classifySubmissionOutcome(signals(navigated), patterns));
+    };
+    const check = () => {
+      if (!finished && isDecisive(classifySubmissionOutcome(signals(false), patterns))) finish(false);
+    };
+    // The page is going away (classic form POST): classify with what we have
+    const onPageHide = () => {
+      if (typeof options.onNavigate === 'function') options.onNavigate();
+      finish(true);
+    };
+    const observer = new view.MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        mutation.addedNodes.forEach((node) => {
+          const text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+          if (text && text.length <= 500) added.push(text);
+        });
+      }
+      check();
+    });
+    observer.observe(doc.documentElement, { childList: true, subtree: true, characterData: true });
+    view.addEventListener('pagehide', onPageHide);
+    // SPA routers change the URL without a mutation we could attribute to the submit
+    let lastHref = urlBefore;
+    const poll = setInterval(() => {
+      if (view.location.href !== lastHref) {
+        lastHref = view.location.href;
+        check();
+      }
+    }, 250);
+    const timer = setTimeout(() => finish(false), options.timeoutMs || DEFAULT_OUTCOME_TIMEOUT_MS);
+  });
+}
+
+// Puppeteer observer: await it before submitting, then await its result().
+// frame is the page or frame holding formHandle; network responses are read from its page.
+// Only non-GET requests and document/xhr/fetch responses are treated as the submission.
+async function observeSubmissionOutcome(frame, formHandle, options = {}) {
+  const page = typeof frame.page === 'function' ? frame.page() : frame;
+  const patterns = resolveOutcomePatterns(options.patterns);
+  const timeoutMs = options.timeoutMs || DEFAULT_OUTCOME_TIMEOUT_MS;
+  const urlBefore = frame.url();
+  const initial = await frame.evaluate(collectOutcomeMessages, formHandle).catch(() => ({ messages: [] }));
+  const initialMessages = new Set(initial.messages);
+  const fresh = (collected) => ({ ...collected, messages: collected.messages.filter((m) => !initialMessages.has(m)) });
+  const responses = [];
+  const onResponse = (response) => {
+    const request = response.request();
+    const type = request.resourceType();
+    if (request.method() === 'GET' && type !== 'document') return;
+    if (!['document', 'xhr', 'fetch'].includes(type)) return;
+    responses.push({ url: response.url(), status: response.status(), method: request.method() });
+  };
+  page.on('response', onResponse);
+  const navigation = frame.waitForNavigation({ timeout: timeoutMs }).then(() => true, () => false);
+
+  return {
+    async result() {
+      let navigated = false;
+      let collected = { messages: [], fieldErrors: [] };
+      let formRemoved = false;
+      const deadline = Date.now() + timeoutMs;
+      try {
+        // Poll until a navigation finishes or the page shows decisive evidence
+        for (;;) {
+          navigated = await Promise.race([navigation, new Promise((r) => setTimeout(() => r(false), 250))]);
+          if (navigated) break;
+          formRemoved = !(await formHandle.evaluate((f) => f.isConnected).catch(() => false));
+          collected = await frame.evaluate(collectOutcomeMessages, formRemoved ? null : formHandle).then(fresh, () => collected);
+          const interim = classifySubmissionOutcome({
+            urlBefore, urlAfter: frame.url(), responses, formRemoved, ...collected,
+          }, patterns);
+          if (isDecisive(interim) || Date.now() >= deadline) break;
+        }
+        let pageText = '';
+        if (navigated) {
+          formRemoved = true;
+          collected = await frame.evaluate(collectOutcomeMessages, null).then(fresh, () => collected);
+          pageText = await frame.evaluate((max) => (document.body ? document.body.innerText : '').slice(0, max), MAX_PAGE_TEXT)
+            .catch(() => '');
+        }
+        return classifySubmissionOutcome({
+          urlBefore, urlAfter: frame.url(), navigated, responses, formRemoved, pageText, ...collected,
+        }, patterns);
+      } finally {
+        page.off('response', onResponse);
+      }
+    },
+  };
+}
+
+const api = {
+  DEFAULT_OUTCOME_PATTERNS,
+  resolveOutcomePatterns,
+  outcomePatternsFromProfile,
+  classifySubmissionOutcome,
+  collectOutcomeMessages,
+  watchSubmissionOutcome,
+  observeSubmissionOutcome,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).submissionOutcome = api;
+})();
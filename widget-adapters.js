@@ -0,0 +1,335 @@
+(function () {
+const { setNativeValue, setNativeChecked, verifyValuePersisted } = typeof module === 'object' ? require('./human-simulation') : FormMaster.humanSimulation;
+
+// Widget adapters for the fill pipeline.
+// Each adapter recognizes one kind of control and knows how to drive it:
+//   { name, matches(el) => boolean, fill(el, value, context) => Promise }
+// Adapters are tried in registration order; custom adapters registered with
+// registerWidgetAdapter() run before the built-ins. A control no adapter recognizes is
+// reported as 'unsupported' instead of being skipped silently.
+
+const OPTION_WAIT_TIMEOUT_MS = 2000;
+const POLL_INTERVAL_MS = 50;
+const MAX_SLIDER_KEY_PRESSES = 200;
+
+const DATE_PICKER_SELECTOR = '[data-datepicker], [data-provide="datepicker"], .datepicker, .date-picker, .flatpickr-input, [data-date-format]';
+const TAG_INPUT_CONTAINER = /\b(tags?|chips?|tagify|tokens?|tagsinput)([-_]?(input|field|container|wrapper))?\b/i;
+const TEXT_INPUT_TYPES = ['', 'text', 'email', 'tel', 'url', 'search', 'password', 'number'];
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Polls until find() returns something, or null after timeoutMs
+async function waitFor(find, timeoutMs = OPTION_WAIT_TIMEOUT_MS) {
+  const start = Date.now();
+  for (;;) {
+    const found = find();
+    if (found) return found;
+    if (Date.now() - start >= timeoutMs) return null;
+    await delay(POLL_INTERVAL_MS);
+  }
+}
+
+function normalize(text) {
+  return String(text === undefined || text === null ? '' : text).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function isVisible(el) {
+  return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+}
+
+function dispatch(el, type, init = {}) {
+  const view = el.ownerDocument.defaultView;
+  const EventCtor = type.startsWith('key') ? view.KeyboardEvent : view.Event;
+  el.dispatchEvent(new EventCtor(type, { bubbles: true, cancelable: true, ...init }));
+}
+
+function pressKey(el, key) {
+  dispatch(el, 'keydown', { key });
+  dispatch(el, 'keyup', { key });
+}
+
+function click(el) {
+  const view = el.ownerDocument.defaultView;
+  ['mousedown', 'mouseup', 'click'].forEach((type) =>
+    el.dispatchEvent(new view.MouseEvent(type, { bubbles: true, cancelable: true, button: 0 })));
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value === undefined || value === null ? '' : value).split(/[,;]/).map((v) => v.trim()).filter(Boolean);
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') return !/^(|0|false|no|off|n)$/i.test(value.trim());
+  return !!value;
+}
+
+// Sets a value the way a user edit would (native setter, then input/change), so controlled
+// framework inputs keep it. Adapters that type use context.typeText when the caller provides
+// one (e.g. human-like typing). Resolves to whether the value survived a re-render.
+async function setTextValue(el, value, context) {
+  const text = String(value);
+  if (context && typeof context.typeText === 'function') {
+    return context.typeText(el, text);
+  }
+  el.focus();
+  setNativeValue(el, text);
+  const view = el.ownerDocument.defaultView;
+  el.dispatchEvent(new view.InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: text }));
+  dispatch(el, 'change');
+  return verifyValuePersisted(el, text);
+}
+
+// Listbox belonging to a combobox/custom select: aria-controls/aria-owns first, else the
+// nearest visible listbox in the document
+function findListbox(el) {
+  const doc = el.ownerDocument;
+  const ids = `${el.getAttribute('aria-controls') || ''} ${el.getAttribute('aria-owns') || ''}`.split(/\s+/).filter(Boolean);
+  for (const id of ids) {
+    const owned = doc.getElementById(id);
+    if (owned && isVisible(owned)) return owned;
+  }
+  return Array.from(doc.querySelectorAll('[role="listbox"]')).find(isVisible) || null;
+}
+
+function findOption(listbox, value) {
+  const wanted = normalize(value);
+  const options = Array.from(listbox.querySelectorAll('[role="option"]'));
+  return options.find((o) => normalize(o.getAttribute('data-value')) === wanted || normalize(o.textContent) === wanted) ||
+    options.find((o) => normalize(o.textContent).startsWith(wanted)) ||
+    null;
+}
+
+async function chooseOption(trigger, value) {
+  const listbox = await waitFor(() => findListbox(trigger));
+  if (!listbox) throw new Error('Listbox did not open');
+  const option = await waitFor(() => findOption(listbox, value));
+  if (!option) throw new Error(`No option matching "${value}"`);
+  click(option);
+}
+
+// "2024-03-05", "03/05/2024", "5.3.2024" or a Date -> Date (local), or null
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const str = String(value || '').trim();
+  let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2]));
+  m = str.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (m) return new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
+  return null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Formats a date with a picker's own format hint ("MM/DD/YYYY", "dd.mm.yyyy", "yyyy-mm-dd")
+function formatDate(date, format) {
+  const fmt = format || 'YYYY-MM-DD';
+  return fmt
+    .replace(/y{4}/i, String(date.getFullYear()))
+    .replace(/m{2}/i, pad(date.getMonth() + 1))
+    .replace(/d{2}/i, pad(date.getDate()));
+}
+
+function sliderNumber(el, attr, fallback) {
+  const n = parseFloat(el.getAttribute(attr));
+  return isNaN(n) ? fallback : n;
+}
+
+const BUILT_IN_ADAPTERS = [
+  {
+    name: 'checkable',
+    matches: (el) => el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio'),
+    fill: async (el, value) => {
+      const checked = toBoolean(value);
+      if (el.checked === checked) return;
+      // A real click toggles the state and fires click/input/change, which is what
+      // framework-controlled checkboxes listen for; a radio can only be unchecked directly
+      if (checked || el.type === 'checkbox') el.click();
+      if (el.checked !== checked) {
+        setNativeChecked(el, checked);
+        dispatch(el, 'input');
+        dispatch(el, 'change');
+      }
+    },
+  },
+  {
+    name: 'native-select',
+    matches: (el) => el.tagName === 'SELECT',
+    fill: async (el, value) => {
+      const wanted = el.multiple ? toList(value).map(normalize) : [normalize(value)];
+      const hits = Array.from(el.options)
+        .filter((option) => wanted.includes(normalize(option.value)) || wanted.includes(normalize(option.textContent)));
+      if (!hits.length) throw new Error(`No option matching "${value}"`);
+      if (el.multiple) Array.from(el.options).forEach((option) => { option.selected = hits.includes(option); });
+      else setNativeValue(el, hits[0].value);
+      dispatch(el, 'input');
+      dispatch(el, 'change');
+    },
+  },
+  {
+    name: 'date-picker',
+    matches: (el) => el.tagName === 'INPUT' &&
+      (['date', 'datetime-local', 'month'].includes(el.type) || el.matches(DATE_PICKER_SELECTOR)),
+    fill: async (el, value, context) => {
+      const date = parseDate(value);
+      if (!date) throw new Error(`Unrecognized date "${value}"`);
+      if (el.type === 'date' || el.type === 'datetime-local' || el.type === 'month') {
+        const iso = formatDate(date, 'YYYY-MM-DD');
+        const time = (String(value).match(/\b(\d{1,2}):(\d{2})/) || [null, '0', '00']).slice(1);
+        const formatted = el.type === 'month' ? iso.slice(0, 7)
+          : (el.type === 'date' ? iso : `${iso}T${pad(time[0])}:${time[1]}`);
+        if (!(await setTextValue(el, formatted))) throw new Error('Date did not persist after re-render');
+        return;
+      }
+      // Text input backed by a JS picker: type in the picker's format, then close its popup
+      const format = el.getAttribute('data-date-format') ||
+        (/[dmy]{2}.[dmy]{2}.[dmy]{2,4}/i.test(el.placeholder || '') ? el.placeholder : 'MM/DD/YYYY');
+      const wasReadOnly = el.readOnly;
+      el.readOnly = false;
+      await setTextValue(el, formatDate(date, format), context);
+      el.readOnly = wasReadOnly;
+      pressKey(el, 'Escape');
+      el.blur();
+    },
+  },
+  {
+    name: 'range-slider',
+    matches: (el) => (el.tagName === 'INPUT' && el.type === 'range') || el.getAttribute('role') === 'slider',
+    fill: async (el, value) => {
+      const target = parseFloat(value);
+      if (isNaN(target)) throw new Error(`Slider value "${value}" is not a number`);
+      if (el.tagName === 'INPUT') {
+        setNativeValue(el, String(target));
+        dispatch(el, 'input');
+        dispatch(el, 'change');
+        return;
+      }
+      // ARIA slider: step with the arrow keys, which is what its script listens for
+      el.focus();
+      for (let i = 0; i < MAX_SLIDER_KEY_PRESSES; i++) {
+        const now = sliderNumber(el, 'aria-valuenow', NaN);
+        if (isNaN(now) || Math.abs(now - target) < sliderNumber(el, 'data-step', 1) / 2) break;
+        pressKey(el, now < target ? 'ArrowRight' : 'ArrowLeft');
+        await delay(10);
+      }
+      if (Math.abs(sliderNumber(el, 'aria-valuenow', NaN) - target) > sliderNumber(el, 'data-step', 1)) {
+        throw new Error(`Slider did not reach ${target}`);
+      }
+    },
+  },
+  {
+    name: 'aria-combobox',
+    matches: (el) => el.getAttribute('role') === 'combobox',
+    fill: async (el, value, context) => {
+      el.focus();
+      click(el);
+      if (el.tagName === 'INPUT') await setTextValue(el, value, context);
+      await chooseOption(el, value);
+    },
+  },
+  {
+    name: 'custom-select',
+    matches: (el) => el.getAttribute('aria-haspopup') === 'listbox',
+    fill: async (el, value) => {
+      click(el);
+      await chooseOption(el, value);
+    },
+  },
+  {
+    name: 'tag-input',
+    matches: (el) => el.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(el.type) &&
+      !!el.parentElement && [el, el.parentElement, el.parentElement.parentElement]
+        .some((node) => node && TAG_INPUT_CONTAINER.test(`${node.className || ''} ${node.getAttribute('data-role') || ''}`)),
+    fill: async (el, value, context) => {
+      for (const tag of toList(value)) {
+        await setTextValue(el, tag, context);
+        pressKey(el, 'Enter');
+        await delay(POLL_INTERVAL_MS);
+      }
+    },
+  },
+  {
+    name: 'contenteditable',
+    matches: (el) => el.isContentEditable || el.getAttribute('contenteditable') === 'true',
+    fill: async (el, value) => {
+      const doc = el.ownerDocument;
+      el.focus();
+      const selection = doc.getSelection && doc.getSelection();
+      if (selection) {
+        const range = doc.createRange();
+        range.selectNodeContents(el);
+        selection.removeAllRanges();
+        selection.addRange(range);
+      }
+      // execCommand keeps the editor's undo stack and model (ProseMirror, Quill, ...) in sync
+      const inserted = typeof doc.execCommand === 'function' && doc.execCommand('insertText', false, String(value));
+      if (!inserted) {
+        el.textContent = String(value);
+        const view = doc.defaultView;
+        el.dispatchEvent(new view.InputEvent('input', { bubbles: true, inputType: 'insertText', data: String(value) }));
+      }
+    },
+  },
+  {
+    name: 'text',
+    matches: (el) => el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(el.type)),
+    fill: async (el, value, context) => {
+      if (!(await setTextValue(el, value, context))) throw new Error('Value did not persist after re-render');
+    },
+  },
+];
+
+const customAdapters = [];
+
+// Register an adapter ahead of the built-ins (and of previously registered ones)
+function registerWidgetAdapter(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.matches !== 'function' || typeof adapter.fill !== 'function') {
+    throw new Error('Widget adapter needs a name, matches(el) and fill(el, value, context)');
+  }
+  customAdapters.unshift(adapter);
+}
+
+function findWidgetAdapter(el) {
+  return [...customAdapters, ...BUILT_IN_ADAPTERS].find((adapter) => {
+    try {
+      return adapter.matches(el);
+    } catch (e) {
+      return false;
+    }
+  }) || null;
+}
+
+// Fill a control through the first adapter that recognizes it.
+// context: { typeText(el, text) } for human-like typing (optional).
+// Resolves to { status: 'filled'|'unsupported'|'failed', adapter, error }
+async function fillWidget(el, value, context = {}) {
+  if (!el || el.disabled || el.readOnly && !el.matches(DATE_PICKER_SELECTOR)) {
+    return { status: 'unsupported', adapter: null, error: 'Element is missing, disabled or read-only' };
+  }
+  const adapter = findWidgetAdapter(el);
+  if (!adapter) {
+    return { status: 'unsupported', adapter: null, error: `No adapter for <${el.tagName.toLowerCase()}>` };
+  }
+  try {
+    await adapter.fill(el, value, context);
+    return { status: 'filled', adapter: adapter.name, error: null };
+  } catch (err) {
+    return { status: 'failed', adapter: adapter.name, error: err && err.message || String(err) };
+  }
+}
+
+const api = {
+  registerWidgetAdapter,
+  findWidgetAdapter,
+  fillWidget,
+};
+
+if (typeof module === 'object' && module.exports) module.exports = api;
+else (globalThis.FormMaster = globalThis.FormMaster || {}).widgetAdapters = api;
+})();
@@ -0,0 +1,73 @@
+// Worker pool for batch rows: runs worker(item, index) over items with at most `concurrency`
+// of them in flight. Results keep the order of items, settled like Promise.allSettled
+// ({ status: 'fulfilled', value } or { status: 'rejected', reason }).
+//
+// The limit adapts to the error rate: once at least half a window of rows has settled and
+// errorRateThreshold of the last windowSize rows were errors, the limit is halved (down to
+// minConcurrency). A full window without errors raises it by one again, up to concurrency.
+
+const DEFAULT_POOL_OPTIONS = {
+    concurrency: 1,
+    minConcurrency: 1,
+    windowSize: 10,
+    errorRateThreshold: 0.3
+};
+
+// options: DEFAULT_POOL_OPTIONS plus
+//   isError(settled)                  - what counts towards the error rate (default: rejected)
+//   onSettled(settled, index)         - called as each item settles, before the next one starts
+//   onConcurrencyChange(limit, rate)  - called when the adaptive limit moves
+function runWorkerPool(items, worker, options = {}) {
+    const opts = { ...DEFAULT_POOL_OPTIONS, ...options };
+    const max = Math.max(1, Math.floor(opts.concurrency) || 1);
+    const min = Math.min(max, Math.max(1, Math.floor(opts.minConcurrency) || 1));
+    const isError = opts.isError || (settled => settled.status === 'rejected');
+    const results = new Array(items.length);
+    const recent = [];
+    let limit = max;
+    let next = 0;
+    let running = 0;
+
+    const adapt = (error) => {
+        recent.push(error);
+        if (recent.length > opts.windowSize) recent.shift();
+        const rate = recent.filter(Boolean).length / recent.length;
+        const previous = limit;
+        if (rate >= opts.errorRateThreshold && recent.length >= Math.ceil(opts.windowSize / 2) && limit > min) {
+            limit = Math.max(min, Math.floor(limit / 2));
+            recent.length = 0;
+        } else if (rate === 0 && recent.length >= opts.windowSize && limit < max) {
+            limit += 1;
+            recent.length = 0;
+        }
+        if (limit !== previous && opts.onConcurrencyChange) opts.onConcurrencyChange(limit, rate);
+    };
+
+    return new Promise((resolve, reject) => {
+        if (!items.length) return resolve(results);
+        const launch = () => {
+            while (running < limit && next < items.length) {
+                const index = next++;
+                running += 1;
+                Promise.resolve()
+                    .then(() => worker(items[index], index))
+                    .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+                    .then(settled => {
+                        running -= 1;
+                        results[index] = settled;
+                        adapt(isError(settled));
+                        if (opts.onSettled) opts.onSettled(settled, index);
+                        if (next >= items.length && running === 0) resolve(results);
+                        else launch();
+                    })
+                    .catch(reject);
+            }
+        };
+        launch();
+    });
+}
+
+module.exports = {
+    DEFAULT_POOL_OPTIONS,
+    runWorkerPool
+};